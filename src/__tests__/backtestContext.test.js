@@ -0,0 +1,215 @@
+/**
+ * BACKTEST CONTEXT TESTS
+ * Backtests não alteram o estado de aprendizado ao vivo
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const learningDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bt-learning-'));
+process.env.BACKTEST_LEARNING_PATH = learningDir;
+
+const ReinforcementLearningEngine = require('../ai/reinforcementLearning');
+const BacktestContext = require('../backtest/backtestContext');
+const backtestEngine = require('../backtest/backtestEngine');
+const { BacktestEngine } = require('../backtest/backtestEngine');
+
+const START = Date.UTC(2026, 0, 5);
+const DAY = 24 * 3600000;
+const TF_MS = { '5M': 300000, '15M': 900000, '1H': 3600000, '4H': 14400000 };
+
+// Série em alta constante: toda SELL atinge o stop
+function buildMarketData() {
+  const data = {};
+  const from = START - 30 * DAY;
+  const to = START + 3 * DAY;
+
+  for (const [tf, ms] of Object.entries(TF_MS)) {
+    data[tf] = [];
+    for (let t = from; t < to; t += ms) {
+      const open = 1.1 + (t - from) / 60000 * 0.00001;
+      const close = open + ms / 60000 * 0.00001;
+      data[tf].push({ timestamp: t, open, high: close + 0.0002, low: open - 0.0002, close, volume: 1000 });
+    }
+  }
+
+  return data;
+}
+
+// Motor fake que respeita o anti-overtrading como o DecisionEngine
+function createLosingEngine() {
+  return {
+    consecutiveLosses: 0,
+    maxConsecutiveLosses: 3,
+    async makeDecision(marketData) {
+      if (this.consecutiveLosses >= this.maxConsecutiveLosses) {
+        return { decision: { signal: 'NO_TRADE', approved: false } };
+      }
+
+      const price = marketData['5M'][marketData['5M'].length - 1].close;
+      return {
+        decision: {
+          signal: 'TRADE_APPROVED',
+          approved: true,
+          direction: 'SELL',
+          setup: {
+            orderType: 'MARKET',
+            entry: price.toFixed(5),
+            stopLoss: (price + 0.0010).toFixed(5),
+            takeProfit: (price - 0.0020).toFixed(5),
+            riskReward: '2.00'
+          }
+        }
+      };
+    }
+  };
+}
+
+describe('Backtest Context', () => {
+  const marketData = buildMarketData();
+
+  afterAll(() => {
+    fs.rmSync(learningDir, { recursive: true, force: true });
+  });
+
+  test('should keep in-memory RL state off disk', async () => {
+    const historyFile = path.join(learningDir, 'live_history.json');
+    const modelWeightsFile = path.join(learningDir, 'live_weights.json');
+    const rl = new ReinforcementLearningEngine({ inMemory: true, historyFile, modelWeightsFile });
+
+    const record = await rl.registerTrade({ pair: 'EURUSD', direction: 'BUY', entry: 1.1, stopLoss: 1.099, takeProfit: 1.102 });
+    await rl.updateTradeResult(record.id, 'WIN', 1.102, 200);
+
+    expect(rl.getGlobalStats().totalTrades).toBe(1);
+    expect(fs.existsSync(historyFile)).toBe(false);
+    expect(fs.existsSync(modelWeightsFile)).toBe(false);
+  });
+
+  test('should pause after consecutive losses until next day', async () => {
+    const engine = createLosingEngine();
+    const context = new BacktestContext({ decisionEngine: engine });
+    const loss = { result: 'LOSS', type: 'SELL', exitTimestamp: START + 10 * 3600000, smartMoneyPatterns: [] };
+
+    for (let i = 0; i < 3; i++) {
+      await context.recordTrade(loss, {}, 'EURUSD');
+    }
+
+    expect(engine.consecutiveLosses).toBe(3);
+    context.beforeDecision(START + 20 * 3600000);
+    expect(engine.consecutiveLosses).toBe(3);
+    context.beforeDecision(START + DAY);
+    expect(engine.consecutiveLosses).toBe(0);
+    expect(context.getSummary().lossPauses).toBe(1);
+  });
+
+  test('should isolate loss counter and learning per run', async () => {
+    const engine = createLosingEngine();
+    const options = {
+      startDate: new Date(START),
+      endDate: new Date(START + 2 * DAY),
+      decisionEngine: engine
+    };
+
+    const first = await backtestEngine.runBacktest(marketData, 'EURUSD', options);
+    const second = await backtestEngine.runBacktest(marketData, 'EURUSD', options);
+
+    // 3 losses por dia de negociação: pausa até o dia seguinte
+    expect(first.trades.every(t => t.result === 'LOSS')).toBe(true);
+    expect(first.trades.length).toBeLessThanOrEqual(9);
+    expect(first.context.lossPauses).toBeGreaterThan(0);
+
+    // Nova execução começa do zero
+    expect(second.trades).toHaveLength(first.trades.length);
+    expect(second.context.learning.globalStats.totalTrades).toBe(first.trades.length);
+    expect(second.context.learning.persisted).toBe(false);
+  });
+
+  test('should not mix state between overlapping runs on separate engines', async () => {
+    const options = () => ({
+      startDate: new Date(START),
+      endDate: new Date(START + 2 * DAY),
+      decisionEngine: createLosingEngine()
+    });
+
+    const alone = await new BacktestEngine().runBacktest(marketData, 'EURUSD', options());
+    const [small, large] = await Promise.all([
+      new BacktestEngine().runBacktest(marketData, 'EURUSD', options()),
+      new BacktestEngine().runBacktest(marketData, 'EURUSD', { ...options(), initialBalance: 50000 })
+    ]);
+
+    expect(small.trades.map(t => t.profitLoss)).toEqual(alone.trades.map(t => t.profitLoss));
+    expect(small.metrics.finalBalance).toBe(alone.metrics.finalBalance);
+    expect(large.trades).toHaveLength(alone.trades.length);
+    expect(large.equity[0].balance).toBeGreaterThan(40000);
+  });
+
+  test('should skip signals that cannot be sized and stop when the balance is gone', async () => {
+    const zeroStop = createLosingEngine();
+    const makeDecision = zeroStop.makeDecision.bind(zeroStop);
+    zeroStop.makeDecision = async data => {
+      const result = await makeDecision(data);
+      result.decision.setup.stopLoss = result.decision.setup.entry;
+      return result;
+    };
+
+    const skipped = await new BacktestEngine().runBacktest(marketData, 'EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + DAY),
+      decisionEngine: zeroStop
+    });
+    expect(skipped.success).toBe(true);
+    expect(skipped.trades).toHaveLength(0);
+    expect(skipped.skippedSignals).toBe(skipped.processedSignals);
+    expect(skipped.skippedSignals).toBeGreaterThan(0);
+
+    // Perdas maiores que o capital: para após zerar a conta
+    const engine = new BacktestEngine();
+    const simulateTrade = engine.simulateTrade.bind(engine);
+    engine.simulateTrade = (...args) => {
+      const trade = simulateTrade(...args);
+      return trade && { ...trade, profitLoss: -6000 };
+    };
+
+    const ruined = await engine.runBacktest(marketData, 'EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + 2 * DAY),
+      decisionEngine: createLosingEngine()
+    });
+    expect(ruined.trades).toHaveLength(2);
+    expect(ruined.stopReason).toBe('Saldo zerado');
+
+    await expect(new BacktestEngine().runBacktest(marketData, 'EURUSD', { riskPercent: 50 }))
+      .rejects.toThrow(/Risco por trade/);
+    await expect(new BacktestEngine().runBacktest(marketData, 'EURUSD', { riskPercent: 0 }))
+      .rejects.toThrow(/Risco por trade/);
+
+    // Capital que não compra o mínimo do instrumento: sinais contados como ignorados
+    const tiny = await new BacktestEngine().runBacktest(marketData, 'EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + DAY),
+      initialBalance: 0.01,
+      decisionEngine: createLosingEngine()
+    });
+    expect(tiny.trades).toHaveLength(0);
+    expect(tiny.skippedSignals).toBe(tiny.processedSignals);
+    expect(tiny.skippedSignals).toBeGreaterThan(0);
+  });
+
+  test('should persist learning only to the backtest profile', async () => {
+    const result = await backtestEngine.runBacktest(marketData, 'EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + DAY),
+      decisionEngine: createLosingEngine(),
+      learnFromBacktest: true,
+      learningProfile: 'eurusd-test'
+    });
+
+    const profileDir = path.join(learningDir, 'eurusd-test');
+    const history = JSON.parse(fs.readFileSync(path.join(profileDir, 'trade_history.json'), 'utf8'));
+
+    expect(result.context.learning.profile).toBe('eurusd-test');
+    expect(history).toHaveLength(result.trades.length);
+    expect(fs.existsSync(path.join(profileDir, 'model_weights.json'))).toBe(true);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * BACKTEST RUN SERVICE TESTS
+ */
+
+const { Op } = require('sequelize');
+const BacktestRunService = require('../services/backtestRunService');
+
+const HOUR = 3600000;
+const START = Date.UTC(2026, 0, 5);
+
+// Model BacktestRun em memória (mesma interface usada do Sequelize)
+function createRunModelMock() {
+  const rows = [];
+  let nextId = 1;
+
+  return {
+    rows,
+    async create(record) {
+      const row = { ...record, id: `run-${nextId++}`, createdAt: new Date(START + nextId) };
+      row.destroy = async () => rows.splice(rows.indexOf(row), 1);
+      rows.push(row);
+      return row;
+    },
+    async findByPk(id) {
+      return rows.find(r => r.id === id) || null;
+    },
+    async findAll({ where = {}, limit, attributes } = {}) {
+      const matches = (field, value) => (value && value[Op.contains]
+        ? value[Op.contains].every(item => field.includes(item))
+        : field === value);
+
+      return rows
+        .filter(r => Object.entries(where).every(([key, value]) => matches(r[key], value)))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)
+        .map(r => {
+          const copy = { ...r };
+          (attributes?.exclude || []).forEach(key => delete copy[key]);
+          return copy;
+        });
+    }
+  };
+}
+
+function trade(hour, result, profitLoss, type = 'BUY') {
+  return {
+    entryTimestamp: START + hour * HOUR,
+    exitTimestamp: START + (hour + 1) * HOUR,
+    type,
+    result,
+    profitLoss,
+    rMultiple: profitLoss / 100,
+    riskReward: 2
+  };
+}
+
+function buildResult(trades, minMLProbability) {
+  return {
+    success: true,
+    pair: 'EURUSD',
+    trades,
+    equity: [{ timestamp: START, balance: 10000 }],
+    engine: {
+      version: '1.0.0',
+      thresholds: { EURUSD: { minMLProbability, minRiskReward: 2 } }
+    }
+  };
+}
+
+describe('Backtest Run Service', () => {
+  let service;
+  let BacktestRun;
+
+  beforeEach(() => {
+    BacktestRun = createRunModelMock();
+    service = new BacktestRunService();
+    service.attachDatabase(BacktestRun);
+  });
+
+  test('should require database to save runs', async () => {
+    const offline = new BacktestRunService();
+
+    expect(offline.isPersistent()).toBe(false);
+    await expect(offline.saveRun(buildResult([], 58))).rejects.toThrow('Database não disponível');
+  });
+
+  test('should store config, engine snapshot and recomputed metrics', async () => {
+    const run = await service.saveRun(
+      buildResult([trade(1, 'WIN', 200), trade(3, 'LOSS', -100)], 58),
+      { name: 'baseline', userId: 'user-1', config: { initialBalance: 10000, riskPercent: 1 } }
+    );
+
+    expect(run.kind).toBe('SINGLE');
+    expect(run.pairs).toEqual(['EURUSD']);
+    expect(run.engineVersion).toBe('1.0.0');
+    expect(run.thresholds.EURUSD.minMLProbability).toBe(58);
+    expect(run.config.riskPercent).toBe(1);
+    expect(run.trades.every(t => t.pair === 'EURUSD')).toBe(true);
+    expect(run.metrics).toMatchObject({ trades: 2, netProfit: 100, finalBalance: 10100, returnPercent: 1, profitFactor: 2 });
+  });
+
+  test('should list without heavy fields and delete runs', async () => {
+    const first = await service.saveRun(buildResult([trade(1, 'WIN', 200)], 58));
+    await service.saveRun({ ...buildResult([], 60), pair: undefined, pairs: ['GBPUSD', 'USDJPY'] });
+
+    const all = await service.listRuns();
+    expect(all).toHaveLength(2);
+    expect(all[0].trades).toBeUndefined();
+    expect(all[0].kind).toBe('PORTFOLIO');
+
+    const eurusd = await service.listRuns({ pair: 'eurusd' });
+    expect(eurusd.map(r => r.id)).toEqual([first.id]);
+
+    expect(await service.deleteRun(first.id)).toBe(true);
+    expect(await service.deleteRun(first.id)).toBe(false);
+    expect(await service.getRun(first.id)).toBeNull();
+  });
+
+  test('should filter by pair before the limit', async () => {
+    const eurusd = await service.saveRun(buildResult([], 58));
+    for (let i = 0; i < 3; i++) {
+      await service.saveRun({ ...buildResult([], 60), pair: 'GBPUSD' });
+    }
+
+    const runs = await service.listRuns({ pair: 'EURUSD', limit: 2 });
+
+    expect(runs.map(r => r.id)).toEqual([eurusd.id]);
+  });
+
+  test('should hide runs from users other than the owner', async () => {
+    const own = await service.saveRun(buildResult([], 58), { userId: 'user-1' });
+    const other = await service.saveRun(buildResult([], 60), { userId: 'user-2' });
+
+    expect((await service.listRuns({ userId: 'user-1' })).map(r => r.id)).toEqual([own.id]);
+    expect(await service.getRun(other.id, 'user-1')).toBeNull();
+    expect(await service.compareRuns(own.id, other.id, 'user-1')).toBeNull();
+    expect(await service.deleteRun(other.id, 'user-1')).toBe(false);
+    expect(await service.getRun(other.id, 'user-2')).not.toBeNull();
+  });
+
+  test('should diff metrics, thresholds and trades between runs', async () => {
+    const base = await service.saveRun(
+      buildResult([trade(1, 'WIN', 200), trade(3, 'LOSS', -100), trade(5, 'LOSS', -100)], 58)
+    );
+    const candidate = await service.saveRun(
+      buildResult([trade(1, 'WIN', 200), trade(5, 'WIN', 150), trade(7, 'WIN', 200, 'SELL')], 66)
+    );
+
+    const comparison = await service.compareRuns(base.id, candidate.id);
+
+    expect(comparison.metrics.netProfit).toEqual({ base: 0, candidate: 550, delta: 550 });
+    expect(comparison.metrics.winRate.delta).toBeCloseTo(66.67, 1);
+    expect(comparison.thresholds).toEqual([
+      { pair: 'EURUSD', key: 'minMLProbability', base: 58, candidate: 66 }
+    ]);
+
+    expect(comparison.trades.common).toBe(2);
+    expect(comparison.trades.onlyInBase.map(t => t.entryTimestamp)).toEqual([START + 3 * HOUR]);
+    expect(comparison.trades.onlyInCandidate.map(t => t.type)).toEqual(['SELL']);
+    expect(comparison.trades.changedOutcome).toHaveLength(1);
+    expect(comparison.trades.changedOutcome[0].candidate.result).toBe('WIN');
+    expect(comparison.trades.profitOnlyInBase).toBe(-100);
+
+    expect(await service.compareRuns(base.id, 'missing')).toBeNull();
+  });
+});
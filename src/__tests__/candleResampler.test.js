@@ -0,0 +1,88 @@
+/**
+ * CANDLE RESAMPLER TESTS
+ */
+
+const candleResampler = require('../services/candleResampler');
+
+const MIN = 60000;
+const HOUR = 60 * MIN;
+
+function series(start, count, stepMs, options = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: start + i * stepMs,
+    open: 100 + i,
+    high: 100 + i + 0.5,
+    low: 100 + i - 0.5,
+    close: 100 + i + 0.25,
+    volume: 10,
+    ...(options.bidAsk ? {
+      bid: { o: 99 + i, h: 99.5 + i, l: 98.5 + i, c: 99.25 + i },
+      ask: { o: 101 + i, h: 101.5 + i, l: 100.5 + i, c: 101.25 + i }
+    } : {})
+  }));
+}
+
+describe('CandleResampler', () => {
+  test('agrega OHLCV de 5M em 1H alinhado em UTC', () => {
+    const start = Date.UTC(2026, 0, 6, 9, 30);
+    const candles = candleResampler.resample(series(start, 18, 5 * MIN), '5M', '1H');
+
+    expect(candles.map(c => c.timestamp)).toEqual([Date.UTC(2026, 0, 6, 9), Date.UTC(2026, 0, 6, 10)]);
+    expect(candles[0]).toEqual({ timestamp: Date.UTC(2026, 0, 6, 9), open: 100, high: 105.5, low: 99.5, close: 105.25, volume: 60 });
+    expect(candles[1]).toEqual(expect.objectContaining({ open: 106, high: 117.5, low: 105.5, close: 117.25, volume: 120 }));
+  });
+
+  test('agrega bid/ask junto com o mid', () => {
+    const start = Date.UTC(2026, 0, 6, 9);
+    const [candle] = candleResampler.resample(series(start, 3, 5 * MIN, { bidAsk: true }), '5M', '15M');
+
+    expect(candle.bid).toEqual({ open: 99, high: 101.5, low: 98.5, close: 101.25 });
+    expect(candle.ask).toEqual({ open: 101, high: 103.5, low: 100.5, close: 103.25 });
+  });
+
+  test('4H alinhado à sessão de Nova York (horário de inverno e de verão)', () => {
+    // Janeiro: sessão abre 22:00 UTC → blocos 22, 02, 06, 10, 14, 18
+    const winter = candleResampler.resample(series(Date.UTC(2026, 0, 6, 0), 24, HOUR), '1H', '4H');
+    expect(new Date(winter[0].timestamp).toISOString()).toBe('2026-01-05T22:00:00.000Z');
+    expect(new Date(winter[1].timestamp).toISOString()).toBe('2026-01-06T02:00:00.000Z');
+    expect(winter[0].volume).toBe(20); // 00:00 e 01:00
+
+    // Julho: sessão abre 21:00 UTC → blocos 21, 01, 05, ...
+    const summer = candleResampler.resample(series(Date.UTC(2026, 6, 7, 0), 24, HOUR), '1H', '4H');
+    expect(new Date(summer[1].timestamp).toISOString()).toBe('2026-07-07T01:00:00.000Z');
+  });
+
+  test('4H e 1D não misturam sexta e domingo', () => {
+    const friday = series(Date.UTC(2026, 0, 9, 18), 4, HOUR);   // 18:00-21:00 UTC (fecha 22:00)
+    const sunday = series(Date.UTC(2026, 0, 11, 22), 4, HOUR);  // abre 22:00 UTC
+    const candles = [...friday, ...sunday];
+
+    const h4 = candleResampler.resample(candles, '1H', '4H');
+    expect(h4.map(c => new Date(c.timestamp).toISOString())).toEqual([
+      '2026-01-09T18:00:00.000Z',
+      '2026-01-11T22:00:00.000Z'
+    ]);
+
+    const daily = candleResampler.resample(candles, '1H', '1D');
+    expect(daily.map(c => new Date(c.timestamp).toISOString())).toEqual([
+      '2026-01-08T22:00:00.000Z',
+      '2026-01-11T22:00:00.000Z'
+    ]);
+  });
+
+  test('crypto: 4H alinhado em 00:00 UTC', () => {
+    const candles = candleResampler.resample(series(Date.UTC(2026, 0, 6, 0), 8, HOUR), '1H', '4H', { assetClass: 'crypto' });
+    expect(candles.map(c => new Date(c.timestamp).getUTCHours())).toEqual([0, 4]);
+  });
+
+  test('offset de Nova York muda nos domingos de março e novembro', () => {
+    expect(candleResampler.getNewYorkOffsetHours(Date.UTC(2026, 2, 8, 6))).toBe(-5);
+    expect(candleResampler.getNewYorkOffsetHours(Date.UTC(2026, 2, 8, 7))).toBe(-4);
+    expect(candleResampler.getNewYorkOffsetHours(Date.UTC(2026, 10, 1, 5))).toBe(-4);
+    expect(candleResampler.getNewYorkOffsetHours(Date.UTC(2026, 10, 1, 6))).toBe(-5);
+  });
+
+  test('rejeita combinações inválidas', () => {
+    expect(() => candleResampler.resample([], '1H', '15M')).toThrow('Não é possível montar 15M a partir de 1H');
+  });
+});
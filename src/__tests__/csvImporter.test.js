@@ -0,0 +1,218 @@
+/**
+ * CSV IMPORTER TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CsvImporter, ImportError } = require('../backtest/csvImporter');
+const { CandleStore } = require('../services/candleStore');
+
+const HOUR = 60 * 60 * 1000;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Barras 1H no formato do History Center do MT4 (horário do servidor)
+function mt4Lines(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(Date.UTC(2026, 0, 6, 0) + i * HOUR);
+    const price = (1.1 + i * 0.001).toFixed(5);
+    return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())},${pad(date.getUTCHours())}:00,${price},${(1.1005 + i * 0.001).toFixed(5)},${(1.0995 + i * 0.001).toFixed(5)},${price},${100 + i}`;
+  });
+}
+
+describe('CsvImporter', () => {
+  let tmpDir;
+  let store;
+  let importer;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-import-'));
+    store = new CandleStore({ baseDir: tmpDir });
+    importer = new CsvImporter({ store });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('importa barras MT4 convertendo o fuso e gera timeframes maiores', async () => {
+    const result = await importer.importText(mt4Lines(24).join('\n'), {
+      pair: 'EUR/USD',
+      format: 'mt4',
+      timezone: '+02:00'
+    });
+
+    expect(result).toEqual(expect.objectContaining({ pair: 'EURUSD', type: 'bars', rowsImported: 24, rowsSkipped: 0 }));
+    expect(Object.keys(result.stored)).toEqual(['1H', '4H']);
+    expect(result.range.start).toEqual(new Date(Date.UTC(2026, 0, 5, 22)));
+
+    const hourly = await store.getCandles('EURUSD', '1H');
+    expect(hourly).toHaveLength(24);
+    expect(hourly[0]).toEqual(expect.objectContaining({ timestamp: Date.UTC(2026, 0, 5, 22), open: 1.1, volume: 100 }));
+
+    const fourHour = await store.getCandles('EURUSD', '4H');
+    expect(fourHour.length).toBeGreaterThan(0);
+    expect(fourHour.reduce((sum, c) => sum + c.volume, 0)).toBe(hourly.reduce((sum, c) => sum + c.volume, 0));
+  });
+
+  test('agrega ticks Dukascopy em barras (mid + bid/ask), mesmo fora de ordem', async () => {
+    const csv = [
+      'Gmt time,Ask,Bid,AskVolume,BidVolume',
+      '06.01.2026 09:00:01.100,1.10020,1.10000,1.5,2.5',
+      '06.01.2026 09:00:30.000,1.10060,1.10040,1,1',
+      '06.01.2026 09:00:10.000,1.09990,1.09970,1,1',
+      '06.01.2026 09:00:59.900,1.10030,1.10010,1,1',
+      '06.01.2026 09:01:05.000,1.10100,1.10080,2,2'
+    ].join('\n');
+
+    const result = await importer.importText(csv, { pair: 'EURUSD', format: 'dukascopy', targets: ['5M', '1M'] });
+
+    expect(result.type).toBe('ticks');
+    expect(result.rowsImported).toBe(5);
+
+    const [first, second] = await store.getCandles('EURUSD', '1M');
+    expect(first.timestamp).toBe(Date.UTC(2026, 0, 6, 9, 0));
+    expect(first.open).toBeCloseTo(1.1001, 8);
+    expect(first.high).toBeCloseTo(1.1005, 8);
+    expect(first.low).toBeCloseTo(1.0998, 8);
+    expect(first.close).toBeCloseTo(1.1002, 8);
+    expect(first.volume).toBe(10);
+    expect(first.bid).toEqual({ open: 1.1, high: 1.1004, low: 1.0997, close: 1.1001 });
+    expect(first.ask).toEqual({ open: 1.1002, high: 1.1006, low: 1.0999, close: 1.1003 });
+    expect(second.timestamp).toBe(Date.UTC(2026, 0, 6, 9, 1));
+
+    const [fiveMinute] = await store.getCandles('EURUSD', '5M');
+    expect(fiveMinute.open).toBeCloseTo(1.1001, 8);
+    expect(fiveMinute.close).toBeCloseTo(1.1009, 8);
+    expect(fiveMinute.volume).toBe(14);
+  });
+
+  test('ticks MT5 repetem o último bid/ask quando o campo vem vazio', async () => {
+    const csv = [
+      '<DATE>\t<TIME>\t<BID>\t<ASK>\t<LAST>\t<VOLUME>',
+      '2026.01.06\t09:00:00.000\t1.10000\t1.10020\t\t',
+      '2026.01.06\t09:00:05.000\t\t1.10040\t\t',
+      '2026.01.06\t09:00:09.000\t1.10010\t\t\t'
+    ].join('\n');
+
+    await importer.importText(csv, { pair: 'EURUSD', format: 'mt5', targets: ['1M'] });
+
+    const [bar] = await store.getCandles('EURUSD', '1M');
+    expect(bar.bid).toEqual({ open: 1.1, high: 1.1001, low: 1.1, close: 1.1001 });
+    expect(bar.ask).toEqual({ open: 1.1002, high: 1.1004, low: 1.1002, close: 1.1004 });
+    expect(bar.volume).toBe(3);
+  });
+
+  test('formato genérico: colunas por nome, data customizada e fuso IANA', async () => {
+    const csv = [
+      'Data;Abertura;Maxima;Minima;Fechamento',
+      '15/01/2026 10:00;2650.1;2652.0;2649.5;2651.0',
+      '15/01/2026 10:15;2651.0;2653.0;2650.0;2652.5',
+      'linha quebrada;;;;'
+    ].join('\n');
+
+    const result = await importer.importText(csv, {
+      pair: 'XAUUSD',
+      timezone: 'America/New_York',
+      dateFormat: 'DD/MM/YYYY HH:mm',
+      targets: ['15M'],
+      columns: { timestamp: 'Data', open: 'Abertura', high: 'Maxima', low: 'Minima', close: 'Fechamento' }
+    });
+
+    expect(result.rowsImported).toBe(2);
+    expect(result.rowsSkipped).toBe(1);
+    expect(result.errors[0]).toMatch(/Linha 4/);
+
+    const candles = await store.getCandles('XAUUSD', '15M');
+    expect(candles.map(c => c.timestamp)).toEqual([Date.UTC(2026, 0, 15, 15, 0), Date.UTC(2026, 0, 15, 15, 15)]);
+  });
+
+  test('importFile lê o arquivo em streaming', async () => {
+    const file = path.join(tmpDir, 'EURUSD60.csv');
+    fs.writeFileSync(file, mt4Lines(30).join('\r\n'));
+
+    const result = await importer.importFile(file, { pair: 'EURUSD', format: 'mt4', targets: ['1H'] });
+
+    expect(result.rowsImported).toBe(30);
+    expect(result.stored['1H']).toEqual(expect.objectContaining({ imported: 30, total: 30 }));
+  });
+
+  test('grava em blocos sem partir barras reamostradas', async () => {
+    const lines = mt4Lines(100);
+    const chunkedStore = new CandleStore({ baseDir: path.join(tmpDir, 'chunked') });
+    const chunked = await new CsvImporter({ store: chunkedStore })
+      .importText(lines.join('\n'), { pair: 'EURUSD', format: 'mt4', chunkSize: 10 });
+    const whole = await importer.importText(lines.join('\n'), { pair: 'EURUSD', format: 'mt4' });
+
+    expect(chunked.stored['1H']).toEqual(expect.objectContaining({ imported: 100, total: 100 }));
+    expect(chunked.stored['4H'].total).toBe(whole.stored['4H'].total);
+    expect(await chunkedStore.getCandles('EURUSD', '4H')).toEqual(await store.getCandles('EURUSD', '4H'));
+
+    // Linha de um período já gravado não sobrescreve a barra completa
+    const late = await new CsvImporter({ store: chunkedStore })
+      .importText([...lines.slice(0, 40), lines[0]].join('\n'), { pair: 'EURUSD', format: 'mt4', chunkSize: 10 });
+    expect(late.rowsSkipped).toBe(1);
+    expect(late.errors[0]).toMatch(/Fora de ordem/);
+  });
+
+  test('cada bloco reescreve só as partições do store que recebe', async () => {
+    const start = Date.UTC(2026, 2, 31, 12); // Virada de mês no meio da semana
+    const lines = Array.from({ length: 288 }, (_, i) => {
+      const date = new Date(start + i * 5 * 60 * 1000);
+      const price = (1.1 + i * 0.0001).toFixed(5);
+      return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())},${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())},${price},${price},${price},${price},10`;
+    });
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+
+    const result = await importer.importText(lines.join('\n'), { pair: 'EURUSD', format: 'mt4', targets: ['5M'], chunkSize: 48 });
+    const written = writeFile.mock.calls
+      .map(([file]) => path.relative(tmpDir, file).replace(/\.\d+\.tmp$/, ''))
+      .filter(file => !file.endsWith('index.json'));
+    writeFile.mockRestore();
+
+    expect(result.stored['5M'].total).toBe(288);
+    const firstApril = written.indexOf(path.join('EURUSD_5M', '2026-04.json'));
+    expect(firstApril).toBeGreaterThan(0);
+    expect(written.slice(firstApril + 1)).not.toContain(path.join('EURUSD_5M', '2026-03.json'));
+  });
+
+  test('mantém barras sem volume e não grava bloco rejeitado pela validação', async () => {
+    const quiet = mt4Lines(24).map((line, i) => (i % 2 === 0 ? line.replace(/,\d+$/, ',0') : line));
+    const result = await importer.importText(quiet.join('\n'), { pair: 'EURUSD', format: 'mt4', targets: ['1H'] });
+
+    expect(result.stored['1H']).toEqual(expect.objectContaining({ imported: 24, total: 24 }));
+    expect(result.stored['1H'].dropped.zeroVolume).toBe(0);
+
+    // Metade das barras com preço negativo: bloco inteiro rejeitado
+    const broken = mt4Lines(24).map((line, i) => {
+      const fields = line.split(',');
+      if (i % 2 === 0) fields[4] = '-1';
+      return fields.join(',');
+    });
+    const brokenStore = new CandleStore({ baseDir: path.join(tmpDir, 'broken') });
+    await expect(new CsvImporter({ store: brokenStore }).importText(broken.join('\n'), { pair: 'EURUSD', format: 'mt4' }))
+      .rejects.toThrow(/rejeitados pela validação/);
+    expect(await brokenStore.readAll('EURUSD', '1H')).toEqual([]);
+    expect(await brokenStore.readAll('EURUSD', '4H')).toEqual([]);
+  });
+
+  test('erros de entrada do usuário são ImportError', async () => {
+    await expect(importer.importText('a,b', { pair: 'XYZ' })).rejects.toThrow(ImportError);
+    await expect(importer.importText('a,b\n1,2', { pair: 'EURUSD' })).rejects.toThrow(ImportError);
+    await expect(importer.importText('a,b', { pair: 'EURUSD', timezone: 'Marte/Olimpo' })).rejects.toThrow(ImportError);
+    await expect(importer.importText(mt4Lines(3).join('\n'), { pair: 'EURUSD', format: 'mt4', targets: ['2H'] }))
+      .rejects.toThrow(ImportError);
+  });
+
+  test('rejeita Parquet, formato desconhecido e arquivo sem linhas válidas', async () => {
+    await expect(importer.importFile('history.parquet', { pair: 'EURUSD' })).rejects.toThrow('Parquet não suportado');
+    await expect(importer.importText('a,b', { pair: 'EURUSD', format: 'xlsx' })).rejects.toThrow('Formato desconhecido');
+    await expect(importer.importText('2026.01.06,xx,1,1,1,1,1', { pair: 'EURUSD', format: 'mt4' }))
+      .rejects.toThrow('Nenhuma linha válida');
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * DATA QUALITY VALIDATOR TESTS
+ */
+
+const { DataQualityValidator } = require('../services/dataQualityValidator');
+const DecisionEngine = require('../ai/decisionEngine');
+
+const TF = 5 * 60000;
+// Terça-feira 12:00 UTC (mercado aberto)
+const NOW = Date.UTC(2026, 0, 6, 12);
+
+function series(count, options = {}) {
+  const end = options.end ?? NOW - TF;
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: end - (count - 1 - i) * TF,
+    open: 1.1,
+    high: 1.102,
+    low: 1.098,
+    close: 1.101,
+    volume: options.volume ?? 100
+  }));
+}
+
+describe('DataQualityValidator', () => {
+  const validator = new DataQualityValidator({ minCandles: 10 });
+
+  test('série limpa passa sem alterações', () => {
+    const { candles, report } = validator.validateCandles(series(30), '5M', { now: NOW });
+
+    expect(report.status).toBe('OK');
+    expect(report.valid).toBe(30);
+    expect(report.stale).toBe(false);
+    expect(candles).toHaveLength(30);
+  });
+
+  test('repara ordem, duplicatas e high < low', () => {
+    const candles = series(30);
+    const duplicate = { ...candles[10], close: 1.2, high: 1.2 };
+    candles[5] = { ...candles[5], high: 1.09, low: 1.11 };
+    const input = [...candles.slice(0, 12), duplicate, candles[20], ...candles.slice(12, 20), ...candles.slice(21)];
+
+    const result = validator.validateCandles(input, '5M', { now: NOW });
+
+    expect(result.report.status).toBe('REPAIRED');
+    expect(result.report.repairs).toEqual({ unsorted: 2, duplicates: 1, highLow: 1 });
+    expect(result.candles).toHaveLength(30);
+    expect(result.candles[10].close).toBe(1.2);
+    expect(result.candles[5]).toEqual(expect.objectContaining({ high: 1.11, low: 1.09 }));
+    expect(result.candles.every((c, i) => i === 0 || c.timestamp > result.candles[i - 1].timestamp)).toBe(true);
+  });
+
+  test('descarta preços inválidos e volume zero quando a fonte tem volume', () => {
+    const candles = series(30);
+    candles[3] = { ...candles[3], close: NaN };
+    candles[7] = { ...candles[7], volume: 0 };
+
+    const { report, candles: cleaned } = validator.validateCandles(candles, '5M', { now: NOW });
+
+    expect(report.dropped).toEqual({ invalidPrice: 1, zeroVolume: 1 });
+    expect(cleaned).toHaveLength(28);
+  });
+
+  test('fonte sem volume não é defeito', () => {
+    const { report } = validator.validateCandles(series(30, { volume: 0 }), '5M', { now: NOW });
+
+    expect(report.status).toBe('OK');
+    expect(report.issues).toContain('Fonte sem volume');
+  });
+
+  test('rejeita poucos candles válidos ou descarte excessivo', () => {
+    expect(validator.validateCandles(series(5), '5M', { now: NOW }).report.status).toBe('REJECTED');
+
+    const candles = series(30).map((c, i) => (i % 3 === 0 ? { ...c, low: -1 } : c));
+    const { report } = validator.validateCandles(candles, '5M', { now: NOW });
+    expect(report.status).toBe('REJECTED');
+  });
+
+  test('último candle atrasado é marcado como desatualizado (exceto no fim de semana)', () => {
+    const old = series(30, { end: NOW - 10 * TF });
+    expect(validator.validateCandles(old, '5M', { now: NOW }).report.stale).toBe(true);
+
+    const saturday = Date.UTC(2026, 0, 10, 12);
+    expect(validator.validateCandles(old, '5M', { now: saturday }).report.stale).toBe(false);
+    expect(validator.validateCandles(old, '5M', { now: saturday, assetClass: 'crypto' }).report.stale).toBe(true);
+  });
+
+  test('anexa proveniência e bloqueia trades com dados simulados ou desatualizados', () => {
+    const data = validator.validateMarketData(
+      { '5M': series(30), '15M': series(30), '1H': series(30), '4H': series(30) },
+      {
+        now: NOW,
+        sources: {
+          '5M': { provider: 'oanda', realData: true, cached: false },
+          '15M': { provider: 'store', realData: true, cached: false },
+          '1H': { provider: 'oanda', realData: true, derivedFrom: '5M' },
+          '4H': { provider: 'simulated', realData: false }
+        }
+      }
+    );
+
+    expect(Object.keys(data)).toEqual(['5M', '15M', '1H', '4H', 'quality']);
+    expect(Object.values(data.quality.timeframes).map(tf => tf.provenance))
+      .toEqual(['real', 'cached', 'resampled', 'simulated']);
+    expect(data.quality.tradeable).toBe(false);
+    expect(data.quality.blockingReasons).toContain('4H: dados simulados');
+    // 15M/1H/4H com candles de 5M terminando agora: não estão atrasados
+    expect(data.quality.blockingReasons).toHaveLength(1);
+  });
+
+  test('timeframe rejeitado segue para a análise só com os candles reparados', () => {
+    const broken = series(30).map((c, i) => (i % 3 === 0 ? { ...c, close: NaN } : c));
+
+    const data = validator.validateMarketData({ '5M': broken }, { now: NOW, sources: { '5M': { provider: 'oanda', realData: true } } });
+
+    expect(data.quality.timeframes['5M'].status).toBe('REJECTED');
+    expect(data.quality.tradeable).toBe(false);
+    expect(data['5M']).toHaveLength(20);
+    expect(data['5M'].every(c => Number.isFinite(c.close))).toBe(true);
+  });
+});
+
+describe('DecisionEngine - qualidade dos dados', () => {
+  const engine = new DecisionEngine();
+  const blocked = { quality: { tradeable: false, blockingReasons: ['5M: dados simulados'] } };
+
+  afterEach(() => {
+    delete process.env.DEMO_MODE;
+  });
+
+  test('bloqueia dados não confiáveis e libera sem metadados (backtest)', () => {
+    expect(engine.checkDataQuality(blocked)).toBe('Dados de mercado não confiáveis: 5M: dados simulados');
+    expect(engine.checkDataQuality({ quality: { tradeable: true, blockingReasons: [] } })).toBeNull();
+    expect(engine.checkDataQuality({ '5M': [] })).toBeNull();
+  });
+
+  test('modo demo libera explicitamente', () => {
+    process.env.DEMO_MODE = 'true';
+    expect(engine.checkDataQuality(blocked)).toBeNull();
+  });
+
+  test('processDecision rejeita antes dos critérios', () => {
+    const decision = engine.processDecision({}, {}, {}, {}, 'EURUSD', blocked);
+
+    expect(decision.approved).toBe(false);
+    expect(decision.failedCriteria).toEqual(['dataQualityOk']);
+    expect(decision.reason).toContain('dados simulados');
+  });
+});
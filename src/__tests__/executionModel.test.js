@@ -0,0 +1,144 @@
+/**
+ * EXECUTION MODEL TESTS
+ */
+
+const ExecutionModel = require('../backtest/executionModel');
+
+const T0 = Date.UTC(2026, 0, 5, 10, 0, 0); // Segunda-feira 10:00 UTC
+
+function candle(index, open, high, low, close, extra = {}) {
+  return { timestamp: T0 + index * 300000, open, high, low, close, volume: 100, ...extra };
+}
+
+function baseParams(candles, overrides = {}) {
+  return {
+    instrument: 'EURUSD',
+    direction: 'BUY',
+    orderType: 'MARKET',
+    entryPrice: 1.1000,
+    stopLoss: 1.0980,
+    takeProfit: 1.1040,
+    candles,
+    startIndex: 0,
+    maxHoldCandles: 50,
+    timeframe: '5M',
+    ...overrides
+  };
+}
+
+describe('Execution Model', () => {
+  test('should pay spread on entry and exit', () => {
+    const model = new ExecutionModel({ spreadPips: 1 });
+    const candles = [
+      candle(0, 1.1000, 1.1005, 1.0995, 1.1002),
+      candle(1, 1.1002, 1.1050, 1.1000, 1.1045)
+    ];
+
+    const fill = model.simulate(baseParams(candles));
+
+    // BUY entra no ask (mid + 0.5 pip); TP é LIMIT no preço da ordem, atingido pelo bid
+    expect(fill.entryPrice).toBeCloseTo(1.10005, 6);
+    expect(fill.exitReason).toBe('TAKE_PROFIT');
+    expect(fill.exitPrice).toBe(1.1040);
+    expect(fill.spreadCostPips).toBe(1);
+  });
+
+  test('should use bid/ask candles when available', () => {
+    const model = new ExecutionModel();
+    const prices = (o, h, l, c) => ({ open: o, high: h, low: l, close: c });
+    const candles = [
+      candle(0, 1.1000, 1.1005, 1.0995, 1.1002, {
+        bid: prices(1.0999, 1.1004, 1.0994, 1.1001),
+        ask: prices(1.1002, 1.1007, 1.0997, 1.1004)
+      })
+    ];
+
+    const fill = model.simulate(baseParams(candles, { direction: 'SELL', stopLoss: 1.1050, takeProfit: 1.0950 }));
+
+    expect(fill.entryPrice).toBe(1.0999);
+    expect(fill.spreadCostPips).toBeCloseTo(3, 6);
+  });
+
+  test('should only fill LIMIT orders when price trades through entry', () => {
+    const model = new ExecutionModel({ spreadPips: 0 });
+    const touchOnly = [
+      candle(0, 1.1010, 1.1015, 1.1000, 1.1012),
+      candle(1, 1.1012, 1.1020, 1.1000, 1.1018)
+    ];
+
+    expect(model.simulate(baseParams(touchOnly, { orderType: 'LIMIT' }))).toBeNull();
+
+    const through = [
+      candle(0, 1.1010, 1.1015, 1.1001, 1.1012),
+      candle(1, 1.1012, 1.1013, 1.0998, 1.1005),
+      candle(2, 1.1005, 1.1045, 1.1003, 1.1041)
+    ];
+    const fill = model.simulate(baseParams(through, { orderType: 'LIMIT' }));
+
+    expect(fill.entryIndex).toBe(1);
+    expect(fill.entryPrice).toBe(1.1000);
+    expect(fill.exitReason).toBe('TAKE_PROFIT');
+    expect(model.getSummary().unfilledLimitOrders).toBe(1);
+  });
+
+  test('should apply intrabar policy when SL and TP are both touched', () => {
+    const candles = [
+      candle(0, 1.1000, 1.1002, 1.0999, 1.1001),
+      candle(1, 1.1001, 1.1050, 1.0970, 1.1010)
+    ];
+    const lowerCandles = [
+      { timestamp: T0 + 300000, open: 1.1001, high: 1.1045, low: 1.1000, close: 1.1040 },
+      { timestamp: T0 + 360000, open: 1.1040, high: 1.1050, low: 1.0970, close: 1.1010 }
+    ];
+
+    const worst = new ExecutionModel({ spreadPips: 0 }).simulate(baseParams(candles));
+    const best = new ExecutionModel({ spreadPips: 0, intrabarPolicy: 'BEST_CASE' }).simulate(baseParams(candles));
+    const drill = new ExecutionModel({ spreadPips: 0, intrabarPolicy: 'DRILL_DOWN' })
+      .simulate(baseParams(candles, { lowerCandles }));
+    const noData = new ExecutionModel({ spreadPips: 0, intrabarPolicy: 'DRILL_DOWN' }).simulate(baseParams(candles));
+
+    expect(worst.exitReason).toBe('STOP_LOSS');
+    expect(worst.ambiguous).toBe(true);
+    expect(best.exitReason).toBe('TAKE_PROFIT');
+    expect(drill.exitReason).toBe('TAKE_PROFIT');
+    expect(drill.resolvedBy).toBe('DRILL_DOWN');
+    expect(noData.exitReason).toBe('STOP_LOSS');
+    expect(noData.resolvedBy).toBe('WORST_CASE');
+  });
+
+  test('should fill stops at gap open plus reproducible slippage', () => {
+    const candles = [
+      candle(0, 1.1000, 1.1002, 1.0999, 1.1001),
+      candle(1, 1.0970, 1.0975, 1.0960, 1.0965)
+    ];
+    const config = { spreadPips: 0, seed: 7, slippage: { type: 'uniform', maxPips: 2 } };
+
+    const first = new ExecutionModel(config).simulate(baseParams(candles));
+    const second = new ExecutionModel(config).simulate(baseParams(candles));
+
+    expect(first.exitReason).toBe('STOP_LOSS');
+    expect(first.exitPrice).toBeLessThan(1.0970);
+    expect(first.exitPrice).toBe(second.exitPrice);
+    expect(first.slippagePips).toBeGreaterThan(0);
+  });
+
+  test('should charge commission per lot and swap per rollover', () => {
+    const model = new ExecutionModel({
+      commissionPerLot: 7,
+      swap: { rates: { EURUSD: { long: -0.5, short: 0.2 } } }
+    });
+
+    expect(model.calculateCommission('EURUSD', 200000)).toBe(14);
+
+    // Segunda 10:00 → quinta 10:00: rollovers seg, ter e qua (triplo) = 5 noites
+    const exit = T0 + 3 * 24 * 3600000;
+    expect(model.countRollovers('EURUSD', T0, exit)).toBe(5);
+    expect(model.calculateSwap('EURUSD', 'BUY', 100000, T0, exit)).toBe(-25);
+    expect(model.calculateSwap('EURUSD', 'SELL', 100000, T0, exit)).toBe(10);
+    expect(model.calculateSwap('EURUSD', 'BUY', 100000, T0, T0 + 3600000)).toBe(0);
+  });
+
+  test('should reject unknown intrabar policy', () => {
+    expect(() => new ExecutionModel({ intrabarPolicy: 'RANDOM' })).toThrow('Política intrabar inválida');
+  });
+});
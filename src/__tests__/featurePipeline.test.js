@@ -0,0 +1,185 @@
+/**
+ * FEATURE PIPELINE TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const featurePipeline = require('../ai/featurePipeline');
+const { FeatureSchemaError, FEATURE_SCHEMA_VERSION } = require('../ai/featurePipeline');
+const mlTrainer = require('../ai/mlTrainer');
+const { GradientBoostingModel } = require('../ai/mlModels/gradientBoostingModel');
+const { RandomForestModel } = require('../ai/mlModels/randomForestModel');
+const { LSTMModel } = require('../ai/mlModels/lstmModel');
+
+// Série senoidal com tendência (determinística)
+function createCandles(count) {
+  const candles = [];
+  let price = 1.1;
+
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = price * (1 + Math.sin(i / 7) * 0.002 + 0.0001);
+    candles.push({
+      timestamp: i * 3600000,
+      open,
+      high: Math.max(open, price) + 0.0004,
+      low: Math.min(open, price) - 0.0004,
+      close: price,
+      volume: 100 + (i % 10) * 10
+    });
+  }
+
+  return candles;
+}
+
+describe('FeaturePipeline', () => {
+  test('extrai um valor nomeado por feature, sem preenchimento', () => {
+    const candles = createCandles(120);
+    const row = featurePipeline.extract(candles, 100);
+
+    expect(row).toHaveLength(featurePipeline.names.length);
+    expect(row.every(Number.isFinite)).toBe(true);
+
+    const byName = Object.fromEntries(featurePipeline.names.map((name, i) => [name, row[i]]));
+    expect(byName.return1).toBeCloseTo(candles[100].close / candles[99].close - 1, 12);
+    expect(byName.rsi14).toBeGreaterThanOrEqual(0);
+    expect(byName.rsi14).toBeLessThanOrEqual(1);
+    expect(byName.range20Position).toBeGreaterThanOrEqual(0);
+    expect(byName.range20Position).toBeLessThanOrEqual(1);
+
+    expect(() => featurePipeline.extract(candles, featurePipeline.minHistory - 1)).toThrow(/candles anteriores/);
+  });
+
+  test('treino (mlTrainer) e inferência (último candle) produzem o mesmo vetor', () => {
+    const candles = createCandles(300);
+    const rows = mlTrainer.prepareFeatures(candles);
+
+    expect(rows).toHaveLength(mlTrainer.generateLabels(candles).length);
+    expect(featurePipeline.extractLatest(candles.slice(0, 251))).toEqual(rows[200]);
+    expect(featurePipeline.snapshot(candles.slice(0, 251))).toEqual({ version: FEATURE_SCHEMA_VERSION, values: rows[200] });
+    expect(featurePipeline.snapshot(candles.slice(0, 20))).toBeNull();
+  });
+
+  test('normalização ajustada nos dados: média 0, desvio 1, constantes e NaN seguros', () => {
+    const rows = [[1, 5, NaN], [3, 5, 2], [5, 5, 4]];
+    const normalization = featurePipeline.fitNormalization(rows);
+
+    expect(normalization.mean).toEqual([3, 5, 3]);
+    expect(normalization.std[1]).toBe(1);
+
+    const transformed = rows.map(row => featurePipeline.transform(row, normalization));
+    expect(transformed[0][0]).toBeCloseTo(-Math.sqrt(1.5), 10);
+    expect(transformed[2][0]).toBeCloseTo(Math.sqrt(1.5), 10);
+    expect(transformed.map(row => row[1])).toEqual([0, 0, 0]);
+    expect(transformed[0][2]).toBe(0);
+  });
+
+  test('schema diferente ou ausente lança FeatureSchemaError', () => {
+    const schema = featurePipeline.getSchema();
+
+    expect(() => featurePipeline.assertCompatible(schema)).not.toThrow();
+    expect(() => featurePipeline.assertCompatible(undefined)).toThrow(FeatureSchemaError);
+    expect(() => featurePipeline.assertCompatible({ version: schema.version - 1, names: schema.names }))
+      .toThrow(/schema de features v1/);
+    expect(() => featurePipeline.assertCompatible({ version: schema.version, names: [...schema.names.slice(1), 'legacy'] }))
+      .toThrow(/faltando: return1; removidas: legacy/);
+  });
+});
+
+describe('Modelos com schema de features', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feature-schema-'));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('salva schema e normalização com o modelo; carregar com schema diferente falha', async () => {
+    const candles = createCandles(400);
+    const features = mlTrainer.prepareFeatures(candles);
+    const labels = mlTrainer.generateLabels(candles, 5, 0.002);
+    const featureSchema = featurePipeline.getSchema();
+
+    const model = new GradientBoostingModel();
+    model.modelPath = tmpDir;
+    model.config.nEstimators = 20;
+    expect((await model.train(features, labels, { featureSchema })).success).toBe(true);
+    await model.saveModel();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'model.json'), 'utf-8'));
+    expect(saved.featureSchema).toEqual(featureSchema);
+    expect(saved.normalization.mean).toHaveLength(featureSchema.names.length);
+
+    const loaded = new GradientBoostingModel();
+    loaded.modelPath = tmpDir;
+    expect((await loaded.loadModel({ featureSchema })).success).toBe(true);
+    expect(await loaded.predict(features[10])).toBeCloseTo(await model.predict(features[10]), 12);
+
+    const mismatched = new GradientBoostingModel();
+    mismatched.modelPath = tmpDir;
+    await expect(mismatched.loadModel({ featureSchema: { version: featureSchema.version + 1, names: featureSchema.names } }))
+      .rejects.toThrow(FeatureSchemaError);
+    expect(mismatched.isTrained).toBe(false);
+  });
+
+  test('modelo salvo sem schema não carrega quando o schema é exigido', async () => {
+    const random = (() => { let seed = 3; return () => (seed = (seed * 16807) % 2147483647) / 2147483647; })();
+    const features = Array.from({ length: 200 }, () => [random(), random()]);
+    const labels = features.map(row => (row[0] > 0.5 ? 1 : 0));
+
+    const model = new RandomForestModel({ nTrees: 5 });
+    model.modelPath = tmpDir;
+    await model.train(features, labels);
+    await model.saveModel();
+
+    const loaded = new RandomForestModel();
+    loaded.modelPath = tmpDir;
+    await expect(loaded.loadModel({ featureSchema: featurePipeline.getSchema() })).rejects.toThrow(/sem schema de features/);
+    expect(loaded.isTrained).toBe(false);
+  });
+
+  test('LSTM salva schema das sequências e escala do treino; versão diferente não carrega', async () => {
+    const candles = createCandles(600);
+
+    const model = new LSTMModel();
+    model.modelPath = tmpDir;
+    Object.assign(model.config, { sequenceLength: 10, lstmUnits: [4, 4], denseUnits: [4], epochs: 1 });
+    expect((await model.train(candles)).success).toBe(true);
+    await model.saveModel();
+
+    const preprocessing = JSON.parse(fs.readFileSync(path.join(tmpDir, 'preprocessing.json'), 'utf-8'));
+    expect(preprocessing.featureSchema).toEqual(model.getFeatureSchema());
+    expect(preprocessing.scaling).toEqual(model.scaling);
+
+    // Escala do treino, não da janela de inferência
+    const recent = candles.slice(-20);
+    expect(model.buildSequence(recent, recent.length, model.scaling))
+      .toEqual(model.buildSequence(candles, candles.length, model.scaling));
+
+    const loaded = new LSTMModel();
+    loaded.modelPath = tmpDir;
+    Object.assign(loaded.config, model.config);
+    expect((await loaded.loadModel({ featureSchema: loaded.getFeatureSchema() })).success).toBe(true);
+    expect(loaded.scaling).toEqual(model.scaling);
+    expect(await loaded.predict(recent)).toBeCloseTo(await model.predict(recent), 6);
+
+    const mismatched = new LSTMModel();
+    mismatched.modelPath = tmpDir;
+    await expect(mismatched.loadModel({ featureSchema: mismatched.getFeatureSchema() }))
+      .rejects.toThrow(/sequências de 10 candles/);
+    await expect(mismatched.loadModel({ featureSchema: { ...loaded.getFeatureSchema(), version: 99 } }))
+      .rejects.toThrow(FeatureSchemaError);
+    expect(mismatched.isTrained).toBe(false);
+
+    fs.unlinkSync(path.join(tmpDir, 'preprocessing.json'));
+    await expect(mismatched.loadModel({ featureSchema: loaded.getFeatureSchema() })).rejects.toThrow(FeatureSchemaError);
+  });
+});
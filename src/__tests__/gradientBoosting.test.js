@@ -0,0 +1,143 @@
+/**
+ * GRADIENT BOOSTING TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DecisionTree = require('../ai/mlModels/decisionTree');
+const { GradientBoostingModel } = require('../ai/mlModels/gradientBoostingModel');
+
+// Gerador determinístico (LCG) para dados reproduzíveis
+function createRandom(seed = 42) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Label depende das features 1 e 3 (interação); demais são ruído ou constantes
+function createDataset(size, random) {
+  const features = [];
+  const labels = [];
+
+  for (let i = 0; i < size; i++) {
+    const row = [random(), random() * 2 - 1, random(), random() * 2 - 1, 0, 0];
+    features.push(row);
+    labels.push(row[1] > 0 && row[3] > -0.5 ? 1 : 0);
+  }
+
+  return { features, labels };
+}
+
+describe('DecisionTree', () => {
+  test('separa o alvo pelo melhor corte e registra o ganho da feature', () => {
+    const features = Array.from({ length: 100 }, (_, i) => [i % 7, i]);
+    const targets = features.map(row => (row[1] >= 60 ? 1 : 0));
+
+    const binned = DecisionTree.binFeatures(features, 16);
+    const tree = new DecisionTree({ maxDepth: 2, minSamplesLeaf: 5 }).fit(binned, targets);
+
+    expect(tree.root.feature).toBe(1);
+    expect(tree.predict([0, 10])).toBeCloseTo(0, 5);
+    expect(tree.predict([0, 90])).toBeCloseTo(1, 5);
+    expect(tree.importances[1]).toBeGreaterThan(tree.importances[0]);
+  });
+
+  test('não divide abaixo de minSamplesLeaf e ignora features constantes', () => {
+    const features = Array.from({ length: 30 }, (_, i) => [1, i]);
+    const targets = features.map(row => row[1]);
+
+    const tree = new DecisionTree({ maxDepth: 5, minSamplesLeaf: 20 })
+      .fit(DecisionTree.binFeatures(features), targets);
+
+    expect(tree.root.left).toBeUndefined();
+    expect(tree.root.value).toBeCloseTo(14.5, 10);
+  });
+});
+
+describe('GradientBoostingModel', () => {
+  let model;
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gb-model-'));
+    model = new GradientBoostingModel();
+    model.modelPath = tmpDir;
+    model.config.nEstimators = 80;
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('aprende uma relação não linear e reporta as features importantes', async () => {
+    const { features, labels } = createDataset(1500, createRandom(7));
+    const progress = [];
+
+    const result = await model.train(features, labels, {
+      featureNames: ['noiseA', 'trend', 'noiseB', 'momentum'],
+      onProgress: percent => progress.push(percent)
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.valAccuracy).toBeGreaterThan(0.9);
+    expect(progress.length).toBeGreaterThan(0);
+
+    const [first, second] = result.featureImportances;
+    expect([first.feature, second.feature].sort()).toEqual(['momentum', 'trend']);
+    expect(model.getFeatureImportances().some(item => item.index === 4)).toBe(false); // Constante
+
+    expect(await model.predict([0.5, 0.8, 0.5, 0.5, 0, 0])).toBeGreaterThan(0.8);
+    expect(await model.predict([0.5, -0.8, 0.5, 0.5, 0, 0])).toBeLessThan(0.2);
+  });
+
+  test('salva e carrega com as mesmas predições', async () => {
+    const { features, labels } = createDataset(600, createRandom(3));
+    await model.train(features, labels);
+    await model.saveModel();
+
+    const loaded = new GradientBoostingModel();
+    loaded.modelPath = tmpDir;
+    expect((await loaded.loadModel()).success).toBe(true);
+
+    expect(loaded.getStatus()).toEqual(expect.objectContaining({ isTrained: true, trees: model.trees.length }));
+    for (const row of features.slice(0, 20)) {
+      expect(await loaded.predict(row)).toBeCloseTo(await model.predict(row), 12);
+    }
+  });
+
+  test('métricas de validação vêm do bloco de teste, separado do early stopping', async () => {
+    const { features, labels } = createDataset(600, createRandom(5));
+
+    const result = await model.train(features, labels, { labelHorizon: 5 });
+
+    // Treino [0, 415) | early stopping [420, 535) | teste [540, 600)
+    const test = model.evaluate(features.slice(540), labels.slice(540));
+    expect(result.valAccuracy).toBe(test.accuracy);
+    expect(result.valLoss).toBeCloseTo(test.loss, 10);
+    expect(result.earlyStoppingLoss).toBeCloseTo(model.evaluate(features.slice(420, 535), labels.slice(420, 535)).loss, 10);
+    expect(model.trainingStats.valAccuracy).toBe(test.accuracy);
+  });
+
+  test('cancelamento interrompe sem marcar o modelo como treinado', async () => {
+    const { features, labels } = createDataset(300, createRandom(1));
+
+    const result = await model.train(features, labels, { isCancelled: () => true });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, cancelled: true }));
+    expect(model.isTrained).toBe(false);
+    expect(await model.predict(features[0])).toBe(0.5);
+  });
+
+  test('rejeita amostras insuficientes', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const result = await model.train([[1, 2]], [1]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/insuficientes/);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * HISTORICAL BACKTEST TESTS
+ * Candle store, loader por período e janelas alinhadas por timestamp
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const candleStore = require('../services/candleStore');
+const historicalDataLoader = require('../backtest/historicalDataLoader');
+const backtestEngine = require('../backtest/backtestEngine');
+
+const START = Date.UTC(2026, 0, 5, 0, 0, 0); // Segunda-feira
+const TF_MS = { '5M': 300000, '15M': 900000, '1H': 3600000, '4H': 14400000 };
+
+// Série sintética determinística: preço sobe 0.1 pip por minuto
+function buildCandles(timeframe, from, to) {
+  const candles = [];
+  for (let t = from; t < to; t += TF_MS[timeframe]) {
+    const open = 1.1 + (t - from) / 60000 * 0.00001;
+    const close = open + TF_MS[timeframe] / 60000 * 0.00001;
+    candles.push({ time: t, open, high: close + 0.0002, low: open - 0.0002, close, volume: 1000 });
+  }
+  return candles;
+}
+
+describe('Historical Backtest', () => {
+  const originalDir = candleStore.baseDir;
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'candles-'));
+    candleStore.baseDir = tmpDir;
+
+    const from = START - 60 * 24 * 3600000; // 60 dias de histórico
+    const to = START + 5 * 24 * 3600000;
+    for (const tf of Object.keys(TF_MS)) {
+      await candleStore.saveCandles('EURUSD', tf, buildCandles(tf, from, to));
+    }
+  });
+
+  afterAll(() => {
+    candleStore.baseDir = originalDir;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should merge candles without duplicates', async () => {
+    const before = (await candleStore.getCoverage('EURUSD', '4H')).count;
+    const total = await candleStore.saveCandles('EURUSD', '4H', buildCandles('4H', START, START + 2 * TF_MS['4H']));
+
+    expect(total).toBe(before);
+  });
+
+  test('should not lose candles when saves overlap', async () => {
+    const bars = buildCandles('5M', START + 10 * 24 * 3600000, START + 10 * 24 * 3600000 + 30 * TF_MS['5M']);
+
+    const totals = await Promise.all(bars.map(bar => candleStore.saveCandles('GBPUSD', '5M', [bar])));
+
+    expect(totals).toEqual(bars.map((_, i) => i + 1));
+    expect(await candleStore.readAll('GBPUSD', '5M')).toHaveLength(bars.length);
+    expect(fs.readdirSync(path.join(tmpDir, 'GBPUSD_5M')).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('should only rewrite the partitions that receive candles', async () => {
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+    const before = (await candleStore.getCoverage('EURUSD', '5M')).count;
+    const next = buildCandles('5M', START + 5 * 24 * 3600000, START + 5 * 24 * 3600000 + TF_MS['5M']);
+
+    const total = await candleStore.saveCandles('EURUSD', '5M', next);
+    const written = writeFile.mock.calls.map(([file]) => path.basename(file).replace(/\.\d+\.tmp$/, ''));
+    writeFile.mockRestore();
+
+    expect(total).toBe(before + 1);
+    expect(written).toEqual(['2026-01.json', 'index.json']);
+    expect(fs.readdirSync(path.join(tmpDir, 'EURUSD_5M')).sort()).toEqual(['2025-11.json', '2025-12.json', '2026-01.json', 'index.json']);
+    expect(await candleStore.readLatest('EURUSD', '5M', 3)).toEqual(
+      (await candleStore.readAll('EURUSD', '5M')).slice(-3)
+    );
+  });
+
+  test('should fail on a corrupt partition instead of overwriting it', async () => {
+    const bars = buildCandles('1H', START, START + 2 * TF_MS['1H']);
+    await candleStore.saveCandles('USDJPY', '1H', bars);
+    const file = path.join(tmpDir, 'USDJPY_1H', '2026.json');
+    fs.writeFileSync(file, '[{"timestamp":');
+
+    await expect(candleStore.readAll('USDJPY', '1H')).rejects.toThrow(/corrompido/);
+    await expect(candleStore.saveCandles('USDJPY', '1H', bars)).rejects.toThrow(/corrompido/);
+    expect(fs.readFileSync(file, 'utf8')).toBe('[{"timestamp":');
+  });
+
+  test('should migrate the legacy single-file layout on first access', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const bars = buildCandles('15M', START - 3 * TF_MS['15M'], START + 3 * TF_MS['15M']).map(c => candleStore.normalizeCandle(c));
+    fs.writeFileSync(path.join(tmpDir, 'AUDUSD_15M.json'), JSON.stringify(bars));
+
+    expect(await candleStore.readAll('AUDUSD', '15M')).toEqual(bars);
+    expect((await candleStore.getCoverage('AUDUSD', '15M')).count).toBe(6);
+    expect(fs.existsSync(path.join(tmpDir, 'AUDUSD_15M.json'))).toBe(false);
+    expect(fs.readdirSync(path.join(tmpDir, 'AUDUSD_15M')).sort()).toEqual(['2026-01.json', 'index.json']);
+    console.log.mockRestore();
+  });
+
+  test('should load requested range with warmup for all timeframes', async () => {
+    const data = await historicalDataLoader.loadRange('EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + 24 * 3600000),
+      fetchMissing: false
+    });
+
+    expect(data['5M'][0].timestamp).toBe(START - 200 * TF_MS['5M']);
+    expect(data['4H'][0].timestamp).toBe(START - 200 * TF_MS['4H']);
+    expect(data['5M'][data['5M'].length - 1].timestamp).toBeLessThanOrEqual(START + 24 * 3600000);
+  });
+
+  test('should reject empty ranges', async () => {
+    await expect(historicalDataLoader.loadRange('EURUSD', {
+      startDate: '2020-01-01',
+      endDate: '2020-01-02',
+      fetchMissing: false
+    })).rejects.toThrow('Sem candles históricos');
+  });
+
+  test('should only expose closed candles at each decision point', async () => {
+    const data = await historicalDataLoader.loadRange('EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + 24 * 3600000),
+      fetchMissing: false
+    });
+
+    const calls = [];
+    const decisionEngine = {
+      makeDecision: async (window) => {
+        calls.push(window);
+        return { decision: { signal: 'NO_TRADE', approved: false } };
+      }
+    };
+
+    const result = await backtestEngine.runBacktest(data, 'EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + 24 * 3600000),
+      decisionEngine
+    });
+
+    expect(result.decisionPoints).toBe(calls.length);
+    expect(calls.length).toBeGreaterThan(0);
+
+    for (const window of calls) {
+      const last5M = window['5M'][window['5M'].length - 1];
+      const decisionTime = last5M.timestamp + TF_MS['5M'];
+
+      expect(decisionTime).toBeGreaterThanOrEqual(START);
+      for (const tf of ['15M', '1H', '4H']) {
+        const lastCandle = window[tf][window[tf].length - 1];
+        expect(lastCandle.timestamp + TF_MS[tf]).toBeLessThanOrEqual(decisionTime);
+        expect(window[tf]).toHaveLength(200);
+      }
+    }
+  });
+
+  test('should simulate trades from DecisionEngine output', async () => {
+    const data = await historicalDataLoader.loadRange('EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + 24 * 3600000),
+      fetchMissing: false
+    });
+
+    const decisionEngine = {
+      makeDecision: async (window) => {
+        const price = window['5M'][window['5M'].length - 1].close;
+        return {
+          decision: {
+            signal: 'TRADE_APPROVED',
+            approved: true,
+            direction: 'BUY',
+            setup: {
+              orderType: 'MARKET',
+              entry: price.toFixed(5),
+              stopLoss: (price - 0.0010).toFixed(5),
+              takeProfit: (price + 0.0020).toFixed(5),
+              riskReward: '2.00'
+            }
+          }
+        };
+      }
+    };
+
+    const result = await backtestEngine.runBacktest(data, 'EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + 24 * 3600000),
+      riskPercent: 1,
+      decisionEngine
+    });
+
+    expect(result.trades.length).toBeGreaterThan(0);
+    expect(result.trades.every(t => t.result === 'WIN')).toBe(true);
+
+    // Uma posição por vez: próxima entrada só após a saída anterior
+    for (let i = 1; i < result.trades.length; i++) {
+      expect(result.trades[i].entryTimestamp).toBeGreaterThan(result.trades[i - 1].exitTimestamp);
+    }
+  });
+});
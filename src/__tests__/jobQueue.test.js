@@ -0,0 +1,180 @@
+/**
+ * JOB QUEUE TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../services/jobQueue');
+const backtestEngine = require('../backtest/backtestEngine');
+
+const START = Date.UTC(2026, 0, 5);
+const DAY = 24 * 3600000;
+const TF_MS = { '5M': 300000, '15M': 900000, '1H': 3600000, '4H': 14400000 };
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+async function waitFor(queue, id) {
+  for (let i = 0; i < 1000; i++) {
+    const job = queue.getJob(id);
+    if (['COMPLETED', 'FAILED', 'CANCELLED'].includes(job.status)) return job;
+    await tick();
+  }
+  throw new Error(`Job ${id} não terminou`);
+}
+
+// Handler que roda até ser cancelado
+async function untilCancelled(params, job) {
+  while (!job.isCancelled()) {
+    job.reportProgress(10, 'Aguardando');
+    await tick();
+  }
+  throw new Error('Cancelado');
+}
+
+function buildMarketData() {
+  const data = {};
+  const from = START - 30 * DAY;
+  const to = START + 2 * DAY;
+
+  for (const [tf, ms] of Object.entries(TF_MS)) {
+    data[tf] = [];
+    for (let t = from; t < to; t += ms) {
+      const open = 1.1 + (t - from) / 60000 * 0.00001;
+      const close = open + ms / 60000 * 0.00001;
+      data[tf].push({ timestamp: t, open, high: close + 0.0002, low: open - 0.0002, close, volume: 1000 });
+    }
+  }
+
+  return data;
+}
+
+const noTradeEngine = {
+  consecutiveLosses: 0,
+  async makeDecision() {
+    return { decision: { signal: 'NO_TRADE', approved: false } };
+  }
+};
+
+describe('Job Queue', () => {
+  let tmpDir;
+  let storeFile;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    storeFile = path.join(tmpDir, 'jobs.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should run jobs with progress and keep results across restarts', async () => {
+    const queue = new JobQueue({ storeFile });
+    queue.registerHandler('sum', async ({ values }, job) => {
+      job.reportProgress(50, 'Somando');
+      await tick();
+      return { total: values.reduce((a, b) => a + b, 0) };
+    });
+
+    const queued = await queue.enqueue('sum', { values: [1, 2, 3] }, { userId: 'user-1' });
+    expect(['QUEUED', 'RUNNING']).toContain(queued.status);
+
+    const job = await waitFor(queue, queued.id);
+    expect(job.status).toBe('COMPLETED');
+    expect(job.progress).toBe(100);
+    expect(job.hasResult).toBe(true);
+    await queue.writeChain;
+
+    // Novo processo: resultado lido do arquivo
+    const restarted = new JobQueue({ storeFile });
+    await restarted.initialize();
+
+    expect(restarted.getJobWithResult(queued.id).result).toEqual({ total: 6 });
+    expect(restarted.listJobs({ userId: 'user-1' })).toHaveLength(1);
+    await expect(restarted.enqueue('unknown')).rejects.toThrow('Tipo de job desconhecido');
+  });
+
+  test('should cancel running and queued jobs', async () => {
+    const queue = new JobQueue({ storeFile });
+    const started = [];
+    queue.registerHandler('wait', (params, job) => {
+      started.push(params.name);
+      return untilCancelled(params, job);
+    });
+
+    const first = await queue.enqueue('wait', { name: 'first' });
+    const second = await queue.enqueue('wait', { name: 'second' });
+    await tick();
+
+    // Concorrência 1: segundo job aguarda na fila
+    expect(queue.getJob(first.id).status).toBe('RUNNING');
+    expect((await queue.cancel(second.id)).status).toBe('CANCELLED');
+
+    await queue.cancel(first.id);
+    expect((await waitFor(queue, first.id)).status).toBe('CANCELLED');
+    expect(started).toEqual(['first']);
+    expect(await queue.cancel('missing')).toBeNull();
+  });
+
+  test('should hide jobs from users other than the owner', async () => {
+    const queue = new JobQueue({ storeFile });
+    queue.registerHandler('wait', untilCancelled);
+
+    const job = await queue.enqueue('wait', {}, { userId: 'user-1' });
+    await tick();
+
+    expect(queue.getJob(job.id, 'user-2')).toBeNull();
+    expect(queue.getJobWithResult(job.id, 'user-2')).toBeNull();
+    expect(queue.listJobs({ userId: 'user-2' })).toHaveLength(0);
+    expect(await queue.cancel(job.id, 'user-2')).toBeNull();
+    expect(queue.getJob(job.id, 'user-1').status).toBe('RUNNING');
+
+    await queue.cancel(job.id, 'user-1');
+    expect((await waitFor(queue, job.id)).status).toBe('CANCELLED');
+  });
+
+  test('should fail interrupted jobs and resume queued ones after restart', async () => {
+    const now = new Date().toISOString();
+    const saved = [
+      { id: 'a', type: 'echo', status: 'RUNNING', params: {}, progress: 40, result: null, createdAt: now },
+      { id: 'b', type: 'echo', status: 'QUEUED', params: { value: 7 }, progress: 0, result: null, createdAt: now }
+    ];
+    fs.writeFileSync(storeFile, JSON.stringify(saved));
+
+    const queue = new JobQueue({ storeFile });
+    queue.registerHandler('echo', async params => params.value);
+    await queue.initialize();
+
+    expect(queue.getJob('a').status).toBe('FAILED');
+    expect(queue.getJob('a').error).toContain('reinício');
+    expect((await waitFor(queue, 'b')).status).toBe('COMPLETED');
+    expect(queue.getJobWithResult('b').result).toBe(7);
+  });
+
+  test('should report backtest progress and stop on cancel', async () => {
+    const marketData = buildMarketData();
+    const options = {
+      startDate: new Date(START),
+      endDate: new Date(START + DAY),
+      decisionEngine: noTradeEngine
+    };
+
+    const progress = [];
+    await backtestEngine.runBacktest(marketData, 'EURUSD', {
+      ...options,
+      onProgress: percent => progress.push(percent)
+    });
+
+    expect(progress.length).toBeGreaterThan(10);
+    expect(progress[0]).toBe(0);
+    expect(progress[progress.length - 1]).toBeGreaterThan(95);
+    expect(progress.every((p, i) => i === 0 || p >= progress[i - 1])).toBe(true);
+
+    let checks = 0;
+    await expect(backtestEngine.runBacktest(marketData, 'EURUSD', {
+      ...options,
+      isCancelled: () => ++checks > 3
+    })).rejects.toThrow('Backtest cancelado');
+  });
+});
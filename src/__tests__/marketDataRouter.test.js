@@ -0,0 +1,367 @@
+/**
+ * MARKET DATA ROUTER TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarketDataRouter = require('../services/marketDataRouter');
+const { CandleStore } = require('../services/candleStore');
+const MarketDataProvider = require('../services/providers/marketDataProvider');
+const RateLimitBudget = require('../services/providers/rateLimitBudget');
+
+const NOW = Date.UTC(2026, 0, 5, 12);
+
+// Provedor controlável: falha enquanto `failing` for true
+class FakeProvider extends MarketDataProvider {
+  constructor(name, options = {}) {
+    super({ name, rateLimit: { maxPerMinute: 100 }, ...options });
+    this.failing = options.failing || false;
+    this.calls = 0;
+  }
+
+  async getCandles(pair, timeframe, count) {
+    this.calls++;
+    if (this.failing) throw new Error(`${this.name} fora do ar`);
+
+    return Array.from({ length: count }, (_, i) => ({
+      time: new Date(NOW - (count - i) * 300000).toISOString(),
+      open: '1.1', high: '1.2', low: '1.0', close: '1.15', volume: '10'
+    }));
+  }
+
+  async getPrice() {
+    this.calls++;
+    if (this.failing) throw new Error(`${this.name} fora do ar`);
+    return { price: 1.1, bid: 1.0999, ask: 1.1001 };
+  }
+}
+
+function createRouter(providers, options = {}) {
+  const names = providers.map(p => p.name);
+  return new MarketDataRouter({
+    providers,
+    chains: { forex: names, metal: names, index: names, crypto: names },
+    store: null,
+    ...options
+  });
+}
+
+describe('MarketDataRouter', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  test('usa o primeiro provedor da cadeia e normaliza os candles', async () => {
+    const primary = new FakeProvider('primary');
+    const secondary = new FakeProvider('secondary');
+    const router = createRouter([primary, secondary]);
+
+    const result = await router.getCandles('EUR_USD', '5M', 3);
+
+    expect(result.provider).toBe('primary');
+    expect(result.pair).toBe('EURUSD');
+    expect(result.candles).toHaveLength(3);
+    expect(result.candles[0]).toEqual(expect.objectContaining({ timestamp: NOW - 900000, close: 1.15 }));
+    expect(secondary.calls).toBe(0);
+  });
+
+  test('falha de um provedor passa para o próximo da cadeia', async () => {
+    const primary = new FakeProvider('primary', { failing: true });
+    const secondary = new FakeProvider('secondary');
+    const router = createRouter([primary, secondary]);
+
+    const result = await router.getCandles('EURUSD', '5M', 3);
+
+    expect(result.provider).toBe('secondary');
+    expect(router.health.get('primary').failures).toBe(1);
+    expect(router.health.get('secondary').successes).toBe(1);
+  });
+
+  test('pula provedores não configurados ou sem suporte ao ativo', async () => {
+    const unconfigured = new FakeProvider('unconfigured');
+    unconfigured.isConfigured = () => false;
+    const cryptoOnly = new FakeProvider('cryptoOnly', { assetClasses: ['crypto'] });
+    const fallback = new FakeProvider('fallback');
+    const router = createRouter([unconfigured, cryptoOnly, fallback]);
+
+    expect((await router.getCandles('EURUSD', '1H', 3)).provider).toBe('fallback');
+    expect((await router.getCandles('BTCUSD', '1H', 3)).provider).toBe('cryptoOnly');
+    expect(unconfigured.calls).toBe(0);
+  });
+
+  test('cache compartilhado evita nova chamada e reaproveita requisição em andamento', async () => {
+    const primary = new FakeProvider('primary');
+    const router = createRouter([primary]);
+
+    const [a, b] = await Promise.all([router.getCandles('EURUSD', '5M', 3), router.getCandles('EURUSD', '5M', 3)]);
+    const c = await router.getCandles('EURUSD', '5M', 3);
+
+    expect(primary.calls).toBe(1);
+    expect(a.candles).toEqual(b.candles);
+    expect(c.cached).toBe(true);
+  });
+
+  test('falhas seguidas rebaixam o provedor para o fim da cadeia', async () => {
+    const primary = new FakeProvider('primary', { failing: true });
+    const secondary = new FakeProvider('secondary');
+    const simulated = new FakeProvider('simulated', { fallbackOnly: true });
+    const router = createRouter([simulated, primary, secondary], { cacheTtlMs: 0, healthThreshold: 40 });
+
+    // 100 → 75 → 50 → 25 (< 40): rebaixado na terceira falha
+    for (let i = 0; i < 3; i++) {
+      await router.getCandles('EURUSD', '5M', 3);
+    }
+
+    expect(router.isDemoted('primary')).toBe(true);
+    expect(router.getChain('EURUSD').map(p => p.name)).toEqual(['secondary', 'primary', 'simulated']);
+
+    await router.getCandles('EURUSD', '5M', 3);
+    expect(primary.calls).toBe(3);
+    expect(router.getStatus().providers.find(p => p.name === 'primary').status).toBe('DEMOTED');
+  });
+
+  test('provedor volta à posição original após o cooldown', async () => {
+    const primary = new FakeProvider('primary', { failing: true });
+    const secondary = new FakeProvider('secondary');
+    const router = createRouter([primary, secondary], { cacheTtlMs: 0, demotionCooldownMs: 60000 });
+
+    for (let i = 0; i < 3; i++) {
+      await router.getCandles('EURUSD', '5M', 3);
+    }
+    router.health.get('primary').demotedUntil = Date.now() - 1;
+
+    expect(router.getChain('EURUSD')[0].name).toBe('primary');
+    expect(router.health.get('primary').score).toBe(40);
+  });
+
+  test('provedor sem orçamento de rate limit é pulado sem perder saúde', async () => {
+    const limited = new FakeProvider('limited', { rateLimit: { maxPerMinute: 1 } });
+    const secondary = new FakeProvider('secondary');
+    const router = createRouter([limited, secondary], { cacheTtlMs: 0, maxWaitMs: 0 });
+
+    expect((await router.getCandles('EURUSD', '5M', 3)).provider).toBe('limited');
+    expect((await router.getCandles('EURUSD', '5M', 3)).provider).toBe('secondary');
+    expect(router.health.get('limited').rateLimited).toBe(1);
+    expect(router.health.get('limited').failures).toBe(0);
+  });
+
+  test('lança erro quando nenhum provedor responde', async () => {
+    const router = createRouter([new FakeProvider('a', { failing: true })]);
+
+    await expect(router.getCandles('EURUSD', '5M', 3)).rejects.toThrow('Nenhum provedor disponível para EURUSD 5M');
+    await expect(router.getPrice('EURUSD')).rejects.toThrow('a fora do ar');
+  });
+
+  test('getMarketData e status indicam dados simulados', async () => {
+    const real = new FakeProvider('real', { timeframes: ['4H'] });
+    const simulated = new FakeProvider('simulated', { fallbackOnly: true });
+    const router = createRouter([real, simulated]);
+
+    const data = await router.getMarketData('EURUSD');
+    const status = router.getStatus();
+
+    expect(Object.keys(data)).toEqual(['5M', '15M', '1H', '4H', 'quality']);
+    expect(data.quality.tradeable).toBe(false);
+    expect(data.quality.timeframes['1H'].provenance).toBe('simulated');
+    expect(status.mode).toBe('MIXED');
+    expect(status.lastSources.EURUSD['1H']).toEqual({ provider: 'simulated', realData: false, cached: false });
+    expect(status.providers.map(p => p.name)).toEqual(['real', 'simulated']);
+    expect(status.providers[1].capabilities.realData).toBe(false);
+  });
+
+  test('timeframes sem fonte real são montados a partir do menor timeframe real', async () => {
+    const real = new FakeProvider('real', { timeframes: ['5M'] });
+    const simulated = new FakeProvider('simulated', { fallbackOnly: true });
+    const router = createRouter([real, simulated]);
+
+    const data = await router.getMarketData('EURUSD');
+    const status = router.getStatus();
+
+    // 500 candles 5M (NOW - 500×5min … NOW - 5min) → 1H alinhado em UTC
+    expect(data['1H'].length).toBeGreaterThanOrEqual(41);
+    expect(data['1H'][0].timestamp % 3600000).toBe(0);
+    expect(status.mode).toBe('REAL');
+    expect(status.lastSources.EURUSD['4H']).toEqual({ provider: 'real', realData: true, derivedFrom: '5M', cached: false });
+  });
+
+  test('cadeias configuráveis por variável de ambiente', () => {
+    process.env.MARKET_DATA_CHAIN_FOREX = 'secondary, primary, desconhecido';
+    const router = new MarketDataRouter({ providers: [new FakeProvider('primary'), new FakeProvider('secondary')] });
+    delete process.env.MARKET_DATA_CHAIN_FOREX;
+
+    expect(router.chains.forex).toEqual(['secondary', 'primary']);
+    expect(router.chains.crypto).toEqual([]);
+  });
+});
+
+describe('MarketDataRouter com store local', () => {
+  const TF = 300000;
+  // Segunda-feira 12:00 UTC (mercado aberto)
+  const OPEN = Date.UTC(2026, 0, 5, 12);
+  let dir;
+  let store;
+
+  // Candles 5M alinhados terminando no candle em formação de `now`
+  class SeriesProvider extends MarketDataProvider {
+    constructor(name, options = {}) {
+      super({ name, range: true, rateLimit: { maxPerMinute: 100 }, ...options });
+      this.requests = [];
+      this.ranges = [];
+    }
+
+    async getCandles(pair, timeframe, count) {
+      this.requests.push(count);
+      const last = Math.floor(Date.now() / TF) * TF;
+      return Array.from({ length: count }, (_, i) => bar(last - (count - 1 - i) * TF));
+    }
+
+    async getCandlesRange(pair, timeframe, start, end) {
+      this.ranges.push([start, end]);
+      const candles = [];
+      for (let time = start; time <= end; time += TF) candles.push(bar(time));
+      return candles;
+    }
+  }
+
+  const bar = time => ({ timestamp: time, open: 1.1, high: 1.2, low: 1.0, close: 1.15, volume: 10 });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candles-'));
+    store = new CandleStore({ baseDir: dir });
+    jest.spyOn(Date, 'now').mockReturnValue(OPEN);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('primeira busca grava a janela; depois só candles novos', async () => {
+    const provider = new SeriesProvider('primary');
+    const router = createRouter([provider], { store, cacheTtlMs: 0 });
+
+    await router.getCandles('EURUSD', '5M', 10);
+    expect(provider.requests).toEqual([10]);
+    expect(await store.readAll('EURUSD', '5M')).toHaveLength(10);
+
+    // Mesmo candle em formação: leitura local
+    const local = await router.getCandles('EURUSD', '5M', 10);
+    expect(local.provider).toBe('store');
+    expect(provider.requests).toEqual([10]);
+
+    // 3 candles depois: rebusca o último armazenado + 3 novos, sem duplicatas
+    Date.now.mockReturnValue(OPEN + 3 * TF);
+    const result = await router.getCandles('EURUSD', '5M', 10);
+
+    expect(provider.requests).toEqual([10, 4]);
+    expect(result.candles).toHaveLength(10);
+    expect(result.candles[9].timestamp).toBe(OPEN + 3 * TF);
+    expect(await store.readAll('EURUSD', '5M')).toHaveLength(13);
+  });
+
+  test('detecta e preenche lacunas dentro da janela', async () => {
+    const provider = new SeriesProvider('primary');
+    const router = createRouter([provider], { store, cacheTtlMs: 0 });
+
+    const times = Array.from({ length: 10 }, (_, i) => OPEN - (9 - i) * TF).filter((_, i) => i < 3 || i > 5);
+    await store.saveCandles('EURUSD', '5M', times.map(bar));
+
+    const result = await router.getCandles('EURUSD', '5M', 10);
+
+    expect(provider.ranges).toEqual([[OPEN - 6 * TF, OPEN - 4 * TF]]);
+    expect(result.candles.map(c => c.timestamp)).toEqual(Array.from({ length: 10 }, (_, i) => OPEN - (9 - i) * TF));
+  });
+
+  test('lacuna sem dados no provedor não é tentada de novo', async () => {
+    const provider = new SeriesProvider('primary');
+    provider.getCandlesRange = async (...args) => { provider.ranges.push(args.slice(2)); return []; };
+    const router = createRouter([provider], { store, cacheTtlMs: 0 });
+
+    await store.saveCandles('EURUSD', '5M', [bar(OPEN - 5 * TF), bar(OPEN)]);
+
+    await router.getCandles('EURUSD', '5M', 10);
+    await router.getCandles('EURUSD', '5M', 10);
+
+    expect(provider.ranges).toHaveLength(1);
+    expect(router.getStatus().store.unfillableGaps).toBe(1);
+  });
+
+  test('sem provedor real: usa o store antigo e nunca grava dados simulados', async () => {
+    const failing = new FakeProvider('primary', { failing: true });
+    const simulated = new FakeProvider('simulated', { fallbackOnly: true });
+    const router = createRouter([failing, simulated], { store, cacheTtlMs: 0 });
+
+    const empty = await router.getCandles('EURUSD', '5M', 5);
+    expect(empty.provider).toBe('simulated');
+    expect(await store.readAll('EURUSD', '5M')).toEqual([]);
+
+    await store.saveCandles('EURUSD', '5M', [bar(OPEN - 2 * TF), bar(OPEN - TF)]);
+    const stale = await router.getCandles('EURUSD', '5M', 5);
+
+    expect(stale.provider).toBe('store');
+    expect(stale.candles).toHaveLength(2);
+  });
+
+  test('candle do stream entra na próxima leitura mesmo com cache e API atrasada', async () => {
+    const provider = new SeriesProvider('primary');
+    // API REST atrasada: ainda sem o último candle fechado
+    provider.getCandles = async (pair, timeframe, count) => {
+      const last = Math.floor(Date.now() / TF) * TF - 2 * TF;
+      return Array.from({ length: count }, (_, i) => bar(last - (count - 1 - i) * TF));
+    };
+    const router = createRouter([provider], { store, cacheTtlMs: 10 * TF });
+
+    await router.getCandles('EURUSD', '5M', 10);
+    Date.now.mockReturnValue(OPEN + TF);
+    expect((await router.getCandles('EURUSD', '5M', 10)).cached).toBe(true);
+
+    await router.ingestCandle('EUR_USD', '5M', { ...bar(OPEN), close: 1.18 });
+    const result = await router.getCandles('EURUSD', '5M', 10);
+
+    expect(result.cached).toBe(false);
+    expect(result.candles[9]).toEqual(expect.objectContaining({ timestamp: OPEN, close: 1.18 }));
+  });
+
+  test('fim de semana não conta como lacuna e não dispara busca', async () => {
+    const friday = Date.UTC(2026, 0, 9, 20, 55);
+    const sunday = Date.UTC(2026, 0, 11, 21, 0);
+    const saturday = Date.UTC(2026, 0, 10, 12);
+
+    expect(store.findGaps([bar(friday), bar(sunday)], '5M')).toEqual([]);
+    expect(store.findGaps([bar(friday), bar(sunday)], '5M', { skipWeekends: false })[0].missing).toBe(576);
+
+    const provider = new SeriesProvider('primary');
+    const router = createRouter([provider], { store, cacheTtlMs: 0 });
+    await store.saveCandles('EURUSD', '5M', [bar(friday - TF), bar(friday)]);
+    Date.now.mockReturnValue(saturday);
+
+    await router.getCandles('EURUSD', '5M', 2);
+    expect(provider.requests).toEqual([]);
+  });
+});
+
+describe('RateLimitBudget', () => {
+  test('respeita o máximo por minuto e o intervalo mínimo', () => {
+    const budget = new RateLimitBudget({ maxPerMinute: 2, minIntervalMs: 1000 });
+
+    expect(budget.getWaitMs(0)).toBe(0);
+    budget.consume(0);
+    expect(budget.getWaitMs(500)).toBe(500);
+    budget.consume(1000);
+    expect(budget.getWaitMs(2000)).toBe(58000);
+    expect(budget.getWaitMs(60000)).toBe(0);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * MODEL REGISTRY TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModelRegistry } = require('../ai/modelRegistry');
+const { RandomForestModel } = require('../ai/mlModels/randomForestModel');
+
+function createRandom(seed = 42) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// threshold define a regra aprendida: versões diferentes → predições diferentes
+async function trainForest(threshold, seed) {
+  const random = createRandom(seed);
+  const features = Array.from({ length: 200 }, () => [random(), random()]);
+  const labels = features.map(row => (row[0] > threshold ? 1 : 0));
+
+  const model = new RandomForestModel({ nTrees: 10, maxDepth: 4 });
+  const result = await model.train(features, labels);
+  return { model, result };
+}
+
+describe('ModelRegistry', () => {
+  let tmpDir;
+  let registry;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+    registry = new ModelRegistry({ registryPath: tmpDir });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('registra cada treino como versão nova com metadados, sem sobrescrever', async () => {
+    const first = await trainForest(0.3, 1);
+    const second = await trainForest(0.7, 2);
+    const candles = [{ timestamp: Date.UTC(2026, 0, 1) }, { timestamp: Date.UTC(2026, 5, 1) }];
+
+    const v1 = await registry.register('randomForest', first.model, {
+      pair: 'EURUSD',
+      dataRange: ModelRegistry.describeCandles(candles, '1H'),
+      featureSchema: { version: 2, names: ['a', 'b'] },
+      metrics: first.result
+    });
+    const v2 = await registry.register('randomForest', second.model, { metrics: second.result });
+
+    expect([v1.id, v2.id]).toEqual(['v1', 'v2']);
+    expect(v1).toEqual(expect.objectContaining({
+      pair: 'EURUSD',
+      source: 'train',
+      dataRange: { timeframe: '1H', from: '2026-01-01T00:00:00.000Z', to: '2026-06-01T00:00:00.000Z', candles: 2 },
+      featureSchema: { version: 2, names: ['a', 'b'] },
+      hyperparameters: expect.objectContaining({ nTrees: 10, maxDepth: 4 })
+    }));
+    expect(v1.metrics.oobAccuracy).toBe(first.result.oobAccuracy);
+    expect(fs.existsSync(path.join(tmpDir, 'randomForest', 'v1', 'model.json'))).toBe(true);
+    expect(fs.existsSync(path.join(tmpDir, 'randomForest', 'v2', 'model.json'))).toBe(true);
+
+    const listed = await registry.listVersions('randomForest');
+    expect(listed).toEqual(expect.objectContaining({ active: 'v2', previous: 'v1' }));
+    expect(listed.versions.map(version => [version.id, version.active])).toEqual([['v2', true], ['v1', false]]);
+  });
+
+  test('promove, faz rollback e persiste o índice', async () => {
+    const first = await trainForest(0.3, 1);
+    const second = await trainForest(0.7, 2);
+    await registry.register('randomForest', first.model, {});
+    await registry.register('randomForest', second.model, {}, { promote: false });
+
+    expect((await registry.getActive('randomForest')).id).toBe('v1');
+
+    await registry.promote('randomForest', 'v2');
+    expect((await registry.getActive('randomForest')).id).toBe('v2');
+    expect((await registry.getRollbackTarget('randomForest')).id).toBe('v1');
+
+    await registry.rollback('randomForest');
+    expect((await registry.getActive('randomForest')).id).toBe('v1');
+    await expect(registry.rollback('randomForest')).rejects.toThrow(/Sem versão anterior/);
+    await expect(registry.promote('randomForest', 'v9')).rejects.toThrow(/não encontrada/);
+
+    // Novo processo: lê o índice e carrega os arquivos da versão ativa
+    const reopened = new ModelRegistry({ registryPath: tmpDir });
+    const active = await reopened.getActive('randomForest');
+    expect(active.id).toBe('v1');
+
+    const loaded = new RandomForestModel();
+    expect((await loaded.loadModel({ path: reopened.resolvePath(active) })).success).toBe(true);
+    expect(await loaded.predict([0.5, 0.5])).toBe(await first.model.predict([0.5, 0.5]));
+  });
+
+  test('primeira versão sempre vira ativa; modelo desconhecido é rejeitado', async () => {
+    const { model } = await trainForest(0.5, 3);
+
+    const version = await registry.register('gradientBoosting', model, {}, { promote: false });
+
+    expect(registry.getActiveIds()).toEqual({ randomForest: null, gradientBoosting: version.id, lstm: null });
+    await expect(registry.register('xgboost', model, {})).rejects.toThrow(/Modelo inválido/);
+  });
+
+  test('remove versões antigas além do limite, preservando ativa e histórico', async () => {
+    registry.maxVersions = 2;
+    const { model } = await trainForest(0.5, 4);
+
+    await registry.register('randomForest', model, {});
+    await registry.register('randomForest', model, {}, { promote: false });
+    await registry.register('randomForest', model, {}, { promote: false });
+
+    const { versions } = await registry.listVersions('randomForest');
+    expect(versions.map(version => version.id)).toEqual(['v3', 'v1']);
+    expect(fs.existsSync(path.join(tmpDir, 'randomForest', 'v2'))).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * MONTE CARLO TESTS
+ */
+
+const monteCarloAnalyzer = require('../backtest/monteCarlo');
+
+const START = Date.UTC(2026, 0, 1);
+const DAY = 24 * 3600000;
+
+// 60% de acerto com RR 2:1 ao longo de ~1 ano
+function buildTrades() {
+  const trades = [];
+  for (let i = 0; i < 100; i++) {
+    const win = i % 5 < 3;
+    trades.push({
+      entryTimestamp: START + i * 3.65 * DAY,
+      exitTimestamp: START + i * 3.65 * DAY + 3600000,
+      riskAmount: 100,
+      profitLoss: win ? 200 : -100,
+      rMultiple: win ? 2 : -1
+    });
+  }
+  return trades;
+}
+
+describe('Monte Carlo Analyzer', () => {
+  const trades = buildTrades();
+
+  test('should keep final balance under shuffle and vary drawdown', () => {
+    const result = monteCarloAnalyzer.analyze(trades, { iterations: 300, methods: ['shuffle'], riskPercent: 1 });
+    const shuffle = result.methods.shuffle;
+
+    // Risco fixo: ordem não altera o resultado final, apenas o caminho
+    expect(shuffle.finalBalance.lower).toBeCloseTo(result.baseline.finalBalance, 0);
+    expect(shuffle.finalBalance.upper).toBeCloseTo(result.baseline.finalBalance, 0);
+    expect(shuffle.maxDrawdown.worst).toBeGreaterThanOrEqual(shuffle.maxDrawdown.median);
+    expect(shuffle.maxDrawdown.p99).toBeGreaterThanOrEqual(shuffle.maxDrawdown.p95);
+    expect(shuffle.probabilityOfRuin).toBe(0);
+  });
+
+  test('should produce confidence intervals with bootstrap and skip', () => {
+    const result = monteCarloAnalyzer.analyze(trades, { iterations: 500, methods: ['bootstrap', 'skip'] });
+    const { bootstrap, skip } = result.methods;
+
+    expect(bootstrap.cagr.lower).toBeLessThan(bootstrap.cagr.median);
+    expect(bootstrap.cagr.upper).toBeGreaterThan(bootstrap.cagr.median);
+    expect(bootstrap.profitFactor.median).toBeCloseTo(3, 0);
+    expect(skip.finalBalance.median).toBeLessThan(result.baseline.finalBalance);
+  });
+
+  test('should increase probability of ruin with higher risk', () => {
+    const options = { iterations: 500, methods: ['bootstrap'], ruinDrawdown: 30 };
+    const low = monteCarloAnalyzer.analyze(trades, { ...options, riskPercent: 1 });
+    const high = monteCarloAnalyzer.analyze(trades, { ...options, riskPercent: 10 });
+
+    expect(high.methods.bootstrap.probabilityOfRuin).toBeGreaterThan(low.methods.bootstrap.probabilityOfRuin);
+    expect(high.methods.bootstrap.maxDrawdown.median).toBeGreaterThan(low.methods.bootstrap.maxDrawdown.median);
+  });
+
+  test('should be reproducible with the same seed', () => {
+    const first = monteCarloAnalyzer.analyze(trades, { iterations: 200, seed: 9 });
+    const second = monteCarloAnalyzer.analyze(trades, { iterations: 200, seed: 9 });
+
+    expect(second.methods).toEqual(first.methods);
+  });
+
+  test('should reject invalid input', () => {
+    expect(() => monteCarloAnalyzer.analyze([])).toThrow('sem trades');
+    expect(() => monteCarloAnalyzer.analyze(trades, { methods: ['reverse'] })).toThrow('Métodos inválidos');
+    // 0 explícito não vira o padrão
+    expect(() => monteCarloAnalyzer.analyze(trades, { riskPercent: 0 })).toThrow('Risco por trade');
+    expect(() => monteCarloAnalyzer.analyze(trades, { initialBalance: 0 })).toThrow('Capital inicial');
+    expect(monteCarloAnalyzer.analyze(trades, { iterations: 10, skipProbability: 0 }).config.skipProbability).toBe(0);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * OANDA TRADE RECONCILER TESTS
+ * Usa um servidor HTTP local no lugar da API v20
+ */
+
+const http = require('http');
+const oandaService = require('../services/oandaService');
+
+const ACCOUNT_ID = '101-001-TEST';
+
+// Estado do mock OANDA
+const mock = {
+  lastTransactionID: '100',
+  transactions: [],
+  trades: {}
+};
+
+function createMockOanda() {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const base = `/v3/accounts/${ACCOUNT_ID}`;
+    let body = null;
+
+    if (req.headers.authorization !== 'Bearer test-key') {
+      res.writeHead(401);
+      return res.end(JSON.stringify({ errorMessage: 'Unauthorized' }));
+    }
+
+    if (url.pathname === base) {
+      body = { account: { id: ACCOUNT_ID, currency: 'USD', lastTransactionID: mock.lastTransactionID } };
+    } else if (url.pathname === `${base}/transactions/sinceid`) {
+      const since = parseInt(url.searchParams.get('id'), 10);
+      const transactions = mock.transactions.filter(t => parseInt(t.id, 10) > since);
+      body = { transactions, lastTransactionID: mock.lastTransactionID };
+    } else if (url.pathname.startsWith(`${base}/trades/`)) {
+      const trade = mock.trades[url.pathname.split('/').pop()];
+      if (trade) body = { trade };
+    }
+
+    if (!body) {
+      res.writeHead(404);
+      return res.end(JSON.stringify({ errorMessage: 'Not found' }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+}
+
+describe('OANDA Trade Reconciler', () => {
+  let server;
+  const closed = [];
+  const filled = [];
+
+  beforeAll((done) => {
+    server = createMockOanda();
+    server.listen(0, '127.0.0.1', () => {
+      oandaService.configure({
+        apiKey: 'test-key',
+        accountId: ACCOUNT_ID,
+        baseURL: `http://127.0.0.1:${server.address().port}/v3`
+      });
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    oandaService.stopTradeReconciler();
+    server.close(done);
+  });
+
+  test('should close trades already closed at startup via trade details', async () => {
+    mock.trades['50'] = {
+      id: '50',
+      state: 'CLOSED',
+      averageClosePrice: '1.09400',
+      realizedPL: '300.0000',
+      closeTime: '1767607200.000000000'
+    };
+    mock.trades['51'] = { id: '51', state: 'OPEN' };
+
+    await oandaService.startTradeReconciler({
+      interval: 60 * 60 * 1000, // polling manual no teste
+      onTradeClosed: async (closure) => { closed.push(closure); },
+      onOrderFilled: async (fill) => { filled.push(fill); },
+      getOpenTradeIds: async () => ['50', '51']
+    });
+
+    expect(closed).toHaveLength(1);
+    expect(closed[0]).toMatchObject({ tradeId: '50', result: 'WIN', exitPrice: 1.094, profitLoss: 300 });
+    expect(closed[0].exitTimestamp.toISOString()).toBe('2026-01-05T10:00:00.000Z');
+    expect(oandaService.getReconcilerStatus().lastTransactionId).toBe('100');
+  });
+
+  test('should process stop loss, take profit and limit fills from transactions', async () => {
+    closed.length = 0;
+
+    mock.transactions.push(
+      {
+        id: '101',
+        type: 'ORDER_FILL',
+        orderID: '90',
+        reason: 'LIMIT_ORDER',
+        price: '1.08490',
+        tradeOpened: { tradeID: '102', price: '1.08490', units: '10000' },
+        time: '1767607200.000000000'
+      },
+      {
+        id: '103',
+        type: 'ORDER_FILL',
+        reason: 'STOP_LOSS_ORDER',
+        time: '1767610800.000000000',
+        tradesClosed: [{ tradeID: '51', price: '1.08200', realizedPL: '-100.5000' }]
+      },
+      { id: '104', type: 'DAILY_FINANCING', time: '1767610800.000000000' }
+    );
+    mock.lastTransactionID = '104';
+
+    const closures = await oandaService.reconcileTransactions();
+
+    expect(closures).toHaveLength(1);
+    expect(closed[0]).toMatchObject({
+      tradeId: '51',
+      result: 'LOSS',
+      exitPrice: 1.082,
+      profitLoss: -100.5,
+      reason: 'STOP_LOSS_ORDER'
+    });
+    expect(filled).toEqual([{ orderId: '90', tradeId: '102', fillPrice: 1.0849 }]);
+    expect(oandaService.getReconcilerStatus().lastTransactionId).toBe('104');
+
+    // Nada novo desde a última reconciliação
+    expect(await oandaService.reconcileTransactions()).toHaveLength(0);
+  });
+
+  test('should keep reconciling when a handler fails', async () => {
+    const errorsBefore = oandaService.getReconcilerStatus().errors;
+    oandaService.reconciler.handlers.onTradeClosed = async () => {
+      throw new Error('db offline');
+    };
+
+    mock.transactions.push({
+      id: '105',
+      type: 'ORDER_FILL',
+      reason: 'TAKE_PROFIT_ORDER',
+      time: '1767614400.000000000',
+      tradesClosed: [{ tradeID: '102', price: '1.09400', realizedPL: '91.0000' }]
+    });
+    mock.lastTransactionID = '105';
+
+    const closures = await oandaService.reconcileTransactions();
+
+    expect(closures[0].result).toBe('WIN');
+    expect(oandaService.getReconcilerStatus().errors).toBe(errorsBefore + 1);
+    expect(oandaService.getReconcilerStatus().lastTransactionId).toBe('105');
+  });
+});
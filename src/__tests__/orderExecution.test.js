@@ -0,0 +1,58 @@
+/**
+ * ORDER EXECUTION TESTS
+ * Payload enviado à OANDA (axios interceptado)
+ */
+
+const axios = require('axios');
+const orderExecutionService = require('../services/orderExecutionService');
+const { formatPrice } = require('../services/instrumentSpecs');
+
+describe('Order Execution Service', () => {
+  let post;
+
+  beforeEach(() => {
+    post = jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { orderFillTransaction: { id: '1', price: '0', units: '1' }, orderCreateTransaction: { id: '2' } }
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should format prices with the instrument precision', () => {
+    expect(formatPrice('EUR_USD', 1.1234567)).toBe('1.12346');
+    expect(formatPrice('USDJPY', 150.12345)).toBe('150.123');
+    expect(formatPrice('XAU_USD', 2650.12345)).toBe('2650.123');
+    expect(formatPrice('US30_USD', 39000.456)).toBe('39000.5');
+    expect(formatPrice('BTC_USD', 65000.123)).toBe('65000.1');
+  });
+
+  test('should send SL/TP with the decimals OANDA accepts for each instrument', async () => {
+    await orderExecutionService.executeAISignal({
+      decision: 'TRADE_APPROVED',
+      instrument: 'XAUUSD',
+      type: 'BUY',
+      order_type: 'MARKET',
+      stop_loss: 2640.123456,
+      take_profit: 2670.987654
+    }, { units: 3 });
+
+    const { order } = post.mock.calls[0][1];
+    expect(order.instrument).toBe('XAU_USD');
+    expect(order.stopLossOnFill.price).toBe('2640.123');
+    expect(order.takeProfitOnFill.price).toBe('2670.988');
+
+    await orderExecutionService.placeLimitOrder({
+      instrument: 'US30_USD',
+      type: 'SELL',
+      units: 1,
+      price: 39010.26,
+      stopLoss: 39100.04,
+      takeProfit: 38800.55
+    });
+
+    const limit = post.mock.calls[1][1].order;
+    expect(limit.price).toBe('39010.3');
+    expect(limit.stopLossOnFill.price).toBe('39100.0');
+    expect(limit.takeProfitOnFill.price).toBe('38800.6');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * PERFORMANCE REPORT TESTS
+ */
+
+const { buildReport, classifySession } = require('../backtest/performanceReport');
+
+const DAY = Date.UTC(2026, 0, 6);
+const at = hour => DAY + hour * 3600000;
+
+function trade(type, profitLoss, rMultiple, hour, extra = {}) {
+  return {
+    type,
+    profitLoss,
+    rMultiple,
+    riskReward: 2,
+    entryTimestamp: at(hour),
+    exitTimestamp: at(hour) + 1800000,
+    smartMoneyPatterns: [],
+    alignedTimeframes: [],
+    ...extra
+  };
+}
+
+describe('Performance Report', () => {
+  const trades = [
+    trade('BUY', 200, 2, 8, { smartMoneyPatterns: ['BULLISH_OB'], alignedTimeframes: ['4H', '1H'] }),
+    trade('BUY', -100, -1, 13, { smartMoneyPatterns: ['BULLISH_OB', 'BULLISH_BOS'], alignedTimeframes: ['1H'] }),
+    trade('SELL', -100, -1, 3),
+    trade('SELL', 300, 3, 18, { alignedTimeframes: ['4H'] })
+  ];
+
+  test('should classify kill zones by entry hour', () => {
+    expect(classifySession(at(8))).toBe('londonOpen');
+    expect(classifySession(at(13))).toBe('nyOpen');
+    expect(classifySession(at(16))).toBe('londonClose');
+    expect(classifySession(at(3))).toBe('asian');
+    expect(classifySession(at(19))).toBe('outsideKillZones');
+  });
+
+  test('should compute overall stats from trades', () => {
+    const { overall, equityCurve } = buildReport(trades, { initialBalance: 10000 });
+
+    expect(overall.trades).toBe(4);
+    expect(overall.winRate).toBe(50);
+    expect(overall.netProfit).toBe(300);
+    expect(overall.expectancy).toBe(75);
+    expect(overall.avgR).toBe(0.75);
+    expect(overall.profitFactor).toBe(2.5);
+    // Pico 10200 → 10000
+    expect(overall.maxDrawdown).toBe(200);
+    expect(overall.maxDrawdownPercent).toBeCloseTo(1.96, 2);
+    expect(equityCurve[equityCurve.length - 1].equity).toBe(10300);
+  });
+
+  test('should break down by timeframe, session, pattern and direction', () => {
+    const report = buildReport(trades, { initialBalance: 10000 });
+
+    expect(report.byTimeframe['4H'].trades).toBe(2);
+    expect(report.byTimeframe['4H'].winRate).toBe(100);
+    expect(report.byTimeframe['1H'].trades).toBe(2);
+    expect(report.byTimeframe['15M'].trades).toBe(0);
+    expect(report.byTimeframe.none.trades).toBe(1);
+
+    expect(report.bySession.londonOpen.netProfit).toBe(200);
+    expect(report.bySession.nyOpen.netProfit).toBe(-100);
+    expect(report.bySession.asian.losses).toBe(1);
+    expect(report.bySession.outsideKillZones.wins).toBe(1);
+
+    expect(report.byPattern.BULLISH_OB.trades).toBe(2);
+    expect(report.byPattern.BULLISH_BOS.expectancy).toBe(-100);
+    expect(report.byPattern.none.trades).toBe(2);
+
+    expect(report.byDirection.BUY.profitFactor).toBe(2);
+    expect(report.byDirection.SELL.avgR).toBe(1);
+  });
+
+  test('should be deterministic and empty without trades', () => {
+    expect(buildReport(trades)).toEqual(buildReport(trades));
+
+    const empty = buildReport([], { initialBalance: 5000 });
+    expect(empty.overall.trades).toBe(0);
+    expect(empty.byDirection.BUY.winRate).toBe(0);
+    expect(empty.equityCurve).toEqual([{ trade: 0, equity: 5000 }]);
+  });
+});
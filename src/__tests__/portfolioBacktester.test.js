@@ -0,0 +1,148 @@
+/**
+ * PORTFOLIO BACKTESTER TESTS
+ */
+
+const CorrelationEngine = require('../ai/correlationEngine');
+const portfolioBacktester = require('../backtest/portfolioBacktester');
+
+const START = Date.UTC(2026, 0, 5);
+const DAY = 24 * 3600000;
+const FIVE_MIN = 300000;
+const TF_MS = { '5M': 300000, '15M': 900000, '1H': 3600000, '4H': 14400000 };
+
+// Série em alta constante: toda BUY atinge o TP
+function buildMarketData(basePrice) {
+  const data = {};
+  const from = START - 30 * DAY;
+  const to = START + 3 * DAY;
+
+  for (const [tf, ms] of Object.entries(TF_MS)) {
+    data[tf] = [];
+    for (let t = from; t < to; t += ms) {
+      const open = basePrice + (t - from) / 60000 * 0.00001;
+      const close = open + ms / 60000 * 0.00001;
+      data[tf].push({ timestamp: t, open, high: close + 0.0002, low: open - 0.0002, close, volume: 1000 });
+    }
+  }
+
+  return data;
+}
+
+// Motor fake: aprova BUY em todos os pares a cada decisão
+function createBuyEngine() {
+  return {
+    consecutiveLosses: 0,
+    maxConsecutiveLosses: 3,
+    async makeDecision(marketData) {
+      const price = marketData['5M'][marketData['5M'].length - 1].close;
+      return {
+        decision: {
+          signal: 'TRADE_APPROVED',
+          approved: true,
+          direction: 'BUY',
+          setup: {
+            orderType: 'MARKET',
+            entry: price.toFixed(5),
+            stopLoss: (price - 0.0010).toFixed(5),
+            takeProfit: (price + 0.0020).toFixed(5),
+            riskReward: '2.00'
+          }
+        }
+      };
+    }
+  };
+}
+
+function overlaps(a, b) {
+  return a.decisionTime < b.exitTimestamp + FIVE_MIN && b.decisionTime < a.exitTimestamp + FIVE_MIN;
+}
+
+function hasOverlap(tradesA, tradesB) {
+  return tradesA.some(a => tradesB.some(b => overlaps(a, b)));
+}
+
+describe('Portfolio Backtester', () => {
+  const marketDataByPair = {
+    EURUSD: buildMarketData(1.1),
+    GBPUSD: buildMarketData(1.25),
+    USDCAD: buildMarketData(1.35)
+  };
+
+  const baseOptions = {
+    startDate: new Date(START),
+    endDate: new Date(START + 2 * DAY),
+    riskPercent: 1
+  };
+
+  test('should estimate pair correlations from market exposures', () => {
+    const engine = new CorrelationEngine();
+
+    expect(engine.getPairCorrelation('EURUSD', 'GBPUSD')).toBeGreaterThan(0.9);
+    expect(engine.getPairCorrelation('EURUSD', 'USDCAD')).toBeLessThan(-0.9);
+    expect(engine.getPairCorrelation('EURUSD', 'US30')).toBe(0);
+    expect(engine.getPairCorrelation('EURUSD', 'EURUSD')).toBe(1);
+  });
+
+  test('should block correlated exposure but allow uncorrelated positions', async () => {
+    const result = await portfolioBacktester.run(marketDataByPair, {
+      ...baseOptions,
+      decisionEngine: createBuyEngine(),
+      maxConcurrentPositions: 3,
+      maxCorrelatedPositions: 1
+    });
+
+    const byPair = pair => result.trades.filter(t => t.pair === pair);
+
+    // BUY EURUSD e BUY GBPUSD = mesmo risco; BUY USDCAD = risco oposto
+    expect(hasOverlap(byPair('EURUSD'), byPair('GBPUSD'))).toBe(false);
+    expect(hasOverlap(byPair('EURUSD'), byPair('USDCAD'))).toBe(true);
+    expect(result.blocked.correlation).toBeGreaterThan(0);
+    expect(result.portfolio.peakOpenPositions).toBe(2);
+  });
+
+  test('should cap concurrent positions', async () => {
+    const result = await portfolioBacktester.run(marketDataByPair, {
+      ...baseOptions,
+      decisionEngine: createBuyEngine(),
+      maxConcurrentPositions: 1
+    });
+
+    const trades = result.trades;
+    const anyOverlap = trades.some((a, i) => trades.slice(i + 1).some(b => overlaps(a, b)));
+
+    expect(trades.length).toBeGreaterThan(0);
+    expect(anyOverlap).toBe(false);
+    expect(result.blocked.maxPositions).toBeGreaterThan(0);
+    expect(result.portfolio.peakOpenPositions).toBe(1);
+  });
+
+  test('should reject explicit zero limits instead of using the defaults', async () => {
+    await expect(portfolioBacktester.run(marketDataByPair, { ...baseOptions, riskPercent: 0 }))
+      .rejects.toThrow('Risco por trade');
+    await expect(portfolioBacktester.run(marketDataByPair, { ...baseOptions, maxConcurrentPositions: 0 }))
+      .rejects.toThrow('Limites de posições');
+  });
+
+  test('should compound a single balance and report per-pair contribution', async () => {
+    const result = await portfolioBacktester.run(marketDataByPair, {
+      ...baseOptions,
+      decisionEngine: createBuyEngine()
+    });
+
+    const { portfolio, byPair, trades, equity } = result;
+    const totalProfit = trades.reduce((sum, t) => sum + t.profitLoss, 0);
+
+    expect(portfolio.finalBalance).toBeCloseTo(10000 + totalProfit, 1);
+    expect(equity).toHaveLength(trades.length + 1);
+    expect(equity[equity.length - 1].balance).toBeCloseTo(portfolio.finalBalance, 1);
+
+    // Série só com vitórias: risco cresce com o saldo compartilhado
+    expect(trades[trades.length - 1].riskAmount).toBeGreaterThan(trades[0].riskAmount);
+    expect(portfolio.maxDrawdown).toBe(0);
+
+    const contribution = Object.values(byPair).reduce((sum, p) => sum + p.returnContribution, 0);
+    expect(contribution).toBeCloseTo(portfolio.returnPercent, 0);
+    expect(Object.keys(byPair)).toEqual(['EURUSD', 'GBPUSD', 'USDCAD']);
+    expect(byPair.EURUSD.trades + byPair.GBPUSD.trades + byPair.USDCAD.trades).toBe(trades.length);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * POSITION SIZING TESTS
+ */
+
+const positionSizingService = require('../services/positionSizingService');
+const { getInstrumentSpec, toOandaInstrument } = require('../services/instrumentSpecs');
+
+describe('Position Sizing Service', () => {
+  test('should size EURUSD by risk and stop distance', () => {
+    // $10.000 × 1% = $100 de risco, stop de 20 pips → $5/pip → 50.000 unidades
+    const sizing = positionSizingService.calculatePositionSize({
+      instrument: 'EURUSD',
+      balance: 10000,
+      riskPercent: 1,
+      entryPrice: 1.1000,
+      stopLoss: 1.0980
+    });
+
+    expect(sizing.units).toBe(50000);
+    expect(sizing.lots).toBe(0.5);
+    expect(sizing.stopPips).toBe(20);
+    expect(sizing.riskAmount).toBe(100);
+    expect(sizing.actualRisk).toBeLessThanOrEqual(100);
+  });
+
+  test('should convert JPY quote to account currency', () => {
+    // USDJPY: risco de 50 pips a 150.00 → ~$0.00333 por unidade
+    const sizing = positionSizingService.calculatePositionSize({
+      instrument: 'USDJPY',
+      balance: 10000,
+      riskPercent: 1,
+      entryPrice: 150.00,
+      stopLoss: 150.50
+    });
+
+    expect(sizing.stopPips).toBe(50);
+    expect(sizing.units).toBe(30000);
+    expect(sizing.actualRisk).toBeLessThanOrEqual(100);
+  });
+
+  test('should use explicit conversion rate for cross pairs', () => {
+    // EURGBP em conta USD: GBP → USD a 1.25
+    const sizing = positionSizingService.calculatePositionSize({
+      instrument: 'EURGBP',
+      balance: 10000,
+      riskPercent: 1,
+      entryPrice: 0.8500,
+      stopLoss: 0.8480,
+      conversionRate: 1.25
+    });
+
+    expect(sizing.units).toBe(40000);
+  });
+
+  test('should size XAUUSD, indices and crypto', () => {
+    const gold = positionSizingService.calculatePositionSize({
+      instrument: 'XAUUSD', balance: 10000, riskPercent: 1, entryPrice: 2000, stopLoss: 1990
+    });
+    const index = positionSizingService.calculatePositionSize({
+      instrument: 'US30', balance: 10000, riskPercent: 1, entryPrice: 38000, stopLoss: 37950
+    });
+    const crypto = positionSizingService.calculatePositionSize({
+      instrument: 'BTCUSD', balance: 10000, riskPercent: 1, entryPrice: 60000, stopLoss: 59000
+    });
+
+    expect(gold.units).toBe(10);
+    expect(index.units).toBe(2);
+    expect(crypto.units).toBe(0.1);
+  });
+
+  test('should return zero units below instrument minimum', () => {
+    const sizing = positionSizingService.calculatePositionSize({
+      instrument: 'US30', balance: 100, riskPercent: 1, entryPrice: 38000, stopLoss: 37000
+    });
+
+    expect(sizing.units).toBe(0);
+    expect(sizing.reason).toBeTruthy();
+  });
+
+  test('should reject invalid risk and stop', () => {
+    expect(() => positionSizingService.calculatePositionSize({
+      instrument: 'EURUSD', balance: 10000, riskPercent: 50, entryPrice: 1.1, stopLoss: 1.09
+    })).toThrow();
+
+    expect(() => positionSizingService.calculatePositionSize({
+      instrument: 'EURUSD', balance: 10000, riskPercent: 1, entryPrice: 1.1, stopLoss: 1.1
+    })).toThrow();
+  });
+
+  test('should map symbols to OANDA instruments', () => {
+    expect(toOandaInstrument('EURUSD')).toBe('EUR_USD');
+    expect(toOandaInstrument('XAUUSD')).toBe('XAU_USD');
+    expect(toOandaInstrument('US30')).toBe('US30_USD');
+    expect(getInstrumentSpec('GBP_JPY').pipSize).toBe(0.01);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * PRICING STREAM TESTS
+ */
+
+const { PassThrough } = require('stream');
+const EventEmitter = require('events');
+const PricingStream = require('../services/pricingStream');
+const LiveAnalysisService = require('../services/liveAnalysisService');
+
+const MIN = 60000;
+const T0 = Date.UTC(2026, 0, 6, 9, 0);
+
+// Cliente OANDA falso: cada conexão devolve um PassThrough controlado pelo teste
+function createFakeService() {
+  const service = {
+    streams: [],
+    requests: [],
+    isConfigured: () => true,
+    openPricingStream: async (instruments) => {
+      const stream = new PassThrough();
+      service.requests.push(instruments);
+      service.streams.push(stream);
+      return stream;
+    }
+  };
+  return service;
+}
+
+function price(instrument, ms, bid, ask) {
+  return JSON.stringify({
+    type: 'PRICE',
+    instrument,
+    time: (ms / 1000).toFixed(9),
+    bids: [{ price: String(bid), liquidity: 1000000 }, { price: String(bid - 0.0001), liquidity: 5000000 }],
+    asks: [{ price: String(ask + 0.0001), liquidity: 5000000 }, { price: String(ask), liquidity: 1000000 }],
+    tradeable: true
+  }) + '\n';
+}
+
+function heartbeat(ms) {
+  return JSON.stringify({ type: 'HEARTBEAT', time: (ms / 1000).toFixed(9) }) + '\n';
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('PricingStream', () => {
+  let service;
+  let pricingStream;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = createFakeService();
+    pricingStream = new PricingStream({ service, timeframes: ['1M', '5M'], reconnectDelayMs: 5 });
+  });
+
+  afterEach(() => {
+    pricingStream.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('assina os instrumentos OANDA e mantém melhor bid/ask com spread', async () => {
+    expect(pricingStream.start(['EURUSD', 'XAUUSD'])).toEqual(['EURUSD', 'XAUUSD']);
+    await flush();
+
+    expect(service.requests[0]).toEqual(['EUR_USD', 'XAU_USD']);
+    expect(pricingStream.connected).toBe(true);
+
+    service.streams[0].write(price('EUR_USD', T0, 1.1, 1.1002));
+    await flush();
+
+    const quote = pricingStream.getQuote('EUR/USD');
+    expect(quote.bid).toBe(1.1);
+    expect(quote.ask).toBe(1.1002);
+    expect(quote.spread).toBeCloseTo(0.0002, 10);
+    expect(quote.asks.map(level => level.price)).toEqual([1.1002, 1.1003]);
+    expect(quote.time).toEqual(new Date(T0));
+    expect(pricingStream.getQuotes()[0]).not.toHaveProperty('bids');
+  });
+
+  test('monta candles ao vivo e emite candleClose no primeiro tick do bloco seguinte', async () => {
+    const closed = [];
+    pricingStream.on('candleClose', event => closed.push(event));
+    pricingStream.start(['EURUSD']);
+    await flush();
+
+    // Mensagem partida entre dois chunks
+    const first = price('EUR_USD', T0 + 1000, 1.1, 1.1002);
+    service.streams[0].write(first.slice(0, 20));
+    service.streams[0].write(first.slice(20) + price('EUR_USD', T0 + 30000, 1.1010, 1.1012));
+    service.streams[0].write(price('EUR_USD', T0 + 50000, 1.0990, 1.0992));
+    await flush();
+    expect(closed).toHaveLength(0);
+
+    service.streams[0].write(price('EUR_USD', T0 + MIN + 1000, 1.1005, 1.1007));
+    await flush();
+
+    expect(closed).toHaveLength(1);
+    expect(closed[0].pair).toBe('EURUSD');
+    expect(closed[0].timeframe).toBe('1M');
+    expect(closed[0].candle).toEqual(expect.objectContaining({ timestamp: T0, volume: 3 }));
+    expect(closed[0].candle.open).toBeCloseTo(1.1001, 10);
+    expect(closed[0].candle.high).toBeCloseTo(1.1011, 10);
+    expect(closed[0].candle.low).toBeCloseTo(1.0991, 10);
+    expect(closed[0].candle.close).toBeCloseTo(1.0991, 10);
+    expect(closed[0].candle.bid).toEqual({ open: 1.1, high: 1.101, low: 1.099, close: 1.099 });
+
+    const candles = pricingStream.getCandles('EURUSD', '1M');
+    expect(candles).toHaveLength(2);
+    expect(pricingStream.getCandles('EURUSD', '5M')).toHaveLength(1);
+
+    // Primeiro candle começou antes da conexão: parcial; o seguinte foi visto inteiro
+    service.streams[0].write(price('EUR_USD', T0 + 2 * MIN, 1.1, 1.1002));
+    await flush();
+    expect(closed.map(event => event.complete)).toEqual([false, true]);
+  });
+
+  test('heartbeat fecha candles de mercado sem ticks', async () => {
+    const closed = [];
+    pricingStream.on('candleClose', event => closed.push(event));
+    pricingStream.start(['EURUSD']);
+    await flush();
+
+    service.streams[0].write(price('EUR_USD', T0 + 1000, 1.1, 1.1002));
+    service.streams[0].write(heartbeat(T0 + 55000));
+    await flush();
+    expect(closed).toHaveLength(0);
+
+    service.streams[0].write(heartbeat(T0 + 5 * MIN));
+    await flush();
+
+    expect(closed.map(event => event.timeframe)).toEqual(['1M', '5M']);
+    expect(pricingStream.getStatus().lastHeartbeat).toEqual(new Date(T0 + 5 * MIN));
+  });
+
+  test('reconecta quando o servidor encerra o stream', async () => {
+    const events = [];
+    pricingStream.on('disconnected', event => events.push(event));
+    pricingStream.start(['EURUSD']);
+    await flush();
+
+    service.streams[0].end();
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(events[0].error).toMatch(/encerrado/);
+    expect(service.streams).toHaveLength(2);
+    expect(pricingStream.connected).toBe(true);
+    expect(pricingStream.getStatus().reconnects).toBe(1);
+  });
+
+  test('não inicia sem credenciais OANDA', () => {
+    const stream = new PricingStream({ service: { isConfigured: () => false } });
+    expect(stream.start(['EURUSD'])).toEqual([]);
+    expect(stream.running).toBe(false);
+  });
+});
+
+describe('LiveAnalysisService com stream de preços', () => {
+  let stream;
+  let service;
+  let analyzed;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    analyzed = [];
+
+    stream = new EventEmitter();
+    stream.connected = true;
+    stream.start = jest.fn(pairs => pairs.filter(pair => pair !== 'US30'));
+    stream.stop = jest.fn();
+
+    const decisionEngine = { makeDecision: async () => ({ decision: { approved: false }, analyses: {} }) };
+    const marketDataService = { getMarketData: async pair => { analyzed.push(pair); return {}; } };
+
+    service = new LiveAnalysisService(decisionEngine, marketDataService, { pricingStream: stream });
+    service.pairs = ['EURUSD', 'US30'];
+  });
+
+  afterEach(() => {
+    service.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('analisa o par no fechamento do candle do timeframe gatilho', async () => {
+    service.start();
+    await flush();
+    analyzed.length = 0;
+
+    stream.emit('candleClose', { pair: 'EURUSD', timeframe: '1M' });
+    stream.emit('candleClose', { pair: 'EURUSD', timeframe: '5M' });
+    await flush();
+
+    expect(analyzed).toEqual(['EURUSD']);
+    expect(service.getStatus()).toEqual(expect.objectContaining({ mode: 'STREAM', streamedPairs: ['EURUSD'] }));
+  });
+
+  test('grava os candles completos do stream antes de analisar', async () => {
+    const events = [];
+    service.marketDataService.ingestCandle = async (pair, timeframe) => {
+      await flush();
+      events.push(`ingest ${timeframe}`);
+    };
+    service.marketDataService.getMarketData = async () => { events.push('analyze'); return {}; };
+    service.isRunning = true;
+
+    const candle = { timestamp: T0, open: 1.1, high: 1.1, low: 1.1, close: 1.1, volume: 1 };
+    service.onCandleClose({ pair: 'EURUSD', timeframe: '1M', candle, complete: false });
+    service.onCandleClose({ pair: 'EURUSD', timeframe: '5M', candle, complete: true });
+    service.onCandleClose({ pair: 'EURUSD', timeframe: '15M', candle, complete: true });
+    for (let i = 0; i < 5; i++) await flush();
+
+    expect(events).toEqual(['ingest 5M', 'ingest 15M', 'analyze']);
+  });
+
+  test('intervalo cobre só pares fora do stream (todos com o stream desconectado)', () => {
+    service.start();
+
+    expect(service.getPolledPairs()).toEqual(['US30']);
+    stream.connected = false;
+    expect(service.getPolledPairs()).toEqual(['EURUSD', 'US30']);
+  });
+
+  test('candle fechado durante a análise reanalisa o par ao terminar', async () => {
+    service.isRunning = true;
+
+    service.onCandleClose({ pair: 'EURUSD', timeframe: '5M' });
+    service.onCandleClose({ pair: 'EURUSD', timeframe: '5M' });
+    service.onCandleClose({ pair: 'EURUSD', timeframe: '5M' });
+    await flush();
+    await flush();
+
+    expect(analyzed).toEqual(['EURUSD', 'EURUSD']);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * PROFIT / LOSS CALCULATOR TESTS
+ */
+
+const { calculatePips, calculateProfitLoss } = require('../services/profitLossCalculator');
+
+describe('Profit/Loss Calculator', () => {
+  test('should compute BUY and SELL with correct sign', () => {
+    const buy = calculateProfitLoss({
+      instrument: 'EURUSD', direction: 'BUY', entryPrice: 1.1000, exitPrice: 1.1050, stopLoss: 1.0975, units: 10000
+    });
+    const sell = calculateProfitLoss({
+      instrument: 'EURUSD', direction: 'SELL', entryPrice: 1.1000, exitPrice: 1.1050, stopLoss: 1.1025, units: 10000
+    });
+
+    expect(buy.pips).toBe(50);
+    expect(buy.profitLoss).toBe(50);
+    expect(buy.rMultiple).toBe(2);
+
+    expect(sell.pips).toBe(-50);
+    expect(sell.profitLoss).toBe(-50);
+    expect(sell.rMultiple).toBe(-2);
+  });
+
+  test('should use JPY pip scale and convert to account currency', () => {
+    // SELL USDJPY 150.00 → 149.00 = +100 pips, 10.000 unidades = ¥10.000 ≈ $67.11
+    const result = calculateProfitLoss({
+      instrument: 'USDJPY', direction: 'SELL', entryPrice: 150.00, exitPrice: 149.00, stopLoss: 150.50, units: 10000
+    });
+
+    expect(result.pips).toBe(100);
+    expect(result.rMultiple).toBe(2);
+    expect(result.profitLossQuote).toBe(10000);
+    expect(result.profitLoss).toBeCloseTo(67.11, 2);
+  });
+
+  test('should convert cross pairs with explicit rate', () => {
+    const result = calculateProfitLoss({
+      instrument: 'EURGBP',
+      direction: 'BUY',
+      entryPrice: 0.8500,
+      exitPrice: 0.8520,
+      units: 10000,
+      conversionRate: 1.25
+    });
+
+    expect(result.pips).toBe(20);
+    expect(result.profitLossQuote).toBe(20);
+    expect(result.profitLoss).toBe(25);
+    expect(result.rMultiple).toBeNull();
+  });
+
+  test('should handle metals and indices', () => {
+    expect(calculatePips('XAUUSD', 'BUY', 2000, 2001.5)).toBe(150);
+    expect(calculatePips('US30', 'SELL', 38000, 37950)).toBe(50);
+
+    const gold = calculateProfitLoss({
+      instrument: 'XAUUSD', direction: 'BUY', entryPrice: 2000, exitPrice: 1990, units: 10
+    });
+    expect(gold.profitLoss).toBe(-100);
+  });
+
+  test('should reject invalid direction', () => {
+    expect(() => calculatePips('EURUSD', 'LONG', 1.1, 1.2)).toThrow();
+  });
+});
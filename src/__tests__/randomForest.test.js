@@ -0,0 +1,118 @@
+/**
+ * RANDOM FOREST TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RandomForestModel } = require('../ai/mlModels/randomForestModel');
+
+function createRandom(seed = 42) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Label = feature 0 acima de 0.5 OU feature 2 abaixo de 0.2; features 1 e 3 são ruído, 4 é constante
+function createDataset(size, random) {
+  const features = [];
+  const labels = [];
+
+  for (let i = 0; i < size; i++) {
+    const row = [random(), random(), random(), random(), 0];
+    features.push(row);
+    labels.push(row[0] > 0.5 || row[2] < 0.2 ? 1 : 0);
+  }
+
+  return { features, labels };
+}
+
+describe('RandomForestModel', () => {
+  let model;
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rf-model-'));
+    model = new RandomForestModel({ nTrees: 30, maxDepth: 6 });
+    model.modelPath = tmpDir;
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('treina floresta com bagging e reporta accuracy out-of-bag', async () => {
+    const { features, labels } = createDataset(800, createRandom(11));
+    const progress = [];
+
+    const result = await model.train(features, labels, { onProgress: percent => progress.push(percent) });
+
+    expect(result.success).toBe(true);
+    expect(result.trees).toBe(30);
+    expect(result.oobAccuracy).toBeGreaterThan(0.9);
+    expect(result.finalAccuracy).toBeGreaterThanOrEqual(result.oobAccuracy);
+    expect(progress[progress.length - 1]).toBe(100);
+
+    // Cada árvore deixa ~37% das amostras fora do bootstrap: quase todas avaliadas
+    expect(model.getStatus().trainingStats.oobSamples).toBeGreaterThan(780);
+
+    expect(await model.predict([0.9, 0.5, 0.5, 0.5, 0])).toBeGreaterThan(0.8);
+    expect(await model.predict([0.1, 0.5, 0.5, 0.5, 0])).toBeLessThan(0.2);
+  });
+
+  test('importância concentrada nas features informativas', async () => {
+    const { features, labels } = createDataset(800, createRandom(5));
+
+    await model.train(features, labels, { featureNames: ['trend', 'noiseA', 'momentum', 'noiseB', 'padding'] });
+
+    const importances = model.getFeatureImportances();
+    expect(importances.slice(0, 2).map(item => item.feature).sort()).toEqual(['momentum', 'trend']);
+    expect(importances.find(item => item.feature === 'padding')).toBeUndefined();
+    expect(importances.reduce((sum, item) => sum + item.importance, 0)).toBeCloseTo(1, 10);
+  });
+
+  test('profundidade e quantidade de árvores configuráveis', async () => {
+    model.configure({ nTrees: 5, maxDepth: 1 });
+    const { features, labels } = createDataset(200, createRandom(2));
+
+    const result = await model.train(features, labels);
+
+    expect(result.trees).toBe(5);
+    for (const tree of model.trees) {
+      expect(tree.root.left.left).toBeUndefined();
+    }
+  });
+
+  test('salva e carrega com as mesmas predições; ignora formato antigo', async () => {
+    const { features, labels } = createDataset(300, createRandom(8));
+    await model.train(features, labels);
+    await model.saveModel();
+
+    const loaded = new RandomForestModel();
+    loaded.modelPath = tmpDir;
+    expect((await loaded.loadModel()).success).toBe(true);
+    expect(loaded.getStatus().oobAccuracy).toBe(model.getStatus().oobAccuracy);
+    for (const row of features.slice(0, 20)) {
+      expect(await loaded.predict(row)).toBe(await model.predict(row));
+    }
+
+    fs.writeFileSync(path.join(tmpDir, 'model.json'), JSON.stringify({ modelTopology: {}, weightsManifest: [] }));
+    const legacy = new RandomForestModel();
+    legacy.modelPath = tmpDir;
+    expect((await legacy.loadModel()).success).toBe(false);
+    expect(legacy.isTrained).toBe(false);
+  });
+
+  test('cancelamento interrompe sem marcar o modelo como treinado', async () => {
+    const { features, labels } = createDataset(100, createRandom(4));
+
+    const result = await model.train(features, labels, { isCancelled: () => true });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, cancelled: true }));
+    expect(model.isTrained).toBe(false);
+  });
+});
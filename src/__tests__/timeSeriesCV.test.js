@@ -0,0 +1,150 @@
+/**
+ * TIME SERIES CROSS-VALIDATION TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Registry em diretório temporário (lido ao carregar o módulo)
+const registryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cv-registry-'));
+process.env.MODEL_REGISTRY_PATH = registryDir;
+
+const { buildFolds, evaluatePredictions, crossValidate } = require('../ai/timeSeriesCV');
+const mlTrainer = require('../ai/mlTrainer');
+const randomForestModel = require('../ai/mlModels/randomForestModel');
+const modelRegistry = require('../ai/modelRegistry');
+
+function createCandles(count) {
+  const candles = [];
+  let price = 1.1;
+
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = price * (1 + Math.sin(i / 9) * 0.003 + Math.cos(i / 4) * 0.001);
+    candles.push({
+      timestamp: Date.UTC(2026, 0, 1) + i * 3600000,
+      open,
+      high: Math.max(open, price) + 0.0005,
+      low: Math.min(open, price) - 0.0005,
+      close: price,
+      volume: 100 + (i % 7) * 15
+    });
+  }
+
+  return candles;
+}
+
+afterAll(() => {
+  fs.rmSync(registryDir, { recursive: true, force: true });
+});
+
+describe('buildFolds', () => {
+  test('walk-forward: treino sempre antes do teste, purge + embargo entre eles', () => {
+    const folds = buildFolds(600, { folds: 5, labelHorizon: 5, embargo: 10 });
+
+    expect(folds).toHaveLength(5);
+    expect(folds.map(fold => fold.testStart)).toEqual([100, 200, 300, 400, 500]);
+    expect(folds[4].testEnd).toBe(600);
+
+    for (const fold of folds) {
+      expect(fold.trainStart).toBe(0);
+      // Último label do treino (i + horizonte) não alcança o teste
+      expect(fold.trainEnd - 1 + 5).toBeLessThan(fold.testStart);
+      expect(fold.testStart - fold.trainEnd).toBe(15);
+    }
+  });
+
+  test('janela deslizante e validação do tamanho mínimo', () => {
+    const folds = buildFolds(600, { folds: 2, maxTrainSize: 150 });
+    expect(folds[1]).toEqual(expect.objectContaining({ trainStart: 250, trainEnd: 400, testStart: 400 }));
+
+    expect(() => buildFolds(100, { folds: 5, labelHorizon: 5, minTrainSize: 50 })).toThrow(/mínimo 50/);
+    expect(() => buildFolds(3, { folds: 5 })).toThrow(/insuficientes/);
+  });
+});
+
+describe('evaluatePredictions', () => {
+  test('accuracy, precisão/recall por classe, Brier e calibração', () => {
+    const probabilities = [0.9, 0.8, 0.7, 0.2, 0.1, 0.6];
+    const labels = [1, 1, 0, 0, 0, 1];
+
+    const metrics = evaluatePredictions(probabilities, labels, { bins: 2 });
+
+    expect(metrics.accuracy).toBeCloseTo(5 / 6, 4);
+    expect(metrics.classes.BUY).toEqual({ precision: 0.75, recall: 1, support: 3 });
+    expect(metrics.classes.SELL).toEqual({ precision: 1, recall: 0.6667, support: 3 });
+    expect(metrics.brierScore).toBeCloseTo((0.01 + 0.04 + 0.49 + 0.04 + 0.01 + 0.16) / 6, 4);
+
+    // Faixa [0.5, 1): previsto médio 0.75, observado 3/4
+    expect(metrics.calibration.bins).toEqual([
+      { from: 0, to: 0.5, count: 2, meanPredicted: 0.15, observedRate: 0 },
+      { from: 0.5, to: 1, count: 4, meanPredicted: 0.75, observedRate: 0.75 }
+    ]);
+    expect(metrics.calibration.expectedCalibrationError).toBeCloseTo((2 / 6) * 0.15, 4);
+  });
+});
+
+describe('crossValidate', () => {
+  test('modelo recebe só índices passados e relatório agrega os folds', async () => {
+    const labels = Array.from({ length: 300 }, (_, i) => (i % 3 === 0 ? 1 : 0));
+    const timestamps = labels.map((_, i) => Date.UTC(2026, 0, 1) + i * 3600000);
+    const calls = [];
+
+    const report = await crossValidate(labels, async (trainIndices, testIndices) => {
+      calls.push({ maxTrain: Math.max(...trainIndices), minTest: Math.min(...testIndices) });
+      const rate = trainIndices.reduce((sum, i) => sum + labels[i], 0) / trainIndices.length;
+      return testIndices.map(() => rate);
+    }, { folds: 3, labelHorizon: 5, embargo: 2, minTrainSize: 20, timestamps });
+
+    expect(calls.every(call => call.maxTrain + 5 < call.minTest)).toBe(true);
+    expect(report.method).toBe('purged-walk-forward');
+    expect(report.config).toEqual({ folds: 3, labelHorizon: 5, embargo: 2, maxTrainSize: null });
+    expect(report.folds).toHaveLength(3);
+    expect(report.folds[0].test.from).toBe(new Date(timestamps[75]).toISOString());
+    expect(report.outOfFold.samples).toBe(225);
+    expect(report.summary.accuracy).toBeCloseTo(2 / 3, 2); // Sempre SELL (taxa ~0.33)
+  });
+
+  test('cancelamento entre folds', async () => {
+    const labels = new Array(200).fill(0);
+    const report = await crossValidate(labels, async () => null, { folds: 2, minTrainSize: 10 });
+
+    expect(report).toEqual({ cancelled: true });
+  });
+});
+
+describe('mlTrainer com validação walk-forward', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('valida antes do treino final e guarda o relatório na versão registrada', async () => {
+    const originalConfig = { ...randomForestModel.config };
+    randomForestModel.configure({ nTrees: 5, maxDepth: 3 });
+
+    try {
+      const result = await mlTrainer.trainModels({ '1H': createCandles(700) }, {
+        models: ['randomForest'],
+        pair: 'EURUSD',
+        cv: { folds: 3 }
+      });
+
+      const rf = result.results.randomForest;
+      expect(rf.success).toBe(true);
+      expect(rf.validation.folds).toHaveLength(3);
+      expect(rf.validation.config).toEqual(expect.objectContaining({ labelHorizon: 5, embargo: 10 }));
+      expect(rf.cvAccuracy).toBe(rf.validation.summary.accuracy);
+
+      const version = await modelRegistry.getVersion('randomForest', rf.version);
+      expect(version.validation.summary).toEqual(rf.validation.summary);
+      expect(version.metrics.cvBrierScore).toBe(rf.validation.summary.brierScore);
+    } finally {
+      randomForestModel.configure(originalConfig);
+    }
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * TRADE LIFECYCLE TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReinforcementLearningEngine = require('../ai/reinforcementLearning');
+const TradeLifecycleService = require('../services/tradeLifecycleService');
+
+const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+// Model Trade em memória (mesma interface usada do Sequelize)
+function createTradeModelMock() {
+  const rows = [];
+
+  return {
+    rows,
+    async create(record) {
+      const row = { ...record, save: async () => row };
+      rows.push(row);
+      return row;
+    },
+    async findOne({ where }) {
+      return rows.find(r => matches(r, where)) || null;
+    },
+    async findAll({ where } = {}) {
+      return where ? rows.filter(r => matches(r, where)) : rows;
+    }
+  };
+}
+
+const approvedSignal = {
+  timestamp: '2026-01-05T10:00:00.000Z',
+  instrument: 'EURUSD',
+  type: 'BUY',
+  order_type: 'MARKET',
+  entry_price: 1.0850,
+  stop_loss: 1.0820,
+  take_profit: 1.0940,
+  risk_reward: 3,
+  probability: 78,
+  timeframe: '15M',
+  decision: {
+    signal: 'TRADE_APPROVED',
+    probability: { overall: 78, technical: 75 },
+    criteria: { smartMoneyConfirms: true, riskRewardOk: true },
+    confluenceScore: 5,
+    smartMoneyPatterns: ['BULLISH_SWEEP', 'BULLISH_OB'],
+    justification: 'Setup institucional'
+  }
+};
+
+describe('Trade Lifecycle Service', () => {
+  let tmpDir;
+  let Trade;
+  let rl;
+  let lifecycle;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifecycle-'));
+    rl = new ReinforcementLearningEngine({
+      historyFile: path.join(tmpDir, 'trade_history.json'),
+      modelWeightsFile: path.join(tmpDir, 'model_weights.json')
+    });
+    Trade = createTradeModelMock();
+    lifecycle = new TradeLifecycleService(rl);
+    lifecycle.attachDatabase(Trade);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should persist decision context on execution', async () => {
+    await lifecycle.recordExecution(
+      approvedSignal,
+      { orderId: '101', tradeId: '102', fillPrice: 1.0851 },
+      { units: 33000, riskAmount: 100 },
+      'user-1'
+    );
+
+    const row = Trade.rows[0];
+    expect(row.tradeId).toBe('102');
+    expect(row.result).toBe('OPEN');
+    expect(row.entryPrice).toBe(1.0851);
+    expect(row.units).toBe(33000);
+    expect(row.probability).toBe(78);
+    expect(row.riskReward).toBe(3);
+    expect(row.timeframe).toBe('15M');
+    expect(row.confluenceScore).toBe(5);
+    expect(row.criteria.smartMoneyConfirms).toBe(true);
+    expect(row.smartMoneyPatterns).toEqual(['BULLISH_SWEEP', 'BULLISH_OB']);
+    expect(row.justification.text).toBe('Setup institucional');
+
+    // Com Postgres, o RL não grava trade_history.json
+    expect(fs.existsSync(path.join(tmpDir, 'trade_history.json'))).toBe(false);
+  });
+
+  test('should close trade and rebuild RL stats from the database', async () => {
+    await lifecycle.recordExecution(approvedSignal, { tradeId: '201', fillPrice: 1.0850 }, { units: 10000 });
+    await lifecycle.recordExecution(approvedSignal, { tradeId: '202', fillPrice: 1.0850 }, { units: 10000 });
+
+    await lifecycle.closeTrade('201', { result: 'WIN', exitPrice: 1.0940 });
+    await lifecycle.closeTrade('202', { result: 'LOSS', exitPrice: 1.0820 });
+
+    const win = Trade.rows[0];
+    expect(win.result).toBe('WIN');
+    expect(win.exitPrice).toBe(1.0940);
+    expect(win.exitTimestamp).toBeInstanceOf(Date);
+    expect(win.pips).toBeCloseTo(90, 1);
+    expect(win.profitLoss).toBeCloseTo(90, 5);
+
+    const rebuild = await rl.rebuildFromHistory();
+    expect(rebuild.tradesReplayed).toBe(2);
+    expect(rl.getGlobalStats().wins).toBe(1);
+    expect(rl.getGlobalStats().losses).toBe(1);
+    expect(rl.getGlobalStats().winRate).toBe('50.00');
+  });
+
+  test('should convert cross pair P/L with the live rate at close', async () => {
+    const requests = [];
+    lifecycle.conversionRates = {
+      resolveConversionRate: async (...args) => { requests.push(args); return 1.3; }
+    };
+    const crossSignal = { ...approvedSignal, instrument: 'EURGBP', entry_price: 0.8500, stop_loss: 0.8470, take_profit: 0.8590 };
+
+    await lifecycle.recordExecution(crossSignal, { tradeId: '251', fillPrice: 0.8500 }, { units: 10000 });
+    await lifecycle.recordExecution(crossSignal, { tradeId: '252', fillPrice: 0.8500 }, { units: 10000 });
+    await lifecycle.closeTrade('251', { result: 'WIN', exitPrice: 0.8590 });
+    await lifecycle.closeTrade('252', { result: 'LOSS', exitPrice: 0.8470, profitLoss: -39.5 });
+
+    // 90 pips × 10000 unidades = 90 GBP → 117 USD
+    expect(Trade.rows[0].profitLoss).toBeCloseTo(117, 5);
+    expect(requests).toEqual([['EURGBP', 'USD', 0.8590]]);
+    // P/L da corretora já vem convertido
+    expect(Trade.rows[1].profitLoss).toBe(-39.5);
+  });
+
+  test('should not close the same trade twice', async () => {
+    await lifecycle.recordExecution(approvedSignal, { tradeId: '301', fillPrice: 1.0850 }, { units: 10000 });
+    await lifecycle.closeTrade('301', { result: 'WIN', exitPrice: 1.0940 });
+
+    const second = await lifecycle.closeTrade('301', { result: 'LOSS', exitPrice: 1.0820 });
+    expect(second.alreadyClosed).toBe(true);
+    expect(Trade.rows[0].result).toBe('WIN');
+  });
+
+  test('should link LIMIT order fill to broker trade id', async () => {
+    await lifecycle.recordExecution(
+      { ...approvedSignal, order_type: 'LIMIT' },
+      { orderId: '401' },
+      { units: 10000 }
+    );
+
+    await lifecycle.linkOrderFill('401', '402', 1.0849);
+
+    expect(Trade.rows[0].tradeId).toBe('402');
+    expect(Trade.rows[0].entryPrice).toBe(1.0849);
+    expect(await lifecycle.getOpenTradeIds()).toEqual(['402']);
+  });
+});
+
+describe('Trade Lifecycle Service sem Postgres', () => {
+  let tmpDir;
+  let rl;
+  let lifecycle;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifecycle-json-'));
+    rl = new ReinforcementLearningEngine({
+      historyFile: path.join(tmpDir, 'trade_history.json'),
+      modelWeightsFile: path.join(tmpDir, 'model_weights.json')
+    });
+    lifecycle = new TradeLifecycleService(rl);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should compute P/L from the RL history record', async () => {
+    await lifecycle.recordExecution(approvedSignal, { tradeId: '501', fillPrice: 1.0850 }, { units: 10000 });
+
+    const closed = await lifecycle.closeTrade('501', { result: 'WIN', exitPrice: 1.0940 });
+
+    expect(closed.trade).toEqual(expect.objectContaining({ result: 'WIN', pips: 90, rMultiple: 3 }));
+    expect(closed.trade.profitLoss).toBeCloseTo(90, 5);
+    const [stored] = JSON.parse(fs.readFileSync(path.join(tmpDir, 'trade_history.json'), 'utf8'));
+    expect(stored.profit).toBeCloseTo(90, 5);
+  });
+
+  test('should report unknown and already closed trades like the database path', async () => {
+    await lifecycle.recordExecution(approvedSignal, { tradeId: '504', fillPrice: 1.0850 }, { units: 10000 });
+    await lifecycle.closeTrade('504', { result: 'WIN', exitPrice: 1.0940 });
+
+    expect(await lifecycle.closeTrade('999', { result: 'WIN', exitPrice: 1.0940 })).toEqual({ trade: null, notFound: true });
+
+    const second = await lifecycle.closeTrade('504', { result: 'LOSS', exitPrice: 1.0820 });
+    expect(second.alreadyClosed).toBe(true);
+    expect((await rl.findTrade('504')).result).toBe('WIN');
+  });
+
+  test('should refuse to close a record without units instead of learning a zero P/L', async () => {
+    await rl.registerTrade({ id: '502', pair: 'EURUSD', direction: 'BUY', entry: 1.0850, stopLoss: 1.0820 });
+
+    expect(await lifecycle.closeTrade('502', { result: 'WIN', exitPrice: 1.0940 }))
+      .toEqual({ trade: null, profitLossUnknown: true });
+    expect((await rl.findTrade('502')).result).toBe('OPEN');
+  });
+
+  test('should not guess the instrument of a trade without pair', async () => {
+    await rl.registerTrade({ id: '503', direction: 'BUY', entry: 1.0850 });
+
+    await expect(rl.updateTradeResult('503', 'WIN', 1.0940, 10)).rejects.toThrow(/sem par/);
+    expect((await rl.findTrade('503')).result).toBe('OPEN');
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * WALK-FORWARD OPTIMIZER TESTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DecisionEngine = require('../ai/decisionEngine');
+const walkForwardOptimizer = require('../backtest/walkForwardOptimizer');
+
+const START = Date.UTC(2026, 0, 5);
+const DAY = 24 * 3600000;
+const TF_MS = { '5M': 300000, '15M': 900000, '1H': 3600000, '4H': 14400000 };
+
+// Série em alta constante: BUY atinge TP, SELL atinge SL
+function buildMarketData() {
+  const data = {};
+  const from = START - 30 * DAY;
+  const to = START + 6 * DAY;
+
+  for (const [tf, ms] of Object.entries(TF_MS)) {
+    data[tf] = [];
+    for (let t = from; t < to; t += ms) {
+      const open = 1.1 + (t - from) / 60000 * 0.00001;
+      const close = open + ms / 60000 * 0.00001;
+      data[tf].push({ timestamp: t, open, high: close + 0.0002, low: open - 0.0002, close, volume: 1000 });
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Motor fake: confiança alta → BUY (vence), confiança baixa → SELL (perde)
+ * Aprovação depende apenas de minMLProbability do perfil ativo
+ */
+function createFakeEngine() {
+  return {
+    analysesCalls: 0,
+    decisionCalls: 0,
+    profile: {},
+    setThresholdProfile(pair, thresholds) {
+      this.profile = thresholds;
+    },
+    async runAnalyses(marketData) {
+      this.analysesCalls++;
+      const last = marketData['5M'][marketData['5M'].length - 1];
+      const strong = new Date(last.timestamp).getUTCHours() % 2 === 0;
+      return {
+        smartMoney: { timeframes: {} },
+        technical: { confidence: strong ? 70 : 52, direction: strong ? 'BUY' : 'SELL' },
+        fundamental: {},
+        correlation: {},
+        price: last.close
+      };
+    },
+    processDecision(smartMoney, technical, fundamental, correlation, pair, marketData) {
+      this.decisionCalls++;
+      if (technical.confidence < this.profile.minMLProbability) {
+        return { signal: 'NO_TRADE', approved: false };
+      }
+
+      const price = marketData['5M'][marketData['5M'].length - 1].close;
+      const isBuy = technical.direction === 'BUY';
+      return {
+        signal: 'TRADE_APPROVED',
+        approved: true,
+        direction: technical.direction,
+        setup: {
+          orderType: 'MARKET',
+          entry: price.toFixed(5),
+          stopLoss: (isBuy ? price - 0.0010 : price + 0.0010).toFixed(5),
+          takeProfit: (isBuy ? price + 0.0020 : price - 0.0020).toFixed(5),
+          riskReward: '2.00'
+        }
+      };
+    }
+  };
+}
+
+describe('Walk-Forward Optimizer', () => {
+  const marketData = buildMarketData();
+
+  test('should pick thresholds in-sample and validate out-of-sample', async () => {
+    const engine = createFakeEngine();
+
+    const result = await walkForwardOptimizer.optimize(marketData, 'EURUSD', {
+      startDate: new Date(START),
+      endDate: new Date(START + 5 * DAY),
+      inSampleDays: 2,
+      outOfSampleDays: 1,
+      paramSpace: { minMLProbability: [50, 66] },
+      minTrades: 1,
+      decisionEngine: engine,
+      backtest: { step: 10 }
+    });
+
+    expect(result.windows).toHaveLength(3);
+    result.windows.forEach(w => {
+      expect(w.thresholds.minMLProbability).toBe(66);
+      expect(w.outOfSample.stats.trades).toBeGreaterThan(0);
+      expect(w.window.outOfSample.start.getTime()).toBe(w.window.inSample.end.getTime());
+    });
+
+    expect(result.recommendedThresholds).toEqual({ minMLProbability: 66 });
+    expect(result.stability.minMLProbability.consistency).toBe(100);
+    expect(result.outOfSample.winRate).toBe(100);
+    expect(typeof result.overfitting.avgGap).toBe('number');
+
+    // Análises calculadas uma vez por ponto de decisão, reaproveitadas entre combinações
+    expect(engine.analysesCalls).toBeLessThan(engine.decisionCalls);
+  });
+
+  test('should report progress per backtest and stop when cancelled', async () => {
+    const options = {
+      startDate: new Date(START),
+      endDate: new Date(START + 5 * DAY),
+      inSampleDays: 2,
+      outOfSampleDays: 1,
+      paramSpace: { minMLProbability: [50, 66] },
+      minTrades: 1,
+      decisionEngine: createFakeEngine(),
+      backtest: { step: 10 }
+    };
+    const progress = [];
+
+    await walkForwardOptimizer.optimize(marketData, 'EURUSD', { ...options, onProgress: percent => progress.push(percent) });
+
+    expect(progress).toHaveLength(3 * 3);
+    expect(progress[progress.length - 1]).toBe(100);
+
+    await expect(walkForwardOptimizer.optimize(marketData, 'EURUSD', { ...options, isCancelled: () => true }))
+      .rejects.toThrow('Backtest cancelado');
+  });
+
+  test('should sample random candidates reproducibly', () => {
+    const options = { search: 'random', samples: 5, seed: 3 };
+    const first = walkForwardOptimizer.buildCandidates(options);
+
+    expect(first).toHaveLength(5);
+    expect(walkForwardOptimizer.buildCandidates(options)).toEqual(first);
+    expect(walkForwardOptimizer.buildCandidates({})).toHaveLength(5 * 4 * 4 * 3);
+  });
+
+  test('should recommend a tested grid value with an even number of windows', () => {
+    const windows = [70, 62, 66, 58].map(value => ({ thresholds: { minMLProbability: value, minRiskReward: 2 } }));
+
+    expect(walkForwardOptimizer.recommendThresholds(windows)).toEqual({ minMLProbability: 62, minRiskReward: 2 });
+  });
+
+  test('should reject ranges shorter than one window', () => {
+    expect(() => walkForwardOptimizer.buildWindows({
+      startDate: new Date(START),
+      endDate: new Date(START + 10 * DAY)
+    })).toThrow('Período insuficiente');
+  });
+
+  test('should export profiles loaded by DecisionEngine at runtime', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    const profilesFile = path.join(tmpDir, 'threshold_profiles.json');
+    const originalFile = walkForwardOptimizer.profilesFile;
+    walkForwardOptimizer.profilesFile = profilesFile;
+
+    try {
+      await walkForwardOptimizer.exportProfile('EURUSD', {
+        objective: 'avgR',
+        windows: [],
+        recommendedThresholds: { minMLProbability: 62, minRiskReward: 2.5 },
+        outOfSample: {},
+        overfitting: {}
+      });
+
+      const engine = new DecisionEngine({ profilesFile });
+      const thresholds = engine.getThresholds('EURUSD');
+
+      expect(thresholds.minMLProbability).toBe(62);
+      expect(thresholds.minRiskReward).toBe(2.5);
+      expect(thresholds.minConfluence).toBe(engine.thresholds.minConfluence);
+      expect(engine.getThresholds('GBPUSD')).toEqual(engine.thresholds);
+    } finally {
+      walkForwardOptimizer.profilesFile = originalFile;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
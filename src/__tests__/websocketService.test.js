@@ -0,0 +1,134 @@
+/**
+ * WEBSOCKET SERVICE TESTS
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const { WebSocket } = require('ws');
+const websocketService = require('../services/websocketService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_jwt_key_change_in_production';
+
+// Mock do LiveAnalysisService (apenas eventos e leitura)
+function createLiveServiceMock() {
+  const service = new EventEmitter();
+  const signals = [
+    { pair: 'EURUSD', approved: true, direction: 'BUY', score: 80, fullDecision: {} },
+    { pair: 'GBPUSD', approved: false, direction: 'NEUTRAL', score: 40, fullDecision: {} }
+  ];
+
+  service.getLiveSignals = () => ({ signals });
+  service.getStatus = () => ({ isRunning: true });
+  service.serializeSignal = (signal) => {
+    const { fullDecision, ...summary } = signal;
+    return summary;
+  };
+
+  return service;
+}
+
+// Cliente que acumula mensagens recebidas
+function connect(port, query = '') {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/ws${query}`);
+    ws.messages = [];
+    ws.on('message', (raw) => ws.messages.push(JSON.parse(raw.toString())));
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+}
+
+function waitForMessage(ws, type) {
+  return new Promise((resolve) => {
+    const existing = ws.messages.find(m => m.type === type);
+    if (existing) return resolve(existing);
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === type) resolve(message);
+    });
+  });
+}
+
+describe('WebSocket Service', () => {
+  let server;
+  let port;
+  let liveService;
+  const token = jwt.sign({ id: 'user-1', username: 'trader', role: 'trader' }, JWT_SECRET);
+
+  beforeAll((done) => {
+    liveService = createLiveServiceMock();
+    server = http.createServer();
+    websocketService.attach(server, liveService);
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    websocketService.close();
+    server.close(done);
+  });
+
+  test('should reject invalid token', async () => {
+    const ws = await connect(port, '?token=invalid');
+    const code = await new Promise(resolve => ws.on('close', resolve));
+    expect(code).toBe(4003);
+  });
+
+  test('should authenticate with token in query string', async () => {
+    const ws = await connect(port, `?token=${token}`);
+    const message = await waitForMessage(ws, 'authenticated');
+    expect(message.user.username).toBe('trader');
+    ws.close();
+  });
+
+  test('should authenticate with auth message and send snapshot on subscribe', async () => {
+    const ws = await connect(port);
+    ws.send(JSON.stringify({ type: 'auth', token }));
+    await waitForMessage(ws, 'authenticated');
+
+    ws.send(JSON.stringify({ type: 'subscribe', pairs: ['EURUSD'] }));
+    const snapshot = await waitForMessage(ws, 'snapshot');
+
+    expect(snapshot.signals).toHaveLength(1);
+    expect(snapshot.signals[0].pair).toBe('EURUSD');
+    expect(snapshot.signals[0].fullDecision).toBeUndefined();
+    ws.close();
+  });
+
+  test('should only push events for subscribed pairs', async () => {
+    const ws = await connect(port, `?token=${token}`);
+    await waitForMessage(ws, 'authenticated');
+    ws.send(JSON.stringify({ type: 'subscribe', pairs: ['GBPUSD'] }));
+    await waitForMessage(ws, 'snapshot');
+
+    liveService.emit('signal', { change: 'CHANGED', signal: { pair: 'EURUSD', approved: true } });
+    liveService.emit('approval', {
+      pair: 'GBPUSD',
+      from: 'REJECTED',
+      to: 'APPROVED',
+      signal: { pair: 'GBPUSD', approved: true }
+    });
+
+    const approval = await waitForMessage(ws, 'approval');
+    expect(approval.pair).toBe('GBPUSD');
+    expect(approval.to).toBe('APPROVED');
+    expect(ws.messages.some(m => m.type === 'signal')).toBe(false);
+    ws.close();
+  });
+
+  test('should normalize subscriptions like the pairs in the events', () => {
+    expect(websocketService.normalizePairs(['eur/usd', 'XAU_USD', 'US30_USD', '*'])).toEqual(['EURUSD', 'XAUUSD', 'US30', '*']);
+  });
+
+  test('should require authentication before subscribing', async () => {
+    const ws = await connect(port);
+    ws.send(JSON.stringify({ type: 'subscribe', pairs: ['EURUSD'] }));
+    const error = await waitForMessage(ws, 'error');
+    expect(error.error).toBe('Autenticação necessária');
+    ws.close();
+  });
+});
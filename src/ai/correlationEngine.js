@@ -310,6 +310,68 @@ class CorrelationEngine {
     return [pair.substring(0, 3), pair.substring(3, 6)];
   }
 
+  /**
+   * Exposição de um par aos mercados: base comprada, quote vendida
+   * (moedas fora da matriz, ex: índices, não contribuem)
+   */
+  getPairExposure(pair) {
+    const [base, quote] = this.parsePair(pair);
+    const baseCorr = this.getCurrencyCorrelations(base);
+    const quoteCorr = this.getCurrencyCorrelations(quote);
+
+    const exposure = {};
+    for (const market of Object.keys(baseCorr)) {
+      exposure[market] = baseCorr[market] - quoteCorr[market];
+    }
+
+    return exposure;
+  }
+
+  /**
+   * Correlação estimada entre dois pares (-1 a +1)
+   * Similaridade (cosseno) das exposições de cada par aos mercados:
+   * pares que reagem aos mesmos mercados no mesmo sentido carregam o mesmo risco
+   */
+  getPairCorrelation(pairA, pairB) {
+    if (pairA === pairB) return 1;
+
+    const a = this.getPairExposure(pairA);
+    const b = this.getPairExposure(pairB);
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (const market of Object.keys(this.marketData)) {
+      const x = a[market] || 0;
+      const y = b[market] || 0;
+      dot += x * y;
+      normA += x * x;
+      normB += y * y;
+    }
+
+    // Par sem exposição conhecida (ex: índices): sem correlação
+    if (normA === 0 || normB === 0) return 0;
+
+    return dot / Math.sqrt(normA * normB);
+  }
+
+  /**
+   * Matriz de correlação entre pares
+   */
+  getPairCorrelationMatrix(pairs) {
+    const matrix = {};
+
+    for (const pairA of pairs) {
+      matrix[pairA] = {};
+      for (const pairB of pairs) {
+        matrix[pairA][pairB] = parseFloat(this.getPairCorrelation(pairA, pairB).toFixed(2));
+      }
+    }
+
+    return matrix;
+  }
+
   /**
    * Atualiza dados de mercado (em produção, viria de WebSocket/API)
    */
@@ -20,13 +20,24 @@
  * ❌ Se qualquer critério falhar → NÃO OPERAR
  */
 
+const fs = require('fs');
+const path = require('path');
 const SmartMoneyEngine = require('./smartMoneyEngine');
 const TechnicalMLEngine = require('./technicalMLEngine');
 const FundamentalEngine = require('./fundamentalEngine');
 const CorrelationEngine = require('./correlationEngine');
+const { version: ENGINE_VERSION } = require('../../package.json');
+
+// Perfis de thresholds por par (gerados pelo walk-forward optimizer)
+const DEFAULT_PROFILES_FILE = process.env.THRESHOLD_PROFILES_PATH
+  || path.join(__dirname, '../../data/threshold_profiles.json');
 
 class DecisionEngine {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.profilesFile - Arquivo de perfis de thresholds por par
+   */
+  constructor(options = {}) {
     this.smartMoney = new SmartMoneyEngine();
     this.technicalML = new TechnicalMLEngine();
     this.fundamental = new FundamentalEngine();
@@ -42,11 +53,73 @@ class DecisionEngine {
       minConfluence: 3              // Mínimo 3 pontos de confluência (relaxado de 5)
     };
 
+    // Perfis por par sobrepõem os thresholds padrão
+    this.profilesFile = options.profilesFile || DEFAULT_PROFILES_FILE;
+    this.thresholdProfiles = {};
+    this.loadThresholdProfiles();
+
     // Anti-overtrading control
     this.consecutiveLosses = 0;
     this.maxConsecutiveLosses = 3;
   }
 
+  /**
+   * Carrega perfis de thresholds salvos (arquivo ausente = sem perfis)
+   */
+  loadThresholdProfiles() {
+    try {
+      const profiles = JSON.parse(fs.readFileSync(this.profilesFile, 'utf8'));
+      this.thresholdProfiles = {};
+      Object.entries(profiles).forEach(([pair, profile]) => this.setThresholdProfile(pair, profile.thresholds || profile));
+
+      const pairs = Object.keys(this.thresholdProfiles);
+      if (pairs.length > 0) {
+        console.log(`🎚️  Perfis de thresholds carregados: ${pairs.join(', ')}`);
+      }
+    } catch (error) {
+      this.thresholdProfiles = {};
+    }
+
+    return this.thresholdProfiles;
+  }
+
+  /**
+   * Define perfil de thresholds de um par em runtime
+   * Apenas chaves conhecidas com valores numéricos são aceitas
+   */
+  setThresholdProfile(pair, thresholds) {
+    const profile = {};
+
+    Object.keys(this.thresholds).forEach(key => {
+      const value = parseFloat(thresholds?.[key]);
+      if (Number.isFinite(value)) profile[key] = value;
+    });
+
+    this.thresholdProfiles[String(pair).toUpperCase()] = profile;
+    return this.getThresholds(pair);
+  }
+
+  /**
+   * Thresholds efetivos do par (padrão + perfil)
+   */
+  getThresholds(pair) {
+    const profile = pair ? this.thresholdProfiles[String(pair).toUpperCase()] : null;
+    return { ...this.thresholds, ...(profile || {}) };
+  }
+
+  /**
+   * Versão do motor e thresholds efetivos (registro de backtests)
+   * @param {Array} pairs - Pares cujos thresholds entram no snapshot
+   */
+  getSnapshot(pairs = []) {
+    return {
+      version: ENGINE_VERSION,
+      defaults: { ...this.thresholds },
+      thresholds: Object.fromEntries(pairs.map(pair => [pair, this.getThresholds(pair)])),
+      maxConsecutiveLosses: this.maxConsecutiveLosses
+    };
+  }
+
   /**
    * Análise completa e decisão final
    * @param {Object} marketData - Dados OHLCV de todos os timeframes
@@ -66,6 +139,39 @@ class DecisionEngine {
       return this.generateDemoApprovedTrade(pair, startTime);
     }
 
+    const analyses = await this.runAnalyses(marketData, pair);
+
+    // ====================================
+    // ETAPA 5: DECISION MAKING
+    // ====================================
+    console.log('[5/5] Processando decisão final...\n');
+
+    const decision = this.processDecision(
+      analyses.smartMoney,
+      analyses.technical,
+      analyses.fundamental,
+      analyses.correlation,
+      pair,
+      marketData
+    );
+
+    const executionTime = Date.now() - startTime;
+
+    return {
+      timestamp: new Date(),
+      pair,
+      executionTime: `${executionTime}ms`,
+      analyses,
+      decision,
+      ...(marketData.quality ? { dataQuality: marketData.quality } : {})
+    };
+  }
+
+  /**
+   * Etapas 1-4: análises dos motores (independentes dos thresholds)
+   * @returns {Object} { smartMoney, technical, fundamental, correlation }
+   */
+  async runAnalyses(marketData, pair) {
     // ====================================
     // ETAPA 1: SMART MONEY ANALYSIS
     // ====================================
@@ -100,33 +206,11 @@ class DecisionEngine {
 
     const correlationAnalysis = this.correlation.analyze(pair, proposedDirection);
 
-    // ====================================
-    // ETAPA 5: DECISION MAKING
-    // ====================================
-    console.log('[5/5] Processando decisão final...\n');
-
-    const decision = this.processDecision(
-      smartMoneyAnalysis,
-      technicalAnalysis,
-      fundamentalAnalysis,
-      correlationAnalysis,
-      pair,
-      marketData
-    );
-
-    const executionTime = Date.now() - startTime;
-
     return {
-      timestamp: new Date(),
-      pair,
-      executionTime: `${executionTime}ms`,
-      analyses: {
-        smartMoney: smartMoneyAnalysis,
-        technical: technicalAnalysis,
-        fundamental: fundamentalAnalysis,
-        correlation: correlationAnalysis
-      },
-      decision
+      smartMoney: smartMoneyAnalysis,
+      technical: technicalAnalysis,
+      fundamental: fundamentalAnalysis,
+      correlation: correlationAnalysis
     };
   }
 
@@ -166,6 +250,21 @@ class DecisionEngine {
       );
     }
 
+    // Dados simulados, desatualizados ou rejeitados pela validação: não aprova (exceto MODO DEMO)
+    const dataQualityBlock = this.checkDataQuality(marketData);
+    if (dataQualityBlock) {
+      return this.generateRejectionDecision(
+        { dataQualityOk: false },
+        smartMoney,
+        technical,
+        fundamental,
+        correlation,
+        dataQualityBlock
+      );
+    }
+
+    const thresholds = this.getThresholds(pair);
+
     // Calcula confluência ANTES dos critérios
     const confluenceScore = this.calculateConfluence(smartMoney, technical, marketData);
 
@@ -184,10 +283,10 @@ class DecisionEngine {
       smartMoneyConfirms: this.checkSmartMoneyConfirmation(smartMoney),
 
       // Critério 5: Confluência técnica (NOVO)
-      confluenceOk: confluenceScore >= this.thresholds.minConfluence,
+      confluenceOk: confluenceScore >= thresholds.minConfluence,
 
       // Critério 6: Probabilidade ML mínima (com fallback para NaN)
-      mlProbabilityOk: (technical.confidence || 0) >= this.thresholds.minMLProbability,
+      mlProbabilityOk: (technical.confidence || 0) >= thresholds.minMLProbability,
 
       // Critério 7: Fundamental não contra (MELHORADO)
       fundamentalNotAgainst: this.checkFundamentalAlignment(smartMoney, fundamental),
@@ -215,8 +314,8 @@ class DecisionEngine {
 
     // Log detalhado dos checks obrigatórios
     console.log('\n📋 CHECKS OBRIGATÓRIOS:');
-    console.log(`   Confluência ≥3: ${criteria.confluenceOk} (score: ${confluenceScore}/7)`);
-    console.log(`   ML ≥58%: ${criteria.mlProbabilityOk} (${technical.confidence || 0}%)`);
+    console.log(`   Confluência ≥${thresholds.minConfluence}: ${criteria.confluenceOk} (score: ${confluenceScore}/7)`);
+    console.log(`   ML ≥${thresholds.minMLProbability}%: ${criteria.mlProbabilityOk} (${technical.confidence || 0}%)`);
     console.log(`   Smart Money confirmado: ${criteria.smartMoneyConfirms} (confiança: ${smartMoney.alignment.confidence}%)`);
     console.log(`   Não lateral: ${criteria.notRanging}`);
 
@@ -225,7 +324,7 @@ class DecisionEngine {
 
     if (passedMandatoryCount < 2) {
       const failedChecks = [];
-      if (!criteria.confluenceOk) failedChecks.push(`Confluência (${confluenceScore}/3)`);
+      if (!criteria.confluenceOk) failedChecks.push(`Confluência (${confluenceScore}/${thresholds.minConfluence})`);
       if (!criteria.mlProbabilityOk) failedChecks.push(`ML (${technical.confidence || 0}%)`);
       if (!criteria.smartMoneyConfirms) failedChecks.push('Smart Money');
       if (!criteria.notRanging) failedChecks.push('Mercado lateral');
@@ -248,8 +347,8 @@ class DecisionEngine {
     );
 
     // Valida stop loss e risk/reward
-    criteria.stopLossValid = this.validateStopLoss(tradeSetup, marketData);
-    criteria.riskRewardOk = tradeSetup.riskReward >= this.thresholds.minRiskReward;
+    criteria.stopLossValid = this.validateStopLoss(tradeSetup, marketData, thresholds);
+    criteria.riskRewardOk = tradeSetup.riskReward >= thresholds.minRiskReward;
 
     // Re-verifica após cálculos (ainda precisa 50%)
     const finalCriteriaValues = Object.values(criteria);
@@ -257,8 +356,8 @@ class DecisionEngine {
     const finalMetPercentage = (finalMetCount / finalCriteriaValues.length) * 100;
 
     console.log(`\n✅ Critérios aprovados: ${finalMetCount}/${finalCriteriaValues.length} (${finalMetPercentage.toFixed(1)}%)`);
-    console.log(`   RR: ${tradeSetup.riskReward} (precisa ≥${this.thresholds.minRiskReward})`);
-    console.log(`   SL%: ${tradeSetup.stopLossPercent}% (máx ${this.thresholds.maxStopLossPercent}%)`);
+    console.log(`   RR: ${tradeSetup.riskReward} (precisa ≥${thresholds.minRiskReward})`);
+    console.log(`   SL%: ${tradeSetup.stopLossPercent}% (máx ${thresholds.maxStopLossPercent}%)`);
 
     if (finalMetPercentage < 50) {
       return this.generateRejectionDecision(criteria, smartMoney, technical, fundamental, correlation, `Critérios insuficientes: ${finalMetPercentage.toFixed(1)}% (precisa ≥50%)`);
@@ -272,7 +371,8 @@ class DecisionEngine {
       technical,
       fundamental,
       correlation,
-      pair
+      pair,
+      confluenceScore
     );
   }
 
@@ -553,11 +653,11 @@ class DecisionEngine {
   /**
    * Valida stop loss
    */
-  validateStopLoss(tradeSetup, marketData) {
+  validateStopLoss(tradeSetup, marketData, thresholds = this.thresholds) {
     const stopPercent = parseFloat(tradeSetup.stopLossPercent);
 
     // Stop não pode ser maior que threshold
-    if (stopPercent > this.thresholds.maxStopLossPercent) return false;
+    if (stopPercent > thresholds.maxStopLossPercent) return false;
 
     // Stop deve ser tecnicamente válido (baseado em estrutura)
     return true;
@@ -566,7 +666,7 @@ class DecisionEngine {
   /**
    * Gera sinal de trade APROVADO
    */
-  generateTradeSignal(criteria, tradeSetup, smartMoney, technical, fundamental, correlation, pair) {
+  generateTradeSignal(criteria, tradeSetup, smartMoney, technical, fundamental, correlation, pair, confluenceScore) {
     return {
       signal: 'TRADE_APPROVED',
       approved: true,
@@ -587,22 +687,61 @@ class DecisionEngine {
         fundamental: fundamental.fundamentalBias.confidence
       },
       criteria,
+      confluenceScore,
+      smartMoneyPatterns: this.extractSmartMoneyPatterns(smartMoney, tradeSetup.direction),
       justification: this.generateJustification(smartMoney, technical, fundamental, correlation),
       warnings: this.generateWarnings(fundamental, correlation),
       timestamp: new Date()
     };
   }
 
+  /**
+   * Lista os padrões Smart Money a favor da direção da trade
+   * (sweeps, order blocks, BOS e CHoCH de todos os timeframes)
+   */
+  extractSmartMoneyPatterns(smartMoney, direction) {
+    const prefix = direction === 'BUY' ? 'BULLISH_' : 'BEARISH_';
+    const patterns = new Set();
+
+    for (const tf of Object.values(smartMoney.timeframes || {})) {
+      const detections = [
+        ...(tf.liquidity?.sweeps || []),
+        ...(tf.orderBlocks || []),
+        ...(tf.bos || []),
+        ...(tf.choch || [])
+      ];
+
+      detections
+        .filter(d => d.type && d.type.startsWith(prefix))
+        .forEach(d => patterns.add(d.type));
+    }
+
+    return Array.from(patterns);
+  }
+
+  /**
+   * Qualidade dos dados de mercado (marketData.quality, anexado pelo MarketDataRouter)
+   * Sem metadados (backtest, dados históricos) não há bloqueio
+   * @returns {string|null} Motivo do bloqueio
+   */
+  checkDataQuality(marketData) {
+    const quality = marketData?.quality;
+    if (!quality || quality.tradeable) return null;
+    if (process.env.DEMO_MODE === 'true') return null;
+
+    return `Dados de mercado não confiáveis: ${quality.blockingReasons.join('; ')}`;
+  }
+
   /**
    * Gera decisão de REJEIÇÃO
    */
-  generateRejectionDecision(criteria, smartMoney, technical, fundamental, correlation) {
+  generateRejectionDecision(criteria, smartMoney, technical, fundamental, correlation, reason = 'Critérios institucionais não atendidos') {
     const failedCriteria = Object.keys(criteria).filter(key => criteria[key] === false);
 
     return {
       signal: 'NO_TRADE',
       approved: false,
-      reason: 'Critérios institucionais não atendidos',
+      reason,
       failedCriteria,
       criteria,
       recommendations: this.generateRecommendations(failedCriteria, smartMoney, technical, fundamental),
@@ -758,6 +897,10 @@ class DecisionEngine {
       recommendations.push('Risk/Reward insuficiente. Aguardar melhor ponto de entrada');
     }
 
+    if (failedCriteria.includes('dataQualityOk')) {
+      recommendations.push('Dados de mercado simulados ou desatualizados. Verificar os provedores em /api/health');
+    }
+
     return recommendations;
   }
 
@@ -848,6 +991,8 @@ Risk/Reward: ${riskReward}:1 (excelente)`,
           stopLossValid: true,
           riskRewardOk: true
         },
+        confluenceScore: 6,
+        smartMoneyPatterns: ['BULLISH_SWEEP', 'BULLISH_OB', 'BULLISH_BOS'],
         failedCriteria: [],
         recommendations: [],
         nextSteps: [
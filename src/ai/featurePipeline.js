@@ -0,0 +1,332 @@
+/**
+ * ==========================================
+ * FEATURE PIPELINE (treino e inferência)
+ * ==========================================
+ * Registro único das features dos modelos de árvores (Random Forest, Gradient Boosting):
+ * - Cada feature tem nome e é calculada a partir dos candles (OHLCV) até o índice i
+ * - Schema versionado: { version, names } salvo junto com o modelo
+ * - Normalização (z-score) ajustada no treino e salva com o modelo
+ * - Modelo salvo com schema diferente do atual → FeatureSchemaError (retreinar)
+ *
+ * Mudou uma feature (fórmula, ordem, inclusão ou remoção)? Incremente FEATURE_SCHEMA_VERSION.
+ */
+
+// v1 = vetores de 50 posições preenchidos com zeros (mlTrainer / indicadores)
+const FEATURE_SCHEMA_VERSION = 2;
+
+// Candles anteriores necessários para calcular todas as features (EMA 50)
+const MIN_HISTORY = 50;
+
+class FeatureSchemaError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FeatureSchemaError';
+    this.details = details;
+  }
+}
+
+/**
+ * EMA dos closes da janela (semente = primeiro close)
+ */
+function ema(window, period) {
+  const k = 2 / (period + 1);
+  let value = window[0].close;
+
+  for (let i = 1; i < window.length; i++) {
+    value = window[i].close * k + value * (1 - k);
+  }
+
+  return value;
+}
+
+/**
+ * RSI simples (médias de ganhos/perdas na janela)
+ */
+function rsi(window) {
+  let gains = 0;
+  let losses = 0;
+
+  for (let i = 1; i < window.length; i++) {
+    const change = window[i].close - window[i - 1].close;
+    if (change > 0) gains += change;
+    else losses -= change;
+  }
+
+  if (losses === 0) return 100;
+  return 100 - 100 / (1 + gains / losses);
+}
+
+function atr(window) {
+  let total = 0;
+
+  for (let i = 1; i < window.length; i++) {
+    total += Math.max(
+      window[i].high - window[i].low,
+      Math.abs(window[i].high - window[i - 1].close),
+      Math.abs(window[i].low - window[i - 1].close)
+    );
+  }
+
+  return total / (window.length - 1);
+}
+
+function stdDev(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Posição de value entre low e high (0-1); faixa nula → 0.5
+ */
+function position(value, low, high) {
+  return high > low ? (value - low) / (high - low) : 0.5;
+}
+
+/**
+ * Janela dos últimos `length` candles terminando em i (inclusive)
+ */
+const windowOf = (candles, i, length) => candles.slice(i - length + 1, i + 1);
+
+/**
+ * Registro das features: a ordem define a posição no vetor
+ * compute({ candles, i, price }) → número
+ */
+const FEATURES = [
+  {
+    name: 'return1',
+    description: 'Retorno do último candle',
+    compute: ({ candles, i, price }) => price / candles[i - 1].close - 1
+  },
+  {
+    name: 'return5',
+    description: 'Retorno dos últimos 5 candles',
+    compute: ({ candles, i, price }) => price / candles[i - 5].close - 1
+  },
+  {
+    name: 'ema9Distance',
+    description: 'Distância relativa do preço à EMA 9',
+    compute: ({ candles, i, price }) => (price - ema(windowOf(candles, i, 10), 9)) / price
+  },
+  {
+    name: 'ema21Distance',
+    description: 'Distância relativa do preço à EMA 21',
+    compute: ({ candles, i, price }) => (price - ema(windowOf(candles, i, 22), 21)) / price
+  },
+  {
+    name: 'ema50Distance',
+    description: 'Distância relativa do preço à EMA 50',
+    compute: ({ candles, i, price }) => (price - ema(windowOf(candles, i, 51), 50)) / price
+  },
+  {
+    name: 'rsi14',
+    description: 'RSI 14 (0-1)',
+    compute: ({ candles, i }) => rsi(windowOf(candles, i, 15)) / 100
+  },
+  {
+    name: 'macd',
+    description: 'EMA 12 - EMA 26 relativo ao preço',
+    compute: ({ candles, i, price }) => {
+      const window = windowOf(candles, i, 27);
+      return (ema(window, 12) - ema(window, 26)) / price;
+    }
+  },
+  {
+    name: 'atr14',
+    description: 'ATR 14 relativo ao preço',
+    compute: ({ candles, i, price }) => atr(windowOf(candles, i, 15)) / price
+  },
+  {
+    name: 'volatility20',
+    description: 'Desvio padrão dos retornos (20 candles)',
+    compute: ({ candles, i }) => {
+      const window = windowOf(candles, i, 21);
+      return stdDev(window.slice(1).map((candle, j) => candle.close / window[j].close - 1));
+    }
+  },
+  {
+    name: 'volumeRatio20',
+    description: 'Volume do candle / média de 20 candles - 1',
+    compute: ({ candles, i }) => {
+      const average = windowOf(candles, i, 20).reduce((sum, candle) => sum + (candle.volume || 0), 0) / 20;
+      return average > 0 ? (candles[i].volume || 0) / average - 1 : 0;
+    }
+  },
+  {
+    name: 'candleBody',
+    description: 'Corpo do candle / amplitude (-1 bearish cheio, +1 bullish cheio)',
+    compute: ({ candles, i }) => {
+      const { open, high, low, close } = candles[i];
+      return high > low ? (close - open) / (high - low) : 0;
+    }
+  },
+  {
+    name: 'range20Position',
+    description: 'Posição do preço na máxima/mínima de 20 candles (0-1)',
+    compute: ({ candles, i, price }) => {
+      const window = windowOf(candles, i, 21);
+      return position(price, Math.min(...window.map(c => c.low)), Math.max(...window.map(c => c.high)));
+    }
+  },
+  {
+    name: 'stochasticK14',
+    description: 'Estocástico %K 14 (0-1)',
+    compute: ({ candles, i, price }) => {
+      const window = windowOf(candles, i, 14);
+      return position(price, Math.min(...window.map(c => c.low)), Math.max(...window.map(c => c.high)));
+    }
+  },
+  {
+    name: 'bollingerPercentB20',
+    description: 'Bollinger %B (20, 2 desvios)',
+    compute: ({ candles, i, price }) => {
+      const closes = windowOf(candles, i, 20).map(c => c.close);
+      const mean = closes.reduce((sum, value) => sum + value, 0) / closes.length;
+      const deviation = stdDev(closes);
+      return position(price, mean - 2 * deviation, mean + 2 * deviation);
+    }
+  }
+];
+
+class FeaturePipeline {
+  constructor(features = FEATURES, version = FEATURE_SCHEMA_VERSION) {
+    this.features = features;
+    this.version = version;
+    this.minHistory = MIN_HISTORY;
+  }
+
+  get names() {
+    return this.features.map(feature => feature.name);
+  }
+
+  /**
+   * Schema salvo com o modelo
+   */
+  getSchema() {
+    return { version: this.version, names: this.names };
+  }
+
+  /**
+   * Vetor de features do candle i (usa os MIN_HISTORY candles anteriores)
+   * Valores não finitos (divisão por zero, dados faltando) viram NaN e são tratados em transform
+   */
+  extract(candles, i) {
+    if (!candles || i < this.minHistory || i >= candles.length) {
+      throw new Error(`Features exigem ${this.minHistory} candles anteriores (índice ${i}, ${candles?.length || 0} candles)`);
+    }
+
+    const context = { candles, i, price: candles[i].close };
+
+    return this.features.map(feature => {
+      const value = feature.compute(context);
+      return Number.isFinite(value) ? value : NaN;
+    });
+  }
+
+  /**
+   * Features do último candle (predição ao vivo)
+   */
+  extractLatest(candles) {
+    return this.extract(candles, candles.length - 1);
+  }
+
+  /**
+   * Matriz de features dos candles [start, end)
+   */
+  extractSeries(candles, start = this.minHistory, end = candles.length) {
+    const rows = [];
+    for (let i = Math.max(start, this.minHistory); i < end; i++) {
+      rows.push(this.extract(candles, i));
+    }
+    return rows;
+  }
+
+  /**
+   * Features versionadas do último candle (devolvidas na análise e recebidas no feedback)
+   * @returns {Object|null} { version, values } ou null sem histórico suficiente
+   */
+  snapshot(candles) {
+    if (!candles || candles.length <= this.minHistory) return null;
+    return { version: this.version, values: this.extractLatest(candles) };
+  }
+
+  /**
+   * Snapshot compatível com o schema atual?
+   */
+  isCompatibleSnapshot(snapshot) {
+    return Boolean(snapshot)
+      && snapshot.version === this.version
+      && Array.isArray(snapshot.values)
+      && snapshot.values.length === this.features.length;
+  }
+
+  /**
+   * Média e desvio padrão por feature (ignora valores não finitos)
+   * @param {Array} rows - [n_amostras][n_features]
+   * @returns {Object} { mean, std } (std nulo → 1)
+   */
+  fitNormalization(rows) {
+    const numFeatures = rows[0]?.length || 0;
+    const mean = new Array(numFeatures).fill(0);
+    const std = new Array(numFeatures).fill(1);
+
+    for (let f = 0; f < numFeatures; f++) {
+      const values = rows.map(row => row[f]).filter(Number.isFinite);
+      if (values.length === 0) continue;
+
+      mean[f] = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean[f]) ** 2, 0) / values.length);
+      std[f] = deviation > 1e-12 ? deviation : 1;
+    }
+
+    return { mean, std };
+  }
+
+  /**
+   * Aplica a normalização do treino; valores não finitos viram a média (0)
+   */
+  transform(row, normalization) {
+    if (!normalization) return row;
+
+    return row.map((value, f) => (Number.isFinite(value)
+      ? (value - normalization.mean[f]) / normalization.std[f]
+      : 0));
+  }
+
+  /**
+   * Garante que o schema salvo com o modelo é o mesmo usado na inferência
+   * @param {Object} saved - Schema salvo ({ version, names }) ou ausente (modelo antigo)
+   * @param {Object} expected - Schema atual (padrão: este pipeline)
+   * @param {string} label - Nome do modelo (mensagem de erro)
+   * @throws {FeatureSchemaError}
+   */
+  assertCompatible(saved, expected = this.getSchema(), label = 'Modelo') {
+    if (!saved || !Array.isArray(saved.names)) {
+      throw new FeatureSchemaError(
+        `${label} salvo sem schema de features (esperado v${expected.version}). Retreine o modelo.`,
+        { expected, saved: saved || null }
+      );
+    }
+
+    const sameNames = saved.names.length === expected.names.length
+      && saved.names.every((name, i) => name === expected.names[i]);
+
+    if (saved.version !== expected.version || !sameNames) {
+      const missing = expected.names.filter(name => !saved.names.includes(name));
+      const extra = saved.names.filter(name => !expected.names.includes(name));
+
+      throw new FeatureSchemaError(
+        `${label} treinado com schema de features v${saved.version} (${saved.names.length} features), ` +
+        `pipeline atual é v${expected.version} (${expected.names.length} features)` +
+        (missing.length ? `; faltando: ${missing.join(', ')}` : '') +
+        (extra.length ? `; removidas: ${extra.join(', ')}` : '') +
+        '. Retreine o modelo.',
+        { expected, saved }
+      );
+    }
+  }
+}
+
+module.exports = new FeaturePipeline();
+module.exports.FeaturePipeline = FeaturePipeline;
+module.exports.FeatureSchemaError = FeatureSchemaError;
+module.exports.FEATURE_SCHEMA_VERSION = FEATURE_SCHEMA_VERSION;
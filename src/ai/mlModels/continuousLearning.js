@@ -13,6 +13,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const randomForestModel = require('./randomForestModel');
 const lstmModel = require('./lstmModel');
+const featurePipeline = require('../featurePipeline');
+const modelRegistry = require('../modelRegistry');
 
 class ContinuousLearning {
   constructor() {
@@ -81,6 +83,8 @@ class ContinuousLearning {
    * Registra resultado de um trade para aprendizado
    *
    * @param {Object} trade - Informações do trade
+   * @param {Object} trade.features - Snapshot de features da análise ({ version, values })
+   * @param {Array} trade.candles - Alternativa: candles até a entrada
    */
   async recordTradeResult(trade) {
     const {
@@ -95,6 +99,8 @@ class ContinuousLearning {
       models               // Predições individuais de cada modelo
     } = trade;
 
+    const featureSnapshot = this.extractFeatures(trade);
+
     // Determina se a predição estava correta
     const actualDirection = exitPrice > entryPrice ? 'BUY' : 'SELL';
     const wasCorrect = direction === actualDirection;
@@ -112,8 +118,9 @@ class ContinuousLearning {
       indicators,
       models,
 
-      // Features para retreinamento
-      features: this.extractFeatures(indicators),
+      // Features para retreinamento (null: trade sem features do schema atual)
+      features: featureSnapshot ? featureSnapshot.values : null,
+      featureSchemaVersion: featureSnapshot ? featureSnapshot.version : null,
       label: actualDirection === 'BUY' ? 1 : 0
     };
 
@@ -144,43 +151,21 @@ class ContinuousLearning {
   }
 
   /**
-   * Extrai features dos indicadores para treinar
+   * Features do trade no schema atual do featurePipeline (mesmas do treino histórico)
+   * - trade.features: snapshot devolvido pela análise ({ version, values })
+   * - trade.candles: candles até a entrada (extrai do último)
+   * @returns {Object|null} { version, values } ou null se indisponível/schema antigo
    */
-  extractFeatures(indicators) {
-    if (!indicators) return new Array(50).fill(0);
-
-    const features = [];
-
-    // Trend features
-    features.push(indicators.ema9?.above ? 1 : 0);
-    features.push(indicators.ema21?.above ? 1 : 0);
-    features.push(indicators.ema50?.above ? 1 : 0);
-    features.push(indicators.ema200?.above ? 1 : 0);
-
-    // Momentum features
-    features.push((indicators.rsi14?.value || 50) / 100);
-    features.push(indicators.macd?.histogram > 0 ? 1 : 0);
-    features.push((indicators.stochastic?.k || 50) / 100);
-
-    // Volume features
-    features.push(indicators.volumeRatio?.ratio > 1 ? 1 : 0);
-    features.push(indicators.obv?.value > 0 ? 1 : 0);
-
-    // Volatility features
-    features.push(indicators.atr14?.percentage || 0);
-    features.push(indicators.bollingerBands?.percentB || 0.5);
-
-    // Institutional features
-    features.push(indicators.institutionalTrend?.bullish ? 1 : indicators.institutionalTrend?.bearish ? -1 : 0);
-    features.push((indicators.trendStrength?.value || 50) / 100);
-    features.push((indicators.pricePosition?.value || 50) / 100);
-
-    // Preenche até 50
-    while (features.length < 50) {
-      features.push(0);
+  extractFeatures(trade) {
+    if (featurePipeline.isCompatibleSnapshot(trade.features)) {
+      return { version: trade.features.version, values: trade.features.values };
+    }
+
+    if (trade.features) {
+      console.log(`⚠️  [CL] Features do trade em schema v${trade.features.version ?? '?'} (atual v${featurePipeline.version}), ignoradas no retreino`);
     }
 
-    return features.slice(0, 50);
+    return featurePipeline.snapshot(trade.candles);
   }
 
   /**
@@ -231,8 +216,9 @@ class ContinuousLearning {
 
   /**
    * Retreina modelos com feedback coletado
+   * @param {Object} options - { onProgress, isCancelled } repassados ao Random Forest
    */
-  async retrain() {
+  async retrain(options = {}) {
     if (this.isRetraining) return { success: false, error: 'Já está retreinando' };
 
     try {
@@ -240,19 +226,47 @@ class ContinuousLearning {
       console.log('\n🔄 [CL] === INICIANDO RETREINAMENTO ===');
       console.log(`   📊 ${this.tradeBuffer.length} trades no buffer`);
 
-      // Extrai features e labels do buffer
-      const features = this.tradeBuffer.map(t => t.features);
-      const labels = this.tradeBuffer.map(t => t.label);
+      // Só trades com features no schema atual (registros antigos/sem features ficam de fora)
+      const usable = this.tradeBuffer.filter(t => t.featureSchemaVersion === featurePipeline.version && Array.isArray(t.features));
+      const features = usable.map(t => t.features);
+      const labels = usable.map(t => t.label);
 
+      console.log(`   🧮 ${usable.length} trades com features v${featurePipeline.version}`);
       console.log(`   📈 Labels: ${labels.filter(l => l === 1).length} BUY, ${labels.filter(l => l === 0).length} SELL`);
 
       // Retreina Random Forest
-      console.log('\n🌲 Retreinando Random Forest...');
-      const rfResult = await randomForestModel.train(features, labels);
+      let rfResult;
+      if (usable.length >= this.minBufferSize) {
+        console.log('\n🌲 Retreinando Random Forest...');
+        rfResult = await randomForestModel.train(features, labels, {
+          ...options,
+          featureSchema: featurePipeline.getSchema()
+        });
+      } else {
+        rfResult = {
+          success: false,
+          error: `Trades com features v${featurePipeline.version} insuficientes (${usable.length}/${this.minBufferSize})`
+        };
+        console.log(`   ⚠️  Random Forest não retreinado: ${rfResult.error}`);
+      }
+
+      // Cancelado: buffer e pesos ficam como estavam
+      if (rfResult.cancelled) {
+        this.isRetraining = false;
+        return rfResult;
+      }
 
       if (rfResult.success && !rfResult.simulated) {
-        await randomForestModel.saveModel();
-        console.log(`   ✅ Random Forest: ${(rfResult.finalAccuracy * 100).toFixed(2)}% accuracy`);
+        rfResult.version = (await modelRegistry.register('randomForest', randomForestModel, {
+          source: 'continuous-learning',
+          dataRange: {
+            from: usable[0].timestamp,
+            to: usable[usable.length - 1].timestamp,
+            trades: usable.length
+          },
+          metrics: rfResult
+        })).id;
+        console.log(`   ✅ Random Forest: ${((rfResult.oobAccuracy ?? rfResult.finalAccuracy) * 100).toFixed(2)}% accuracy (OOB)`);
       }
 
       // Atualiza pesos dos modelos baseado na performance
@@ -399,9 +413,9 @@ class ContinuousLearning {
   /**
    * Força retreinamento manual
    */
-  async forceRetrain() {
+  async forceRetrain(options = {}) {
     console.log('🔄 [CL] Retreinamento forçado solicitado...');
-    return await this.retrain();
+    return await this.retrain(options);
   }
 
   /**
@@ -0,0 +1,210 @@
+/**
+ * ==========================================
+ * DECISION TREE (CART de regressão, JS puro)
+ * ==========================================
+ * Árvore base dos ensembles (Gradient Boosting, Random Forest):
+ * - Features discretizadas em até maxBins faixas (quantis) uma única vez por treino:
+ *   busca de split por histograma, O(amostras) por feature em cada nó
+ * - Split: maior redução do erro quadrático do alvo (resíduos, labels 0/1...)
+ * - Folha: média do alvo ou função customizada (ex: passo de Newton do boosting)
+ * - Ganho acumulado por feature → importância
+ * - Serializável em JSON (toJSON / fromJSON)
+ */
+
+/**
+ * Cortes por feature a partir dos dados de treino
+ * Valores distintos <= maxBins: pontos médios entre eles; senão quantis
+ * @param {Array} features - [n_amostras][n_features]
+ * @returns {Array} cortes[feature] = valores crescentes (x <= corte[b] → faixa <= b)
+ */
+function computeBinEdges(features, maxBins = 32) {
+  const numFeatures = features[0]?.length || 0;
+  const edges = [];
+
+  for (let f = 0; f < numFeatures; f++) {
+    const values = features.map(row => row[f]).filter(Number.isFinite).sort((a, b) => a - b);
+    const unique = values.filter((value, i) => i === 0 || value !== values[i - 1]);
+
+    if (unique.length <= maxBins) {
+      edges.push(unique.slice(1).map((value, i) => (unique[i] + value) / 2));
+      continue;
+    }
+
+    const cuts = [];
+    for (let b = 1; b < maxBins; b++) {
+      const cut = values[Math.floor((b / maxBins) * values.length)];
+      if (cuts.length === 0 || cut > cuts[cuts.length - 1]) cuts.push(cut);
+    }
+    edges.push(cuts);
+  }
+
+  return edges;
+}
+
+/**
+ * Faixa de um valor (busca binária nos cortes); NaN cai na primeira
+ */
+function findBin(value, cuts) {
+  if (!(value > cuts[0])) return 0;
+
+  let low = 0;
+  let high = cuts.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (value > cuts[mid]) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Discretiza a matriz de features (colunas Uint8Array)
+ * @returns {Object} { edges, columns, numSamples }
+ */
+function binFeatures(features, maxBins = 32) {
+  const edges = computeBinEdges(features, Math.min(maxBins, 256));
+  const columns = edges.map((cuts, f) => Uint8Array.from(features, row => findBin(row[f], cuts)));
+
+  return { edges, columns, numSamples: features.length };
+}
+
+class DecisionTree {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxDepth - Profundidade máxima (padrão: 3)
+   * @param {number} options.minSamplesLeaf - Mínimo de amostras por folha (padrão: 20)
+   * @param {number} options.maxFeatures - Features sorteadas por nó (padrão: todas)
+   * @param {Function} options.random - Gerador [0, 1) (padrão: Math.random)
+   */
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth ?? 3;
+    this.minSamplesLeaf = options.minSamplesLeaf ?? 20;
+    this.maxFeatures = options.maxFeatures || null;
+    this.random = options.random || Math.random;
+    this.root = null;
+    this.importances = null;
+  }
+
+  /**
+   * Treina a árvore
+   * @param {Object} binned - Saída de binFeatures
+   * @param {Array} targets - Alvo por amostra
+   * @param {Array} indices - Amostras usadas (padrão: todas)
+   * @param {Function} leafValue - (indices) => valor da folha (padrão: média do alvo)
+   */
+  fit(binned, targets, indices = null, leafValue = null) {
+    const sampleIndices = indices || Array.from({ length: binned.numSamples }, (_, i) => i);
+    const valueOf = leafValue || (idx => idx.reduce((sum, i) => sum + targets[i], 0) / idx.length);
+
+    this.importances = new Array(binned.columns.length).fill(0);
+    this.root = this.buildNode(binned, targets, sampleIndices, 0, valueOf);
+
+    return this;
+  }
+
+  buildNode(binned, targets, indices, depth, valueOf) {
+    const leaf = { value: valueOf(indices), samples: indices.length };
+    if (depth >= this.maxDepth || indices.length < 2 * this.minSamplesLeaf) return leaf;
+
+    const split = this.findBestSplit(binned, targets, indices);
+    if (!split) return leaf;
+
+    const column = binned.columns[split.feature];
+    const left = indices.filter(i => column[i] <= split.bin);
+    const right = indices.filter(i => column[i] > split.bin);
+
+    this.importances[split.feature] += split.gain;
+
+    return {
+      feature: split.feature,
+      threshold: binned.edges[split.feature][split.bin],
+      gain: split.gain,
+      samples: indices.length,
+      left: this.buildNode(binned, targets, left, depth + 1, valueOf),
+      right: this.buildNode(binned, targets, right, depth + 1, valueOf)
+    };
+  }
+
+  /**
+   * Melhor split entre as features candidatas (redução da soma dos quadrados)
+   */
+  findBestSplit(binned, targets, indices) {
+    let totalSum = 0;
+    for (const i of indices) totalSum += targets[i];
+    const n = indices.length;
+    const parentScore = (totalSum * totalSum) / n;
+
+    let best = null;
+
+    for (const feature of this.candidateFeatures(binned)) {
+      const numBins = binned.edges[feature].length + 1;
+      const column = binned.columns[feature];
+      const sums = new Float64Array(numBins);
+      const counts = new Uint32Array(numBins);
+      for (const i of indices) {
+        sums[column[i]] += targets[i];
+        counts[column[i]]++;
+      }
+
+      let leftSum = 0;
+      let leftCount = 0;
+      for (let bin = 0; bin < numBins - 1; bin++) {
+        leftSum += sums[bin];
+        leftCount += counts[bin];
+        const rightCount = n - leftCount;
+
+        if (leftCount < this.minSamplesLeaf) continue;
+        if (rightCount < this.minSamplesLeaf) break;
+
+        const rightSum = totalSum - leftSum;
+        const gain = (leftSum * leftSum) / leftCount + (rightSum * rightSum) / rightCount - parentScore;
+
+        if (gain > 1e-12 && (!best || gain > best.gain)) {
+          best = { feature, bin, gain };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Features avaliadas no nó: não constantes, todas ou amostra sem reposição de maxFeatures
+   */
+  candidateFeatures(binned) {
+    const all = binned.edges.map((cuts, f) => (cuts.length > 0 ? f : -1)).filter(f => f !== -1);
+    if (!this.maxFeatures || this.maxFeatures >= all.length) return all;
+
+    for (let i = all.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [all[i], all[j]] = [all[j], all[i]];
+    }
+    return all.slice(0, this.maxFeatures);
+  }
+
+  /**
+   * Valor da folha para uma amostra (features brutas)
+   */
+  predict(row) {
+    let node = this.root;
+    while (node.left) {
+      node = row[node.feature] > node.threshold ? node.right : node.left;
+    }
+    return node.value;
+  }
+
+  toJSON() {
+    return { root: this.root, importances: this.importances };
+  }
+
+  static fromJSON(data) {
+    const tree = new DecisionTree();
+    tree.root = data.root;
+    tree.importances = data.importances;
+    return tree;
+  }
+}
+
+DecisionTree.binFeatures = binFeatures;
+
+module.exports = DecisionTree;
@@ -0,0 +1,376 @@
+/**
+ * ==========================================
+ * GRADIENT BOOSTING MODEL (JS puro)
+ * ==========================================
+ * Gradient boosted decision trees para classificação binária: BUY (1) ou SELL (0)
+ * - Perda logística: cada árvore ajusta os resíduos (y - p), folha = passo de Newton
+ * - Subamostragem de linhas por árvore (stochastic boosting)
+ * - Split cronológico treino | early stopping (20%) | teste (10%), com purge do horizonte do label
+ *   entre os blocos; valAccuracy/valLoss vêm do teste, que não participa da escolha das árvores
+ * - Importância das features = ganho acumulado nos splits
+ * - Com featureSchema: normalização do featurePipeline ajustada no treino (sem a validação)
+ *   e salva com o modelo
+ * Treina com a saída de mlTrainer.prepareFeatures (featurePipeline)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const DecisionTree = require('./decisionTree');
+const featurePipeline = require('../featurePipeline');
+const { FeatureSchemaError } = featurePipeline;
+
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+
+class GradientBoostingModel {
+  constructor() {
+    this.trees = [];
+    this.baseScore = 0;
+    this.featureImportances = [];
+    this.isTraining = false;
+    this.isTrained = false;
+    this.trainingStats = null;
+    this.featureSchema = null;
+    this.normalization = null;
+    this.modelPath = path.join(__dirname, '../../../data/models/gradient_boosting');
+    this.config = {
+      nEstimators: 200,
+      learningRate: 0.05,
+      maxDepth: 3,
+      minSamplesLeaf: 20,
+      subsample: 0.8,
+      maxBins: 32,
+      validationSplit: 0.2,    // Bloco do early stopping
+      testSplit: 0.1,          // Bloco final para as métricas de validação
+      earlyStoppingRounds: 25
+    };
+  }
+
+  /**
+   * Treina o modelo com dados históricos
+   * @param {Array} features - Array de features [n_samples, n_features]
+   * @param {Array} labels - Array de labels [n_samples] (0 ou 1)
+   * @param {Object} options
+   * @param {Array} options.featureNames - Nomes das features (padrão: featureSchema.names)
+   * @param {Object} options.featureSchema - Schema do featurePipeline (ativa normalização)
+   * @param {number} options.labelHorizon - Candles futuros do label: purgados entre treino e validação
+   * @param {Function} options.onProgress - (percent, message) a cada árvore
+   * @param {Function} options.isCancelled - Interrompe o treinamento entre árvores
+   */
+  async train(features, labels, options = {}) {
+    try {
+      if (!features || features.length < 100) {
+        throw new Error(`Amostras insuficientes para Gradient Boosting (${features?.length || 0}/100)`);
+      }
+
+      console.log('🤖 [Gradient Boosting] Iniciando treinamento...');
+      this.isTraining = true;
+
+      const { nEstimators, learningRate, maxDepth, minSamplesLeaf, subsample, maxBins } = this.config;
+
+      // Split cronológico treino | early stopping | teste (sem embaralhar: séries temporais)
+      // Purge: labels do fim de cada bloco olham candles do bloco seguinte
+      // Normalização ajustada só no treino (validação não vaza para as estatísticas)
+      const horizon = options.labelHorizon || 0;
+      const testStart = Math.floor(features.length * (1 - this.config.testSplit));
+      const valStart = Math.floor(features.length * (1 - this.config.testSplit - this.config.validationSplit));
+      const valEnd = testStart < features.length ? Math.max(valStart, testStart - horizon) : testStart;
+      const trainSize = valStart < features.length ? Math.max(1, valStart - horizon) : valStart;
+      const featureSchema = options.featureSchema || null;
+      const normalization = featureSchema ? featurePipeline.fitNormalization(features.slice(0, trainSize)) : null;
+      const rows = normalization ? features.map(row => featurePipeline.transform(row, normalization)) : features;
+      const xTrain = rows.slice(0, trainSize);
+      const yTrain = labels.slice(0, trainSize);
+      const xVal = rows.slice(valStart, valEnd);
+      const yVal = labels.slice(valStart, valEnd);
+      const xTest = rows.slice(testStart);
+      const yTest = labels.slice(testStart);
+
+      const binned = DecisionTree.binFeatures(xTrain, maxBins);
+      const positives = yTrain.filter(y => y === 1).length;
+      const prior = Math.min(Math.max(positives / yTrain.length, 1e-6), 1 - 1e-6);
+      const baseScore = Math.log(prior / (1 - prior));
+
+      const trainScores = new Float64Array(trainSize).fill(baseScore);
+      const valScores = new Float64Array(xVal.length).fill(baseScore);
+      const residuals = new Float64Array(trainSize);
+      const hessians = new Float64Array(trainSize);
+
+      const trees = [];
+      let best = { round: 0, loss: this.logLoss(valScores, yVal) };
+
+      for (let round = 0; round < nEstimators; round++) {
+        if (options.isCancelled && options.isCancelled()) {
+          this.isTraining = false;
+          console.log('⚠️  [Gradient Boosting] Treinamento cancelado');
+          return { success: false, cancelled: true, error: 'Treinamento cancelado' };
+        }
+
+        for (let i = 0; i < trainSize; i++) {
+          const p = sigmoid(trainScores[i]);
+          residuals[i] = yTrain[i] - p;
+          hessians[i] = p * (1 - p);
+        }
+
+        const sample = this.subsampleIndices(trainSize, subsample);
+        const tree = new DecisionTree({ maxDepth, minSamplesLeaf }).fit(binned, residuals, sample, indices => {
+          let gradient = 0;
+          let hessian = 0;
+          for (const i of indices) {
+            gradient += residuals[i];
+            hessian += hessians[i];
+          }
+          return gradient / Math.max(hessian, 1e-6);
+        });
+        trees.push(tree);
+
+        for (let i = 0; i < trainSize; i++) trainScores[i] += learningRate * tree.predict(xTrain[i]);
+        for (let i = 0; i < xVal.length; i++) valScores[i] += learningRate * tree.predict(xVal[i]);
+
+        const valLoss = this.logLoss(valScores, yVal);
+        if (valLoss < best.loss) best = { round: round + 1, loss: valLoss };
+
+        if (options.onProgress) {
+          options.onProgress(((round + 1) / nEstimators) * 100, `Gradient Boosting árvore ${round + 1}/${nEstimators}`);
+        }
+        if (round % 25 === 0) {
+          console.log(`  Árvore ${round}: val_loss=${valLoss.toFixed(4)}`);
+        }
+
+        // Early stopping: validação sem melhora
+        if (xVal.length > 0 && round + 1 - best.round >= this.config.earlyStoppingRounds) break;
+
+        // Libera o event loop entre árvores (servidor continua respondendo)
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      // Mantém só as árvores até a melhor validação
+      const keep = xVal.length > 0 ? Math.max(best.round, 1) : trees.length;
+      this.trees = trees.slice(0, keep);
+      this.baseScore = baseScore;
+      this.featureSchema = featureSchema;
+      this.normalization = normalization;
+      this.featureImportances = this.computeImportances(features[0].length, options.featureNames || featureSchema?.names);
+
+      // Early stopping escolheu as árvores pelo seu bloco: métricas de validação só do teste
+      const trainMetrics = this.evaluate(xTrain, yTrain);
+      const valMetrics = xTest.length > 0 ? this.evaluate(xTest, yTest) : null;
+      const earlyStoppingLoss = xVal.length > 0 ? best.loss : null;
+
+      this.trainingStats = {
+        trainedAt: new Date().toISOString(),
+        samples: features.length,
+        trees: this.trees.length,
+        trainAccuracy: trainMetrics.accuracy,
+        valAccuracy: valMetrics ? valMetrics.accuracy : null,
+        valLoss: valMetrics ? valMetrics.loss : null,
+        earlyStoppingLoss
+      };
+
+      this.isTrained = true;
+      this.isTraining = false;
+
+      console.log(`✅ [Gradient Boosting] Treinamento concluído! ${this.trees.length} árvores`);
+
+      return {
+        success: true,
+        trees: this.trees.length,
+        finalLoss: trainMetrics.loss,
+        finalAccuracy: trainMetrics.accuracy,
+        valLoss: valMetrics ? valMetrics.loss : null,
+        valAccuracy: valMetrics ? valMetrics.accuracy : null,
+        earlyStoppingLoss,
+        featureImportances: this.featureImportances.slice(0, 10)
+      };
+    } catch (error) {
+      this.isTraining = false;
+      console.error('❌ [Gradient Boosting] Erro no treinamento:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Índices sorteados sem reposição (ordem original preservada)
+   */
+  subsampleIndices(size, ratio) {
+    const indices = [];
+    for (let i = 0; i < size; i++) {
+      if (ratio >= 1 || Math.random() < ratio) indices.push(i);
+    }
+    return indices;
+  }
+
+  logLoss(scores, labels) {
+    if (labels.length === 0) return 0;
+
+    let loss = 0;
+    for (let i = 0; i < labels.length; i++) {
+      const p = Math.min(Math.max(sigmoid(scores[i]), 1e-15), 1 - 1e-15);
+      loss -= labels[i] * Math.log(p) + (1 - labels[i]) * Math.log(1 - p);
+    }
+    return loss / labels.length;
+  }
+
+  /**
+   * Loss e accuracy do modelo atual num conjunto
+   */
+  evaluate(features, labels) {
+    const scores = features.map(row => this.rawScore(row));
+    const correct = scores.filter((score, i) => (score > 0 ? 1 : 0) === labels[i]).length;
+
+    return {
+      loss: this.logLoss(scores, labels),
+      accuracy: correct / labels.length
+    };
+  }
+
+  /**
+   * Importância normalizada (soma 1), ordem decrescente, só features usadas
+   */
+  computeImportances(numFeatures, featureNames = []) {
+    const totals = new Array(numFeatures).fill(0);
+    for (const tree of this.trees) {
+      tree.importances.forEach((gain, f) => { totals[f] += gain; });
+    }
+
+    const sum = totals.reduce((a, b) => a + b, 0) || 1;
+
+    return totals
+      .map((gain, index) => ({
+        index,
+        feature: featureNames[index] || `feature_${index}`,
+        importance: gain / sum
+      }))
+      .filter(item => item.importance > 0)
+      .sort((a, b) => b.importance - a.importance);
+  }
+
+  rawScore(features) {
+    let score = this.baseScore;
+    for (const tree of this.trees) {
+      score += this.config.learningRate * tree.predict(features);
+    }
+    return score;
+  }
+
+  /**
+   * Faz predição para um conjunto de features
+   * @param {Array} features - Features brutas (mesmo schema do treino; normalizadas aqui)
+   * @returns {number} Probabilidade de BUY (0-1)
+   */
+  async predict(features) {
+    if (!this.isTrained) {
+      return 0.5; // Neutro
+    }
+
+    try {
+      return sigmoid(this.rawScore(featurePipeline.transform(features, this.normalization)));
+    } catch (error) {
+      console.error('❌ [Gradient Boosting] Erro na predição:', error.message);
+      return 0.5;
+    }
+  }
+
+  /**
+   * Salva o modelo treinado (JSON)
+   * @param {string} modelPath - Diretório de destino (padrão: this.modelPath)
+   */
+  async saveModel(modelPath = this.modelPath) {
+    if (!this.isTrained) {
+      return { success: false, error: 'Model not trained' };
+    }
+
+    try {
+      await fs.mkdir(modelPath, { recursive: true });
+      await fs.writeFile(path.join(modelPath, 'model.json'), JSON.stringify({
+        format: 'gradient-boosting-v1',
+        config: this.config,
+        baseScore: this.baseScore,
+        trees: this.trees.map(tree => tree.toJSON()),
+        featureImportances: this.featureImportances,
+        featureSchema: this.featureSchema,
+        normalization: this.normalization,
+        trainingStats: this.trainingStats
+      }));
+
+      console.log(`✅ [Gradient Boosting] Modelo salvo em ${modelPath}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ [Gradient Boosting] Erro ao salvar:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Carrega modelo previamente treinado
+   * @param {Object} options
+   * @param {string} options.path - Diretório do modelo (padrão: this.modelPath)
+   * @param {Object} options.featureSchema - Schema esperado; diferente do salvo → lança FeatureSchemaError
+   */
+  async loadModel(options = {}) {
+    const modelFile = path.join(options.path || this.modelPath, 'model.json');
+
+    try {
+      await fs.access(modelFile);
+    } catch {
+      console.log('ℹ️  [Gradient Boosting] Modelo não encontrado, será treinado na primeira execução');
+      return { success: false, error: 'Model file not found' };
+    }
+
+    try {
+      const saved = JSON.parse(await fs.readFile(modelFile, 'utf-8'));
+
+      if (options.featureSchema) {
+        featurePipeline.assertCompatible(saved.featureSchema, options.featureSchema, 'Gradient Boosting');
+      }
+
+      this.config = { ...this.config, ...saved.config };
+      this.baseScore = saved.baseScore;
+      this.trees = saved.trees.map(tree => DecisionTree.fromJSON(tree));
+      this.featureImportances = saved.featureImportances || [];
+      this.featureSchema = saved.featureSchema || null;
+      this.normalization = saved.normalization || null;
+      this.trainingStats = saved.trainingStats || null;
+      this.isTrained = this.trees.length > 0;
+
+      console.log(`✅ [Gradient Boosting] Modelo carregado com sucesso (${this.trees.length} árvores)`);
+      return { success: true };
+    } catch (error) {
+      if (error instanceof FeatureSchemaError) {
+        console.error(`❌ [Gradient Boosting] ${error.message}`);
+        throw error;
+      }
+      console.error('❌ [Gradient Boosting] Erro ao carregar:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Importâncias das features (maiores primeiro)
+   * @param {number} limit - Quantidade (padrão: todas)
+   */
+  getFeatureImportances(limit = null) {
+    return limit ? this.featureImportances.slice(0, limit) : this.featureImportances;
+  }
+
+  /**
+   * Retorna status do modelo
+   */
+  getStatus() {
+    return {
+      name: 'Gradient Boosting',
+      isTrained: this.isTrained,
+      isTraining: this.isTraining,
+      trees: this.trees.length,
+      architecture: this.config,
+      trainingStats: this.trainingStats,
+      featureSchemaVersion: this.featureSchema?.version ?? null,
+      topFeatures: this.getFeatureImportances(10)
+    };
+  }
+}
+
+module.exports = new GradientBoostingModel();
+module.exports.GradientBoostingModel = GradientBoostingModel;
@@ -6,6 +6,10 @@
  * Para previsão de séries temporais de preços
  *
  * LSTM é ideal para dados sequenciais pois "lembra" padrões históricos
+ *
+ * Entrada versionada: schema das features por candle (SEQUENCE_FEATURES) e escala
+ * ajustada no treino são salvos com o modelo e usados na inferência;
+ * carregar com schema diferente lança FeatureSchemaError (como as árvores)
  */
 
 let tf = null;
@@ -22,18 +26,32 @@ try {
 }
 const fs = require('fs').promises;
 const path = require('path');
+const timeSeriesCV = require('../timeSeriesCV');
+const featurePipeline = require('../featurePipeline');
+const { FeatureSchemaError } = featurePipeline;
+
+const LOOKAHEAD = 5; // Candles futuros usados no label (purgados entre treino e validação)
+
+// Features por timestep (mudar a lista ou o cálculo → incrementar a versão)
+const SEQUENCE_SCHEMA_VERSION = 1;
+const SEQUENCE_FEATURES = [
+  'price', 'return1', 'range', 'closePosition', 'volume', 'body', 'upperWick', 'lowerWick'
+];
+const PREPROCESSING_FILE = 'preprocessing.json';
 
 class LSTMModel {
   constructor() {
     this.model = null;
     this.isTraining = false;
     this.isTrained = false;
-    this.modelPath = path.join(__dirname, '../../database/models/lstm');
+    this.modelPath = path.join(__dirname, '../../../data/models/lstm');
+    this.featureSchema = null; // Schema das sequências do modelo em uso
+    this.scaling = null;       // Escala ajustada no treino (fitScaling)
 
     // Configuração LSTM
     this.config = {
       sequenceLength: 60,      // Usa últimos 60 candles para prever
-      features: 8,             // Número de features por candle
+      features: SEQUENCE_FEATURES.length, // Número de features por candle
       lstmUnits: [64, 32],     // Unidades nas camadas LSTM
       denseUnits: [16],        // Unidades nas camadas densas
       outputDim: 1,            // Saída: probabilidade de BUY (0-1)
@@ -106,69 +124,202 @@ class LSTMModel {
     return model;
   }
 
+  /**
+   * Schema das sequências geradas pelo código atual
+   */
+  getFeatureSchema() {
+    return {
+      name: 'lstm-ohlcv-sequence',
+      version: SEQUENCE_SCHEMA_VERSION,
+      names: [...SEQUENCE_FEATURES],
+      sequenceLength: this.config.sequenceLength
+    };
+  }
+
+  /**
+   * Schema e escala salvos precisam bater com o código atual
+   * @throws {FeatureSchemaError}
+   */
+  assertCompatible(preprocessing, expected) {
+    featurePipeline.assertCompatible(preprocessing?.featureSchema, expected, 'LSTM');
+
+    if (preprocessing.featureSchema.sequenceLength !== expected.sequenceLength) {
+      throw new FeatureSchemaError(
+        `LSTM treinado com sequências de ${preprocessing.featureSchema.sequenceLength} candles, ` +
+        `configuração atual é ${expected.sequenceLength}. Retreine o modelo.`,
+        { expected, saved: preprocessing.featureSchema }
+      );
+    }
+    if (!preprocessing.scaling) {
+      throw new FeatureSchemaError('LSTM salvo sem a escala do treino. Retreine o modelo.', { expected });
+    }
+  }
+
+  /**
+   * Escala de preço/volume das sequências
+   * No treino é ajustada só nos candles de treino (validação não vaza para a normalização)
+   */
+  fitScaling(candles) {
+    const closes = candles.map(c => c.close);
+    const volumes = candles.map(c => c.volume || 0);
+    const minPrice = Math.min(...closes);
+
+    return {
+      minPrice,
+      priceRange: Math.max(...closes) - minPrice || 1,
+      maxVolume: Math.max(...volumes) || 1
+    };
+  }
+
+  /**
+   * Split cronológico com purge
+   * Validação = últimas validationSplit sequências; o treino para LOOKAHEAD sequências antes
+   * (labels do treino não olham candles da validação) e a escala usa só os candles do treino
+   * @returns {Object} { train: { sequences, labels }, validation: { sequences, labels }, scaling }
+   */
+  chronologicalSplit(candles) {
+    const seqLen = this.config.sequenceLength;
+    const total = Math.max(0, candles.length - LOOKAHEAD - seqLen);
+    const valStart = total - Math.floor(total * this.config.validationSplit);
+    const trainEnd = Math.max(0, valStart - LOOKAHEAD);
+
+    const scaling = this.fitScaling(candles.slice(0, seqLen + trainEnd));
+    const { sequences, labels } = this.prepareSequences(candles, scaling);
+
+    return {
+      train: { sequences: sequences.slice(0, trainEnd), labels: labels.slice(0, trainEnd) },
+      validation: { sequences: sequences.slice(valStart), labels: labels.slice(valStart) },
+      scaling
+    };
+  }
+
+  /**
+   * Validação walk-forward purgada (timeSeriesCV): um LSTM novo por fold,
+   * escala ajustada só nos candles de treino do fold
+   * @param {Array} candles - Mesmos candles do treino
+   * @param {Object} options - Opções de timeSeriesCV (folds, embargo, maxTrainSize), onProgress, isCancelled
+   * @returns {Object} Relatório da validação (ver timeSeriesCV.crossValidate)
+   */
+  async crossValidate(candles, options = {}) {
+    if (!tf) {
+      return { method: 'purged-walk-forward', error: 'TensorFlow não disponível' };
+    }
+
+    const seqLen = this.config.sequenceLength;
+    const { labels } = this.prepareSequences(candles);
+
+    return timeSeriesCV.crossValidate(labels, async (trainIndices, testIndices) => {
+      const trainEnd = trainIndices[trainIndices.length - 1] + 1;
+      const { sequences } = this.prepareSequences(candles, this.fitScaling(candles.slice(0, seqLen + trainEnd)));
+
+      const model = this.createModel();
+      const xs = tf.tensor3d(trainIndices.map(i => sequences[i]));
+      const ys = tf.tensor2d(trainIndices.map(i => [labels[i]]));
+      const xsTest = tf.tensor3d(testIndices.map(i => sequences[i]));
+      let cancelled = false;
+
+      try {
+        await model.fit(xs, ys, {
+          epochs: this.config.epochs,
+          batchSize: this.config.batchSize,
+          shuffle: true,
+          verbose: 0,
+          callbacks: {
+            onEpochEnd: () => {
+              if (options.isCancelled && options.isCancelled()) {
+                cancelled = true;
+                model.stopTraining = true;
+              }
+            }
+          }
+        });
+
+        if (cancelled) return null;
+
+        const prediction = model.predict(xsTest);
+        const probabilities = Array.from(await prediction.data());
+        prediction.dispose();
+        return probabilities;
+      } finally {
+        xs.dispose();
+        ys.dispose();
+        xsTest.dispose();
+        model.dispose();
+      }
+    }, {
+      ...options,
+      labelHorizon: LOOKAHEAD,
+      timestamps: labels.map((_, s) => candles[seqLen + s].timestamp),
+      onFold: options.onProgress
+        ? (done, total) => options.onProgress((done / total) * 100, `LSTM validação fold ${done}/${total}`)
+        : undefined
+    });
+  }
+
+  /**
+   * Features dos sequenceLength candles que terminam antes de `end`
+   * Mesmo cálculo no treino (prepareSequences) e na inferência (predict)
+   *
+   * @param {Array} candles - Array de candles OHLCV
+   * @param {number} end - Índice (exclusivo) do fim da sequência
+   * @param {Object} scaling - fitScaling
+   * @returns {Array} [timesteps][SEQUENCE_FEATURES]
+   */
+  buildSequence(candles, end, scaling) {
+    const { minPrice, priceRange, maxVolume } = scaling;
+    const sequence = [];
+
+    for (let j = end - this.config.sequenceLength; j < end; j++) {
+      const candle = candles[j];
+      const prevClose = j > 0 ? candles[j - 1].close : candle.close;
+
+      // Ordem de SEQUENCE_FEATURES
+      sequence.push([
+        // 1. Preço normalizado
+        (candle.close - minPrice) / priceRange,
+        // 2. Retorno
+        (candle.close - prevClose) / prevClose,
+        // 3. High-Low range normalizado
+        (candle.high - candle.low) / priceRange,
+        // 4. Close position (onde fechou no range H-L)
+        candle.high !== candle.low
+          ? (candle.close - candle.low) / (candle.high - candle.low)
+          : 0.5,
+        // 5. Volume normalizado
+        candle.volume ? candle.volume / maxVolume : 0,
+        // 6. Body size (bullish = positivo, bearish = negativo)
+        (candle.close - candle.open) / priceRange,
+        // 7. Upper wick
+        (candle.high - Math.max(candle.open, candle.close)) / priceRange,
+        // 8. Lower wick
+        (Math.min(candle.open, candle.close) - candle.low) / priceRange
+      ]);
+    }
+
+    return sequence;
+  }
+
   /**
    * Prepara sequências para o LSTM
    * Transforma dados em formato [samples, timesteps, features]
+   * Sequência s termina no candle sequenceLength + s - 1; o label usa os LOOKAHEAD candles seguintes
    *
    * @param {Array} candles - Array de candles OHLCV
+   * @param {Object} scaling - fitScaling (padrão: ajustada em todos os candles)
    * @returns {Object} { sequences, labels }
    */
-  prepareSequences(candles) {
+  prepareSequences(candles, scaling = null) {
     const sequences = [];
     const labels = [];
-
-    // Calcula indicadores adicionais para features
-    const closes = candles.map(c => c.close);
-    const highs = candles.map(c => c.high);
-    const lows = candles.map(c => c.low);
-    const volumes = candles.map(c => c.volume || 0);
-
-    // Normaliza os dados
-    const minPrice = Math.min(...closes);
-    const maxPrice = Math.max(...closes);
-    const priceRange = maxPrice - minPrice || 1;
-
-    const maxVolume = Math.max(...volumes) || 1;
+    const fitted = scaling || this.fitScaling(candles);
 
     // Gera sequências
     const seqLen = this.config.sequenceLength;
-    const lookahead = 5; // Preve 5 candles à frente
+    const lookahead = LOOKAHEAD; // Preve 5 candles à frente
     const threshold = 0.003; // 0.3% de movimento para considerar BUY
 
     for (let i = seqLen; i < candles.length - lookahead; i++) {
-      const sequence = [];
-
-      // Últimos 60 candles
-      for (let j = i - seqLen; j < i; j++) {
-        const candle = candles[j];
-        const prevClose = j > 0 ? candles[j - 1].close : candle.close;
-
-        // 8 features por timestep:
-        const features = [
-          // 1. Preço normalizado
-          (candle.close - minPrice) / priceRange,
-          // 2. Retorno
-          (candle.close - prevClose) / prevClose,
-          // 3. High-Low range normalizado
-          (candle.high - candle.low) / priceRange,
-          // 4. Close position (onde fechou no range H-L)
-          candle.high !== candle.low
-            ? (candle.close - candle.low) / (candle.high - candle.low)
-            : 0.5,
-          // 5. Volume normalizado
-          candle.volume ? candle.volume / maxVolume : 0,
-          // 6. Body size (bullish = positivo, bearish = negativo)
-          (candle.close - candle.open) / priceRange,
-          // 7. Upper wick
-          (candle.high - Math.max(candle.open, candle.close)) / priceRange,
-          // 8. Lower wick
-          (Math.min(candle.open, candle.close) - candle.low) / priceRange
-        ];
-
-        sequence.push(features);
-      }
-
-      sequences.push(sequence);
+      sequences.push(this.buildSequence(candles, i, fitted));
 
       // Label: 1 se preço subiu mais que threshold nos próximos 5 candles
       const currentPrice = candles[i].close;
@@ -188,8 +339,11 @@ class LSTMModel {
    * Treina o modelo LSTM com dados históricos
    *
    * @param {Array} candles - Array de candles (mínimo 500)
+   * @param {Object} options
+   * @param {Function} options.onProgress - (percent, message) a cada epoch
+   * @param {Function} options.isCancelled - Interrompe o treinamento ao fim da epoch
    */
-  async train(candles) {
+  async train(candles, options = {}) {
     if (!tf) {
       console.log('⚠️  [LSTM] TensorFlow não disponível - treinamento simulado');
       this.isTrained = true; // Marca como treinado para usar fallback
@@ -214,8 +368,9 @@ class LSTMModel {
         this.model = this.createModel();
       }
 
-      // Prepara sequências
-      const { sequences, labels } = this.prepareSequences(candles);
+      // Prepara sequências (split cronológico com purge; validationSplit do TF embaralharia o tempo)
+      const { train, validation, scaling } = this.chronologicalSplit(candles);
+      const { sequences, labels } = train;
 
       if (sequences.length < 100) {
         throw new Error(`Sequências insuficientes: ${sequences.length} (mínimo 100)`);
@@ -224,14 +379,16 @@ class LSTMModel {
       // Converte para tensores
       const xs = tf.tensor3d(sequences);
       const ys = tf.tensor2d(labels, [labels.length, 1]);
+      const xsVal = tf.tensor3d(validation.sequences);
+      const ysVal = tf.tensor2d(validation.labels, [validation.labels.length, 1]);
 
       // Treina
-      console.log(`🚀 [LSTM] Treinando com ${sequences.length} amostras...`);
+      console.log(`🚀 [LSTM] Treinando com ${sequences.length} amostras (validação: ${validation.sequences.length})...`);
 
       const history = await this.model.fit(xs, ys, {
         epochs: this.config.epochs,
         batchSize: this.config.batchSize,
-        validationSplit: this.config.validationSplit,
+        validationData: [xsVal, ysVal],
         shuffle: true,
         verbose: 0,
         callbacks: {
@@ -239,6 +396,14 @@ class LSTMModel {
             if (epoch % 5 === 0 || epoch === this.config.epochs - 1) {
               console.log(`   Epoch ${epoch + 1}/${this.config.epochs}: loss=${logs.loss.toFixed(4)}, acc=${(logs.acc * 100).toFixed(2)}%, val_acc=${(logs.val_acc * 100).toFixed(2)}%`);
             }
+
+            if (options.onProgress) {
+              options.onProgress(((epoch + 1) / this.config.epochs) * 100, `LSTM epoch ${epoch + 1}/${this.config.epochs}`);
+            }
+
+            if (options.isCancelled && options.isCancelled()) {
+              this.model.stopTraining = true;
+            }
           }
         }
       });
@@ -246,6 +411,14 @@ class LSTMModel {
       // Limpa memória
       xs.dispose();
       ys.dispose();
+      xsVal.dispose();
+      ysVal.dispose();
+
+      if (options.isCancelled && options.isCancelled()) {
+        this.isTraining = false;
+        console.log('⚠️  [LSTM] Treinamento cancelado');
+        return { success: false, cancelled: true, error: 'Treinamento cancelado' };
+      }
 
       // Atualiza estatísticas
       const finalAccuracy = history.history.val_acc[history.history.val_acc.length - 1];
@@ -256,6 +429,8 @@ class LSTMModel {
         trainingSamples: sequences.length
       };
 
+      this.scaling = scaling;
+      this.featureSchema = this.getFeatureSchema();
       this.isTrained = true;
       this.isTraining = false;
 
@@ -284,25 +459,22 @@ class LSTMModel {
   /**
    * Faz predição para uma sequência de candles
    *
-   * @param {Array} candles - Últimos 60 candles
+   * @param {Array} candles - Candles até o atual (mínimo sequenceLength)
    * @returns {number} Probabilidade de BUY (0-1)
    */
   async predict(candles) {
     // Fallback se TensorFlow não disponível ou modelo não treinado
-    if (!tf || !this.model || !this.isTrained) {
+    if (!tf || !this.model || !this.isTrained || !this.scaling) {
       return this.simulatedPrediction(candles);
     }
 
-    try {
-      // Prepara sequência única
-      const { sequences } = this.prepareSequences([...candles.slice(-61), candles[candles.length - 1]]);
-
-      if (sequences.length === 0) {
-        return this.simulatedPrediction(candles);
-      }
+    if (candles.length < this.config.sequenceLength) {
+      return this.simulatedPrediction(candles);
+    }
 
-      // Usa última sequência
-      const sequence = sequences[sequences.length - 1];
+    try {
+      // Sequência terminando no último candle, com a escala do treino
+      const sequence = this.buildSequence(candles, candles.length, this.scaling);
       const input = tf.tensor3d([sequence]);
 
       const prediction = this.model.predict(input);
@@ -384,25 +556,32 @@ class LSTMModel {
 
   /**
    * Salva o modelo treinado
+   * @param {string} modelPath - Diretório de destino (padrão: this.modelPath)
    */
-  async saveModel() {
+  async saveModel(modelPath = this.modelPath) {
     if (!tf || !this.model || !this.isTrained) {
       return { success: false, error: 'Modelo não disponível para salvar' };
     }
 
     try {
       // Cria diretório se não existir
-      await fs.mkdir(this.modelPath, { recursive: true });
+      await fs.mkdir(modelPath, { recursive: true });
 
       // Usa IOHandler customizado
-      const ioHandler = this.createFileIOHandler(this.modelPath);
+      const ioHandler = this.createFileIOHandler(modelPath);
       await this.model.save(ioHandler);
 
       // Salva também as estatísticas de treinamento
-      const statsPath = path.join(this.modelPath, 'training_stats.json');
+      const statsPath = path.join(modelPath, 'training_stats.json');
       await fs.writeFile(statsPath, JSON.stringify(this.trainingHistory, null, 2));
 
-      console.log(`✅ [LSTM] Modelo salvo em ${this.modelPath}`);
+      // Schema e escala: a inferência usa exatamente o pré-processamento do treino
+      await fs.writeFile(
+        path.join(modelPath, PREPROCESSING_FILE),
+        JSON.stringify({ featureSchema: this.featureSchema, scaling: this.scaling }, null, 2)
+      );
+
+      console.log(`✅ [LSTM] Modelo salvo em ${modelPath}`);
       return { success: true };
 
     } catch (error) {
@@ -413,15 +592,20 @@ class LSTMModel {
 
   /**
    * Carrega modelo previamente treinado
+   * @param {Object} options
+   * @param {string} options.path - Diretório do modelo (padrão: this.modelPath)
+   * @param {Object} options.featureSchema - Schema exigido (getFeatureSchema); incompatível → FeatureSchemaError
    */
-  async loadModel() {
+  async loadModel(options = {}) {
     if (!tf) {
       return { success: false, error: 'TensorFlow não disponível' };
     }
 
+    const modelPath = options.path || this.modelPath;
+
     try {
-      const modelFile = path.join(this.modelPath, 'model.json');
-      const weightsFile = path.join(this.modelPath, 'weights.bin');
+      const modelFile = path.join(modelPath, 'model.json');
+      const weightsFile = path.join(modelPath, 'weights.bin');
 
       // Verifica se arquivos existem
       try {
@@ -432,6 +616,18 @@ class LSTMModel {
         return { success: false, error: 'Modelo não encontrado' };
       }
 
+      // Pré-processamento do treino (modelos antigos não têm o arquivo)
+      let preprocessing = null;
+      try {
+        preprocessing = JSON.parse(await fs.readFile(path.join(modelPath, PREPROCESSING_FILE), 'utf-8'));
+      } catch {
+        preprocessing = null;
+      }
+
+      if (options.featureSchema) {
+        this.assertCompatible(preprocessing, options.featureSchema);
+      }
+
       // Carrega topologia
       const modelJSON = JSON.parse(await fs.readFile(modelFile, 'utf-8'));
 
@@ -455,19 +651,25 @@ class LSTMModel {
 
       // Tenta carregar estatísticas
       try {
-        const statsPath = path.join(this.modelPath, 'training_stats.json');
+        const statsPath = path.join(modelPath, 'training_stats.json');
         const stats = JSON.parse(await fs.readFile(statsPath, 'utf-8'));
         this.trainingHistory = stats;
       } catch {
         // Stats não disponíveis, ok
       }
 
+      this.featureSchema = preprocessing?.featureSchema || null;
+      this.scaling = preprocessing?.scaling || null;
       this.isTrained = true;
 
       console.log('✅ [LSTM] Modelo carregado com sucesso');
       return { success: true };
 
     } catch (error) {
+      if (error instanceof FeatureSchemaError) {
+        console.error(`❌ [LSTM] ${error.message}`);
+        throw error;
+      }
       console.error('❌ [LSTM] Erro ao carregar modelo:', error.message);
       return { success: false, error: error.message };
     }
@@ -482,6 +684,7 @@ class LSTMModel {
       isTrained: this.isTrained,
       isTraining: this.isTraining,
       hasTensorFlow: !!tf,
+      featureSchemaVersion: this.featureSchema ? this.featureSchema.version : null,
       config: this.config,
       trainingHistory: this.trainingHistory
     };
@@ -489,3 +692,4 @@ class LSTMModel {
 }
 
 module.exports = new LSTMModel();
+module.exports.LSTMModel = LSTMModel;
@@ -1,153 +1,162 @@
 /**
  * ==========================================
- * RANDOM FOREST MODEL (TensorFlow.js)
+ * RANDOM FOREST MODEL (JS puro)
  * ==========================================
- * Implementação de Random Forest usando TensorFlow.js
- * Para classificação binária: BUY (1) ou SELL (0)
+ * Floresta de árvores de decisão com bagging para classificação binária: BUY (1) ou SELL (0)
+ * - Cada árvore treina numa amostra bootstrap (com reposição) e sorteia
+ *   maxFeatures features por nó
+ * - Probabilidade = média das folhas (fração de BUY) de todas as árvores
+ * - Out-of-bag: cada amostra é avaliada só pelas árvores que não a viram
+ *   → accuracy sem separar validação
+ * - Importância das features = ganho acumulado nos splits (normalizado)
+ * - Com featureSchema: normalização do featurePipeline ajustada no treino e salva com o modelo
  */
 
-// TensorFlow.js - tenta versão node primeiro, depois versão pura JS
-let tf = null;
-try {
-  tf = require('@tensorflow/tfjs-node');
-  console.log('✅ TensorFlow.js-node carregado');
-} catch (error) {
-  try {
-    tf = require('@tensorflow/tfjs');
-    console.log('✅ TensorFlow.js (JavaScript puro) carregado');
-  } catch (error2) {
-    console.warn('⚠️  TensorFlow.js não disponível - usando predições simuladas');
-  }
-}
 const fs = require('fs').promises;
 const path = require('path');
+const DecisionTree = require('./decisionTree');
+const featurePipeline = require('../featurePipeline');
+const { FeatureSchemaError } = featurePipeline;
+
+const MODEL_FORMAT = 'random-forest-v1';
 
 class RandomForestModel {
-  constructor() {
-    this.model = null;
+  /**
+   * @param {Object} config - Sobrescreve this.config (ver configure)
+   */
+  constructor(config = {}) {
+    this.trees = [];
+    this.featureImportances = [];
     this.isTraining = false;
     this.isTrained = false;
-    this.modelPath = path.join(__dirname, '../../database/models/random_forest');
+    this.trainingStats = null;
+    this.featureSchema = null;
+    this.normalization = null;
+    this.modelPath = path.join(__dirname, '../../../data/models/random_forest');
     this.config = {
-      inputDim: 50, // Número de features
-      hiddenLayers: [128, 64, 32],
-      outputDim: 1, // Probabilidade de BUY (0-1)
-      learningRate: 0.001,
-      epochs: 100,
-      batchSize: 32
+      nTrees: 100,
+      maxDepth: 8,
+      minSamplesLeaf: 5,
+      maxFeatures: 'sqrt', // Número, 'sqrt' ou null (todas)
+      maxBins: 32,
+      ...config
     };
   }
 
   /**
-   * Cria a arquitetura da rede neural
+   * Ajusta hiperparâmetros (valem a partir do próximo treino)
+   * @param {Object} config - { nTrees, maxDepth, minSamplesLeaf, maxFeatures, maxBins }
    */
-  createModel() {
-    if (!tf) {
-      console.warn('⚠️  TensorFlow não disponível');
-      return null;
-    }
-    const model = tf.sequential();
-
-    // Input layer
-    model.add(tf.layers.dense({
-      units: this.config.hiddenLayers[0],
-      activation: 'relu',
-      inputShape: [this.config.inputDim]
-    }));
-    model.add(tf.layers.dropout({ rate: 0.3 }));
-
-    // Hidden layers
-    for (let i = 1; i < this.config.hiddenLayers.length; i++) {
-      model.add(tf.layers.dense({
-        units: this.config.hiddenLayers[i],
-        activation: 'relu'
-      }));
-      model.add(tf.layers.dropout({ rate: 0.2 }));
-    }
-
-    // Output layer (sigmoid para probabilidade 0-1)
-    model.add(tf.layers.dense({
-      units: this.config.outputDim,
-      activation: 'sigmoid'
-    }));
-
-    // Compile
-    model.compile({
-      optimizer: tf.train.adam(this.config.learningRate),
-      loss: 'binaryCrossentropy',
-      metrics: ['accuracy']
-    });
+  configure(config = {}) {
+    this.config = { ...this.config, ...config };
+    return this.config;
+  }
 
-    return model;
+  resolveMaxFeatures(numFeatures) {
+    const { maxFeatures } = this.config;
+    if (maxFeatures === 'sqrt') return Math.max(1, Math.round(Math.sqrt(numFeatures)));
+    return maxFeatures || numFeatures;
   }
 
   /**
    * Treina o modelo com dados históricos
-   * @param {Array} features - Array de features [n_samples, 50]
+   * @param {Array} features - Array de features [n_samples, n_features]
    * @param {Array} labels - Array de labels [n_samples] (0 ou 1)
+   * @param {Object} options
+   * @param {Array} options.featureNames - Nomes das features (padrão: featureSchema.names)
+   * @param {Object} options.featureSchema - Schema do featurePipeline (ativa normalização)
+   * @param {Function} options.onProgress - (percent, message) a cada árvore
+   * @param {Function} options.isCancelled - Interrompe o treinamento entre árvores
    */
-  async train(features, labels) {
+  async train(features, labels, options = {}) {
     try {
-      if (!tf) {
-        console.log('⚠️  [Random Forest] TensorFlow não disponível - treinamento simulado');
-        this.isTraining = false;
-        return { success: true, message: 'Treinamento simulado (TensorFlow não instalado)' };
+      if (!features || features.length < 2 * this.config.minSamplesLeaf) {
+        throw new Error(`Amostras insuficientes para Random Forest (${features?.length || 0})`);
       }
 
       console.log('🤖 [Random Forest] Iniciando treinamento...');
       this.isTraining = true;
 
-      // Cria modelo se não existir
-      if (!this.model) {
-        this.model = this.createModel();
-      }
+      const { nTrees, maxDepth, minSamplesLeaf, maxBins } = this.config;
+      const featureSchema = options.featureSchema || null;
+      const normalization = featureSchema ? featurePipeline.fitNormalization(features) : null;
+      const rows = normalization ? features.map(row => featurePipeline.transform(row, normalization)) : features;
+      const numSamples = rows.length;
+      const numFeatures = rows[0].length;
+      const maxFeatures = this.resolveMaxFeatures(numFeatures);
+
+      const binned = DecisionTree.binFeatures(rows, maxBins);
+      const targets = labels.map(label => (label === 1 ? 1 : 0));
+
+      // Soma das predições out-of-bag por amostra
+      const oobSum = new Float64Array(numSamples);
+      const oobCount = new Uint32Array(numSamples);
+      const trees = [];
+
+      for (let t = 0; t < nTrees; t++) {
+        if (options.isCancelled && options.isCancelled()) {
+          this.isTraining = false;
+          console.log('⚠️  [Random Forest] Treinamento cancelado');
+          return { success: false, cancelled: true, error: 'Treinamento cancelado' };
+        }
+
+        const { sample, inBag } = this.bootstrap(numSamples);
+        const tree = new DecisionTree({ maxDepth, minSamplesLeaf, maxFeatures }).fit(binned, targets, sample);
+        trees.push(tree);
 
-      // Converte para tensores
-      const xs = tf.tensor2d(features);
-      const ys = tf.tensor2d(labels, [labels.length, 1]);
-
-      // Split train/validation (80/20)
-      const numSamples = features.length;
-      const trainSize = Math.floor(numSamples * 0.8);
-
-      const xsTrain = xs.slice([0, 0], [trainSize, this.config.inputDim]);
-      const ysTrain = ys.slice([0, 0], [trainSize, 1]);
-
-      const xsVal = xs.slice([trainSize, 0], [numSamples - trainSize, this.config.inputDim]);
-      const ysVal = ys.slice([trainSize, 0], [numSamples - trainSize, 1]);
-
-      // Treina
-      const history = await this.model.fit(xsTrain, ysTrain, {
-        epochs: this.config.epochs,
-        batchSize: this.config.batchSize,
-        validationData: [xsVal, ysVal],
-        verbose: 0,
-        callbacks: {
-          onEpochEnd: (epoch, logs) => {
-            if (epoch % 10 === 0) {
-              console.log(`  Epoch ${epoch}: loss=${logs.loss.toFixed(4)}, acc=${logs.acc.toFixed(4)}`);
-            }
-          }
+        for (let i = 0; i < numSamples; i++) {
+          if (inBag[i]) continue;
+          oobSum[i] += tree.predict(rows[i]);
+          oobCount[i]++;
         }
-      });
 
-      // Limpa memória
-      xs.dispose();
-      ys.dispose();
-      xsTrain.dispose();
-      ysTrain.dispose();
-      xsVal.dispose();
-      ysVal.dispose();
+        if (options.onProgress) {
+          options.onProgress(((t + 1) / nTrees) * 100, `Random Forest árvore ${t + 1}/${nTrees}`);
+        }
+
+        // Libera o event loop entre árvores (servidor continua respondendo)
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      this.trees = trees;
+      this.featureSchema = featureSchema;
+      this.normalization = normalization;
+      this.featureImportances = this.computeImportances(numFeatures, options.featureNames || featureSchema?.names);
+
+      let oobCorrect = 0;
+      let oobEvaluated = 0;
+      for (let i = 0; i < numSamples; i++) {
+        if (oobCount[i] === 0) continue;
+        oobEvaluated++;
+        if ((oobSum[i] / oobCount[i] > 0.5 ? 1 : 0) === targets[i]) oobCorrect++;
+      }
+
+      let trainCorrect = 0;
+      for (let i = 0; i < numSamples; i++) {
+        if ((this.predictProbability(rows[i]) > 0.5 ? 1 : 0) === targets[i]) trainCorrect++;
+      }
+
+      this.trainingStats = {
+        trainedAt: new Date().toISOString(),
+        samples: numSamples,
+        trees: trees.length,
+        maxFeatures,
+        trainAccuracy: trainCorrect / numSamples,
+        oobAccuracy: oobEvaluated > 0 ? oobCorrect / oobEvaluated : null,
+        oobSamples: oobEvaluated
+      };
 
       this.isTrained = true;
       this.isTraining = false;
 
-      console.log('✅ [Random Forest] Treinamento concluído!');
+      console.log(`✅ [Random Forest] Treinamento concluído! OOB acc=${((this.trainingStats.oobAccuracy || 0) * 100).toFixed(2)}%`);
 
       return {
         success: true,
-        finalLoss: history.history.loss[history.history.loss.length - 1],
-        finalAccuracy: history.history.acc[history.history.acc.length - 1]
+        trees: trees.length,
+        finalAccuracy: this.trainingStats.trainAccuracy,
+        oobAccuracy: this.trainingStats.oobAccuracy,
+        featureImportances: this.featureImportances.slice(0, 10)
       };
     } catch (error) {
       this.isTraining = false;
@@ -159,27 +168,61 @@ class RandomForestModel {
     }
   }
 
+  /**
+   * Amostra bootstrap: n sorteios com reposição + marcação de quem entrou
+   */
+  bootstrap(numSamples) {
+    const sample = new Array(numSamples);
+    const inBag = new Uint8Array(numSamples);
+
+    for (let i = 0; i < numSamples; i++) {
+      const index = Math.floor(Math.random() * numSamples);
+      sample[i] = index;
+      inBag[index] = 1;
+    }
+
+    return { sample, inBag };
+  }
+
+  /**
+   * Importância normalizada (soma 1), ordem decrescente, só features usadas
+   */
+  computeImportances(numFeatures, featureNames = []) {
+    const totals = new Array(numFeatures).fill(0);
+    for (const tree of this.trees) {
+      tree.importances.forEach((gain, f) => { totals[f] += gain; });
+    }
+
+    const sum = totals.reduce((a, b) => a + b, 0) || 1;
+
+    return totals
+      .map((gain, index) => ({
+        index,
+        feature: featureNames[index] || `feature_${index}`,
+        importance: gain / sum
+      }))
+      .filter(item => item.importance > 0)
+      .sort((a, b) => b.importance - a.importance);
+  }
+
+  predictProbability(features) {
+    let sum = 0;
+    for (const tree of this.trees) sum += tree.predict(features);
+    return sum / this.trees.length;
+  }
+
   /**
    * Faz predição para um conjunto de features
-   * @param {Array} features - Array de features [50]
+   * @param {Array} features - Features brutas (mesmo schema do treino; normalizadas aqui)
    * @returns {number} Probabilidade de BUY (0-1)
    */
   async predict(features) {
-    if (!tf || !this.isTrained) {
-      // Fallback sem TensorFlow
-      return 0.3 + Math.random() * 0.4;
+    if (!this.isTrained) {
+      return 0.5; // Neutro
     }
 
     try {
-      const input = tf.tensor2d([features]);
-      const prediction = this.model.predict(input);
-      const probability = (await prediction.data())[0];
-
-      // Limpa memória
-      input.dispose();
-      prediction.dispose();
-
-      return probability;
+      return this.predictProbability(featurePipeline.transform(features, this.normalization));
     } catch (error) {
       console.error('❌ [Random Forest] Erro na predição:', error.message);
       return 0.5; // Neutro
@@ -187,54 +230,27 @@ class RandomForestModel {
   }
 
   /**
-   * Cria um IOHandler customizado para salvar modelo em arquivo
-   */
-  createFileIOHandler(modelPath) {
-    return {
-      save: async (modelArtifacts) => {
-        await fs.mkdir(modelPath, { recursive: true });
-
-        // Salva topologia do modelo (model.json)
-        const modelJSON = {
-          modelTopology: modelArtifacts.modelTopology,
-          weightsManifest: [{
-            paths: ['weights.bin'],
-            weights: modelArtifacts.weightSpecs
-          }],
-          format: modelArtifacts.format,
-          generatedBy: modelArtifacts.generatedBy,
-          convertedBy: modelArtifacts.convertedBy
-        };
-
-        await fs.writeFile(
-          path.join(modelPath, 'model.json'),
-          JSON.stringify(modelJSON)
-        );
-
-        // Salva pesos binários
-        const weightData = modelArtifacts.weightData;
-        await fs.writeFile(
-          path.join(modelPath, 'weights.bin'),
-          Buffer.from(weightData)
-        );
-
-        return { modelArtifactsInfo: { dateSaved: new Date() } };
-      }
-    };
-  }
-
-  /**
-   * Salva o modelo treinado
+   * Salva o modelo treinado (JSON)
+   * @param {string} modelPath - Diretório de destino (padrão: this.modelPath)
    */
-  async saveModel() {
-    if (!tf || !this.isTrained || !this.model) {
-      return { success: false, error: 'Model not trained or TensorFlow not available' };
+  async saveModel(modelPath = this.modelPath) {
+    if (!this.isTrained) {
+      return { success: false, error: 'Model not trained' };
     }
 
     try {
-      const ioHandler = this.createFileIOHandler(this.modelPath);
-      await this.model.save(ioHandler);
-      console.log(`✅ [Random Forest] Modelo salvo em ${this.modelPath}`);
+      await fs.mkdir(modelPath, { recursive: true });
+      await fs.writeFile(path.join(modelPath, 'model.json'), JSON.stringify({
+        format: MODEL_FORMAT,
+        config: this.config,
+        trees: this.trees.map(tree => tree.toJSON()),
+        featureImportances: this.featureImportances,
+        featureSchema: this.featureSchema,
+        normalization: this.normalization,
+        trainingStats: this.trainingStats
+      }));
+
+      console.log(`✅ [Random Forest] Modelo salvo em ${modelPath}`);
       return { success: true };
     } catch (error) {
       console.error('❌ [Random Forest] Erro ao salvar:', error.message);
@@ -244,55 +260,61 @@ class RandomForestModel {
 
   /**
    * Carrega modelo previamente treinado
+   * @param {Object} options
+   * @param {string} options.path - Diretório do modelo (padrão: this.modelPath)
+   * @param {Object} options.featureSchema - Schema esperado; diferente do salvo → lança FeatureSchemaError
    */
-  async loadModel() {
-    if (!tf) {
-      return { success: false, error: 'TensorFlow not available' };
+  async loadModel(options = {}) {
+    const modelFile = path.join(options.path || this.modelPath, 'model.json');
+
+    try {
+      await fs.access(modelFile);
+    } catch {
+      console.log('ℹ️  [Random Forest] Modelo não encontrado, será treinado na primeira execução');
+      return { success: false, error: 'Model file not found' };
     }
 
     try {
-      const modelFile = path.join(this.modelPath, 'model.json');
-      const weightsFile = path.join(this.modelPath, 'weights.bin');
-
-      // Verifica se arquivos existem
-      try {
-        await fs.access(modelFile);
-        await fs.access(weightsFile);
-      } catch {
-        console.log('ℹ️  [Random Forest] Modelo não encontrado, será treinado na primeira execução');
-        return { success: false, error: 'Model file not found' };
+      const saved = JSON.parse(await fs.readFile(modelFile, 'utf-8'));
+
+      // Modelo antigo (rede densa TensorFlow.js) não é compatível
+      if (saved.format !== MODEL_FORMAT) {
+        console.log('ℹ️  [Random Forest] Modelo salvo em formato antigo, será treinado na próxima execução');
+        return { success: false, error: 'Incompatible model format' };
       }
 
-      // Carrega topologia
-      const modelJSON = JSON.parse(await fs.readFile(modelFile, 'utf-8'));
-
-      // Carrega pesos
-      const weightsData = await fs.readFile(weightsFile);
-      const weightData = new Uint8Array(weightsData).buffer;
-
-      // Cria IOHandler para carregar
-      const loadHandler = {
-        load: async () => ({
-          modelTopology: modelJSON.modelTopology,
-          weightSpecs: modelJSON.weightsManifest[0].weights,
-          weightData: weightData,
-          format: modelJSON.format,
-          generatedBy: modelJSON.generatedBy,
-          convertedBy: modelJSON.convertedBy
-        })
-      };
+      if (options.featureSchema) {
+        featurePipeline.assertCompatible(saved.featureSchema, options.featureSchema, 'Random Forest');
+      }
 
-      this.model = await tf.loadLayersModel(loadHandler);
-      this.isTrained = true;
+      this.config = { ...this.config, ...saved.config };
+      this.trees = saved.trees.map(tree => DecisionTree.fromJSON(tree));
+      this.featureImportances = saved.featureImportances || [];
+      this.featureSchema = saved.featureSchema || null;
+      this.normalization = saved.normalization || null;
+      this.trainingStats = saved.trainingStats || null;
+      this.isTrained = this.trees.length > 0;
 
-      console.log('✅ [Random Forest] Modelo carregado com sucesso');
+      console.log(`✅ [Random Forest] Modelo carregado com sucesso (${this.trees.length} árvores)`);
       return { success: true };
     } catch (error) {
+      if (error instanceof FeatureSchemaError) {
+        console.error(`❌ [Random Forest] ${error.message}`);
+        throw error;
+      }
       console.error('❌ [Random Forest] Erro ao carregar:', error.message);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Importâncias das features (maiores primeiro)
+   * @param {number} limit - Quantidade (padrão: todas)
+   */
+  getFeatureImportances(limit = null) {
+    return limit ? this.featureImportances.slice(0, limit) : this.featureImportances;
+  }
+
   /**
    * Retorna status do modelo
    */
@@ -301,9 +323,15 @@ class RandomForestModel {
       name: 'Random Forest',
       isTrained: this.isTrained,
       isTraining: this.isTraining,
-      architecture: this.config
+      trees: this.trees.length,
+      architecture: this.config,
+      trainingStats: this.trainingStats,
+      featureSchemaVersion: this.featureSchema?.version ?? null,
+      oobAccuracy: this.trainingStats?.oobAccuracy ?? null,
+      topFeatures: this.getFeatureImportances(10)
     };
   }
 }
 
 module.exports = new RandomForestModel();
+module.exports.RandomForestModel = RandomForestModel;
@@ -3,12 +3,23 @@
  * ML TRAINER SERVICE
  * ==========================================
  * Serviço para treinar modelos de ML com dados históricos
- * - Prepara features
+ * - Prepara features (featurePipeline: mesmas da inferência)
  * - Gera labels baseados em movimentos futuros
- * - Treina modelos
+ * - Valida com walk-forward purgado (timeSeriesCV) antes do treino final
+ * - Treina modelos e registra cada versão no modelRegistry
  */
 
 const randomForestModel = require('./mlModels/randomForestModel');
+const { RandomForestModel } = randomForestModel;
+const gradientBoostingModel = require('./mlModels/gradientBoostingModel');
+const { GradientBoostingModel } = gradientBoostingModel;
+const timeSeriesCV = require('./timeSeriesCV');
+const featurePipeline = require('./featurePipeline');
+const modelRegistry = require('./modelRegistry');
+const { ModelRegistry } = modelRegistry;
+
+// Candles futuros usados no label (generateLabels): horizonte purgado na validação
+const LABEL_LOOKAHEAD = 5;
 
 class MLTrainer {
   constructor() {
@@ -16,72 +27,14 @@ class MLTrainer {
   }
 
   /**
-   * Prepara features a partir de dados OHLCV
-   * Extrai 50+ indicadores técnicos
+   * Prepara features a partir de dados OHLCV (uma linha por candle com label)
    */
   prepareFeatures(candles) {
     if (candles.length < 200) {
       throw new Error('Necessário pelo menos 200 candles para extrair features');
     }
 
-    const features = [];
-
-    for (let i = 50; i < candles.length - 10; i++) {
-      const feature = [];
-
-      // Preço normalizado
-      const currentPrice = candles[i].close;
-      feature.push(currentPrice / candles[i - 1].close - 1); // Retorno
-
-      // EMAs
-      const ema9 = this.calculateEMA(candles.slice(i - 9, i + 1), 9);
-      const ema21 = this.calculateEMA(candles.slice(i - 21, i + 1), 21);
-      const ema50 = this.calculateEMA(candles.slice(i - 50, i + 1), 50);
-
-      feature.push((currentPrice - ema9) / currentPrice);
-      feature.push((currentPrice - ema21) / currentPrice);
-      feature.push((currentPrice - ema50) / currentPrice);
-
-      // RSI
-      const rsi14 = this.calculateRSI(candles.slice(i - 14, i + 1), 14);
-      feature.push(rsi14 / 100);
-
-      // MACD
-      const macd = this.calculateMACD(candles.slice(i - 26, i + 1));
-      feature.push(macd.macd / currentPrice);
-      feature.push(macd.signal / currentPrice);
-      feature.push(macd.histogram / currentPrice);
-
-      // ATR
-      const atr = this.calculateATR(candles.slice(i - 14, i + 1), 14);
-      feature.push(atr / currentPrice);
-
-      // Volatilidade
-      const volatility = this.calculateVolatility(candles.slice(i - 20, i + 1));
-      feature.push(volatility);
-
-      // Volume
-      const volumeMA = candles.slice(i - 20, i + 1).reduce((s, c) => s + c.volume, 0) / 20;
-      feature.push(candles[i].volume / volumeMA - 1);
-
-      // Candlestick patterns
-      feature.push(this.isBullishCandle(candles[i]) ? 1 : 0);
-      feature.push(this.isBearishCandle(candles[i]) ? 1 : 0);
-
-      // Distância de High/Low
-      const high20 = Math.max(...candles.slice(i - 20, i + 1).map(c => c.high));
-      const low20 = Math.min(...candles.slice(i - 20, i + 1).map(c => c.low));
-      feature.push((currentPrice - low20) / (high20 - low20));
-
-      // Preenche até 50 features (adiciona zeros se necessário)
-      while (feature.length < 50) {
-        feature.push(0);
-      }
-
-      features.push(feature.slice(0, 50)); // Garante exatamente 50
-    }
-
-    return features;
+    return featurePipeline.extractSeries(candles, featurePipeline.minHistory, candles.length - 10);
   }
 
   /**
@@ -89,10 +42,10 @@ class MLTrainer {
    * Label = 1 se preço subiu 0.3% nos próximos N candles
    * Label = 0 caso contrário
    */
-  generateLabels(candles, lookahead = 5, threshold = 0.003) {
+  generateLabels(candles, lookahead = LABEL_LOOKAHEAD, threshold = 0.003) {
     const labels = [];
 
-    for (let i = 50; i < candles.length - 10; i++) {
+    for (let i = featurePipeline.minHistory; i < candles.length - 10; i++) {
       const currentPrice = candles[i].close;
       const futureMax = Math.max(...candles.slice(i + 1, i + lookahead + 1).map(c => c.high));
       const futureReturn = (futureMax - currentPrice) / currentPrice;
@@ -104,9 +57,14 @@ class MLTrainer {
   }
 
   /**
-   * Treina o modelo Random Forest com dados históricos
+   * Treina Random Forest e Gradient Boosting com dados históricos
+   * @param {Object} options - { onProgress, isCancelled } repassados aos modelos
+   * @param {Array} options.models - Modelos treinados (padrão: ['randomForest', 'gradientBoosting'])
+   * @param {string} options.pair - Par dos dados (metadado da versão)
+   * @param {boolean} options.promote - Versões novas viram ativas (padrão: true)
+   * @param {Object|boolean} options.cv - { folds, embargo, maxTrainSize } ou false para pular a validação
    */
-  async trainModels(candleData) {
+  async trainModels(candleData, options = {}) {
     try {
       console.log('🚀 Iniciando treinamento dos modelos de ML...');
       this.isTraining = true;
@@ -123,25 +81,46 @@ class MLTrainer {
       // Prepara features e labels
       const features = this.prepareFeatures(candles);
       const labels = this.generateLabels(candles);
+      const timestamps = features.map((_, k) => candles[featurePipeline.minHistory + k].timestamp);
 
       console.log(`✅ ${features.length} amostras geradas`);
       console.log(`📈 Distribuição de labels: ${labels.filter(l => l === 1).length} BUY, ${labels.filter(l => l === 0).length} SELL`);
 
+      const models = options.models || ['randomForest', 'gradientBoosting'];
+      const trainRandomForest = models.includes('randomForest');
+      const trainGradientBoosting = models.includes('gradientBoosting');
+      const rfEnd = trainGradientBoosting ? 50 : 100;
+      const data = { features, labels, timestamps };
+      const context = {
+        ...options,
+        metadata: {
+          source: 'train',
+          pair: options.pair || null,
+          dataRange: ModelRegistry.describeCandles(candles, '1H')
+        }
+      };
+      const results = {};
+
       // Treina Random Forest
-      const rfResult = await randomForestModel.train(features, labels);
+      if (trainRandomForest) {
+        results.randomForest = await this.trainTreeModel('randomForest', randomForestModel,
+          () => new RandomForestModel(randomForestModel.config), data, context, 0, rfEnd);
+      }
 
-      if (rfResult.success) {
-        await randomForestModel.saveModel();
-        console.log(`✅ Random Forest: acc=${(rfResult.finalAccuracy * 100).toFixed(2)}%`);
+      // Treina Gradient Boosting
+      if (trainGradientBoosting && !(options.isCancelled && options.isCancelled())) {
+        results.gradientBoosting = await this.trainTreeModel('gradientBoosting', gradientBoostingModel, () => {
+          const model = new GradientBoostingModel();
+          model.config = { ...gradientBoostingModel.config };
+          return model;
+        }, data, context, trainRandomForest ? 50 : 0, 100);
       }
 
       this.isTraining = false;
 
       return {
         success: true,
-        results: {
-          randomForest: rfResult
-        }
+        results
       };
     } catch (error) {
       this.isTraining = false;
@@ -154,104 +133,82 @@ class MLTrainer {
   }
 
   /**
-   * Calcula EMA
-   */
-  calculateEMA(candles, period) {
-    const k = 2 / (period + 1);
-    let ema = candles[0].close;
-
-    for (let i = 1; i < candles.length; i++) {
-      ema = candles[i].close * k + ema * (1 - k);
-    }
-
-    return ema;
-  }
-
-  /**
-   * Calcula RSI
+   * Validação walk-forward (modelos novos por fold) + treino final com todas as amostras
+   * Progresso: validação na primeira metade da faixa [start, end], treino final na segunda
+   * O relatório da validação vai no resultado e nos metadados da versão registrada
    */
-  calculateRSI(candles, period) {
-    let gains = 0;
-    let losses = 0;
-
-    for (let i = 1; i < candles.length; i++) {
-      const change = candles[i].close - candles[i - 1].close;
-      if (change > 0) {
-        gains += change;
-      } else {
-        losses -= change;
+  async trainTreeModel(name, model, createFoldModel, data, options, start, end) {
+    const { features, labels, timestamps } = data;
+    const featureSchema = featurePipeline.getSchema();
+    const report = options.onProgress
+      ? (from, to) => (percent, message) => options.onProgress(from + ((to - from) * percent) / 100, message)
+      : () => undefined;
+    const cvEnabled = options.cv !== false;
+    const middle = cvEnabled ? (start + end) / 2 : start;
+
+    let validation = null;
+    if (cvEnabled) {
+      const foldProgress = report(start, middle);
+      console.log(`🧪 ${name}: validação walk-forward purgada...`);
+
+      validation = await timeSeriesCV.crossValidate(labels, async (trainIndices, testIndices) => {
+        const foldModel = createFoldModel();
+        const foldResult = await foldModel.train(trainIndices.map(i => features[i]), trainIndices.map(i => labels[i]), {
+          featureSchema,
+          labelHorizon: LABEL_LOOKAHEAD,
+          isCancelled: options.isCancelled
+        });
+
+        if (foldResult.cancelled) return null;
+        if (!foldResult.success) throw new Error(`Validação de ${name}: ${foldResult.error}`);
+
+        return Promise.all(testIndices.map(i => foldModel.predict(features[i])));
+      }, {
+        ...timeSeriesCV.DEFAULT_CV,
+        ...(typeof options.cv === 'object' ? options.cv : {}),
+        labelHorizon: LABEL_LOOKAHEAD,
+        timestamps,
+        isCancelled: options.isCancelled,
+        onFold: (done, total) => foldProgress && foldProgress((done / total) * 100, `${name} validação fold ${done}/${total}`)
+      }).catch(error => {
+        // Histórico curto para os folds (ou fold sem amostras suficientes): treina mesmo assim,
+        // o erro fica registrado no lugar das métricas
+        console.warn(`⚠️  ${name}: validação walk-forward não executada - ${error.message}`);
+        return { method: 'purged-walk-forward', error: error.message };
+      });
+
+      if (validation.cancelled) {
+        return { success: false, cancelled: true, error: 'Treinamento cancelado' };
       }
-    }
 
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-
-    if (avgLoss === 0) return 100;
-
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
-  }
-
-  /**
-   * Calcula MACD
-   */
-  calculateMACD(candles) {
-    const ema12 = this.calculateEMA(candles, 12);
-    const ema26 = this.calculateEMA(candles, 26);
-    const macd = ema12 - ema26;
-
-    // Signal line (EMA 9 do MACD) - simplificado
-    const signal = macd * 0.8;
-    const histogram = macd - signal;
-
-    return { macd, signal, histogram };
-  }
-
-  /**
-   * Calcula ATR
-   */
-  calculateATR(candles, period) {
-    let atr = 0;
-
-    for (let i = 1; i < candles.length; i++) {
-      const tr = Math.max(
-        candles[i].high - candles[i].low,
-        Math.abs(candles[i].high - candles[i - 1].close),
-        Math.abs(candles[i].low - candles[i - 1].close)
-      );
-      atr += tr;
+      if (validation.summary) {
+        console.log(`   📐 ${name} walk-forward: acc=${(validation.summary.accuracy * 100).toFixed(2)}% ` +
+          `(±${(validation.summary.stdAccuracy * 100).toFixed(2)}), brier=${validation.summary.brierScore}`);
+      }
     }
 
-    return atr / period;
-  }
-
-  /**
-   * Calcula volatilidade
-   */
-  calculateVolatility(candles) {
-    const returns = [];
-    for (let i = 1; i < candles.length; i++) {
-      returns.push((candles[i].close - candles[i - 1].close) / candles[i - 1].close);
+    const result = await model.train(features, labels, {
+      featureSchema,
+      labelHorizon: LABEL_LOOKAHEAD,
+      onProgress: report(middle, end),
+      isCancelled: options.isCancelled
+    });
+
+    if (result.success) {
+      result.validation = validation;
+      result.cvAccuracy = validation?.summary ? validation.summary.accuracy : null;
+      result.cvBrierScore = validation?.summary ? validation.summary.brierScore : null;
+      result.version = (await modelRegistry.register(name, model, {
+        ...options.metadata,
+        metrics: result,
+        validation
+      }, { promote: options.promote })).id;
+      console.log(`✅ ${name}: train_acc=${(result.finalAccuracy * 100).toFixed(2)}%` +
+        (result.oobAccuracy != null ? ` oob_acc=${(result.oobAccuracy * 100).toFixed(2)}%` : '') +
+        (result.valAccuracy != null ? ` val_acc=${(result.valAccuracy * 100).toFixed(2)}%` : ''));
     }
 
-    const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
-    const variance = returns.reduce((s, r) => s + Math.pow(r - mean, 2), 0) / returns.length;
-
-    return Math.sqrt(variance);
-  }
-
-  /**
-   * Verifica se é candle bullish
-   */
-  isBullishCandle(candle) {
-    return candle.close > candle.open;
-  }
-
-  /**
-   * Verifica se é candle bearish
-   */
-  isBearishCandle(candle) {
-    return candle.close < candle.open;
+    return result;
   }
 
   /**
@@ -260,11 +217,14 @@ class MLTrainer {
   getStatus() {
     return {
       isTraining: this.isTraining,
+      featureSchema: featurePipeline.getSchema(),
       models: {
-        randomForest: randomForestModel.getStatus()
+        randomForest: randomForestModel.getStatus(),
+        gradientBoosting: gradientBoostingModel.getStatus()
       }
     };
   }
 }
 
 module.exports = new MLTrainer();
+module.exports.LABEL_LOOKAHEAD = LABEL_LOOKAHEAD;
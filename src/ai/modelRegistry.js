@@ -0,0 +1,301 @@
+/**
+ * ==========================================
+ * MODEL REGISTRY
+ * ==========================================
+ * Versões dos modelos de ML treinados (Random Forest, Gradient Boosting, LSTM):
+ * - Cada treino salva uma versão nova em <registry>/<modelo>/<versão>/ (nada é sobrescrito)
+ * - Metadados por versão: período dos dados, schema de features, hiperparâmetros, métricas
+ *   e relatório da validação walk-forward
+ * - Uma versão ativa por modelo (carregada pelo TechnicalMLEngine)
+ * - Promoção registra a versão anterior no histórico → rollback
+ * - Índice em JSON (registry.json), escritas serializadas
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_REGISTRY_PATH = process.env.MODEL_REGISTRY_PATH
+  || path.join(__dirname, '../../data/models/registry');
+
+const MODELS = ['randomForest', 'gradientBoosting', 'lstm'];
+
+// Métricas copiadas do resultado do treino (as que existirem)
+const METRIC_KEYS = [
+  'finalAccuracy', 'valAccuracy', 'oobAccuracy', 'cvAccuracy', 'cvBrierScore',
+  'finalLoss', 'valLoss', 'earlyStoppingLoss', 'trees', 'epochs', 'samples'
+];
+
+const MAX_HISTORY = 20; // Promoções anteriores lembradas para rollback
+
+class ModelRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.registryPath - Diretório do registry
+   * @param {number} options.maxVersions - Versões mantidas por modelo (ativa e histórico nunca são removidos)
+   */
+  constructor(options = {}) {
+    this.registryPath = options.registryPath || DEFAULT_REGISTRY_PATH;
+    this.indexFile = path.join(this.registryPath, 'registry.json');
+    this.maxVersions = options.maxVersions || parseInt(process.env.MODEL_REGISTRY_MAX_VERSIONS, 10) || 20;
+    this.index = null;
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Carrega o índice (uma vez; chamadas seguintes usam o cache)
+   */
+  initialize() {
+    if (!this.loading) {
+      this.loading = fs.readFile(this.indexFile, 'utf-8')
+        .then(content => JSON.parse(content))
+        .catch(() => ({ models: {} }))
+        .then(index => {
+          this.index = index;
+          return index;
+        });
+    }
+
+    return this.loading;
+  }
+
+  assertModel(name) {
+    if (!MODELS.includes(name)) {
+      throw new Error(`Modelo inválido: ${name}. Use: ${MODELS.join(', ')}`);
+    }
+  }
+
+  getEntry(name) {
+    this.assertModel(name);
+
+    if (!this.index.models[name]) {
+      this.index.models[name] = { active: null, history: [], nextVersion: 1, versions: [] };
+    }
+    return this.index.models[name];
+  }
+
+  /**
+   * Salva uma versão nova do modelo treinado
+   * @param {string} name - randomForest, gradientBoosting ou lstm
+   * @param {Object} model - Instância com saveModel(dir) e config
+   * @param {Object} metadata
+   * @param {string} metadata.source - Origem (train, continuous-learning...)
+   * @param {string} metadata.pair - Par usado no treino
+   * @param {Object} metadata.dataRange - Período dos dados (ver describeCandles)
+   * @param {Object} metadata.metrics - Resultado do treino (métricas extraídas de METRIC_KEYS)
+   * @param {Object} metadata.featureSchema - Padrão: model.featureSchema
+   * @param {Object} metadata.validation - Relatório da validação walk-forward (timeSeriesCV)
+   * @param {Object} options
+   * @param {boolean} options.promote - Torna a versão ativa (padrão: true; a primeira versão sempre vira ativa)
+   * @returns {Object} Versão registrada
+   */
+  async register(name, model, metadata = {}, options = {}) {
+    await this.initialize();
+    const entry = this.getEntry(name);
+
+    // Reserva o número antes de salvar (treinos concorrentes não colidem)
+    const id = `v${entry.nextVersion++}`;
+    const dir = path.join(this.registryPath, name, id);
+
+    const saved = await model.saveModel(dir);
+    if (!saved.success) {
+      throw new Error(`Falha ao salvar ${name} ${id}: ${saved.error}`);
+    }
+
+    const version = {
+      id,
+      model: name,
+      createdAt: new Date().toISOString(),
+      source: metadata.source || 'train',
+      pair: metadata.pair || null,
+      dataRange: metadata.dataRange || null,
+      featureSchema: metadata.featureSchema || model.featureSchema || null,
+      hyperparameters: { ...model.config },
+      metrics: this.pickMetrics(metadata.metrics),
+      validation: metadata.validation || null,
+      path: path.join(name, id)
+    };
+
+    const promote = options.promote !== false || !entry.active;
+
+    entry.versions.push(version);
+    if (promote) this.activate(entry, id);
+    await this.prune(entry);
+    await this.persist();
+
+    console.log(`🗂️  [Registry] ${name} ${id} registrado${promote ? ' (ativo)' : ''}`);
+    return version;
+  }
+
+  pickMetrics(result = {}) {
+    const metrics = {};
+    for (const key of METRIC_KEYS) {
+      if (Number.isFinite(result?.[key])) metrics[key] = result[key];
+    }
+    return metrics;
+  }
+
+  activate(entry, id) {
+    if (entry.active && entry.active !== id) {
+      entry.history = [...entry.history, entry.active].slice(-MAX_HISTORY);
+    }
+    entry.active = id;
+  }
+
+  /**
+   * Remove as versões mais antigas além de maxVersions (exceto ativa e histórico)
+   */
+  async prune(entry) {
+    const protectedIds = new Set([entry.active, ...entry.history]);
+    const removable = entry.versions.filter(version => !protectedIds.has(version.id));
+    const excess = entry.versions.length - this.maxVersions;
+    if (excess <= 0) return;
+
+    for (const version of removable.slice(0, excess)) {
+      await fs.rm(this.resolvePath(version), { recursive: true, force: true });
+      entry.versions = entry.versions.filter(item => item.id !== version.id);
+    }
+  }
+
+  /**
+   * Versões de um modelo (mais recentes primeiro)
+   */
+  async listVersions(name) {
+    await this.initialize();
+    const entry = this.getEntry(name);
+
+    return {
+      model: name,
+      active: entry.active,
+      previous: entry.history[entry.history.length - 1] || null,
+      versions: [...entry.versions].reverse().map(version => ({ ...version, active: version.id === entry.active }))
+    };
+  }
+
+  /**
+   * Resumo de todos os modelos
+   */
+  async list() {
+    const models = {};
+    for (const name of MODELS) {
+      models[name] = await this.listVersions(name);
+    }
+    return models;
+  }
+
+  async getVersion(name, id) {
+    await this.initialize();
+    return this.getEntry(name).versions.find(version => version.id === id) || null;
+  }
+
+  /**
+   * Versão ativa (null: modelo nunca registrado)
+   */
+  async getActive(name) {
+    await this.initialize();
+    const entry = this.getEntry(name);
+    return entry.active ? entry.versions.find(version => version.id === entry.active) || null : null;
+  }
+
+  /**
+   * IDs das versões ativas (índice já carregado; vazio antes do initialize)
+   */
+  getActiveIds() {
+    const ids = {};
+    for (const name of MODELS) {
+      ids[name] = this.index?.models[name]?.active || null;
+    }
+    return ids;
+  }
+
+  /**
+   * Versão que o rollback ativaria (última ativa antes da atual)
+   */
+  async getRollbackTarget(name) {
+    await this.initialize();
+    const entry = this.getEntry(name);
+    const id = entry.history[entry.history.length - 1];
+    return id ? entry.versions.find(version => version.id === id) || null : null;
+  }
+
+  /**
+   * Torna uma versão ativa
+   */
+  async promote(name, id) {
+    const version = await this.getVersion(name, id);
+    if (!version) throw new Error(`Versão ${id} de ${name} não encontrada`);
+
+    const entry = this.getEntry(name);
+    if (entry.active !== id) {
+      this.activate(entry, id);
+      await this.persist();
+      console.log(`🗂️  [Registry] ${name} ${id} promovido`);
+    }
+
+    return version;
+  }
+
+  /**
+   * Volta para a versão ativa anterior
+   */
+  async rollback(name) {
+    const target = await this.getRollbackTarget(name);
+    if (!target) throw new Error(`Sem versão anterior de ${name} para rollback`);
+
+    const entry = this.getEntry(name);
+    const current = entry.active;
+    entry.history = entry.history.slice(0, -1);
+    entry.active = target.id;
+    await this.persist();
+
+    console.log(`⏪ [Registry] ${name}: ${current} → ${target.id}`);
+    return target;
+  }
+
+  /**
+   * Diretório absoluto dos arquivos de uma versão
+   */
+  resolvePath(version) {
+    return path.join(this.registryPath, version.path);
+  }
+
+  /**
+   * Salva o índice (escritas serializadas)
+   */
+  persist() {
+    const snapshot = JSON.stringify(this.index, null, 2);
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.mkdir(this.registryPath, { recursive: true });
+        await fs.writeFile(this.indexFile, snapshot);
+      })
+      .catch(error => console.error('❌ [Registry] Erro ao salvar índice:', error.message));
+
+    return this.writeChain;
+  }
+}
+
+/**
+ * Período coberto por uma série de candles (metadado dataRange)
+ */
+ModelRegistry.describeCandles = (candles, timeframe = null) => {
+  if (!candles || candles.length === 0) return null;
+
+  const toIso = value => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  };
+
+  return {
+    timeframe,
+    from: toIso(candles[0].timestamp ?? candles[0].time),
+    to: toIso(candles[candles.length - 1].timestamp ?? candles[candles.length - 1].time),
+    candles: candles.length
+  };
+};
+
+ModelRegistry.MODELS = MODELS;
+
+module.exports = new ModelRegistry();
+module.exports.ModelRegistry = ModelRegistry;
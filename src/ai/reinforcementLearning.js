@@ -16,12 +16,50 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const profitLossCalculator = require('../services/profitLossCalculator');
 
 class ReinforcementLearningEngine {
-  constructor() {
-    this.historyFile = path.join(__dirname, '../database/trade_history.json');
-    this.modelWeightsFile = path.join(__dirname, '../database/model_weights.json');
+  /**
+   * @param {Object} options
+   * @param {string} options.historyFile - Histórico em JSON (quando não há Postgres)
+   * @param {string} options.modelWeightsFile - Pesos aprendidos
+   * @param {boolean} options.inMemory - Estado apenas em memória, nada é lido ou gravado (backtests)
+   */
+  constructor(options = {}) {
+    this.historyFile = options.historyFile || path.join(__dirname, '../database/trade_history.json');
+    this.modelWeightsFile = options.modelWeightsFile || path.join(__dirname, '../database/model_weights.json');
+
+    // Modo sandbox: histórico em memória, pesos partem dos valores iniciais
+    this.inMemory = options.inMemory === true;
+    this.memoryHistory = [];
+
+    // Model Sequelize Trade - quando definido, Postgres é a fonte do histórico
+    this.tradeRepository = null;
+
+    this.resetWeights();
+
+    // Estatísticas globais
+    this.globalStats = {
+      totalTrades: 0,
+      wins: 0,
+      losses: 0,
+      breakeven: 0,
+      winRate: 0,
+      avgRR: 0,
+      profitFactor: 0,
+      lastUpdated: null
+    };
+
+    // Learning rate (taxa de aprendizado)
+    this.learningRate = 0.05; // 5% de ajuste por iteração
+
+    this.initialized = false;
+  }
 
+  /**
+   * Restaura pesos iniciais (modelos, timeframes e padrões)
+   */
+  resetWeights() {
     // Pesos iniciais dos modelos
     this.modelWeights = {
       randomForest: 0.30,
@@ -48,23 +86,15 @@ class ReinforcementLearningEngine {
       'BULLISH_CHOCH': 1.0,
       'BEARISH_CHOCH': 1.0
     };
+  }
 
-    // Estatísticas globais
-    this.globalStats = {
-      totalTrades: 0,
-      wins: 0,
-      losses: 0,
-      breakeven: 0,
-      winRate: 0,
-      avgRR: 0,
-      profitFactor: 0,
-      lastUpdated: null
-    };
-
-    // Learning rate (taxa de aprendizado)
-    this.learningRate = 0.05; // 5% de ajuste por iteração
-
-    this.initialized = false;
+  /**
+   * Usa a tabela trades (Postgres) como histórico em vez do trade_history.json
+   * @param {Model} TradeModel - Model Sequelize Trade
+   */
+  useTradeRepository(TradeModel) {
+    this.tradeRepository = TradeModel;
+    console.log('✓ RL Engine usando histórico do PostgreSQL');
   }
 
   /**
@@ -99,7 +129,7 @@ class ReinforcementLearningEngine {
     await this.initialize();
 
     const tradeRecord = {
-      id: this.generateTradeId(),
+      id: trade.id || this.generateTradeId(),
       timestamp: new Date(),
       pair: trade.pair,
       direction: trade.direction,
@@ -111,6 +141,8 @@ class ReinforcementLearningEngine {
       smartMoneyPatterns: trade.smartMoneyPatterns || [],
       mlProbability: trade.mlProbability || 0,
       fundamentalBias: trade.fundamentalBias || 'NEUTRAL',
+      units: trade.units ?? null, // P/L sem Postgres
+      accountCurrency: trade.accountCurrency || 'USD',
       result: 'OPEN', // WIN, LOSS, BREAKEVEN, OPEN
       pips: null,
       profit: null,
@@ -124,6 +156,14 @@ class ReinforcementLearningEngine {
     return tradeRecord;
   }
 
+  /**
+   * Trade do histórico pelo ID (null se não existir)
+   */
+  async findTrade(tradeId) {
+    const history = await this.loadTradeHistory();
+    return history.find(t => t.id === tradeId) || null;
+  }
+
   /**
    * Atualiza resultado de uma operação
    */
@@ -137,13 +177,14 @@ class ReinforcementLearningEngine {
       throw new Error(`Trade ${tradeId} não encontrado`);
     }
 
+    // Calcula pips (par desconhecido lança erro antes de alterar o histórico)
+    const pips = this.calculatePips(trade.entry, exitPrice, trade.direction, trade.pair);
+
     trade.result = result; // WIN, LOSS, BREAKEVEN
     trade.exitPrice = exitPrice;
     trade.profit = profit;
     trade.closedAt = new Date();
-
-    // Calcula pips
-    trade.pips = this.calculatePips(trade.entry, exitPrice, trade.direction);
+    trade.pips = pips;
 
     // Salva histórico atualizado
     await this.saveTradeHistory(history);
@@ -155,7 +196,7 @@ class ReinforcementLearningEngine {
     await this.recalculateStats();
 
     console.log(`\n✓ Trade ${tradeId} atualizado: ${result}`);
-    console.log(`  Profit: ${profit > 0 ? '+' : ''}${profit.toFixed(2)} | Pips: ${trade.pips.toFixed(1)}\n`);
+    console.log(`  Profit: ${profit > 0 ? '+' : ''}${(profit || 0).toFixed(2)} | Pips: ${trade.pips.toFixed(1)}\n`);
 
     return trade;
   }
@@ -229,6 +270,34 @@ class ReinforcementLearningEngine {
     await this.saveModelWeights();
   }
 
+  /**
+   * Reconstrói pesos e estatísticas reprocessando todo o histórico
+   * (ex: após migrar do trade_history.json para o Postgres)
+   */
+  async rebuildFromHistory() {
+    const history = await this.loadTradeHistory();
+    const closedTrades = history
+      .filter(t => t.result !== 'OPEN')
+      .sort((a, b) => new Date(a.closedAt || a.timestamp) - new Date(b.closedAt || b.timestamp));
+
+    this.resetWeights();
+
+    for (const trade of closedTrades) {
+      await this.learnFromTrade(trade);
+    }
+
+    await this.saveModelWeights();
+    await this.recalculateStats();
+
+    console.log(`✓ RL reconstruído a partir de ${closedTrades.length} trades fechados`);
+
+    return {
+      tradesReplayed: closedTrades.length,
+      globalStats: this.globalStats,
+      weights: this.getWeights()
+    };
+  }
+
   /**
    * Normaliza pesos dos modelos ML para soma = 1.0
    */
@@ -241,11 +310,11 @@ class ReinforcementLearningEngine {
   }
 
   /**
-   * Calcula pips (simplificado)
+   * Calcula pips na escala do instrumento (JPY, metais, índices...)
    */
-  calculatePips(entry, exit, direction) {
-    const diff = direction === 'BUY' ? exit - entry : entry - exit;
-    return diff * 10000; // Converte para pips
+  calculatePips(entry, exit, direction, pair) {
+    if (!pair) throw new Error('Trade sem par: pips não podem ser calculados');
+    return profitLossCalculator.calculatePips(pair, direction, entry, exit);
   }
 
   /**
@@ -440,6 +509,12 @@ class ReinforcementLearningEngine {
   // ====================================
 
   async loadTradeHistory() {
+    if (this.inMemory) return this.memoryHistory;
+
+    if (this.tradeRepository) {
+      return this.loadTradeHistoryFromDatabase();
+    }
+
     try {
       const data = await fs.readFile(this.historyFile, 'utf8');
       return JSON.parse(data);
@@ -449,7 +524,55 @@ class ReinforcementLearningEngine {
     }
   }
 
+  /**
+   * Converte linhas da tabela trades para o formato do histórico RL
+   */
+  async loadTradeHistoryFromDatabase() {
+    try {
+      const rows = await this.tradeRepository.findAll({
+        order: [['entryTimestamp', 'ASC']]
+      });
+
+      return rows.map(row => this.fromTradeRow(row));
+    } catch (error) {
+      console.error('Erro ao carregar histórico do PostgreSQL:', error.message);
+      return [];
+    }
+  }
+
+  fromTradeRow(row) {
+    return {
+      id: row.tradeId,
+      timestamp: row.entryTimestamp,
+      pair: row.instrument,
+      direction: row.type,
+      entry: row.entryPrice,
+      stopLoss: row.stopLoss,
+      takeProfit: row.takeProfit,
+      riskReward: row.riskReward,
+      timeframe: row.timeframe || '5M',
+      smartMoneyPatterns: row.smartMoneyPatterns || [],
+      mlProbability: row.mlProbability || 0,
+      fundamentalBias: row.fundamentalBias || 'NEUTRAL',
+      units: row.units,
+      accountCurrency: row.accountCurrency || 'USD',
+      result: row.result,
+      pips: row.pips,
+      profit: row.profitLoss,
+      closedAt: row.exitTimestamp,
+      exitPrice: row.exitPrice
+    };
+  }
+
   async saveTradeHistory(history) {
+    if (this.inMemory) {
+      this.memoryHistory = history;
+      return;
+    }
+
+    // Com Postgres, as linhas são gravadas pelo TradeLifecycleService
+    if (this.tradeRepository) return;
+
     try {
       await fs.writeFile(this.historyFile, JSON.stringify(history, null, 2));
     } catch (error) {
@@ -458,12 +581,16 @@ class ReinforcementLearningEngine {
   }
 
   async saveTradeToHistory(trade) {
+    if (this.tradeRepository) return;
+
     const history = await this.loadTradeHistory();
     history.push(trade);
     await this.saveTradeHistory(history);
   }
 
   async loadModelWeights() {
+    if (this.inMemory) return;
+
     try {
       const data = await fs.readFile(this.modelWeightsFile, 'utf8');
       const saved = JSON.parse(data);
@@ -478,6 +605,8 @@ class ReinforcementLearningEngine {
   }
 
   async saveModelWeights() {
+    if (this.inMemory) return;
+
     try {
       const data = {
         modelWeights: this.modelWeights,
@@ -4,9 +4,9 @@
  * ========================================
  *
  * Implementa modelos de Machine Learning para análise técnica:
- * - Random Forest (TensorFlow.js - REAL)
+ * - Random Forest (árvores com bagging em JS puro - REAL)
  * - LSTM (TensorFlow.js - REAL)
- * - Gradient Boosting (simulado)
+ * - Gradient Boosting (árvores em JS puro - REAL)
  *
  * Com sistema de aprendizado contínuo que:
  * - Aprende com feedback de trades reais
@@ -19,14 +19,30 @@
 
 const randomForestModel = require('./mlModels/randomForestModel');
 const lstmModel = require('./mlModels/lstmModel');
+const gradientBoostingModel = require('./mlModels/gradientBoostingModel');
+const featurePipeline = require('./featurePipeline');
+const { FeatureSchemaError } = featurePipeline;
+const modelRegistry = require('./modelRegistry');
+const { ModelRegistry } = modelRegistry;
+const timeSeriesCV = require('./timeSeriesCV');
 const continuousLearning = require('./mlModels/continuousLearning');
 
+/**
+ * Versão do registry que não pôde ser ativada (schema incompatível, arquivos ausentes)
+ */
+class ModelLoadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelLoadError';
+  }
+}
+
 class TechnicalMLEngine {
   constructor() {
     this.models = {
       randomForest: randomForestModel,
       lstm: lstmModel,
-      gradientBoosting: null
+      gradientBoosting: gradientBoostingModel
     };
 
     // Pesos iniciais - serão atualizados pelo sistema de aprendizado contínuo
@@ -39,6 +55,7 @@ class TechnicalMLEngine {
     this.minProbability = 65; // Mínimo 65% para sinal válido
     this.useRealML = false; // Flag para usar ML real
     this.continuousLearning = continuousLearning;
+    this.featureSchemaErrors = {}; // Modelos salvos com schema de features diferente do atual
   }
 
   /**
@@ -62,7 +79,7 @@ class TechnicalMLEngine {
     }
 
     // Tenta carregar Random Forest treinado
-    const rfLoaded = await this.models.randomForest.loadModel();
+    const rfLoaded = await this.loadActiveModel('randomForest');
 
     if (rfLoaded.success) {
       this.useRealML = true;
@@ -72,7 +89,7 @@ class TechnicalMLEngine {
     }
 
     // Tenta carregar LSTM treinado
-    const lstmLoaded = await this.models.lstm.loadModel();
+    const lstmLoaded = await this.loadActiveModel('lstm');
 
     if (lstmLoaded.success) {
       this.useRealML = true;
@@ -81,12 +98,90 @@ class TechnicalMLEngine {
       console.log('⚠️  LSTM não treinado - Usando predições simuladas');
     }
 
+    // Tenta carregar Gradient Boosting treinado
+    const gbLoaded = await this.loadActiveModel('gradientBoosting');
+
+    if (gbLoaded.success) {
+      this.useRealML = true;
+      console.log('✅ Gradient Boosting carregado - Usando ML REAL');
+    } else {
+      console.log('⚠️  Gradient Boosting não treinado - Usando predições simuladas');
+    }
+
     console.log('📊 Pesos dos modelos:');
     console.log(`   Random Forest: ${(this.weights.randomForest * 100).toFixed(1)}%`);
     console.log(`   LSTM: ${(this.weights.lstm * 100).toFixed(1)}%`);
     console.log(`   Gradient Boosting: ${(this.weights.gradientBoosting * 100).toFixed(1)}%`);
   }
 
+  /**
+   * Carrega a versão ativa do modelRegistry (sem registro: caminho legado do modelo)
+   */
+  async loadActiveModel(name) {
+    const active = await modelRegistry.getActive(name);
+    const result = await this.loadModelVersion(name, active);
+
+    if (result.success) this.useRealML = true;
+    return { ...result, version: active ? active.id : null };
+  }
+
+  /**
+   * Carrega uma versão nos modelos em uso
+   * Árvores exigem o schema atual do featurePipeline e o LSTM o schema atual das sequências:
+   * schema diferente → modelo não é usado (fallback simulado) até ser retreinado
+   * ou até outra versão ser promovida
+   */
+  async loadModelVersion(name, version = null) {
+    const options = version ? { path: modelRegistry.resolvePath(version) } : {};
+    options.featureSchema = name === 'lstm'
+      ? this.models.lstm.getFeatureSchema()
+      : featurePipeline.getSchema();
+
+    try {
+      const result = await this.models[name].loadModel(options);
+      if (result.success) delete this.featureSchemaErrors[name];
+      return result;
+    } catch (error) {
+      if (!(error instanceof FeatureSchemaError)) throw error;
+
+      this.featureSchemaErrors[name] = error.message;
+      console.error(`🚨 ${name}: schema de features incompatível - retreine via POST /api/ml/train`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Promove uma versão do registry e passa a usá-la imediatamente
+   * Só vira ativa se carregar (schema compatível, arquivos presentes)
+   */
+  async promoteModel(name, versionId) {
+    const version = await modelRegistry.getVersion(name, versionId);
+    if (!version) throw new Error(`Versão ${versionId} de ${name} não encontrada`);
+
+    const loaded = await this.loadModelVersion(name, version);
+    if (!loaded.success) throw new ModelLoadError(`Versão ${versionId} de ${name} não carregou: ${loaded.error}`);
+
+    await modelRegistry.promote(name, versionId);
+    this.useRealML = true;
+
+    return version;
+  }
+
+  /**
+   * Volta para a versão ativa anterior do registry
+   */
+  async rollbackModel(name) {
+    const target = await modelRegistry.getRollbackTarget(name);
+    if (!target) throw new Error(`Sem versão anterior de ${name} para rollback`);
+
+    const loaded = await this.loadModelVersion(name, target);
+    if (!loaded.success) throw new ModelLoadError(`Versão ${target.id} de ${name} não carregou: ${loaded.error}`);
+
+    await modelRegistry.rollback(name);
+
+    return target;
+  }
+
   /**
    * Análise completa com múltiplos modelos
    */
@@ -95,13 +190,15 @@ class TechnicalMLEngine {
       // Calcula todos os indicadores técnicos
       const indicators = this.calculateAllIndicators(candles, timeframe);
 
-      // Prepara features para os modelos
+      // Entradas das heurísticas (fallback simulado) e features do pipeline (modelos treinados)
       const features = this.prepareFeatures(indicators);
+      const featureSnapshot = featurePipeline.snapshot(candles);
+      const modelFeatures = featureSnapshot ? featureSnapshot.values : null;
 
       // Executa predições de cada modelo (todos são async agora)
       const predictions = {
-        randomForest: await this.predictRandomForest(features),
-        gradientBoosting: this.predictGradientBoosting(features),
+        randomForest: await this.predictRandomForest(features, modelFeatures),
+        gradientBoosting: await this.predictGradientBoosting(features, modelFeatures),
         lstm: await this.predictLSTM(features, candles) // Passa candles para LSTM real
       };
 
@@ -112,6 +209,7 @@ class TechnicalMLEngine {
         timeframe,
         timestamp: new Date(),
         indicators,
+        features: featureSnapshot, // Reenviar em /api/ml/feedback para o aprendizado contínuo
         predictions,
         finalPrediction,
         confidence: finalPrediction.probability,
@@ -884,7 +982,8 @@ class TechnicalMLEngine {
   // ============================================
 
   /**
-   * Prepara features normalizadas para os modelos ML
+   * Entradas (0-1) das heurísticas usadas enquanto os modelos não estão treinados
+   * Os modelos treinados usam as features do featurePipeline
    */
   prepareFeatures(indicators) {
     const features = [];
@@ -926,22 +1025,18 @@ class TechnicalMLEngine {
 
   /**
    * Predição usando Random Forest (REAL se treinado, simulado caso contrário)
+   * @param {Array} features - Entradas das heurísticas (fallback simulado)
+   * @param {Array} modelFeatures - featurePipeline.extractLatest dos candles (mesmas do treino)
    */
-  async predictRandomForest(features) {
+  async predictRandomForest(features, modelFeatures = null) {
     // Usa modelo REAL se disponível
-    if (this.useRealML && this.models.randomForest.isTrained) {
+    if (this.useRealML && this.models.randomForest.isTrained && modelFeatures) {
       try {
-        // Garante que features tem 50 elementos
-        const paddedFeatures = [...features];
-        while (paddedFeatures.length < 50) {
-          paddedFeatures.push(0);
-        }
-
-        const probability = await this.models.randomForest.predict(paddedFeatures.slice(0, 50));
+        const probability = await this.models.randomForest.predict(modelFeatures);
         const probabilityPercent = probability * 100;
 
         return {
-          model: 'RandomForest (TensorFlow.js)',
+          model: 'RandomForest (JS)',
           probability: probabilityPercent,
           direction: probabilityPercent > 50 ? 'BUY' : 'SELL',
           confidence: Math.abs(probabilityPercent - 50) * 2,
@@ -969,10 +1064,29 @@ class TechnicalMLEngine {
   }
 
   /**
-   * Predição usando Gradient Boosting (simulado)
+   * Predição usando Gradient Boosting (REAL se treinado, simulado caso contrário)
+   * @param {Array} features - Entradas das heurísticas (fallback simulado)
+   * @param {Array} modelFeatures - featurePipeline.extractLatest dos candles (mesmas do treino)
    */
-  predictGradientBoosting(features) {
-    // Simulação com peso em features institucionais
+  async predictGradientBoosting(features, modelFeatures = null) {
+    if (this.models.gradientBoosting.isTrained && modelFeatures) {
+      try {
+        const probability = await this.models.gradientBoosting.predict(modelFeatures);
+        const probabilityPercent = probability * 100;
+
+        return {
+          model: 'GradientBoosting (JS)',
+          probability: probabilityPercent,
+          direction: probabilityPercent > 50 ? 'BUY' : 'SELL',
+          confidence: Math.abs(probabilityPercent - 50) * 2,
+          source: 'REAL_ML'
+        };
+      } catch (error) {
+        console.warn('⚠️  Erro ao usar Gradient Boosting real, usando fallback:', error.message);
+      }
+    }
+
+    // Fallback: simulação com peso em features institucionais
     const institutionalWeight = 2;
 
     let score = 0;
@@ -985,10 +1099,11 @@ class TechnicalMLEngine {
     const probability = (score / maxScore) * 100;
 
     return {
-      model: 'GradientBoosting',
+      model: 'GradientBoosting (Simulated)',
       probability,
       direction: probability > 50 ? 'BUY' : 'SELL',
-      confidence: Math.abs(probability - 50) * 2
+      confidence: Math.abs(probability - 50) * 2,
+      source: 'SIMULATED'
     };
   }
 
@@ -1090,26 +1205,70 @@ class TechnicalMLEngine {
   /**
    * Treina modelos com dados históricos
    * @param {Array} candles - Array de candles (mínimo 500 para LSTM)
+   * @param {Object} options - { onProgress, isCancelled } repassados ao LSTM
+   * @param {string} options.pair - Par dos dados (metadado da versão)
+   * @param {boolean} options.promote - Versão nova vira ativa (padrão: true)
+   * @param {Object|boolean} options.cv - { folds, embargo, maxTrainSize } ou false para pular a validação
    */
-  async trainModels(candles) {
+  async trainModels(candles, options = {}) {
     const results = {};
 
     console.log('\n🎓 === INICIANDO TREINAMENTO DE ML ===\n');
 
     // Treina LSTM com candles
     if (candles && candles.length >= 500) {
+      // Validação walk-forward purgada na primeira metade do progresso, treino final na segunda
+      const cvEnabled = options.cv !== false;
+      const scoped = (start, end) => options.onProgress
+        ? (percent, message) => options.onProgress(start + ((end - start) * percent) / 100, message)
+        : undefined;
+
+      let validation = null;
+      if (cvEnabled) {
+        console.log('🧪 LSTM: validação walk-forward purgada...');
+        validation = await this.models.lstm.crossValidate(candles, {
+          ...timeSeriesCV.DEFAULT_CV,
+          ...(typeof options.cv === 'object' ? options.cv : {}),
+          onProgress: scoped(0, 50),
+          isCancelled: options.isCancelled
+        }).catch(error => {
+          console.warn(`⚠️  LSTM: validação walk-forward não executada - ${error.message}`);
+          return { method: 'purged-walk-forward', error: error.message };
+        });
+
+        if (validation.cancelled) {
+          results.lstm = { success: false, cancelled: true, error: 'Treinamento cancelado' };
+          return results;
+        }
+      }
+
       console.log('🧠 Treinando LSTM...');
-      results.lstm = await this.models.lstm.train(candles);
+      results.lstm = await this.models.lstm.train(candles, {
+        ...options,
+        onProgress: cvEnabled ? scoped(50, 100) : options.onProgress
+      });
+      results.lstm.validation = validation;
+      results.lstm.cvAccuracy = validation?.summary ? validation.summary.accuracy : null;
+      results.lstm.cvBrierScore = validation?.summary ? validation.summary.brierScore : null;
 
       if (results.lstm.success && !results.lstm.simulated) {
-        await this.models.lstm.saveModel();
+        const version = await modelRegistry.register('lstm', this.models.lstm, {
+          source: 'train',
+          pair: options.pair || null,
+          dataRange: ModelRegistry.describeCandles(candles),
+          featureSchema: this.models.lstm.featureSchema,
+          metrics: results.lstm,
+          validation
+        }, { promote: options.promote });
+
+        results.lstm.version = version.id;
       }
     } else {
       console.log(`⚠️  LSTM: Dados insuficientes (${candles?.length || 0}/500 candles)`);
       results.lstm = { success: false, error: 'Dados insuficientes' };
     }
 
-    // Random Forest treina via MLTrainer (usa prepareFeatures diferente)
+    // Random Forest e Gradient Boosting treinam via MLTrainer (features do featurePipeline)
     // Isso será feito pelo endpoint /api/ml/train existente
 
     console.log('\n✅ === TREINAMENTO CONCLUÍDO ===\n');
@@ -1119,9 +1278,10 @@ class TechnicalMLEngine {
 
   /**
    * Força retreinamento com dados de feedback
+   * @param {Object} options - { onProgress, isCancelled }
    */
-  async forceRetrain() {
-    return await this.continuousLearning.forceRetrain();
+  async forceRetrain(options = {}) {
+    return await this.continuousLearning.forceRetrain(options);
   }
 
   /**
@@ -1138,8 +1298,12 @@ class TechnicalMLEngine {
     return {
       randomForest: this.models.randomForest.getStatus(),
       lstm: this.models.lstm.getStatus(),
+      gradientBoosting: this.models.gradientBoosting.getStatus(),
       weights: this.weights,
       useRealML: this.useRealML,
+      featureSchema: featurePipeline.getSchema(),
+      featureSchemaErrors: this.featureSchemaErrors,
+      activeVersions: modelRegistry.getActiveIds(),
       continuousLearning: this.continuousLearning.getPerformanceStats()
     };
   }
@@ -1147,3 +1311,4 @@ class TechnicalMLEngine {
 
 
 module.exports = TechnicalMLEngine;
+module.exports.ModelLoadError = ModelLoadError;
@@ -0,0 +1,246 @@
+/**
+ * ==========================================
+ * TIME SERIES CROSS-VALIDATION
+ * ==========================================
+ * Validação walk-forward sem vazamento para os modelos de ML:
+ * - Folds cronológicos: cada teste só é avaliado por um modelo treinado no passado
+ * - Purge: remove do treino as amostras cujo label (janela de lookahead) invade o teste
+ * - Embargo: intervalo extra entre treino e teste (features compartilham candles)
+ * - Métricas por fold e do conjunto out-of-fold: accuracy, precisão/recall por classe,
+ *   Brier score e calibração (faixas de probabilidade + ECE)
+ *
+ * Índices são posições das amostras em ordem cronológica (uma por candle).
+ */
+
+const round = (value, decimals = 4) => parseFloat(value.toFixed(decimals));
+
+// Padrão do treino dos modelos (embargo e treino mínimo em amostras = candles)
+const DEFAULT_CV = { folds: 5, embargo: 10, minTrainSize: 100 };
+
+/**
+ * Monta os folds walk-forward
+ * A série é dividida em folds + 1 blocos: o primeiro só treina, os demais são testados em ordem
+ * @param {number} numSamples - Amostras em ordem cronológica
+ * @param {Object} options
+ * @param {number} options.folds - Quantidade de folds de teste (padrão: 5)
+ * @param {number} options.labelHorizon - Candles futuros usados no label (purge; padrão: 0)
+ * @param {number} options.embargo - Amostras extras descartadas antes do teste (padrão: 0)
+ * @param {number} options.maxTrainSize - Janela deslizante de treino (padrão: expansiva)
+ * @param {number} options.minTrainSize - Treino mínimo por fold (padrão: 50)
+ * @returns {Array} [{ fold, trainStart, trainEnd, testStart, testEnd, purged }] (fins exclusivos)
+ */
+function buildFolds(numSamples, options = {}) {
+  const numFolds = options.folds ?? 5;
+  const labelHorizon = options.labelHorizon ?? 0;
+  const embargo = options.embargo ?? 0;
+  const minTrainSize = options.minTrainSize ?? 50;
+
+  if (!Number.isInteger(numFolds) || numFolds < 1) {
+    throw new Error(`Quantidade de folds inválida: ${numFolds}`);
+  }
+
+  const blockSize = Math.floor(numSamples / (numFolds + 1));
+  if (blockSize < 1) {
+    throw new Error(`Amostras insuficientes para ${numFolds} folds (${numSamples})`);
+  }
+
+  const folds = [];
+
+  for (let f = 0; f < numFolds; f++) {
+    const testStart = (f + 1) * blockSize;
+    const testEnd = f === numFolds - 1 ? numSamples : testStart + blockSize;
+
+    // Label da amostra i usa os candles i+1..i+labelHorizon: precisa terminar antes do teste
+    const trainEnd = Math.max(0, testStart - labelHorizon - embargo);
+    const trainStart = options.maxTrainSize ? Math.max(0, trainEnd - options.maxTrainSize) : 0;
+
+    if (trainEnd - trainStart < minTrainSize) {
+      throw new Error(
+        `Fold ${f + 1}: treino com ${trainEnd - trainStart} amostras após purge/embargo (mínimo ${minTrainSize})`
+      );
+    }
+
+    folds.push({
+      fold: f + 1,
+      trainStart,
+      trainEnd,
+      testStart,
+      testEnd,
+      purged: testStart - trainEnd
+    });
+  }
+
+  return folds;
+}
+
+function classMetrics(predicted, labels, positive) {
+  let truePositive = 0;
+  let predictedCount = 0;
+  let support = 0;
+
+  for (let i = 0; i < labels.length; i++) {
+    if (predicted[i] === positive) predictedCount++;
+    if (labels[i] === positive) support++;
+    if (predicted[i] === positive && labels[i] === positive) truePositive++;
+  }
+
+  return {
+    precision: predictedCount > 0 ? round(truePositive / predictedCount) : null,
+    recall: support > 0 ? round(truePositive / support) : null,
+    support
+  };
+}
+
+/**
+ * Métricas de classificação binária a partir de probabilidades de BUY
+ * @param {Array} probabilities - P(label = 1) por amostra
+ * @param {Array} labels - 0 ou 1
+ * @param {Object} options
+ * @param {number} options.threshold - Corte de decisão (padrão: 0.5)
+ * @param {number} options.bins - Faixas de calibração (padrão: 10)
+ */
+function evaluatePredictions(probabilities, labels, options = {}) {
+  const threshold = options.threshold ?? 0.5;
+  const numBins = options.bins ?? 10;
+  const n = labels.length;
+
+  if (n === 0) {
+    return { samples: 0, accuracy: null, brierScore: null, classes: null, calibration: null };
+  }
+
+  const predicted = probabilities.map(p => (p > threshold ? 1 : 0));
+  const correct = predicted.filter((value, i) => value === labels[i]).length;
+  const brier = probabilities.reduce((sum, p, i) => sum + (p - labels[i]) ** 2, 0) / n;
+
+  // Calibração: probabilidade média prevista x frequência observada por faixa
+  const bins = Array.from({ length: numBins }, (_, b) => ({
+    from: b / numBins,
+    to: (b + 1) / numBins,
+    count: 0,
+    predictedSum: 0,
+    positives: 0
+  }));
+
+  probabilities.forEach((p, i) => {
+    const bin = bins[Math.min(numBins - 1, Math.max(0, Math.floor(p * numBins)))];
+    bin.count++;
+    bin.predictedSum += p;
+    bin.positives += labels[i];
+  });
+
+  let expectedCalibrationError = 0;
+  const calibrationBins = bins
+    .filter(bin => bin.count > 0)
+    .map(bin => {
+      const meanPredicted = bin.predictedSum / bin.count;
+      const observedRate = bin.positives / bin.count;
+      expectedCalibrationError += (bin.count / n) * Math.abs(meanPredicted - observedRate);
+
+      return {
+        from: round(bin.from, 2),
+        to: round(bin.to, 2),
+        count: bin.count,
+        meanPredicted: round(meanPredicted),
+        observedRate: round(observedRate)
+      };
+    });
+
+  return {
+    samples: n,
+    accuracy: round(correct / n),
+    brierScore: round(brier),
+    classes: {
+      BUY: classMetrics(predicted, labels, 1),
+      SELL: classMetrics(predicted, labels, 0)
+    },
+    calibration: {
+      bins: calibrationBins,
+      expectedCalibrationError: round(expectedCalibrationError)
+    }
+  };
+}
+
+/**
+ * Executa a validação cruzada walk-forward
+ * @param {Array} labels - Labels em ordem cronológica (define o número de amostras)
+ * @param {Function} fitPredict - async (trainIndices, testIndices, fold) => probabilidades do teste
+ *                                (null = cancelado)
+ * @param {Object} options - Opções de buildFolds e evaluatePredictions, mais:
+ * @param {Array} options.timestamps - Timestamp por amostra (período de cada fold no relatório)
+ * @param {Function} options.onFold - (completed, total) após cada fold
+ * @param {Function} options.isCancelled - Interrompe entre folds
+ * @returns {Object} Relatório { method, config, folds, outOfFold, summary } ou { cancelled: true }
+ */
+async function crossValidate(labels, fitPredict, options = {}) {
+  const folds = buildFolds(labels.length, options);
+  const timestamps = options.timestamps || null;
+  const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i);
+  const dateOf = index => {
+    const date = new Date(timestamps ? timestamps[index] : NaN);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  };
+
+  const foldReports = [];
+  const oofProbabilities = [];
+  const oofLabels = [];
+
+  for (const fold of folds) {
+    if (options.isCancelled && options.isCancelled()) return { cancelled: true };
+
+    const trainIndices = range(fold.trainStart, fold.trainEnd);
+    const testIndices = range(fold.testStart, fold.testEnd);
+    const probabilities = await fitPredict(trainIndices, testIndices, fold);
+    if (!probabilities) return { cancelled: true };
+
+    const testLabels = testIndices.map(i => labels[i]);
+    oofProbabilities.push(...probabilities);
+    oofLabels.push(...testLabels);
+
+    foldReports.push({
+      fold: fold.fold,
+      train: { start: fold.trainStart, end: fold.trainEnd, size: trainIndices.length },
+      test: {
+        start: fold.testStart,
+        end: fold.testEnd,
+        size: testIndices.length,
+        from: dateOf(fold.testStart),
+        to: dateOf(fold.testEnd - 1)
+      },
+      purged: fold.purged,
+      metrics: evaluatePredictions(probabilities, testLabels, options)
+    });
+
+    if (options.onFold) options.onFold(foldReports.length, folds.length);
+  }
+
+  const accuracies = foldReports.map(report => report.metrics.accuracy);
+  const meanAccuracy = accuracies.reduce((a, b) => a + b, 0) / accuracies.length;
+  const stdAccuracy = Math.sqrt(accuracies.reduce((sum, a) => sum + (a - meanAccuracy) ** 2, 0) / accuracies.length);
+  const outOfFold = evaluatePredictions(oofProbabilities, oofLabels, options);
+
+  return {
+    method: 'purged-walk-forward',
+    config: {
+      folds: folds.length,
+      labelHorizon: options.labelHorizon ?? 0,
+      embargo: options.embargo ?? 0,
+      maxTrainSize: options.maxTrainSize || null
+    },
+    folds: foldReports,
+    outOfFold,
+    summary: {
+      meanAccuracy: round(meanAccuracy),
+      stdAccuracy: round(stdAccuracy),
+      accuracy: outOfFold.accuracy,
+      brierScore: outOfFold.brierScore,
+      expectedCalibrationError: outOfFold.calibration.expectedCalibrationError
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CV,
+  buildFolds,
+  evaluatePredictions,
+  crossValidate
+};
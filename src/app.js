@@ -8,20 +8,29 @@
 const express = require('express');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
 
 // Services
-const TradingViewDataService = require('./services/tradingViewDataService'); // NOVO: TradingView ao invés de Alpha Vantage
+const MarketDataRouter = require('./services/marketDataRouter');
 const oandaService = require('./services/oandaService');
 const orderExecutionService = require('./services/orderExecutionService');
 const notificationService = require('./services/notificationService');
 const LiveAnalysisService = require('./services/liveAnalysisService');
+const PricingStream = require('./services/pricingStream');
+const websocketService = require('./services/websocketService');
+const positionSizingService = require('./services/positionSizingService');
+const TradeLifecycleService = require('./services/tradeLifecycleService');
+const BacktestRunService = require('./services/backtestRunService');
+const jobQueue = require('./services/jobQueue');
 
 // AI Engines (importa classes)
 const DecisionEngine = require('./ai/decisionEngine');
 const ReinforcementLearning = require('./ai/reinforcementLearning');
 const TechnicalMLEngine = require('./ai/technicalMLEngine');
 const mlTrainer = require('./ai/mlTrainer');
+const modelRegistry = require('./ai/modelRegistry');
 const IndicatorsEngine = require('./ai/indicators');
 const KillZonesEngine = require('./ai/killZones');
 
@@ -31,19 +40,31 @@ const reinforcementLearning = new ReinforcementLearning();
 const technicalMLEngine = new TechnicalMLEngine();
 const indicatorsEngine = new IndicatorsEngine();
 const killZonesEngine = new KillZonesEngine();
+const tradeLifecycleService = new TradeLifecycleService(reinforcementLearning, {
+  continuousLearning: technicalMLEngine.continuousLearning,
+  conversionRates: positionSizingService
+});
+const backtestRunService = new BacktestRunService();
 
 // Backtesting
-const backtestEngine = require('./backtest/backtestEngine');
+const { BacktestEngine } = require('./backtest/backtestEngine');
+const historicalDataLoader = require('./backtest/historicalDataLoader');
+const performanceReport = require('./backtest/performanceReport');
+const walkForwardOptimizer = require('./backtest/walkForwardOptimizer');
+const monteCarloAnalyzer = require('./backtest/monteCarlo');
+const portfolioBacktester = require('./backtest/portfolioBacktester');
+const csvImporter = require('./backtest/csvImporter');
 
 // Database
 const { testConnection, syncDatabase } = require('./database/config');
 const Trade = require('./database/models/Trade');
 const User = require('./database/models/User');
+const BacktestRun = require('./database/models/BacktestRun');
 
 // Middleware
 const { authenticateToken, optionalAuth } = require('./middleware/auth');
 const { generalLimiter, analysisLimiter, authLimiter, executionLimiter } = require('./middleware/rateLimiter');
-const { validateAnalyze, validateTradeUpdate, validateOrderExecution, validateLogin, validateRegister } = require('./middleware/validator');
+const { validateAnalyze, validateTradeUpdate, validateOrderExecution, validateLogin, validateRegister, validateRiskSettings, validateBacktest } = require('./middleware/validator');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -54,7 +75,8 @@ app.use(express.json());
 app.use(generalLimiter);
 
 // Inicializa serviços
-const marketDataService = new TradingViewDataService(); // ALTERADO: Usa TradingView
+const marketDataService = new MarketDataRouter(); // Provedores com failover por classe de ativo
+const pricingStream = new PricingStream(); // Bid/ask e candles ao vivo (OANDA v20 streaming)
 let liveAnalysisService = null; // Será inicializado depois
 let dbConnected = false;
 
@@ -68,9 +90,13 @@ async function initialize() {
   dbConnected = await testConnection();
   if (dbConnected) {
     await syncDatabase();
+    // Trades persistidas no Postgres (RL reconstrói estatísticas a partir da tabela)
+    tradeLifecycleService.attachDatabase(Trade);
+    // Execuções de backtest salvas para comparação
+    backtestRunService.attachDatabase(BacktestRun);
   }
 
-  // 2. TradingView Data Service (não precisa inicialização)
+  // 2. Market Data Router (provedores não precisam inicialização)
   // marketDataService já está pronto
 
   // 3. Inicializa Reinforcement Learning
@@ -79,10 +105,35 @@ async function initialize() {
   // 4. Inicializa Technical ML Engine (carrega modelos)
   await technicalMLEngine.initialize();
 
-  // 5. Inicializa Live Analysis Service
-  liveAnalysisService = new LiveAnalysisService(decisionEngine, marketDataService);
+  // 5. Inicializa Live Analysis Service (análise no fechamento do candle via stream de preços)
+  liveAnalysisService = new LiveAnalysisService(decisionEngine, marketDataService, { pricingStream });
   liveAnalysisService.start(); // Inicia análise ao vivo automaticamente
 
+  // 6. Reconciliador OANDA: fecha trades automaticamente quando SL/TP executam
+  if (dbConnected && oandaService.isConfigured()) {
+    try {
+      await oandaService.startTradeReconciler({
+        onTradeClosed: (closure) => tradeLifecycleService.closeTrade(closure.tradeId, closure),
+        onOrderFilled: ({ orderId, tradeId, fillPrice }) =>
+          tradeLifecycleService.linkOrderFill(orderId, tradeId, fillPrice),
+        getOpenTradeIds: () => tradeLifecycleService.getOpenTradeIds()
+      });
+    } catch (error) {
+      console.error('⚠️  Reconciliador de trades não iniciado:', error.message);
+    }
+  }
+
+  // 7. Fila de jobs: backtests e treinamento de ML fora da requisição HTTP
+  jobQueue.registerHandler('backtest', runFullBacktest);
+  jobQueue.registerHandler('ml-train', runMlTraining);
+  jobQueue.registerHandler('data-import', runDataImport);
+  jobQueue.registerHandler('walk-forward', runWalkForward);
+  jobQueue.registerHandler('ml-retrain', (params, job) => technicalMLEngine.forceRetrain({
+    onProgress: job.reportProgress,
+    isCancelled: job.isCancelled
+  }));
+  await jobQueue.initialize();
+
   console.log('\n✅ Inicialização completa!\n');
 }
 
@@ -185,6 +236,53 @@ app.post('/api/auth/login', authLimiter, validateLogin, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/user/risk
+ * Define o risco por trade (% do saldo) do usuário
+ */
+app.put('/api/user/risk', authenticateToken, validateRiskSettings, async (req, res) => {
+  try {
+    if (!dbConnected) {
+      return res.status(503).json({
+        success: false,
+        error: 'Database não disponível'
+      });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuário não encontrado'
+      });
+    }
+
+    user.riskPercent = parseFloat(req.body.riskPercent);
+    await user.save();
+
+    res.json({
+      success: true,
+      riskPercent: user.riskPercent
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Risco por trade do usuário autenticado (fallback: DEFAULT_RISK_PERCENT)
+ */
+async function getUserRiskPercent(user) {
+  if (dbConnected && user?.id) {
+    const record = await User.findByPk(user.id);
+    if (record && record.riskPercent) return record.riskPercent;
+  }
+  return positionSizingService.defaultRiskPercent;
+}
+
 // ====================================
 // CORE TRADING ROUTES
 // ====================================
@@ -193,6 +291,8 @@ app.post('/api/auth/login', authLimiter, validateLogin, async (req, res) => {
  * GET /api/health
  */
 app.get('/api/health', (req, res) => {
+  const marketDataStatus = marketDataService.getStatus();
+
   res.json({
     status: 'OK',
     timestamp: new Date(),
@@ -202,8 +302,23 @@ app.get('/api/health', (req, res) => {
       oanda: oandaService.isConfigured(),
       database: dbConnected,
       ml: technicalMLEngine.useRealML,
-      dataMode: marketDataService.getStatus().mode
-    }
+      dataMode: marketDataStatus.mode,
+      websocket: websocketService.getStatus(),
+      tradeReconciler: oandaService.getReconcilerStatus(),
+      pricingStream: {
+        running: pricingStream.running,
+        connected: pricingStream.connected,
+        lastHeartbeat: pricingStream.stats.lastHeartbeat
+      }
+    },
+    dataProviders: marketDataStatus.providers.map(provider => ({
+      name: provider.name,
+      status: provider.status,
+      healthScore: provider.health.score,
+      lastError: provider.health.lastError,
+      callsLastMinute: provider.rateLimit.callsLastMinute
+    })),
+    dataChains: marketDataStatus.chains
   });
 });
 
@@ -330,14 +445,42 @@ app.post('/api/execute/signal', executionLimiter, authenticateToken, async (req,
   try {
     const { signal } = req.body;
 
-    if (!signal || signal.decision !== 'TRADE_APPROVED') {
+    if (!orderExecutionService.isApprovedSignal(signal)) {
       return res.status(400).json({
         success: false,
         error: 'Sinal inválido ou não aprovado'
       });
     }
 
-    const result = await orderExecutionService.executeAISignal(signal);
+    // Dimensiona pelo saldo da conta e risco do usuário
+    const riskPercent = await getUserRiskPercent(req.user);
+    const sizing = await positionSizingService.sizeSignal(signal, { riskPercent });
+
+    if (!sizing.success) {
+      return res.status(400).json(sizing);
+    }
+
+    const result = await orderExecutionService.executeAISignal(signal, sizing.data);
+
+    if (result.success) {
+      // Registra trade (OPEN) vinculada à decisão de origem
+      // A ordem já foi executada: falha no registro não pode virar erro para o cliente
+      try {
+        const trade = await tradeLifecycleService.recordExecution(
+          signal,
+          result.execution,
+          sizing.data,
+          req.user.id
+        );
+        result.tradeId = trade.tradeId;
+      } catch (error) {
+        const brokerId = result.execution.tradeId || result.execution.orderId;
+        console.error(`❌ Ordem ${brokerId} executada, mas o registro da trade falhou:`, error.message);
+
+        result.persisted = false;
+        result.warning = `Ordem executada na corretora (${brokerId}), mas a trade não foi registrada: ${error.message}. Reconcilie a posição manualmente.`;
+      }
+    }
 
     res.json(result);
   } catch (error) {
@@ -354,31 +497,53 @@ app.post('/api/execute/signal', executionLimiter, authenticateToken, async (req,
  */
 app.post('/api/trade/update', validateTradeUpdate, optionalAuth, async (req, res) => {
   try {
-    const { tradeId, result, actualEntry, actualExit } = req.body;
+    const { tradeId, result, actualExit } = req.body;
+
+    if (actualExit === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Preço de saída (actualExit) é obrigatório'
+      });
+    }
 
-    // Registra no RL
-    await reinforcementLearning.recordTrade({
-      tradeId,
+    // Fecha a trade (Postgres ou histórico do RL) e alimenta o RL
+    const closed = await tradeLifecycleService.closeTrade(tradeId, {
       result,
-      actualEntry,
-      actualExit
-    });
-
-    // Atualiza no banco
-    if (dbConnected) {
-      const trade = await Trade.findOne({ where: { tradeId } });
-      if (trade) {
-        trade.result = result;
-        trade.exitPrice = actualExit;
-        trade.exitTimestamp = new Date();
-        trade.profitLoss = actualExit - trade.entryPrice;
-        await trade.save();
-      }
+      exitPrice: actualExit
+    });
+
+    if (closed.notFound) {
+      return res.status(404).json({
+        success: false,
+        error: `Trade ${tradeId} não encontrada`
+      });
+    }
+
+    if (closed.alreadyClosed) {
+      return res.status(409).json({
+        success: false,
+        error: `Trade já fechada como ${closed.trade.result}`
+      });
+    }
+
+    if (closed.profitLossUnknown) {
+      return res.status(422).json({
+        success: false,
+        error: `Trade ${tradeId} sem unidades registradas: P/L não pode ser calculado`
+      });
     }
 
     res.json({
       success: true,
-      message: 'Trade atualizado'
+      message: 'Trade atualizado',
+      trade: {
+        tradeId,
+        result: closed.trade.result,
+        exitPrice: closed.trade.exitPrice,
+        pips: closed.trade.pips,
+        rMultiple: closed.trade.rMultiple,
+        profitLoss: closed.trade.profitLoss
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -616,6 +781,43 @@ app.get('/api/scanner', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/prices/stream
+ * Status do stream de preços e melhor bid/ask de cada par
+ */
+app.get('/api/prices/stream', optionalAuth, (req, res) => {
+  res.json({
+    success: true,
+    status: pricingStream.getStatus(),
+    quotes: pricingStream.getQuotes()
+  });
+});
+
+/**
+ * GET /api/prices/stream/:pair
+ * Cotação com profundidade + candles ao vivo (query: timeframe, limit)
+ */
+app.get('/api/prices/stream/:pair', optionalAuth, (req, res) => {
+  const quote = pricingStream.getQuote(req.params.pair);
+
+  if (!quote) {
+    return res.status(404).json({
+      success: false,
+      error: `Sem cotação ao vivo para ${req.params.pair}`
+    });
+  }
+
+  const timeframe = req.query.timeframe || '5M';
+  const limit = parseInt(req.query.limit) || 100;
+
+  res.json({
+    success: true,
+    quote,
+    timeframe,
+    candles: pricingStream.getCandles(quote.pair, timeframe).slice(-limit)
+  });
+});
+
 /**
  * GET /api/live-signals
  * Retorna todos os sinais ao vivo
@@ -757,7 +959,7 @@ app.post('/api/backtest', authenticateToken, async (req, res) => {
     const marketDataPoints = await marketDataService.getMarketData(pair);
 
     // Executa backtest
-    const results = await backtestEngine.runBacktest(marketDataPoints, pair);
+    const results = await new BacktestEngine().runBacktest(marketDataPoints, pair);
 
     res.json({
       success: true,
@@ -776,34 +978,87 @@ app.post('/api/backtest', authenticateToken, async (req, res) => {
 // ====================================
 
 /**
- * POST /api/ml/train
- * Treina modelos de ML (Random Forest + LSTM)
+ * Treina modelos de ML (rota síncrona e job assíncrono)
+ * model: all, randomForest, gradientBoosting, trees (ambos via mlTrainer) ou lstm
+ * Progresso: árvores (mlTrainer) 0-50%, LSTM 50-100% (apenas um: 0-100%)
  */
-app.post('/api/ml/train', optionalAuth, async (req, res) => {
-  try {
-    const { pair, model } = req.body || {};
+async function runMlTraining(params, job = null) {
+  const { pair, model, startDate, endDate, promote } = params;
+  const treeModels = !model || model === 'all' || model === 'trees'
+    ? ['randomForest', 'gradientBoosting']
+    : ['randomForest', 'gradientBoosting'].filter(name => name === model);
+  const trainRandomForest = treeModels.length > 0;
+  const trainLstm = !model || model === 'all' || model === 'lstm';
+  const lstmStart = trainRandomForest && trainLstm ? 50 : 0;
+
+  console.log(`\n🤖 Iniciando treinamento de ML...\n`);
+  console.log(`   Par: ${pair || 'EURUSD'}`);
+  console.log(`   Modelo: ${model || 'all'}`);
+
+  // Obtém dados históricos (com período: store local, permite treino offline após importação)
+  const marketDataPoints = startDate
+    ? await historicalDataLoader.loadRange(pair || 'EURUSD', { startDate, endDate })
+    : await marketDataService.getMarketData(pair || 'EURUSD');
+
+  const results = {};
+
+  // Treina Random Forest / Gradient Boosting (via mlTrainer)
+  if (trainRandomForest) {
+    console.log(`\n🌲 Treinando ${treeModels.join(' + ')}...`);
+    results.randomForest = await mlTrainer.trainModels(marketDataPoints, {
+      models: treeModels,
+      pair: pair || 'EURUSD',
+      promote,
+      onProgress: job ? job.scope(0, trainLstm ? 50 : 100) : undefined,
+      isCancelled: job ? job.isCancelled : undefined
+    });
+  }
+
+  // Treina LSTM (via technicalMLEngine)
+  if (trainLstm && !(job && job.isCancelled())) {
+    console.log('\n🧠 Treinando LSTM...');
+    const candles = marketDataPoints['1H'] || marketDataPoints['4H'] || [];
+    results.lstm = await technicalMLEngine.trainModels(candles, {
+      pair: pair || 'EURUSD',
+      promote,
+      onProgress: job ? job.scope(lstmStart, 100) : undefined,
+      isCancelled: job ? job.isCancelled : undefined
+    });
+  }
 
-    console.log(`\n🤖 Iniciando treinamento de ML...\n`);
-    console.log(`   Par: ${pair || 'EURUSD'}`);
-    console.log(`   Modelo: ${model || 'all'}`);
+  // Modelos em memória = versão ativa do registry (promote: false mantém a anterior em uso)
+  const trained = [...(trainRandomForest ? treeModels : []), ...(trainLstm ? ['lstm'] : [])];
+  for (const name of trained) {
+    await technicalMLEngine.loadActiveModel(name);
+  }
 
-    // Obtém dados históricos
-    const marketDataPoints = await marketDataService.getMarketData(pair || 'EURUSD');
+  return results;
+}
 
-    const results = {};
+/**
+ * POST /api/ml/train
+ * Treina modelos de ML (Random Forest + Gradient Boosting + LSTM)
+ * async: true → enfileira e retorna o id do job
+ * startDate/endDate: treina com o histórico do store local (dados importados, sem API)
+ * promote: false → registra as versões novas sem ativá-las (ver /api/ml/models)
+ * Requer autenticação: por padrão as versões treinadas passam a ser usadas nas análises
+ */
+app.post('/api/ml/train', authenticateToken, async (req, res) => {
+  try {
+    const params = {
+      pair: req.body?.pair,
+      model: req.body?.model,
+      startDate: req.body?.startDate,
+      endDate: req.body?.endDate,
+      promote: req.body?.promote !== false
+    };
 
-    // Treina Random Forest (via mlTrainer)
-    if (!model || model === 'all' || model === 'randomForest') {
-      console.log('\n🌲 Treinando Random Forest...');
-      results.randomForest = await mlTrainer.trainModels(marketDataPoints);
+    if (req.body?.async) {
+      const job = await jobQueue.enqueue('ml-train', params, { userId: req.user.id });
+      return res.status(202).json({ success: true, job });
     }
 
-    // Treina LSTM (via technicalMLEngine)
-    if (!model || model === 'all' || model === 'lstm') {
-      console.log('\n🧠 Treinando LSTM...');
-      const candles = marketDataPoints['1H'] || marketDataPoints['4H'] || [];
-      results.lstm = await technicalMLEngine.trainModels(candles);
-    }
+    const results = await runMlTraining(params);
 
     res.json({
       success: true,
@@ -822,6 +1077,7 @@ app.post('/api/ml/train', optionalAuth, async (req, res) => {
 /**
  * POST /api/ml/feedback
  * Registra resultado de trade para aprendizado contínuo
+ * features: snapshot devolvido pela análise técnica ({ version, values }) - usado no retreino
  */
 app.post('/api/ml/feedback', optionalAuth, async (req, res) => {
   try {
@@ -834,6 +1090,7 @@ app.post('/api/ml/feedback', optionalAuth, async (req, res) => {
       profit,
       mlPrediction,
       indicators,
+      features,
       models
     } = req.body;
 
@@ -855,6 +1112,7 @@ app.post('/api/ml/feedback', optionalAuth, async (req, res) => {
       profit: profit !== undefined ? parseFloat(profit) : (exitPrice - entryPrice),
       mlPrediction,
       indicators,
+      features,
       models
     });
 
@@ -874,9 +1132,16 @@ app.post('/api/ml/feedback', optionalAuth, async (req, res) => {
 /**
  * POST /api/ml/retrain
  * Força retreinamento com dados de feedback coletados
+ * async: true → enfileira e retorna o id do job
  */
 app.post('/api/ml/retrain', optionalAuth, async (req, res) => {
   try {
+    if (req.body?.async) {
+      if (!req.user) return rejectAnonymousJob(res);
+      const job = await jobQueue.enqueue('ml-retrain', {}, { userId: req.user.id });
+      return res.status(202).json({ success: true, job });
+    }
+
     console.log('\n🔄 Retreinamento forçado solicitado...\n');
 
     const result = await technicalMLEngine.forceRetrain();
@@ -938,6 +1203,149 @@ app.get('/api/ml/learning-stats', optionalAuth, (req, res) => {
   }
 });
 
+/**
+ * POST /api/ml/learning-stats/rebuild
+ * Reconstrói pesos e estatísticas do RL a partir do histórico de trades
+ */
+app.post('/api/ml/learning-stats/rebuild', authenticateToken, async (req, res) => {
+  try {
+    const rebuild = await reinforcementLearning.rebuildFromHistory();
+
+    res.json({
+      success: true,
+      source: tradeLifecycleService.isPersistent() ? 'postgres' : 'trade_history.json',
+      ...rebuild
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ====================================
+// ML MODEL REGISTRY ROUTES
+// ====================================
+
+/**
+ * GET /api/ml/models
+ * Versões registradas de todos os modelos (ativa, anterior, metadados)
+ */
+app.get('/api/ml/models', optionalAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      models: await modelRegistry.list()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ml/models/:model/versions
+ * Versões de um modelo (mais recentes primeiro)
+ */
+app.get('/api/ml/models/:model/versions', optionalAuth, async (req, res) => {
+  try {
+    const { model } = req.params;
+
+    if (!modelRegistry.ModelRegistry.MODELS.includes(model)) {
+      return res.status(400).json({
+        success: false,
+        error: `Modelo inválido. Use: ${modelRegistry.ModelRegistry.MODELS.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      ...(await modelRegistry.listVersions(model))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ml/models/:model/versions/:version/promote
+ * Torna a versão ativa e passa a usá-la nas análises
+ */
+app.post('/api/ml/models/:model/versions/:version/promote', authenticateToken, async (req, res) => {
+  try {
+    const { model, version } = req.params;
+
+    if (!modelRegistry.ModelRegistry.MODELS.includes(model)) {
+      return res.status(400).json({
+        success: false,
+        error: `Modelo inválido. Use: ${modelRegistry.ModelRegistry.MODELS.join(', ')}`
+      });
+    }
+
+    if (!(await modelRegistry.getVersion(model, version))) {
+      return res.status(404).json({
+        success: false,
+        error: `Versão ${version} de ${model} não encontrada`
+      });
+    }
+
+    const promoted = await technicalMLEngine.promoteModel(model, version);
+
+    res.json({
+      success: true,
+      active: promoted
+    });
+  } catch (error) {
+    // Versão existe mas não carrega: a ativa continua em uso
+    res.status(error instanceof TechnicalMLEngine.ModelLoadError ? 422 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ml/models/:model/rollback
+ * Volta para a versão ativa anterior
+ */
+app.post('/api/ml/models/:model/rollback', authenticateToken, async (req, res) => {
+  try {
+    const { model } = req.params;
+
+    if (!modelRegistry.ModelRegistry.MODELS.includes(model)) {
+      return res.status(400).json({
+        success: false,
+        error: `Modelo inválido. Use: ${modelRegistry.ModelRegistry.MODELS.join(', ')}`
+      });
+    }
+
+    if (!(await modelRegistry.getRollbackTarget(model))) {
+      return res.status(404).json({
+        success: false,
+        error: `Sem versão anterior de ${model} para rollback`
+      });
+    }
+
+    const active = await technicalMLEngine.rollbackModel(model);
+
+    res.json({
+      success: true,
+      active
+    });
+  } catch (error) {
+    res.status(error instanceof TechnicalMLEngine.ModelLoadError ? 422 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ====================================
 // OANDA ROUTES
 // ====================================
@@ -1215,93 +1623,755 @@ app.get('/api/smart-money/:pair', optionalAuth, async (req, res) => {
 });
 
 // ====================================
-// EXTENDED BACKTEST ROUTES
+// DATA IMPORT ROUTES
 // ====================================
 
+// Arquivos importáveis pelo servidor ficam restritos a este diretório (fora de src, ignorado pelo git)
+const DATA_IMPORT_DIR = path.resolve(process.env.DATA_IMPORT_DIR || path.join(__dirname, '../data/imports'));
+
 /**
- * POST /api/backtest/full
- * Executa backtest completo com configuração avançada
+ * Opções de importação (corpo JSON ou query string)
  */
-app.post('/api/backtest/full', optionalAuth, async (req, res) => {
-  try {
-    const {
-      pair = 'EURUSD',
-      timeframe = '15M',
-      startDate,
-      endDate,
-      initialBalance = 10000,
-      riskPercent = 1
-    } = req.body;
-
-    console.log(`\n🔬 Backtest completo: ${pair} - ${timeframe}`);
-    console.log(`💰 Capital inicial: $${initialBalance}`);
-    console.log(`⚡ Risco por trade: ${riskPercent}%\n`);
-
-    // Obtém dados de mercado
-    const marketDataPoints = await marketDataService.getMarketData(pair);
-
-    // Executa backtest
-    const results = await backtestEngine.runBacktest(marketDataPoints, pair);
-
-    // Adiciona métricas estendidas
-    const extendedResults = {
-      ...results,
-      config: {
-        pair,
-        timeframe,
-        startDate: startDate || 'Início dos dados',
-        endDate: endDate || 'Fim dos dados',
-        initialBalance,
-        riskPercent
-      },
-      equity: generateEquityCurve(results, initialBalance),
-      timeframePerformance: analyzeTimeframePerformance(results)
-    };
-
-    res.json({
-      success: true,
-      backtest: extendedResults
-    });
-  } catch (error) {
-    console.error('❌ Erro no backtest:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Helper functions para backtest
-function generateEquityCurve(results, initialBalance) {
-  const curve = [{ trade: 0, equity: initialBalance }];
-  let equity = initialBalance;
-
-  if (results.trades) {
-    results.trades.forEach((trade, index) => {
-      const pnl = trade.profitLoss || (trade.result === 'WIN' ? equity * 0.02 : -equity * 0.01);
-      equity += pnl;
-      curve.push({ trade: index + 1, equity: Math.round(equity * 100) / 100 });
-    });
+function parseImportOptions(source) {
+  let columns = source.columns;
+  if (typeof columns === 'string') {
+    columns = JSON.parse(columns);
   }
 
-  return curve;
-}
-
-function analyzeTimeframePerformance(results) {
   return {
-    '4H': { winRate: 65 + Math.random() * 15, trades: 20 + Math.floor(Math.random() * 30), avgRR: 2.1 },
-    '1H': { winRate: 60 + Math.random() * 15, trades: 40 + Math.floor(Math.random() * 40), avgRR: 1.8 },
-    '15M': { winRate: 55 + Math.random() * 15, trades: 80 + Math.floor(Math.random() * 60), avgRR: 1.5 },
-    '5M': { winRate: 50 + Math.random() * 15, trades: 120 + Math.floor(Math.random() * 80), avgRR: 1.3 }
+    pair: source.pair,
+    format: source.format,
+    type: source.type,
+    timeframe: source.timeframe,
+    targets: typeof source.targets === 'string' ? source.targets.split(',') : source.targets,
+    timezone: source.timezone,
+    dateFormat: source.dateFormat,
+    delimiter: source.delimiter,
+    header: source.header === undefined ? undefined : source.header === true || source.header === 'true',
+    columns
   };
 }
 
-// ====================================
-// ERROR HANDLING
-// ====================================
+/**
+ * Caminho do arquivo dentro de DATA_IMPORT_DIR (null se sair do diretório)
+ */
+function resolveImportPath(file) {
+  const resolved = path.resolve(DATA_IMPORT_DIR, String(file));
+  return resolved.startsWith(DATA_IMPORT_DIR + path.sep) ? resolved : null;
+}
 
-app.use((error, req, res, next) => {
-  console.error('❌ Server Error:', error);
+/**
+ * Importa arquivo de DATA_IMPORT_DIR para o store (job assíncrono)
+ */
+async function runDataImport(params, job = null) {
+  return csvImporter.importFile(resolveImportPath(params.file), {
+    ...params.options,
+    onProgress: job ? job.reportProgress : undefined,
+    isCancelled: job ? job.isCancelled : undefined
+  });
+}
+
+/**
+ * POST /api/data/import
+ * Importa histórico CSV (MT4/MT5, Dukascopy, genérico) para o store local
+ * - Content-Type text/csv: conteúdo no corpo, opções na query (pair, format, timezone...)
+ * - JSON { file, pair, format, ... }: arquivo em DATA_IMPORT_DIR; async: true → job
+ */
+app.post('/api/data/import', authenticateToken, express.text({ type: 'text/csv', limit: '50mb' }), async (req, res) => {
+  try {
+    const isCsvBody = typeof req.body === 'string';
+    const source = isCsvBody ? req.query : (req.body || {});
+    let options;
+
+    try {
+      options = parseImportOptions(source);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: 'columns deve ser um JSON válido' });
+    }
+
+    if (!options.pair) {
+      return res.status(400).json({ success: false, error: 'pair é obrigatório' });
+    }
+    if (options.format && !csvImporter.CsvImporter.FORMATS.includes(options.format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Formato inválido: ${options.format} (use ${csvImporter.CsvImporter.FORMATS.join(', ')})`
+      });
+    }
+
+    if (isCsvBody) {
+      const result = await csvImporter.importText(req.body, options);
+      return res.json({ success: true, import: result });
+    }
+
+    if (!source.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Envie o CSV com Content-Type text/csv ou informe file (relativo a DATA_IMPORT_DIR)'
+      });
+    }
+
+    const filePath = resolveImportPath(source.file);
+    if (!filePath) {
+      return res.status(400).json({ success: false, error: 'file deve estar dentro de DATA_IMPORT_DIR' });
+    }
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ success: false, error: `Arquivo não encontrado: ${source.file}` });
+    }
+
+    const params = { file: source.file, options };
+
+    if (source.async) {
+      if (!req.user) return rejectAnonymousJob(res);
+      const job = await jobQueue.enqueue('data-import', params, { userId: req.user.id });
+      return res.status(202).json({ success: true, job });
+    }
+
+    const result = await runDataImport(params);
+    res.json({ success: true, import: result });
+  } catch (error) {
+    console.error('❌ Erro na importação de dados:', error.message);
+    // Par desconhecido, colunas não reconhecidas, nenhuma linha válida... → erro do usuário
+    res.status(error instanceof csvImporter.ImportError ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ====================================
+// JOB ROUTES
+// ====================================
+
+/**
+ * Jobs pertencem a quem os criou: enfileirar exige usuário autenticado
+ * (job anônimo não poderia ser consultado nem cancelado)
+ */
+function rejectAnonymousJob(res) {
+  return res.status(401).json({
+    success: false,
+    error: 'Autenticação necessária para executar em segundo plano (async)'
+  });
+}
+
+/**
+ * GET /api/jobs
+ * Lista os jobs do usuário (query: status, type, limit)
+ */
+app.get('/api/jobs', authenticateToken, (req, res) => {
+  const jobs = jobQueue.listJobs({
+    status: req.query.status,
+    type: req.query.type,
+    userId: req.user.id,
+    limit: req.query.limit
+  });
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    jobs
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Status e progresso do job
+ */
+app.get('/api/jobs/:id', authenticateToken, (req, res) => {
+  const job = jobQueue.getJob(req.params.id, req.user.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job não encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+});
+
+/**
+ * GET /api/jobs/:id/result
+ * Resultado do job concluído (409 enquanto não terminar com sucesso)
+ */
+app.get('/api/jobs/:id/result', authenticateToken, (req, res) => {
+  const job = jobQueue.getJobWithResult(req.params.id, req.user.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job não encontrado'
+    });
+  }
+
+  if (job.status !== 'COMPLETED') {
+    return res.status(409).json({
+      success: false,
+      error: `Job ${job.status}${job.error ? `: ${job.error}` : ''}`,
+      status: job.status,
+      progress: job.progress
+    });
+  }
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    type: job.type,
+    result: job.result
+  });
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancela job na fila ou em execução
+ */
+app.post('/api/jobs/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.id, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ====================================
+// EXTENDED BACKTEST ROUTES
+// ====================================
+
+/**
+ * Dados do backtest
+ * Período informado: candles históricos (store local + OANDA)
+ * Sem período: últimos candles do provedor de dados
+ */
+async function loadBacktestData(pair, startDate, endDate, execution = {}) {
+  const dataSource = startDate ? 'historical' : 'recent';
+  const marketDataPoints = startDate
+    ? await historicalDataLoader.loadRange(pair, {
+      startDate,
+      endDate,
+      includeLowerTimeframe: execution.intrabarPolicy === 'DRILL_DOWN'
+    })
+    : await marketDataService.getMarketData(pair);
+
+  return { dataSource, marketDataPoints };
+}
+
+/**
+ * Backtest completo com relatório (rota síncrona e job assíncrono)
+ * @param {Object} params - Corpo do /api/backtest/full (+ userId)
+ * @param {Object} job - Handle do jobQueue (progresso/cancelamento), opcional
+ */
+async function runFullBacktest(params, job = null) {
+  const {
+    pair = 'EURUSD',
+    timeframe = '15M',
+    startDate,
+    endDate,
+    initialBalance = 10000,
+    riskPercent = 1,
+    execution = {},
+    learnFromBacktest = false,
+    learningProfile,
+    saveRun = false,
+    runName,
+    userId
+  } = params;
+
+  console.log(`\n🔬 Backtest completo: ${pair} - ${timeframe}`);
+  console.log(`💰 Capital inicial: $${initialBalance}`);
+  console.log(`⚡ Risco por trade: ${riskPercent}%\n`);
+
+  if (job) job.reportProgress(0, 'Carregando dados');
+  const { dataSource, marketDataPoints } = await loadBacktestData(pair, startDate, endDate, execution);
+
+  // Executa backtest (instância própria: jobs e rotas síncronas rodam em paralelo)
+  const results = await new BacktestEngine().runBacktest(marketDataPoints, pair, {
+    initialBalance,
+    riskPercent,
+    startDate,
+    endDate,
+    execution,
+    learnFromBacktest,
+    learningProfile,
+    onProgress: job ? job.scope(5, 100) : undefined,
+    isCancelled: job ? job.isCancelled : undefined
+  });
+
+  // Relatório calculado a partir das trades simuladas
+  const report = performanceReport.buildReport(results.trades, { initialBalance });
+
+  // Adiciona métricas estendidas
+  const extendedResults = {
+    ...results,
+    config: {
+      pair,
+      timeframe,
+      startDate: startDate || 'Início dos dados',
+      endDate: endDate || 'Fim dos dados',
+      dataSource,
+      initialBalance,
+      riskPercent,
+      execution: results.execution.config
+    },
+    equity: report.equityCurve,
+    timeframePerformance: report.byTimeframe,
+    report
+  };
+
+  if (saveRun) {
+    const run = await backtestRunService.saveRun(results, {
+      name: runName,
+      userId,
+      config: { initialBalance, riskPercent, startDate, endDate, dataSource, execution: results.execution.config }
+    });
+    extendedResults.runId = run.id;
+  }
+
+  return extendedResults;
+}
+
+/**
+ * Execuções salvas pertencem a quem as salvou: salvar exige usuário autenticado
+ * (execução anônima não poderia ser consultada nem removida)
+ */
+function rejectAnonymousRun(res) {
+  return res.status(401).json({
+    success: false,
+    error: 'Autenticação necessária para salvar o backtest (saveRun)'
+  });
+}
+
+/**
+ * POST /api/backtest/full
+ * Executa backtest completo com configuração avançada
+ * async: true → enfileira e retorna o id do job (acompanhar em /api/jobs/:id)
+ */
+app.post('/api/backtest/full', validateBacktest, optionalAuth, async (req, res) => {
+  try {
+    const params = { ...req.body, userId: req.user?.id };
+
+    if (params.saveRun && !backtestRunService.isPersistent()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Database não disponível para salvar o backtest'
+      });
+    }
+    if (params.saveRun && !req.user) return rejectAnonymousRun(res);
+
+    if (params.async) {
+      if (!req.user) return rejectAnonymousJob(res);
+      const job = await jobQueue.enqueue('backtest', params, { userId: req.user.id });
+      return res.status(202).json({ success: true, job });
+    }
+
+    res.json({
+      success: true,
+      backtest: await runFullBacktest(params)
+    });
+  } catch (error) {
+    console.error('❌ Erro no backtest:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/backtest/montecarlo
+ * Análise Monte Carlo (shuffle, bootstrap, skip) das trades de um backtest
+ * Aceita `trades` de um backtest anterior ou executa um novo com os mesmos parâmetros do /full
+ */
+app.post('/api/backtest/montecarlo', validateBacktest, optionalAuth, async (req, res) => {
+  try {
+    const {
+      pair = 'EURUSD',
+      startDate,
+      endDate,
+      initialBalance = 10000,
+      riskPercent = 1,
+      execution = {},
+      iterations,
+      methods,
+      ruinDrawdown,
+      skipProbability,
+      confidence,
+      seed
+    } = req.body;
+
+    let { trades } = req.body;
+
+    if (!Array.isArray(trades)) {
+      const { marketDataPoints } = await loadBacktestData(pair, startDate, endDate, execution);
+      const results = await new BacktestEngine().runBacktest(marketDataPoints, pair, {
+        initialBalance,
+        riskPercent,
+        startDate,
+        endDate,
+        execution
+      });
+      trades = results.trades;
+    }
+
+    if (trades.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Backtest sem trades para simular'
+      });
+    }
+
+    const analysis = monteCarloAnalyzer.analyze(trades, {
+      iterations,
+      methods,
+      riskPercent,
+      initialBalance,
+      ruinDrawdown,
+      skipProbability,
+      confidence,
+      seed
+    });
+
+    res.json({
+      ...analysis,
+      pair
+    });
+  } catch (error) {
+    console.error('❌ Erro no Monte Carlo:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/backtest/portfolio
+ * Backtest de vários pares com capital compartilhado
+ * Sem `pairs`: todos os pares da análise ao vivo
+ */
+app.post('/api/backtest/portfolio', validateBacktest, optionalAuth, async (req, res) => {
+  try {
+    const {
+      pairs = liveAnalysisService ? liveAnalysisService.pairs : null,
+      startDate,
+      endDate,
+      initialBalance = 10000,
+      riskPercent = 1,
+      execution = {},
+      step,
+      maxConcurrentPositions,
+      maxCorrelatedPositions,
+      correlationThreshold,
+      learnFromBacktest = false,
+      learningProfile,
+      saveRun = false,
+      runName
+    } = req.body;
+
+    if (!Array.isArray(pairs) || pairs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Informe a lista de pares (pairs)'
+      });
+    }
+
+    if (saveRun && !backtestRunService.isPersistent()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Database não disponível para salvar o backtest'
+      });
+    }
+    if (saveRun && !req.user) return rejectAnonymousRun(res);
+
+    // Carrega um par por vez (evita rajada de requisições ao provedor)
+    const marketDataByPair = {};
+    for (const pair of pairs) {
+      const { marketDataPoints } = await loadBacktestData(pair, startDate, endDate, execution);
+      marketDataByPair[pair] = marketDataPoints;
+    }
+
+    const results = await portfolioBacktester.run(marketDataByPair, {
+      initialBalance,
+      riskPercent,
+      startDate,
+      endDate,
+      execution,
+      step,
+      maxConcurrentPositions,
+      maxCorrelatedPositions,
+      correlationThreshold,
+      learnFromBacktest,
+      learningProfile
+    });
+
+    if (saveRun) {
+      const run = await backtestRunService.saveRun(results, {
+        name: runName,
+        userId: req.user.id,
+        config: { startDate, endDate }
+      });
+      results.runId = run.id;
+    }
+
+    res.json({
+      success: true,
+      backtest: results
+    });
+  } catch (error) {
+    console.error('❌ Erro no backtest de portfólio:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ====================================
+// SAVED BACKTEST RUNS
+// ====================================
+
+/**
+ * Rotas de execuções salvas exigem o PostgreSQL
+ */
+function requireBacktestRuns(req, res, next) {
+  if (!backtestRunService.isPersistent()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database não disponível'
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/backtest/runs
+ * Lista execuções salvas (sem trades/equity)
+ * Query: pair, limit
+ */
+app.get('/api/backtest/runs', authenticateToken, requireBacktestRuns, async (req, res) => {
+  try {
+    const runs = await backtestRunService.listRuns({
+      userId: req.user.id,
+      pair: req.query.pair,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backtest/runs/:baseId/compare/:candidateId
+ * Compara duas execuções: deltas das métricas, thresholds e trades exclusivas
+ */
+app.get('/api/backtest/runs/:baseId/compare/:candidateId', authenticateToken, requireBacktestRuns, async (req, res) => {
+  try {
+    const comparison = await backtestRunService.compareRuns(req.params.baseId, req.params.candidateId, req.user.id);
+
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execução de backtest não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      comparison
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/backtest/runs/:id
+ * Execução completa (config, snapshot do motor, métricas, trades e equity)
+ */
+app.get('/api/backtest/runs/:id', authenticateToken, requireBacktestRuns, async (req, res) => {
+  try {
+    const run = await backtestRunService.getRun(req.params.id, req.user.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execução de backtest não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/backtest/runs/:id
+ * Remove uma execução salva
+ */
+app.delete('/api/backtest/runs/:id', authenticateToken, requireBacktestRuns, async (req, res) => {
+  try {
+    const deleted = await backtestRunService.deleteRun(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execução de backtest não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Execução de backtest removida'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Otimização walk-forward (rota síncrona ou job assíncrono)
+ * exportProfile: true salva o perfil do par e aplica no motor em execução
+ */
+async function runWalkForward(params, job = null) {
+  const {
+    pair = 'EURUSD',
+    startDate,
+    endDate,
+    inSampleDays,
+    outOfSampleDays,
+    anchored = false,
+    search = 'grid',
+    samples,
+    seed,
+    objective,
+    minTrades,
+    paramSpace,
+    initialBalance = 10000,
+    riskPercent = 1,
+    execution = {},
+    step,
+    exportProfile = false
+  } = params;
+
+  if (job) job.reportProgress(0, 'Carregando dados');
+  const marketDataPoints = await historicalDataLoader.loadRange(pair, { startDate, endDate });
+
+  const result = await walkForwardOptimizer.optimize(marketDataPoints, pair, {
+    startDate,
+    endDate,
+    inSampleDays,
+    outOfSampleDays,
+    anchored,
+    search,
+    samples,
+    seed,
+    objective,
+    minTrades,
+    paramSpace,
+    backtest: { initialBalance, riskPercent, execution, step },
+    onProgress: job ? job.scope(5, 100) : undefined,
+    isCancelled: job ? job.isCancelled : undefined
+  });
+
+  if (exportProfile && result.recommendedThresholds) {
+    result.profile = await walkForwardOptimizer.exportProfile(pair, result);
+    result.activeThresholds = decisionEngine.setThresholdProfile(pair, result.profile.thresholds);
+  }
+
+  return result;
+}
+
+/**
+ * POST /api/backtest/walk-forward
+ * Otimização walk-forward dos thresholds do DecisionEngine
+ * async: true → enfileira e retorna o id do job (acompanhar em /api/jobs/:id)
+ */
+app.post('/api/backtest/walk-forward', authenticateToken, async (req, res) => {
+  try {
+    const params = req.body || {};
+
+    if (!params.startDate || !params.endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate e endDate são obrigatórios'
+      });
+    }
+
+    if (params.async) {
+      const job = await jobQueue.enqueue('walk-forward', params, { userId: req.user.id });
+      return res.status(202).json({ success: true, job });
+    }
+
+    res.json(await runWalkForward(params));
+  } catch (error) {
+    console.error('❌ Erro no walk-forward:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/decision/thresholds/:pair
+ * Thresholds efetivos do par (padrão + perfil carregado)
+ */
+app.get('/api/decision/thresholds/:pair', optionalAuth, (req, res) => {
+  const pair = req.params.pair.toUpperCase();
+
+  res.json({
+    success: true,
+    pair,
+    thresholds: decisionEngine.getThresholds(pair),
+    profile: decisionEngine.thresholdProfiles[pair] || null
+  });
+});
+
+// ====================================
+// ERROR HANDLING
+// ====================================
+
+app.use((error, req, res, next) => {
+  console.error('❌ Server Error:', error);
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -1314,12 +2384,16 @@ app.use((error, req, res, next) => {
 // ====================================
 
 initialize().then(() => {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`\n${'='.repeat(70)}`);
     console.log(`🚀 Forex AI Platform Backend rodando na porta ${PORT}`);
     console.log(`📍 http://localhost:${PORT}`);
+    console.log(`🔌 ws://localhost:${PORT}/ws`);
     console.log(`${'='.repeat(70)}\n`);
   });
+
+  // Feed em tempo real (sinais, aprovações e ciclos)
+  websocketService.attach(server, liveAnalysisService);
 });
 
 module.exports = app;
@@ -0,0 +1,152 @@
+/**
+ * ==========================================
+ * BACKTEST CONTEXT
+ * ==========================================
+ * Estado isolado de uma execução de backtest:
+ * - DecisionEngine próprio (nunca o motor usado ao vivo)
+ * - Reinforcement Learning em memória (não toca trade_history.json / model_weights.json)
+ * - Contador de losses consecutivos da execução
+ *
+ * Modo "learn from backtest" (opcional): o RL aprende com as trades
+ * simuladas e grava num perfil separado em data/backtest_learning/<perfil>/
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const DecisionEngine = require('../ai/decisionEngine');
+const ReinforcementLearningEngine = require('../ai/reinforcementLearning');
+
+const LEARNING_BASE_DIR = process.env.BACKTEST_LEARNING_PATH
+  || path.join(__dirname, '../../data/backtest_learning');
+
+class BacktestContext {
+  /**
+   * @param {Object} options
+   * @param {Object} options.decisionEngine - Motor de decisão (padrão: nova instância)
+   * @param {boolean} options.learnFromBacktest - Persiste o aprendizado em um perfil separado
+   * @param {string} options.learningProfile - Nome do perfil (padrão: 'default')
+   */
+  constructor(options = {}) {
+    this.decisionEngine = options.decisionEngine || new DecisionEngine();
+
+    this.learnFromBacktest = options.learnFromBacktest === true;
+    this.learningProfile = this.learnFromBacktest
+      ? this.sanitizeProfileName(options.learningProfile || 'default')
+      : null;
+
+    this.reinforcementLearning = this.learnFromBacktest
+      ? new ReinforcementLearningEngine({
+        historyFile: path.join(this.getProfileDir(), 'trade_history.json'),
+        modelWeightsFile: path.join(this.getProfileDir(), 'model_weights.json')
+      })
+      : new ReinforcementLearningEngine({ inMemory: true });
+
+    // Anti-overtrading por execução
+    this.maxConsecutiveLosses = this.decisionEngine.maxConsecutiveLosses || 3;
+    this.consecutiveLosses = 0;
+    this.pausedUntil = null;
+    this.pauses = 0;
+    this.syncLossCounter();
+  }
+
+  sanitizeProfileName(name) {
+    const clean = String(name).replace(/[^a-zA-Z0-9_-]/g, '');
+    if (!clean) throw new Error(`Nome de perfil de aprendizado inválido: ${name}`);
+    return clean;
+  }
+
+  getProfileDir() {
+    return path.join(LEARNING_BASE_DIR, this.learningProfile);
+  }
+
+  /**
+   * Prepara o perfil de aprendizado (diretório + pesos já aprendidos)
+   */
+  async prepare() {
+    if (this.learnFromBacktest) {
+      await fs.mkdir(this.getProfileDir(), { recursive: true });
+    }
+    await this.reinforcementLearning.initialize();
+  }
+
+  /**
+   * Antes de cada decisão: encerra a pausa quando o período terminou
+   */
+  beforeDecision(time) {
+    if (this.pausedUntil !== null && time >= this.pausedUntil) {
+      this.pausedUntil = null;
+      this.consecutiveLosses = 0;
+      this.syncLossCounter();
+    }
+  }
+
+  /**
+   * Registra o resultado de uma trade simulada
+   * - LOSS incrementa, WIN zera o contador
+   * - Atingido o limite, pausa até o próximo dia (UTC)
+   * - RL da execução aprende com a trade
+   */
+  async recordTrade(trade, signal, pair) {
+    if (trade.result === 'LOSS') this.consecutiveLosses++;
+    if (trade.result === 'WIN') this.consecutiveLosses = 0;
+
+    if (this.consecutiveLosses >= this.maxConsecutiveLosses && this.pausedUntil === null) {
+      const nextDay = new Date(trade.exitTimestamp);
+      nextDay.setUTCHours(24, 0, 0, 0);
+      this.pausedUntil = nextDay.getTime();
+      this.pauses++;
+    }
+
+    this.syncLossCounter();
+
+    const record = await this.reinforcementLearning.registerTrade({
+      pair,
+      direction: trade.type,
+      entry: trade.entryPrice,
+      stopLoss: trade.stopLoss,
+      takeProfit: trade.takeProfit,
+      riskReward: trade.riskReward,
+      timeframe: signal.timeframe || '5M',
+      smartMoneyPatterns: trade.smartMoneyPatterns,
+      mlProbability: signal.probability || 0
+    });
+
+    await this.reinforcementLearning.updateTradeResult(record.id, trade.result, trade.exitPrice, trade.profitLoss);
+  }
+
+  /**
+   * Contador visto pelo DecisionEngine (bloqueia sinais durante a pausa)
+   */
+  syncLossCounter() {
+    this.decisionEngine.consecutiveLosses = this.consecutiveLosses;
+  }
+
+  /**
+   * Versão e thresholds do motor usado na execução
+   * Motores alternativos sem snapshot (ex: testes) ficam sem versão
+   */
+  getEngineSnapshot(pairs) {
+    if (typeof this.decisionEngine.getSnapshot === 'function') {
+      return this.decisionEngine.getSnapshot(pairs);
+    }
+    return { version: null, defaults: null, thresholds: {}, custom: true };
+  }
+
+  /**
+   * Resumo do estado da execução
+   */
+  getSummary() {
+    return {
+      consecutiveLosses: this.consecutiveLosses,
+      lossPauses: this.pauses,
+      learning: {
+        persisted: this.learnFromBacktest,
+        profile: this.learningProfile,
+        globalStats: this.reinforcementLearning.getGlobalStats(),
+        weights: this.reinforcementLearning.getWeights()
+      }
+    };
+  }
+}
+
+module.exports = BacktestContext;
@@ -4,59 +4,158 @@
  * ==========================================
  * Simula trading com dados históricos
  * Calcula métricas de performance
+ *
+ * O estado da execução (trades, saldo, contexto) fica na instância:
+ * backtests simultâneos precisam de instâncias separadas (new BacktestEngine())
  */
 
-const decisionEngine = require('../ai/decisionEngine');
-const reinforcementLearning = require('../ai/reinforcementLearning');
+const BacktestContext = require('./backtestContext');
+const ExecutionModel = require('./executionModel');
+const candleStore = require('../services/candleStore');
+const positionSizingService = require('../services/positionSizingService');
+const { calculateProfitLoss } = require('../services/profitLossCalculator');
+const { classifySession } = require('./performanceReport');
+
+const DEFAULT_INITIAL_BALANCE = 10000;
+const DEFAULT_RISK_PERCENT = 2; // 2% por trade
+const MIN_HISTORY_5M = 200;     // Candles 5M mínimos antes da primeira decisão
+const MAX_HOLD_CANDLES = 50;    // Trade fechada a mercado após 50 candles 5M
+
+// Opção numérica: ausente ou não numérica → padrão; 0 explícito é mantido (e validado)
+const numberOption = (value, fallback, parse = parseFloat) => {
+  const parsed = parse(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
 
 class BacktestEngine {
   constructor() {
     this.trades = [];
     this.equity = [];
-    this.initialBalance = 10000;
+    this.initialBalance = DEFAULT_INITIAL_BALANCE;
     this.currentBalance = this.initialBalance;
-    this.riskPerTrade = 0.02; // 2% por trade
+    this.riskPercent = DEFAULT_RISK_PERCENT;
+    this.accountCurrency = 'USD';
+    this.context = null;
+    this.executionModel = new ExecutionModel();
+    this.lowerTimeframeCandles = [];
+    this.skippedSignals = 0; // Sinais sem dimensionamento possível
+    this.stopReason = null;
   }
 
   /**
    * Executa backtest em dados históricos
+   * Replay cronológico: em cada ponto de decisão (candle 5M) cada timeframe
+   * recebe apenas os candles já FECHADOS naquele instante (sem look-ahead)
+   *
+   * @param {Object} marketData - { '5M': [...], '15M': [...], '1H': [...], '4H': [...] }
+   * @param {string} pair
+   * @param {Object} options
+   * @param {number} options.initialBalance - Capital inicial (padrão: 10000)
+   * @param {number} options.riskPercent - % do saldo arriscado por trade (padrão: 2)
+   * @param {Date|string} options.startDate - Primeiro ponto de decisão (candles anteriores = aquecimento)
+   * @param {Date|string} options.endDate - Último ponto de decisão
+   * @param {number} options.step - Candles 5M entre decisões (padrão: 10)
+   * @param {Object} options.execution - Configuração do ExecutionModel (spread, slippage, comissão, swap...)
+   * @param {Object} options.decisionEngine - Motor de decisão alternativo (padrão: nova instância por execução)
+   * @param {boolean} options.learnFromBacktest - RL aprende com as trades simuladas (perfil separado)
+   * @param {string} options.learningProfile - Nome do perfil de aprendizado do backtest
+   * @param {Function} options.onProgress - (percent, message) conforme os candles 5M são processados
+   * @param {Function} options.isCancelled - Interrompe o backtest (lança erro)
    */
-  async runBacktest(marketData, pair) {
+  async runBacktest(marketData, pair, options = {}) {
     console.log(`\n📊 Iniciando backtest para ${pair}...`);
 
+    this.initialBalance = numberOption(options.initialBalance, DEFAULT_INITIAL_BALANCE);
+    this.riskPercent = numberOption(options.riskPercent, DEFAULT_RISK_PERCENT);
+    const step = numberOption(options.step, 10, parseInt);
+
+    if (!(this.initialBalance > 0)) {
+      throw new Error('Capital inicial deve ser maior que zero');
+    }
+    if (!(this.riskPercent > 0) || this.riskPercent > positionSizingService.maxRiskPercent) {
+      throw new Error(`Risco por trade deve estar entre 0 e ${positionSizingService.maxRiskPercent}%`);
+    }
+    if (!(step >= 1)) {
+      throw new Error('step deve ser de pelo menos 1 candle');
+    }
+
+    const series = this.prepareSeries(marketData);
+    const candles5M = series['5M'];
+
+    // Modelo de execução novo a cada backtest (RNG do slippage reinicia com a seed)
+    this.executionModel = new ExecutionModel(options.execution);
+    this.lowerTimeframeCandles = series['1M'];
+
+    const startTime = options.startDate ? new Date(options.startDate).getTime() : -Infinity;
+    const endTime = options.endDate ? new Date(options.endDate).getTime() : Infinity;
+
     this.trades = [];
-    this.equity = [{ timestamp: Date.now(), balance: this.initialBalance }];
+    this.equity = [];
     this.currentBalance = this.initialBalance;
+    this.skippedSignals = 0;
+    this.stopReason = null;
+
+    // Contexto isolado: motor de decisão, RL e contador de losses desta execução
+    this.context = new BacktestContext({
+      decisionEngine: options.decisionEngine,
+      learnFromBacktest: options.learnFromBacktest,
+      learningProfile: options.learningProfile
+    });
+    await this.context.prepare();
 
-    const candles4H = marketData['4H'];
-    const candles1H = marketData['1H'];
-    const candles15M = marketData['15M'];
-    const candles5M = marketData['5M'];
-
-    // Simula walk-forward (percorre candles do passado para o futuro)
+    const decisionEngine = this.context.decisionEngine;
     const totalCandles = candles5M.length;
     let processedSignals = 0;
+    let decisionPoints = 0;
+    let nextAvailableIndex = 0; // Uma posição por vez
 
-    for (let i = 200; i < totalCandles - 50; i += 10) {
-      // Pega janela de dados até o ponto atual
-      const data = {
-        '4H': candles4H.slice(Math.max(0, i / 48 - 200), i / 48),
-        '1H': candles1H.slice(Math.max(0, i / 12 - 200), i / 12),
-        '15M': candles15M.slice(Math.max(0, i / 3 - 200), i / 3),
-        '5M': candles5M.slice(Math.max(0, i - 300), i)
-      };
+    const progressRange = this.getProgressRange(candles5M, startTime, endTime);
+
+    for (let i = MIN_HISTORY_5M; i < totalCandles - MAX_HOLD_CANDLES; i += step) {
+      // Instante da decisão = abertura do candle i (fechamento do candle i - 1)
+      const decisionTime = candles5M[i].timestamp;
+      if (decisionTime < startTime) continue;
+      if (decisionTime > endTime) break;
+
+      if (options.isCancelled && options.isCancelled()) {
+        throw new Error('Backtest cancelado');
+      }
+      if (options.onProgress) {
+        const processed = i - progressRange.first;
+        options.onProgress(
+          (processed / progressRange.total) * 100,
+          `${processed}/${progressRange.total} candles 5M processados`
+        );
+
+        // Cede o event loop: consultas de status são atendidas durante o job
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      if (i < nextAvailableIndex) continue;
+
+      if (this.equity.length === 0) {
+        this.equity.push({ timestamp: decisionTime, balance: this.initialBalance });
+      }
+
+      const data = this.buildDecisionData(series, i);
+
+      decisionPoints++;
+      this.context.beforeDecision(decisionTime);
 
       // Analisa com decision engine
-      const signal = await decisionEngine.makeDecision(data, pair);
+      const signal = this.toSignal(await decisionEngine.makeDecision(data, pair), pair);
 
-      if (signal.decision === 'TRADE_APPROVED') {
+      if (signal) {
         processedSignals++;
 
         // Simula execução e resultado
-        const tradeResult = this.simulateTrade(signal, candles5M, i);
+        const tradeResult = this.simulateTrade(signal, candles5M, i, pair);
+        if (!tradeResult) continue;
 
         // Registra trade
         this.trades.push(tradeResult);
+        nextAvailableIndex = tradeResult.exitIndex + 1;
+        await this.context.recordTrade(tradeResult, signal, pair);
 
         // Atualiza balance
         this.currentBalance += tradeResult.profitLoss;
@@ -67,20 +166,12 @@ class BacktestEngine {
           balance: this.currentBalance
         });
 
-        // Feedback para Reinforcement Learning
-        await reinforcementLearning.recordTrade({
-          tradeId: `BT_${Date.now()}_${Math.random()}`,
-          instrument: signal.instrument,
-          type: signal.type,
-          entryPrice: tradeResult.entryPrice,
-          exitPrice: tradeResult.exitPrice,
-          stopLoss: signal.stop_loss,
-          takeProfit: signal.take_profit,
-          result: tradeResult.result,
-          profitLoss: tradeResult.profitLoss,
-          riskReward: signal.risk_reward,
-          timeframe: signal.timeframe
-        });
+        // Conta zerada: não há como dimensionar novas trades
+        if (this.currentBalance <= 0) {
+          this.stopReason = 'Saldo zerado';
+          console.log(`🛑 Backtest interrompido: saldo zerado após ${this.trades.length} trades`);
+          break;
+        }
       }
     }
 
@@ -92,90 +183,237 @@ class BacktestEngine {
     return {
       success: true,
       pair,
+      range: {
+        start: this.equity[0] ? new Date(this.equity[0].timestamp) : null,
+        end: this.trades.length > 0 ? new Date(this.trades[this.trades.length - 1].exitTimestamp) : null
+      },
       trades: this.trades,
       equity: this.equity,
       metrics,
-      processedSignals
+      decisionPoints,
+      processedSignals,
+      skippedSignals: this.skippedSignals,
+      stopReason: this.stopReason,
+      execution: this.executionModel.getSummary(),
+      engine: this.context.getEngineSnapshot([pair]),
+      context: this.context.getSummary()
     };
   }
 
   /**
-   * Simula uma trade e calcula resultado
+   * Normaliza candles (time/timestamp) e ordena cronologicamente
+   * 1M é opcional (drill-down intrabar do modelo de execução)
    */
-  simulateTrade(signal, candles, currentIndex) {
-    const entryPrice = signal.entry_price;
-    const stopLoss = signal.stop_loss;
-    const takeProfit = signal.take_profit;
-    const isBuy = signal.type === 'BUY';
-
-    // Calcula position size baseado em risco
-    const riskAmount = this.currentBalance * this.riskPerTrade;
-    const stopDistance = Math.abs(entryPrice - stopLoss);
-    const positionSize = riskAmount / stopDistance;
-
-    // Simula próximos N candles para ver se hit SL ou TP
-    let exitPrice = null;
-    let exitTimestamp = null;
-    let result = 'BREAKEVEN';
-
-    for (let j = currentIndex + 1; j < Math.min(currentIndex + 50, candles.length); j++) {
-      const candle = candles[j];
-
-      if (isBuy) {
-        // Verifica SL
-        if (candle.low <= stopLoss) {
-          exitPrice = stopLoss;
-          exitTimestamp = candle.timestamp;
-          result = 'LOSS';
-          break;
-        }
-        // Verifica TP
-        if (candle.high >= takeProfit) {
-          exitPrice = takeProfit;
-          exitTimestamp = candle.timestamp;
-          result = 'WIN';
-          break;
-        }
-      } else {
-        // SELL
-        if (candle.high >= stopLoss) {
-          exitPrice = stopLoss;
-          exitTimestamp = candle.timestamp;
-          result = 'LOSS';
-          break;
-        }
-        if (candle.low <= takeProfit) {
-          exitPrice = takeProfit;
-          exitTimestamp = candle.timestamp;
-          result = 'WIN';
-          break;
-        }
-      }
+  prepareSeries(marketData) {
+    const series = {};
+
+    for (const tf of ['1M', '5M', '15M', '1H', '4H']) {
+      series[tf] = (marketData[tf] || [])
+        .map(candle => candleStore.normalizeCandle(candle))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    return series;
+  }
+
+  /**
+   * Faixa de candles 5M percorrida pelo replay (base do progresso)
+   */
+  getProgressRange(candles5M, startTime, endTime) {
+    const last = candles5M.length - MAX_HOLD_CANDLES - 1;
+    let first = MIN_HISTORY_5M;
+    let end = last;
+
+    while (first < last && candles5M[first].timestamp < startTime) first++;
+    while (end > first && candles5M[end].timestamp > endTime) end--;
+
+    return { first, total: Math.max(end - first, 1) };
+  }
+
+  /**
+   * Dados vistos pelo motor de decisão na abertura do candle 5M `index`
+   * Janelas alinhadas por timestamp (apenas candles fechados)
+   */
+  buildDecisionData(series, index) {
+    const decisionTime = series['5M'][index].timestamp;
+
+    return {
+      '4H': this.windowUntil(series['4H'], '4H', decisionTime, 200),
+      '1H': this.windowUntil(series['1H'], '1H', decisionTime, 200),
+      '15M': this.windowUntil(series['15M'], '15M', decisionTime, 200),
+      '5M': series['5M'].slice(Math.max(0, index - 300), index)
+    };
+  }
+
+  /**
+   * Últimos `length` candles do timeframe já fechados em `time`
+   * (candle fechado: abertura + duração <= time)
+   */
+  windowUntil(candles, timeframe, time, length) {
+    const cutoff = time - candleStore.getTimeframeMs(timeframe);
+
+    // Busca binária: primeiro candle com abertura > cutoff
+    let low = 0;
+    let high = candles.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (candles[mid].timestamp <= cutoff) low = mid + 1;
+      else high = mid;
     }
 
-    // Se não hit nada, fecha no mercado
-    if (!exitPrice) {
-      exitPrice = candles[Math.min(currentIndex + 50, candles.length - 1)].close;
-      exitTimestamp = candles[Math.min(currentIndex + 50, candles.length - 1)].timestamp;
-      result = 'BREAKEVEN';
+    return candles.slice(Math.max(0, low - length), low);
+  }
+
+  /**
+   * Converte a saída do DecisionEngine no formato de sinal usado na simulação
+   * @returns {Object|null} null se a trade não foi aprovada
+   */
+  toSignal(result, pair) {
+    // Formato plano (ex: sinais já normalizados)
+    if (typeof result.decision === 'string') {
+      return result.decision === 'TRADE_APPROVED' ? result : null;
     }
 
-    // Calcula P&L
-    const priceDiff = isBuy ? (exitPrice - entryPrice) : (entryPrice - exitPrice);
-    const profitLoss = priceDiff * positionSize;
+    const decision = result.decision;
+    if (!decision || decision.signal !== 'TRADE_APPROVED') return null;
 
     return {
-      entryTimestamp: candles[currentIndex].timestamp,
-      exitTimestamp,
+      decision: 'TRADE_APPROVED',
+      instrument: pair,
+      type: decision.direction,
+      order_type: decision.setup.orderType || 'MARKET',
+      entry_price: parseFloat(decision.setup.entry),
+      stop_loss: parseFloat(decision.setup.stopLoss),
+      take_profit: parseFloat(decision.setup.takeProfit),
+      risk_reward: parseFloat(decision.setup.riskReward),
+      probability: decision.probability?.overall,
+      timeframe: '5M',
+      smartMoneyPatterns: decision.smartMoneyPatterns || [],
+      alignedTimeframes: this.getAlignedTimeframes(result.analyses?.smartMoney, decision.direction)
+    };
+  }
+
+  /**
+   * Timeframes cuja tendência Smart Money confirma a direção da trade
+   */
+  getAlignedTimeframes(smartMoney, direction) {
+    const trend = direction === 'BUY' ? 'BULLISH' : 'BEARISH';
+    const timeframes = smartMoney?.timeframes || {};
+
+    return ['4H', '1H', '15M', '5M'].filter(tf => timeframes[tf]?.trend === trend);
+  }
+
+  /**
+   * Simula uma trade e calcula resultado
+   * Execução (spread, slippage, LIMIT, SL/TP intrabar) delegada ao ExecutionModel
+   * Retorna null se a posição ficar abaixo do mínimo do instrumento
+   * ou se a ordem LIMIT expirar sem execução
+   */
+  simulateTrade(signal, candles, currentIndex, pair) {
+    const instrument = signal.instrument || pair;
+    const entryPrice = parseFloat(signal.entry_price);
+    const stopLoss = parseFloat(signal.stop_loss);
+    const takeProfit = parseFloat(signal.take_profit);
+
+    // Mesmo dimensionamento das trades ao vivo (positionSizingService)
+    let sizing;
+    try {
+      sizing = positionSizingService.calculatePositionSize({
+        instrument,
+        balance: this.currentBalance,
+        riskPercent: this.riskPercent,
+        entryPrice,
+        stopLoss,
+        accountCurrency: this.accountCurrency
+      });
+    } catch (error) {
+      // Sinal sem dimensionamento possível (stop na entrada, instrumento desconhecido...): não opera
+      this.skippedSignals++;
+      console.log(`⚠️  Sinal ${instrument} ignorado: ${error.message}`);
+      return null;
+    }
+
+    // Abaixo do mínimo do instrumento: sinal ignorado, como os que não podem ser dimensionados
+    if (sizing.units <= 0) {
+      this.skippedSignals++;
+      console.log(`⚠️  Sinal ${instrument} ignorado: ${sizing.reason || 'posição sem unidades'}`);
+      return null;
+    }
+
+    const positionSize = sizing.units;
+
+    const fill = this.executionModel.simulate({
+      instrument,
+      direction: signal.type,
+      orderType: signal.order_type,
       entryPrice,
-      exitPrice,
+      stopLoss,
+      takeProfit,
+      candles,
+      startIndex: currentIndex,
+      maxHoldCandles: MAX_HOLD_CANDLES,
+      timeframe: '5M',
+      lowerCandles: this.lowerTimeframeCandles
+    });
+
+    if (!fill) return null;
+
+    const result = fill.exitReason === 'TAKE_PROFIT'
+      ? 'WIN'
+      : fill.exitReason === 'STOP_LOSS' ? 'LOSS' : 'BREAKEVEN';
+
+    // Calcula P&L nos preços executados (mesmo cálculo das trades reais)
+    const outcome = calculateProfitLoss({
+      instrument,
+      direction: signal.type,
+      entryPrice: fill.entryPrice,
+      exitPrice: fill.exitPrice,
+      stopLoss,
+      units: positionSize,
+      accountCurrency: this.accountCurrency
+    });
+
+    // Custos fora do preço: comissão e swap
+    const commission = this.executionModel.calculateCommission(instrument, positionSize);
+    const swap = this.executionModel.calculateSwap(
+      instrument,
+      signal.type,
+      positionSize,
+      fill.entryTimestamp,
+      fill.exitTimestamp,
+      outcome.conversionRate
+    );
+    const profitLoss = parseFloat((outcome.profitLoss - commission + swap).toFixed(2));
+
+    return {
+      entryTimestamp: fill.entryTimestamp,
+      exitTimestamp: fill.exitTimestamp,
+      exitIndex: fill.exitIndex,
+      orderType: signal.order_type || 'MARKET',
+      requestedEntry: entryPrice,
+      entryPrice: fill.entryPrice,
+      exitPrice: fill.exitPrice,
+      exitReason: fill.exitReason,
       stopLoss,
       takeProfit,
       type: signal.type,
       result,
+      riskReward: parseFloat(signal.risk_reward) || null,
+      session: classifySession(fill.entryTimestamp),
+      smartMoneyPatterns: signal.smartMoneyPatterns || [],
+      alignedTimeframes: signal.alignedTimeframes || [],
+      grossProfitLoss: outcome.profitLoss,
+      commission,
+      swap,
       profitLoss,
+      pips: outcome.pips,
+      rMultiple: outcome.rMultiple,
+      spreadCostPips: fill.spreadCostPips,
+      slippagePips: fill.slippagePips,
+      ambiguousExit: fill.ambiguous,
       profitLossPercent: (profitLoss / this.currentBalance) * 100,
-      positionSize
+      positionSize,
+      riskAmount: sizing.riskAmount
     };
   }
 
@@ -246,4 +484,8 @@ class BacktestEngine {
   }
 }
 
+BacktestEngine.MIN_HISTORY_5M = MIN_HISTORY_5M;
+BacktestEngine.MAX_HOLD_CANDLES = MAX_HOLD_CANDLES;
+
 module.exports = new BacktestEngine();
+module.exports.BacktestEngine = BacktestEngine;
@@ -0,0 +1,699 @@
+/**
+ * ==========================================
+ * CSV IMPORTER
+ * ==========================================
+ * Importa históricos exportados (barras ou ticks) para o CandleStore,
+ * permitindo backtest e treino de ML sem acesso a APIs:
+ * - mt4: History Center (sem cabeçalho) - 2024.01.02,13:00,O,H,L,C,V
+ * - mt5: exportação com cabeçalho <DATE> <TIME> <OPEN> ... (barras) ou <BID> <ASK> (ticks)
+ * - dukascopy: "Gmt time,Open,High,Low,Close,Volume" ou "Gmt time,Ask,Bid,AskVolume,BidVolume"
+ * - generic: colunas configuráveis (índice ou nome do cabeçalho)
+ *
+ * Horários convertidos para UTC a partir do fuso informado (UTC, +02:00, GMT+2, Europe/Athens...)
+ * Ticks são agregados em barras (mid + bid/ask); timeframes maiores via candleResampler
+ * Gravação em blocos (anos de M1 não ficam inteiros em memória); cada bloco reescreve só
+ * as partições do store que recebe; bloco rejeitado pela validação de qualidade não é gravado
+ * Parquet não é suportado (nenhuma biblioteca instalada): exporte para CSV
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const candleStore = require('../services/candleStore');
+const candleResampler = require('../services/candleResampler');
+const dataQualityValidator = require('../services/dataQualityValidator');
+const { STATUS } = dataQualityValidator.DataQualityValidator;
+const { normalizeSymbol, getInstrumentSpec } = require('../services/instrumentSpecs');
+
+const TICK_TARGETS = ['1M', '5M', '15M', '1H', '4H'];
+const BACKTEST_TIMEFRAMES = ['5M', '15M', '1H', '4H'];
+const MAX_ERROR_SAMPLES = 10;
+const CANCEL_CHECK_LINES = 10000;
+const CHUNK_BARS = 50000; // Barras do menor timeframe acumuladas antes de gravar
+
+// Importação grava dados históricos: barra sem volume (MT4 em horário parado) é válida,
+// e o mínimo de candles não se aplica a cada bloco
+const IMPORT_VALIDATION = { dropZeroVolume: false, minCandles: 1 };
+
+/**
+ * Erro nos dados ou opções enviados pelo usuário (arquivo, par, colunas...) → HTTP 400
+ */
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Nomes de coluna aceitos (cabeçalho em minúsculas, sem < >)
+const COLUMN_ALIASES = {
+  timestamp: ['timestamp', 'datetime', 'date_time', 'gmt time', 'local time', 'time (utc)', 'date time'],
+  date: ['date', 'day'],
+  time: ['time'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'vol', 'v'],
+  tickVolume: ['tickvol', 'tick_volume', 'tick volume', 'ticks'],
+  bid: ['bid'],
+  ask: ['ask'],
+  last: ['last', 'price'],
+  bidVolume: ['bidvolume', 'bid volume', 'bid_volume'],
+  askVolume: ['askvolume', 'ask volume', 'ask_volume']
+};
+
+const FORMATS = {
+  mt4: { delimiter: ',', header: false, columns: { date: 0, time: 1, open: 2, high: 3, low: 4, close: 5, volume: 6 } },
+  mt5: { delimiter: '\t', header: true },
+  dukascopy: { delimiter: ',', header: true },
+  generic: { delimiter: null, header: true }
+};
+
+// Tentados em ordem quando dateFormat não é informado
+const AUTO_DATE_FORMATS = [
+  'YYYY.MM.DD HH:mm:ss.SSS', 'YYYY.MM.DD HH:mm:ss', 'YYYY.MM.DD HH:mm', 'YYYY.MM.DD',
+  'YYYY-MM-DD HH:mm:ss.SSS', 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DD',
+  'DD.MM.YYYY HH:mm:ss.SSS', 'DD.MM.YYYY HH:mm:ss', 'DD.MM.YYYY HH:mm', 'DD.MM.YYYY',
+  'YYYYMMDD HHmmss', 'YYYYMMDD HH:mm:ss', 'YYYYMMDD HH:mm', 'YYYYMMDD'
+];
+
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})',
+  SSS: '(\\d{1,3})'
+};
+
+/**
+ * Compila um formato de data (tokens YYYY MM DD HH mm ss SSS) em parser → ms "locais" (como se fossem UTC)
+ */
+function compileDateFormat(format) {
+  const tokens = [];
+  const pattern = format.replace(/YYYY|SSS|MM|DD|HH|mm|ss|[.*+?^${}()|[\]\\]/g, match => {
+    if (DATE_TOKENS[match]) {
+      tokens.push(match);
+      return DATE_TOKENS[match];
+    }
+    return `\\${match}`;
+  });
+  const regex = new RegExp(`^${pattern}$`);
+
+  return value => {
+    const match = regex.exec(value);
+    if (!match) return NaN;
+
+    const parts = { YYYY: 1970, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0, SSS: 0 };
+    tokens.forEach((token, i) => {
+      parts[token] = token === 'SSS' ? parseInt(match[i + 1].padEnd(3, '0')) : parseInt(match[i + 1]);
+    });
+
+    return Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss, parts.SSS);
+  };
+}
+
+/**
+ * Conversor horário local → UTC
+ * @param {string} timezone - UTC, +02:00, -0500, GMT+2, UTC-3 ou nome IANA (Europe/Athens)
+ */
+function createTimezoneConverter(timezone = 'UTC') {
+  const tz = String(timezone).trim();
+  if (/^(UTC|GMT|Z)$/i.test(tz)) return localMs => localMs;
+
+  const fixed = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(tz);
+  if (fixed) {
+    const sign = fixed[1] === '-' ? -1 : 1;
+    const offsetMs = sign * (parseInt(fixed[2]) * 60 + parseInt(fixed[3] || 0)) * 60000;
+    return localMs => localMs - offsetMs;
+  }
+
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+  } catch (error) {
+    throw new ImportError(`Fuso horário inválido: ${timezone}`);
+  }
+
+  // Offset do fuso num instante UTC (cache por hora: offsets mudam só em horas cheias)
+  const cache = new Map();
+  const offsetAt = utcMs => {
+    const hourKey = Math.floor(utcMs / 3600000);
+    if (!cache.has(hourKey)) {
+      const parts = Object.fromEntries(formatter.formatToParts(new Date(hourKey * 3600000)).map(p => [p.type, p.value]));
+      const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      cache.set(hourKey, asUtc - hourKey * 3600000);
+    }
+    return cache.get(hourKey);
+  };
+
+  return localMs => {
+    const guess = localMs - offsetAt(localMs);
+    return localMs - offsetAt(guess);
+  };
+}
+
+/**
+ * Divide uma linha CSV (aspas duplas opcionais)
+ */
+function splitLine(line, delimiter) {
+  if (!line.includes('"')) return line.split(delimiter);
+
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  return fields;
+}
+
+class CsvImporter {
+  /**
+   * @param {Object} options - { store } (padrão: candleStore)
+   */
+  constructor(options = {}) {
+    this.store = options.store || candleStore;
+  }
+
+  /**
+   * Importa um arquivo do disco (leitura em streaming)
+   * @param {string} filePath
+   * @param {Object} options - ver importLines
+   */
+  async importFile(filePath, options = {}) {
+    if (/\.parquet$/i.test(filePath) || options.format === 'parquet') {
+      throw new ImportError('Parquet não suportado: exporte o histórico para CSV');
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    try {
+      return await this.importLines(lines, { ...options, totalBytes: size, getBytesRead: () => stream.bytesRead });
+    } finally {
+      lines.close();
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Importa conteúdo CSV em memória
+   */
+  async importText(text, options = {}) {
+    return this.importLines(String(text).split(/\r?\n/), options);
+  }
+
+  /**
+   * Importa linhas CSV para o store
+   * @param {Iterable|AsyncIterable} lines
+   * @param {Object} options
+   * @param {string} options.pair - Instrumento (obrigatório)
+   * @param {string} options.format - mt4, mt5, dukascopy, generic (padrão: generic)
+   * @param {string} options.type - bars ou ticks (padrão: detectado pelas colunas)
+   * @param {string} options.timeframe - Timeframe das barras (padrão: detectado pelo espaçamento)
+   * @param {Array} options.targets - Timeframes gravados (barras: origem + 5M/15M/1H/4H maiores; ticks: 1M, 5M, 15M, 1H, 4H)
+   * @param {string} options.timezone - Fuso dos horários do arquivo (padrão: UTC)
+   * @param {string} options.dateFormat - Ex: 'DD/MM/YYYY HH:mm' (padrão: detectado)
+   * @param {string} options.delimiter - Separador (padrão: do formato ou detectado)
+   * @param {boolean} options.header - Primeira linha é cabeçalho (padrão: do formato)
+   * @param {Object} options.columns - { timestamp | date + time, open, high, low, close, volume, bid, ask } → índice ou nome
+   * @param {number} options.chunkSize - Barras do menor timeframe por gravação (padrão: 50000)
+   * @param {Function} options.onProgress - (percent, message) - apenas com totalBytes
+   * @param {Function} options.isCancelled - Cancelar mantém os blocos já gravados
+   * @throws {ImportError} Opções ou conteúdo inválidos
+   */
+  async importLines(lines, options = {}) {
+    if (!options.pair) throw new ImportError('pair é obrigatório');
+
+    const pair = normalizeSymbol(options.pair);
+    let assetClass;
+    try {
+      assetClass = getInstrumentSpec(pair).type;
+      (options.targets || []).forEach(tf => candleStore.getTimeframeMs(tf));
+      if (options.timeframe) candleStore.getTimeframeMs(options.timeframe);
+    } catch (error) {
+      throw new ImportError(error.message);
+    }
+
+    const format = options.format || 'generic';
+    const preset = FORMATS[format];
+    if (!preset) {
+      throw new ImportError(`Formato desconhecido: ${format} (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    const toUtc = createTimezoneConverter(options.timezone || 'UTC');
+    const state = {
+      delimiter: options.delimiter || preset.delimiter,
+      expectHeader: options.header ?? preset.header,
+      columns: null,
+      parseDate: options.dateFormat ? compileDateFormat(options.dateFormat) : null,
+      type: options.type || null
+    };
+
+    const stats = { rowsRead: 0, rowsImported: 0, rowsSkipped: 0, errors: [] };
+    // Barras (ou ticks agregados em barras) pendentes de gravação
+    const chunk = {
+      pair,
+      assetClass,
+      type: null,
+      timeframe: options.timeframe || null,
+      targets: options.targets,
+      tickTargets: [...(options.targets || TICK_TARGETS)]
+        .sort((a, b) => candleStore.getTimeframeMs(a) - candleStore.getTimeframeMs(b)),
+      bars: [],
+      tickBars: new Map(),
+      flushedUntil: -Infinity, // Períodos anteriores já gravados
+      stored: {},
+      rejected: []
+    };
+    const chunkSize = options.chunkSize || CHUNK_BARS;
+    const range = { start: Infinity, end: -Infinity };
+    let lineNumber = 0;
+
+    for await (const rawLine of lines) {
+      lineNumber++;
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      if (lineNumber % CANCEL_CHECK_LINES === 0) {
+        if (options.isCancelled && options.isCancelled()) throw new Error('Importação cancelada');
+        if (options.onProgress && options.totalBytes) {
+          options.onProgress((options.getBytesRead() / options.totalBytes) * 90, `${stats.rowsRead} linhas lidas`);
+        }
+      }
+
+      if (!state.delimiter) state.delimiter = this.detectDelimiter(line);
+      const fields = splitLine(line, state.delimiter).map(field => field.trim());
+
+      if (!state.columns) {
+        if (state.expectHeader) {
+          state.columns = this.resolveColumns(fields, options.columns);
+          continue;
+        }
+        state.columns = this.resolveColumns(null, options.columns || preset.columns);
+      }
+
+      if (!state.type) state.type = state.columns.open !== undefined ? 'bars' : 'ticks';
+      chunk.type = state.type;
+
+      stats.rowsRead++;
+      try {
+        const record = this.parseRow(fields, state, toUtc);
+        if (record.timestamp < chunk.flushedUntil) {
+          throw new Error(`Fora de ordem: ${new Date(record.timestamp).toISOString()} já foi gravado`);
+        }
+        range.start = Math.min(range.start, record.timestamp);
+        range.end = Math.max(range.end, record.timestamp);
+        stats.rowsImported++;
+
+        if (state.type === 'ticks') {
+          this.addTick(chunk.tickBars, record, chunk.tickTargets[0], assetClass);
+        } else {
+          chunk.bars.push(record);
+        }
+      } catch (error) {
+        stats.rowsSkipped++;
+        if (stats.errors.length < MAX_ERROR_SAMPLES) stats.errors.push(`Linha ${lineNumber}: ${error.message}`);
+      }
+
+      if ((state.type === 'ticks' ? chunk.tickBars.size : chunk.bars.length) >= chunkSize) {
+        await this.flushChunk(chunk, false);
+      }
+    }
+
+    if (stats.rowsImported === 0) {
+      throw new ImportError(`Nenhuma linha válida importada${stats.errors.length > 0 ? ` (${stats.errors[0]})` : ''}`);
+    }
+
+    if (options.onProgress && options.totalBytes) options.onProgress(95, 'Gravando no store');
+    await this.flushChunk(chunk, true);
+
+    const { stored, rejected } = chunk;
+    if (Object.keys(stored).length === 0) {
+      throw new ImportError(`Dados rejeitados pela validação de qualidade (${rejected[0]})`);
+    }
+
+    console.log(`📥 Importação ${pair} (${format}, ${state.type}): ${stats.rowsImported} linhas → ${Object.entries(stored).map(([tf, s]) => `${tf}=${s.imported}`).join(' ')}`);
+    if (rejected.length > 0) console.warn(`⚠️  Importação ${pair}: ${rejected.length} bloco(s) rejeitado(s) - ${rejected[0]}`);
+
+    return {
+      success: true,
+      pair,
+      format,
+      type: state.type,
+      timezone: options.timezone || 'UTC',
+      ...stats,
+      range: {
+        start: new Date(range.start),
+        end: new Date(range.end)
+      },
+      stored,
+      rejected
+    };
+  }
+
+  /**
+   * Valida e grava as barras pendentes (menor timeframe + maiores reamostrados)
+   * Fora do fim do arquivo, o bloco ainda aberto do maior timeframe fica pendente:
+   * barra reamostrada nunca é gravada pela metade
+   * @param {Object} chunk - Estado da importação (importLines)
+   * @param {boolean} final - Último bloco: grava tudo
+   */
+  async flushChunk(chunk, final) {
+    const isTicks = chunk.type === 'ticks';
+    const pending = isTicks
+      ? [...chunk.tickBars.values()].sort((a, b) => a.timestamp - b.timestamp)
+      : chunk.bars.sort((a, b) => a.timestamp - b.timestamp);
+    if (pending.length === 0) return;
+
+    if (!isTicks && !chunk.timeframe) chunk.timeframe = this.detectTimeframe(pending);
+    const sourceTimeframe = isTicks ? chunk.tickTargets[0] : chunk.timeframe;
+    const targets = isTicks ? chunk.tickTargets : (chunk.targets || this.getDefaultTargets(sourceTimeframe));
+
+    let ready = pending;
+    if (!final) {
+      const largestMs = Math.max(...targets.map(tf => candleStore.getTimeframeMs(tf)));
+      const cutoff = candleResampler.getBucketStart(
+        pending[pending.length - 1].timestamp,
+        largestMs,
+        chunk.assetClass !== 'crypto'
+      );
+      ready = pending.filter(bar => bar.timestamp < cutoff);
+      if (ready.length === 0) return;
+      chunk.flushedUntil = cutoff;
+    }
+
+    if (isTicks) {
+      ready.forEach(bar => chunk.tickBars.delete(bar.timestamp));
+      ready = ready.map(({ firstTick, lastTick, ...bar }) => bar);
+    } else {
+      chunk.bars = pending.slice(ready.length);
+    }
+
+    // Menor timeframe validado antes de reamostrar: bloco rejeitado não gera nenhum timeframe
+    const base = dataQualityValidator.validateCandles(ready, sourceTimeframe, { assetClass: chunk.assetClass, ...IMPORT_VALIDATION });
+    const period = `${new Date(ready[0].timestamp).toISOString()} → ${new Date(ready[ready.length - 1].timestamp).toISOString()}`;
+    if (base.report.status === STATUS.REJECTED) {
+      chunk.rejected.push(`${sourceTimeframe} ${period}: ${base.report.issues[0]}`);
+      return;
+    }
+
+    const seriesByTimeframe = isTicks
+      ? this.buildFromTicks(base.candles, targets, chunk.assetClass)
+      : this.buildFromBars(base.candles, sourceTimeframe, chunk.targets, chunk.assetClass);
+
+    for (const [tf, candles] of Object.entries(seriesByTimeframe)) {
+      const { candles: validated, report } = tf === sourceTimeframe
+        ? base
+        : dataQualityValidator.validateCandles(candles, tf, { assetClass: chunk.assetClass, ...IMPORT_VALIDATION });
+
+      if (report.status === STATUS.REJECTED) {
+        chunk.rejected.push(`${tf} ${period}: ${report.issues[0]}`);
+        continue;
+      }
+
+      const total = await this.store.saveCandles(chunk.pair, tf, validated);
+      const stored = chunk.stored[tf] || (chunk.stored[tf] = {
+        imported: 0,
+        total: 0,
+        repairs: { unsorted: 0, duplicates: 0, highLow: 0 },
+        dropped: { invalidPrice: 0, zeroVolume: 0 }
+      });
+
+      stored.imported += validated.length;
+      stored.total = total;
+      for (const key of Object.keys(stored.repairs)) stored.repairs[key] += report.repairs[key];
+      for (const key of Object.keys(stored.dropped)) stored.dropped[key] += report.dropped[key];
+    }
+  }
+
+  detectDelimiter(line) {
+    const candidates = ['\t', ';', ','];
+    return candidates.find(d => line.includes(d)) || ',';
+  }
+
+  /**
+   * Mapa campo → índice da coluna
+   * @param {Array|null} header - Campos do cabeçalho
+   * @param {Object} overrides - { campo: índice ou nome do cabeçalho }
+   */
+  resolveColumns(header, overrides = null) {
+    const columns = {};
+    const names = header ? header.map(name => name.toLowerCase().replace(/[<>]/g, '').trim()) : [];
+
+    if (header) {
+      for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const index = names.findIndex(name => aliases.includes(name));
+        if (index !== -1) columns[field] = index;
+      }
+
+      // "time" sozinho é o timestamp completo; com "date" é só a hora
+      if (columns.time !== undefined && columns.date === undefined && columns.timestamp === undefined) {
+        columns.timestamp = columns.time;
+        delete columns.time;
+      }
+    }
+
+    for (const [field, column] of Object.entries(overrides || {})) {
+      if (typeof column === 'number') {
+        columns[field] = column;
+        continue;
+      }
+
+      const index = names.indexOf(String(column).toLowerCase());
+      if (index === -1) throw new ImportError(`Coluna "${column}" não encontrada no cabeçalho`);
+      columns[field] = index;
+    }
+
+    const hasTime = columns.timestamp !== undefined || columns.date !== undefined;
+    const hasBars = ['open', 'high', 'low', 'close'].every(field => columns[field] !== undefined);
+    const hasTicks = columns.bid !== undefined || columns.ask !== undefined || columns.last !== undefined;
+
+    if (!hasTime || (!hasBars && !hasTicks)) {
+      throw new ImportError('Colunas não reconhecidas: informe columns (timestamp ou date/time + open/high/low/close ou bid/ask)');
+    }
+
+    return columns;
+  }
+
+  /**
+   * Converte uma linha em barra ou tick (timestamp UTC)
+   */
+  parseRow(fields, state, toUtc) {
+    const { columns } = state;
+    const value = field => (columns[field] !== undefined ? fields[columns[field]] : undefined);
+    const number = field => {
+      const raw = value(field);
+      return raw === undefined || raw === '' ? NaN : parseFloat(raw.replace(',', '.'));
+    };
+
+    const rawTime = columns.timestamp !== undefined
+      ? value('timestamp')
+      : [value('date'), value('time')].filter(Boolean).join(' ');
+    const timestamp = this.parseTimestamp(rawTime, state, toUtc);
+    if (!Number.isFinite(timestamp)) throw new Error(`Data inválida: "${rawTime}"`);
+
+    const volume = number('volume') > 0 ? number('volume') : number('tickVolume');
+
+    if (state.type === 'bars') {
+      const bar = { timestamp, open: number('open'), high: number('high'), low: number('low'), close: number('close') };
+      if (![bar.open, bar.high, bar.low, bar.close].every(Number.isFinite)) throw new Error('Preço inválido');
+      bar.volume = Number.isFinite(volume) ? volume : 0;
+      return bar;
+    }
+
+    // Ticks: bid/ask vazios (MT5 envia só o lado alterado) repetem o último valor
+    const bid = Number.isFinite(number('bid')) ? number('bid') : state.lastBid;
+    const ask = Number.isFinite(number('ask')) ? number('ask') : state.lastAsk;
+    state.lastBid = bid;
+    state.lastAsk = ask;
+
+    const last = number('last');
+    const price = Number.isFinite(bid) && Number.isFinite(ask) ? (bid + ask) / 2 : Number.isFinite(last) ? last : bid ?? ask;
+    if (!Number.isFinite(price)) throw new Error('Tick sem preço');
+
+    const sideVolume = (number('bidVolume') || 0) + (number('askVolume') || 0);
+    return {
+      timestamp,
+      price,
+      bid: Number.isFinite(bid) && Number.isFinite(ask) ? bid : null,
+      ask: Number.isFinite(bid) && Number.isFinite(ask) ? ask : null,
+      volume: sideVolume > 0 ? sideVolume : Number.isFinite(volume) ? volume : 1
+    };
+  }
+
+  /**
+   * Timestamp UTC (ms): epoch, ISO com fuso, ou data local no formato informado/detectado
+   */
+  parseTimestamp(raw, state, toUtc) {
+    const text = String(raw || '').trim();
+
+    if (/^\d{10}(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+    if (/^\d{13}$/.test(text)) return parseInt(text);
+
+    // Fuso explícito no valor (ISO com Z/offset, Dukascopy "Local time ... GMT+0100")
+    if (/T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) return Date.parse(text);
+    const withOffset = /^(.*?)\s*GMT([+-])(\d{2}):?(\d{2})$/.exec(text);
+    if (withOffset) {
+      const sign = withOffset[2] === '-' ? -1 : 1;
+      const offsetMs = sign * (parseInt(withOffset[3]) * 60 + parseInt(withOffset[4])) * 60000;
+      return this.parseLocal(withOffset[1], state) - offsetMs;
+    }
+
+    return toUtc(this.parseLocal(text.replace('T', ' '), state));
+  }
+
+  parseLocal(text, state) {
+    if (!state.parseDate) {
+      const format = AUTO_DATE_FORMATS.find(candidate => Number.isFinite(compileDateFormat(candidate)(text)));
+      if (!format) return NaN;
+      state.parseDate = compileDateFormat(format);
+    }
+    return state.parseDate(text);
+  }
+
+  /**
+   * Timeframe das barras pelo menor espaçamento entre timestamps
+   */
+  detectTimeframe(bars) {
+    let minDiff = Infinity;
+    for (let i = 1; i < Math.min(bars.length, 500); i++) {
+      const diff = bars[i].timestamp - bars[i - 1].timestamp;
+      if (diff > 0 && diff < minDiff) minDiff = diff;
+    }
+
+    const timeframe = ['1M', '5M', '15M', '30M', '1H', '4H', '1D']
+      .find(tf => candleStore.getTimeframeMs(tf) === minDiff);
+
+    if (!timeframe) {
+      throw new ImportError('Não foi possível detectar o timeframe das barras: informe timeframe');
+    }
+    return timeframe;
+  }
+
+  /**
+   * Barras no timeframe de origem + timeframes maiores reamostrados
+   * Sem targets: origem + timeframes do backtest acima dela (BacktestEngine roda só com o store)
+   */
+  buildFromBars(bars, timeframe, targets, assetClass) {
+    const sourceMs = candleStore.getTimeframeMs(timeframe);
+    const series = {};
+
+    for (const target of targets || this.getDefaultTargets(timeframe)) {
+      const targetMs = candleStore.getTimeframeMs(target);
+      if (targetMs === sourceMs) {
+        series[target] = bars;
+      } else if (targetMs > sourceMs) {
+        series[target] = candleResampler.resample(bars, timeframe, target, { assetClass });
+      } else {
+        throw new ImportError(`Não é possível gerar ${target} a partir de barras ${timeframe}`);
+      }
+    }
+
+    return series;
+  }
+
+  /**
+   * Origem + timeframes do backtest acima dela
+   */
+  getDefaultTargets(timeframe) {
+    const sourceMs = candleStore.getTimeframeMs(timeframe);
+    return [timeframe, ...BACKTEST_TIMEFRAMES.filter(tf => candleStore.getTimeframeMs(tf) > sourceMs)];
+  }
+
+  /**
+   * Soma um tick à barra do menor timeframe pedido (mid + bid/ask)
+   * @param {Map} tickBars - abertura da barra → barra
+   */
+  addTick(tickBars, tick, baseTimeframe, assetClass) {
+    const bucket = candleResampler.getBucketStart(
+      tick.timestamp,
+      candleStore.getTimeframeMs(baseTimeframe),
+      assetClass !== 'crypto'
+    );
+
+    let bar = tickBars.get(bucket);
+    if (!bar) {
+      bar = {
+        timestamp: bucket,
+        open: tick.price,
+        high: tick.price,
+        low: tick.price,
+        close: tick.price,
+        volume: 0,
+        firstTick: tick.timestamp,
+        lastTick: tick.timestamp,
+        ...(tick.bid !== null ? {
+          bid: { open: tick.bid, high: tick.bid, low: tick.bid, close: tick.bid },
+          ask: { open: tick.ask, high: tick.ask, low: tick.ask, close: tick.ask }
+        } : {})
+      };
+      tickBars.set(bucket, bar);
+    }
+
+    // Ticks fora de ordem não alteram abertura/fechamento já definidos por ticks mais antigos/recentes
+    const isFirst = tick.timestamp < bar.firstTick;
+    const isLast = tick.timestamp >= bar.lastTick;
+    if (isFirst) bar.firstTick = tick.timestamp;
+    if (isLast) bar.lastTick = tick.timestamp;
+
+    bar.high = Math.max(bar.high, tick.price);
+    bar.low = Math.min(bar.low, tick.price);
+    if (isFirst) bar.open = tick.price;
+    if (isLast) bar.close = tick.price;
+    bar.volume += tick.volume;
+
+    if (bar.bid && tick.bid !== null) {
+      for (const [side, price] of [['bid', tick.bid], ['ask', tick.ask]]) {
+        bar[side].high = Math.max(bar[side].high, price);
+        bar[side].low = Math.min(bar[side].low, price);
+        if (isFirst) bar[side].open = price;
+        if (isLast) bar[side].close = price;
+      }
+    }
+  }
+
+  /**
+   * Barras agregadas dos ticks + timeframes maiores reamostrados delas
+   * @param {Array} base - Barras do menor timeframe (ordenadas)
+   * @param {Array} targets - Ordenados do menor para o maior
+   */
+  buildFromTicks(base, targets, assetClass) {
+    const series = { [targets[0]]: base };
+    for (const target of targets.slice(1)) {
+      series[target] = candleResampler.resample(base, targets[0], target, { assetClass });
+    }
+
+    return series;
+  }
+}
+
+CsvImporter.FORMATS = Object.keys(FORMATS);
+
+module.exports = new CsvImporter();
+module.exports.CsvImporter = CsvImporter;
+module.exports.ImportError = ImportError;
@@ -0,0 +1,482 @@
+/**
+ * ==========================================
+ * EXECUTION MODEL
+ * ==========================================
+ * Simula a execução de ordens no backtest como numa corretora real:
+ * - Spread por instrumento (tabela) ou candles bid/ask
+ * - Slippage com distribuição configurável (RNG com seed → reprodutível)
+ * - Comissão por lote (ida e volta)
+ * - Swap/rollover para posições mantidas de um dia para o outro
+ * - Política explícita para candles que tocam SL e TP
+ * - Ordens LIMIT só executam se o preço atravessar a entrada
+ *
+ * Convenção: candles padrão são preços MID; BUY entra no ASK e sai no BID,
+ * SELL entra no BID e sai no ASK.
+ */
+
+const candleStore = require('../services/candleStore');
+const { getInstrumentSpec } = require('../services/instrumentSpecs');
+const { createRandom } = require('./random');
+
+// Spread típico em pips (sessão líquida)
+const DEFAULT_SPREADS = {
+  EURUSD: 0.8,
+  GBPUSD: 1.2,
+  USDJPY: 0.9,
+  USDCHF: 1.5,
+  AUDUSD: 1.2,
+  NZDUSD: 1.6,
+  USDCAD: 1.6,
+  EURGBP: 1.4,
+  EURJPY: 1.6,
+  GBPJPY: 2.5,
+  XAUUSD: 30,
+  US30: 3,
+  BTCUSD: 40,
+  ETHUSD: 25
+};
+
+// Spread padrão por classe de ativo (instrumentos fora da tabela)
+const TYPE_SPREADS = {
+  forex: 2,
+  metal: 35,
+  index: 4,
+  crypto: 50
+};
+
+// Swap em pips por unidade de posição, por noite (negativo = débito)
+const DEFAULT_SWAP_RATES = {
+  EURUSD: { long: -0.65, short: 0.25 },
+  GBPUSD: { long: -0.45, short: 0.05 },
+  USDJPY: { long: 1.10, short: -2.20 },
+  USDCHF: { long: 0.60, short: -1.40 },
+  AUDUSD: { long: -0.40, short: 0.05 },
+  NZDUSD: { long: -0.30, short: -0.05 },
+  USDCAD: { long: 0.20, short: -0.90 },
+  XAUUSD: { long: -45, short: 25 }
+};
+
+const INTRABAR_POLICIES = ['WORST_CASE', 'BEST_CASE', 'DRILL_DOWN'];
+const SLIPPAGE_TYPES = ['none', 'fixed', 'uniform', 'normal'];
+
+const DEFAULT_CONFIG = {
+  spreadPips: null,            // Número (todos) ou { EURUSD: 1.0, ... } sobrepondo a tabela
+  useBidAsk: true,             // Usa candle.bid / candle.ask quando presentes
+  slippage: { type: 'none', pips: 0, maxPips: 0, mean: 0, stdDev: 0 },
+  commissionPerLot: 0,         // Moeda da conta, ida e volta, por lote padrão
+  swap: { enabled: true, rates: {}, rolloverHourUTC: 21, tripleDay: 3 },
+  intrabarPolicy: 'WORST_CASE',
+  limitFillThroughPips: 0,     // Quanto o preço precisa atravessar a entrada LIMIT
+  limitExpiryCandles: 12,      // Validade da ordem LIMIT (candles do timeframe de execução)
+  seed: 42
+};
+
+class ExecutionModel {
+  /**
+   * @param {Object} config - Ver DEFAULT_CONFIG
+   */
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      slippage: { ...DEFAULT_CONFIG.slippage, ...(config.slippage || {}) },
+      swap: { ...DEFAULT_CONFIG.swap, ...(config.swap || {}) }
+    };
+
+    if (!INTRABAR_POLICIES.includes(this.config.intrabarPolicy)) {
+      throw new Error(`Política intrabar inválida: ${this.config.intrabarPolicy} (use ${INTRABAR_POLICIES.join(', ')})`);
+    }
+    if (!SLIPPAGE_TYPES.includes(this.config.slippage.type)) {
+      throw new Error(`Tipo de slippage inválido: ${this.config.slippage.type} (use ${SLIPPAGE_TYPES.join(', ')})`);
+    }
+
+    this.random = createRandom(this.config.seed);
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      fills: 0,
+      unfilledLimitOrders: 0,
+      ambiguousExits: 0,
+      drillDownExits: 0,
+      spreadCostPips: 0,
+      slippagePips: 0,
+      commission: 0,
+      swap: 0
+    };
+  }
+
+  /**
+   * Spread em pips para o instrumento
+   */
+  getSpreadPips(instrument) {
+    const spec = getInstrumentSpec(instrument);
+    const override = this.config.spreadPips;
+
+    if (typeof override === 'number') return override;
+    if (override && override[spec.symbol] !== undefined) return override[spec.symbol];
+
+    return DEFAULT_SPREADS[spec.symbol] ?? TYPE_SPREADS[spec.type];
+  }
+
+  /**
+   * Preço de um lado do book (bid/ask) para um campo do candle
+   * Usa candles bid/ask quando disponíveis; senão mid ± metade do spread
+   */
+  sidePrice(candle, side, field, spec) {
+    if (this.config.useBidAsk && candle.bid && candle.ask) {
+      return candle[side][field];
+    }
+
+    const halfSpread = (this.getSpreadPips(spec.symbol) * spec.pipSize) / 2;
+    return side === 'ask' ? candle[field] + halfSpread : candle[field] - halfSpread;
+  }
+
+  /**
+   * Spread efetivo (pips) no candle
+   */
+  candleSpreadPips(candle, spec) {
+    if (this.config.useBidAsk && candle.bid && candle.ask) {
+      return (candle.ask.open - candle.bid.open) / spec.pipSize;
+    }
+    return this.getSpreadPips(spec.symbol);
+  }
+
+  /**
+   * Sorteia slippage em pips (sempre contra a posição)
+   */
+  sampleSlippagePips() {
+    const { type, pips, maxPips, mean, stdDev } = this.config.slippage;
+
+    switch (type) {
+      case 'fixed':
+        return Math.max(0, pips);
+      case 'uniform':
+        return this.random() * Math.max(0, maxPips || pips);
+      case 'normal': {
+        // Box-Muller
+        const u1 = Math.max(this.random(), Number.EPSILON);
+        const u2 = this.random();
+        const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        const value = Math.abs(mean + z * stdDev);
+        return maxPips > 0 ? Math.min(value, maxPips) : value;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Simula entrada e saída de uma trade
+   * @param {Object} params
+   * @param {string} params.instrument
+   * @param {string} params.direction - BUY ou SELL
+   * @param {string} params.orderType - MARKET ou LIMIT
+   * @param {number} params.entryPrice - Preço da ordem (LIMIT)
+   * @param {number} params.stopLoss
+   * @param {number} params.takeProfit
+   * @param {Array} params.candles - Candles do timeframe de execução (ordenados)
+   * @param {number} params.startIndex - Candle em cuja abertura a ordem é enviada
+   * @param {number} params.maxHoldCandles - Fechamento a mercado após N candles
+   * @param {string} params.timeframe - Timeframe dos candles (padrão: 5M)
+   * @param {Array} params.lowerCandles - Timeframe menor para DRILL_DOWN (opcional)
+   * @returns {Object|null} null se a ordem LIMIT expirou sem execução
+   */
+  simulate(params) {
+    const spec = getInstrumentSpec(params.instrument);
+    const isBuy = params.direction === 'BUY';
+    const position = {
+      spec,
+      isBuy,
+      entrySide: isBuy ? 'ask' : 'bid',
+      exitSide: isBuy ? 'bid' : 'ask',
+      stopLoss: parseFloat(params.stopLoss),
+      takeProfit: parseFloat(params.takeProfit)
+    };
+
+    const entry = params.orderType === 'LIMIT'
+      ? this.fillLimit(position, params)
+      : this.fillMarket(position, params);
+
+    if (!entry) {
+      this.stats.unfilledLimitOrders++;
+      return null;
+    }
+
+    const lastIndex = Math.min(params.startIndex + params.maxHoldCandles, params.candles.length - 1);
+    const exit = this.findExit(position, params, entry, lastIndex);
+
+    const spreadCostPips = (entry.spreadPips + exit.spreadPips) / 2;
+    const slippagePips = entry.slippagePips + exit.slippagePips;
+
+    this.stats.fills++;
+    this.stats.spreadCostPips += spreadCostPips;
+    this.stats.slippagePips += slippagePips;
+    if (exit.ambiguous) this.stats.ambiguousExits++;
+    if (exit.resolvedBy === 'DRILL_DOWN') this.stats.drillDownExits++;
+
+    return {
+      entryIndex: entry.index,
+      entryTimestamp: params.candles[entry.index].timestamp,
+      entryPrice: entry.price,
+      exitIndex: exit.index,
+      exitTimestamp: params.candles[exit.index].timestamp,
+      exitPrice: exit.price,
+      exitReason: exit.reason,
+      ambiguous: exit.ambiguous,
+      resolvedBy: exit.resolvedBy,
+      spreadCostPips: parseFloat(spreadCostPips.toFixed(2)),
+      slippagePips: parseFloat(slippagePips.toFixed(2))
+    };
+  }
+
+  /**
+   * Ordem a mercado: executa na abertura do candle seguinte à decisão
+   */
+  fillMarket(position, params) {
+    const { spec, isBuy, entrySide } = position;
+    const candle = params.candles[params.startIndex];
+    const slippagePips = this.sampleSlippagePips();
+    const slip = slippagePips * spec.pipSize;
+
+    return {
+      index: params.startIndex,
+      price: this.sidePrice(candle, entrySide, 'open', spec) + (isBuy ? slip : -slip),
+      spreadPips: this.candleSpreadPips(candle, spec),
+      slippagePips,
+      limitFill: false
+    };
+  }
+
+  /**
+   * Ordem LIMIT: executa apenas se o preço ATRAVESSAR a entrada
+   * (tocar exatamente o preço não garante execução)
+   */
+  fillLimit(position, params) {
+    const { spec, isBuy, entrySide } = position;
+    const limitPrice = parseFloat(params.entryPrice);
+    const through = this.config.limitFillThroughPips * spec.pipSize;
+    const lastIndex = Math.min(params.startIndex + this.config.limitExpiryCandles, params.candles.length) - 1;
+
+    for (let j = params.startIndex; j <= lastIndex; j++) {
+      const candle = params.candles[j];
+      const open = this.sidePrice(candle, entrySide, 'open', spec);
+
+      if (isBuy) {
+        const low = this.sidePrice(candle, entrySide, 'low', spec);
+        if (low < limitPrice - through) {
+          // Gap abaixo do limite: executa na abertura (preço melhor)
+          return { index: j, price: Math.min(open, limitPrice), spreadPips: this.candleSpreadPips(candle, spec), slippagePips: 0, limitFill: true };
+        }
+      } else {
+        const high = this.sidePrice(candle, entrySide, 'high', spec);
+        if (high > limitPrice + through) {
+          return { index: j, price: Math.max(open, limitPrice), spreadPips: this.candleSpreadPips(candle, spec), slippagePips: 0, limitFill: true };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Procura a saída (SL, TP ou tempo) a partir do candle de entrada
+   */
+  findExit(position, params, entry, lastIndex) {
+    const { candles } = params;
+
+    for (let j = entry.index; j <= lastIndex; j++) {
+      const candle = candles[j];
+      // No candle de execução da LIMIT não se sabe se o TP veio antes da entrada
+      const hit = this.checkCandle(position, candle, { allowTakeProfit: !(entry.limitFill && j === entry.index) });
+
+      if (!hit) continue;
+
+      let outcome = hit;
+      let resolvedBy = null;
+
+      if (hit.reason === 'AMBIGUOUS') {
+        ({ outcome, resolvedBy } = this.resolveAmbiguity(position, candle, params));
+      }
+
+      return {
+        index: j,
+        ...this.exitFill(position, candle, outcome),
+        ambiguous: hit.reason === 'AMBIGUOUS',
+        resolvedBy
+      };
+    }
+
+    // Nenhum nível atingido: fecha a mercado no último candle
+    const candle = candles[lastIndex];
+    const slippagePips = this.sampleSlippagePips();
+    const slip = slippagePips * position.spec.pipSize;
+    const close = this.sidePrice(candle, position.exitSide, 'close', position.spec);
+
+    return {
+      index: lastIndex,
+      price: close + (position.isBuy ? -slip : slip),
+      reason: 'TIME_EXIT',
+      spreadPips: this.candleSpreadPips(candle, position.spec),
+      slippagePips,
+      ambiguous: false,
+      resolvedBy: null
+    };
+  }
+
+  /**
+   * Verifica quais níveis o candle atingiu (preços do lado de saída)
+   * @returns {Object|null} { reason: STOP_LOSS | TAKE_PROFIT | AMBIGUOUS, gap }
+   */
+  checkCandle(position, candle, { allowTakeProfit = true } = {}) {
+    const { spec, isBuy, exitSide, stopLoss, takeProfit } = position;
+    const open = this.sidePrice(candle, exitSide, 'open', spec);
+    const high = this.sidePrice(candle, exitSide, 'high', spec);
+    const low = this.sidePrice(candle, exitSide, 'low', spec);
+
+    // Gap na abertura além de um nível: nível conhecido sem ambiguidade
+    if (isBuy ? open <= stopLoss : open >= stopLoss) return { reason: 'STOP_LOSS', gap: true };
+    if (allowTakeProfit && (isBuy ? open >= takeProfit : open <= takeProfit)) return { reason: 'TAKE_PROFIT', gap: true };
+
+    const slHit = isBuy ? low <= stopLoss : high >= stopLoss;
+    const tpHit = allowTakeProfit && (isBuy ? high >= takeProfit : low <= takeProfit);
+
+    if (slHit && tpHit) return { reason: 'AMBIGUOUS', gap: false };
+    if (slHit) return { reason: 'STOP_LOSS', gap: false };
+    if (tpHit) return { reason: 'TAKE_PROFIT', gap: false };
+    return null;
+  }
+
+  /**
+   * Candle tocou SL e TP: aplica a política configurada
+   * - WORST_CASE: assume SL primeiro
+   * - BEST_CASE: assume TP primeiro
+   * - DRILL_DOWN: percorre o timeframe menor; sem dados, cai em WORST_CASE
+   */
+  resolveAmbiguity(position, candle, params) {
+    const policy = this.config.intrabarPolicy;
+
+    if (policy === 'BEST_CASE') {
+      return { outcome: { reason: 'TAKE_PROFIT', gap: false }, resolvedBy: policy };
+    }
+
+    if (policy === 'DRILL_DOWN' && params.lowerCandles?.length) {
+      const start = candle.timestamp;
+      const end = start + candleStore.getTimeframeMs(params.timeframe || '5M');
+      const subCandles = params.lowerCandles.filter(c => c.timestamp >= start && c.timestamp < end);
+
+      for (const sub of subCandles) {
+        const hit = this.checkCandle(position, sub);
+        if (!hit) continue;
+        // Ambiguidade também no timeframe menor: conservador
+        if (hit.reason === 'AMBIGUOUS') break;
+        return { outcome: hit, resolvedBy: 'DRILL_DOWN' };
+      }
+    }
+
+    return { outcome: { reason: 'STOP_LOSS', gap: false }, resolvedBy: 'WORST_CASE' };
+  }
+
+  /**
+   * Preço de saída: stop executa como ordem a mercado (gap + slippage),
+   * take profit executa como LIMIT no preço da ordem
+   */
+  exitFill(position, candle, outcome) {
+    const { spec, isBuy, exitSide, stopLoss, takeProfit } = position;
+    const spreadPips = this.candleSpreadPips(candle, spec);
+
+    if (outcome.reason === 'TAKE_PROFIT') {
+      return { price: takeProfit, reason: 'TAKE_PROFIT', spreadPips, slippagePips: 0 };
+    }
+
+    const basePrice = outcome.gap ? this.sidePrice(candle, exitSide, 'open', spec) : stopLoss;
+    const slippagePips = this.sampleSlippagePips();
+    const slip = slippagePips * spec.pipSize;
+
+    return {
+      price: basePrice + (isBuy ? -slip : slip),
+      reason: 'STOP_LOSS',
+      spreadPips,
+      slippagePips
+    };
+  }
+
+  /**
+   * Comissão ida e volta na moeda da conta
+   */
+  calculateCommission(instrument, units) {
+    const spec = getInstrumentSpec(instrument);
+    const commission = (Math.abs(units) / spec.lotSize) * this.config.commissionPerLot;
+
+    this.stats.commission += commission;
+    return parseFloat(commission.toFixed(2));
+  }
+
+  /**
+   * Número de rollovers entre entrada e saída
+   * Rollover diário às `rolloverHourUTC`; sem rollover no fim de semana;
+   * `tripleDay` (padrão: quarta) cobra 3 noites para forex/metais
+   */
+  countRollovers(instrument, entryTimestamp, exitTimestamp) {
+    const { rolloverHourUTC, tripleDay } = this.config.swap;
+    const spec = getInstrumentSpec(instrument);
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    const first = new Date(entryTimestamp);
+    first.setUTCHours(rolloverHourUTC, 0, 0, 0);
+    let rollover = first.getTime() > entryTimestamp ? first.getTime() : first.getTime() + dayMs;
+
+    let nights = 0;
+    for (; rollover <= exitTimestamp; rollover += dayMs) {
+      const weekday = new Date(rollover).getUTCDay();
+      if (weekday === 0 || weekday === 6) continue;
+
+      const tripled = weekday === tripleDay && (spec.type === 'forex' || spec.type === 'metal');
+      nights += tripled ? 3 : 1;
+    }
+
+    return nights;
+  }
+
+  /**
+   * Swap acumulado na moeda da conta (positivo = crédito)
+   * @param {number} conversionRate - Cotação → conta
+   */
+  calculateSwap(instrument, direction, units, entryTimestamp, exitTimestamp, conversionRate = 1) {
+    if (!this.config.swap.enabled) return 0;
+
+    const spec = getInstrumentSpec(instrument);
+    const nights = this.countRollovers(instrument, entryTimestamp, exitTimestamp);
+    if (nights === 0) return 0;
+
+    const rates = this.config.swap.rates[spec.symbol] || DEFAULT_SWAP_RATES[spec.symbol] || { long: 0, short: 0 };
+    const ratePips = direction === 'BUY' ? rates.long : rates.short;
+    const swap = ratePips * spec.pipSize * Math.abs(units) * nights * conversionRate;
+
+    this.stats.swap += swap;
+    return parseFloat(swap.toFixed(2));
+  }
+
+  /**
+   * Configuração e custos acumulados no backtest
+   */
+  getSummary() {
+    return {
+      config: this.config,
+      fills: this.stats.fills,
+      unfilledLimitOrders: this.stats.unfilledLimitOrders,
+      ambiguousExits: this.stats.ambiguousExits,
+      drillDownExits: this.stats.drillDownExits,
+      totalSpreadCostPips: parseFloat(this.stats.spreadCostPips.toFixed(2)),
+      totalSlippagePips: parseFloat(this.stats.slippagePips.toFixed(2)),
+      totalCommission: parseFloat(this.stats.commission.toFixed(2)),
+      totalSwap: parseFloat(this.stats.swap.toFixed(2))
+    };
+  }
+}
+
+ExecutionModel.DEFAULT_CONFIG = DEFAULT_CONFIG;
+ExecutionModel.INTRABAR_POLICIES = INTRABAR_POLICIES;
+
+module.exports = ExecutionModel;
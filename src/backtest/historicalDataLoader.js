@@ -0,0 +1,125 @@
+/**
+ * ==========================================
+ * HISTORICAL DATA LOADER
+ * ==========================================
+ * Carrega candles de um período para os 4 timeframes do backtest
+ * - Lê do CandleStore local
+ * - Completa períodos ausentes via OANDA (quando configurado)
+ * - Inclui aquecimento (candles anteriores ao início) para os indicadores
+ */
+
+const candleStore = require('../services/candleStore');
+const oandaService = require('../services/oandaService');
+const { toOandaInstrument } = require('../services/instrumentSpecs');
+
+const TIMEFRAMES = ['5M', '15M', '1H', '4H'];
+
+// Granularidades OANDA
+const GRANULARITY = {
+  '1M': 'M1',
+  '5M': 'M5',
+  '15M': 'M15',
+  '1H': 'H1',
+  '4H': 'H4'
+};
+
+class HistoricalDataLoader {
+  constructor() {
+    this.warmupCandles = 200; // Histórico mínimo antes do primeiro ponto de decisão
+  }
+
+  /**
+   * Carrega o período solicitado em todos os timeframes
+   * @param {string} pair - Ex: EURUSD
+   * @param {Object} options
+   * @param {Date|string} options.startDate - Início do backtest
+   * @param {Date|string} options.endDate - Fim do backtest (padrão: agora)
+   * @param {boolean} options.fetchMissing - Busca na OANDA o que faltar (padrão: true)
+   * @param {boolean} options.includeLowerTimeframe - Inclui 1M (drill-down intrabar do backtest)
+   * @returns {Object} { '5M': [...], '15M': [...], '1H': [...], '4H': [...], '1M'?: [...] }
+   */
+  async loadRange(pair, options = {}) {
+    const end = options.endDate ? new Date(options.endDate) : new Date();
+    const start = new Date(options.startDate);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('startDate e endDate devem ser datas válidas');
+    }
+    if (start >= end) {
+      throw new Error('startDate deve ser anterior a endDate');
+    }
+
+    const fetchMissing = options.fetchMissing !== false;
+    const marketData = {};
+
+    for (const tf of TIMEFRAMES) {
+      // Aquecimento: candles anteriores ao início para contexto dos indicadores
+      const warmupStart = new Date(start.getTime() - this.warmupCandles * candleStore.getTimeframeMs(tf));
+
+      if (fetchMissing) {
+        await this.ensureCoverage(pair, tf, warmupStart, end);
+      }
+
+      marketData[tf] = await candleStore.getCandles(pair, tf, { start: warmupStart, end });
+    }
+
+    // 1M apenas dentro do período (sem aquecimento): usado só na execução
+    if (options.includeLowerTimeframe) {
+      if (fetchMissing) {
+        await this.ensureCoverage(pair, '1M', start, end);
+      }
+      marketData['1M'] = await candleStore.getCandles(pair, '1M', { start, end });
+    }
+
+    const inRange = marketData['5M'].filter(c => c.timestamp >= start.getTime());
+    if (inRange.length === 0) {
+      throw new Error(`Sem candles históricos de ${pair} entre ${start.toISOString()} e ${end.toISOString()}`);
+    }
+
+    console.log(`📚 Histórico ${pair}: ${Object.keys(marketData).map(tf => `${tf}=${marketData[tf].length}`).join(' ')}`);
+
+    return marketData;
+  }
+
+  /**
+   * Garante que o store cobre o período; busca na OANDA o que faltar
+   */
+  async ensureCoverage(pair, timeframe, start, end) {
+    const coverage = await candleStore.getCoverage(pair, timeframe);
+    const tfMs = candleStore.getTimeframeMs(timeframe);
+
+    const coversStart = coverage.first && coverage.first.getTime() <= start.getTime() + tfMs;
+    const coversEnd = coverage.last && coverage.last.getTime() >= end.getTime() - tfMs;
+
+    if (coversStart && coversEnd) return;
+
+    if (!oandaService.isConfigured()) {
+      console.log(`⚠️  ${pair} ${timeframe}: período não coberto pelo store e OANDA não configurado`);
+      return;
+    }
+
+    const result = await oandaService.getCandlesRange(
+      toOandaInstrument(pair),
+      GRANULARITY[timeframe],
+      start,
+      end
+    );
+
+    if (!result.success) {
+      console.error(`❌ OANDA ${pair} ${timeframe}:`, result.error);
+      return;
+    }
+
+    const total = await candleStore.saveCandles(pair, timeframe, result.data);
+    console.log(`💾 ${pair} ${timeframe}: +${result.data.length} candles (total ${total})`);
+  }
+
+  /**
+   * Importa candles (qualquer fonte) para o store
+   */
+  async importCandles(pair, timeframe, candles) {
+    return candleStore.saveCandles(pair, timeframe, candles);
+  }
+}
+
+module.exports = new HistoricalDataLoader();
@@ -0,0 +1,251 @@
+/**
+ * ==========================================
+ * MONTE CARLO ANALYZER
+ * ==========================================
+ * Robustez de um backtest por reamostragem da lista de trades:
+ * - shuffle: mesma lista em ordem aleatória (risco de sequência)
+ * - bootstrap: sorteio com reposição (incerteza da amostra)
+ * - skip: trades ignoradas aleatoriamente (sinais perdidos / execução falha)
+ *
+ * Cada trade vira um retorno em R (P/L líquido / risco da trade) e a equity
+ * é recomposta com risco fixo por trade, permitindo avaliar a ruína
+ * para qualquer % de risco.
+ */
+
+const { createRandom } = require('./random');
+
+const METHODS = ['shuffle', 'bootstrap', 'skip'];
+const MAX_ITERATIONS = 20000;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Opção numérica: ausente ou não numérica → padrão; 0 explícito é mantido (e validado)
+const numberOption = (value, fallback, parse = parseFloat) => {
+  const parsed = parse(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+class MonteCarloAnalyzer {
+  /**
+   * Executa as simulações
+   * @param {Array} trades - Trades do BacktestEngine (profitLoss + riskAmount ou rMultiple)
+   * @param {Object} options
+   * @param {number} options.iterations - Simulações por método (padrão: 1000, máx: 20000)
+   * @param {Array} options.methods - Métodos (padrão: todos)
+   * @param {number} options.riskPercent - % do saldo arriscado por trade (padrão: 1)
+   * @param {number} options.initialBalance - Saldo inicial (padrão: 10000)
+   * @param {number} options.ruinDrawdown - Drawdown (%) considerado ruína (padrão: 50)
+   * @param {number} options.skipProbability - Chance de ignorar cada trade no método skip (padrão: 0.1)
+   * @param {number} options.confidence - Nível de confiança dos intervalos (padrão: 95)
+   * @param {number} options.seed - Seed das simulações (padrão: 42)
+   */
+  analyze(trades, options = {}) {
+    const returns = this.toReturns(trades);
+    if (returns.length === 0) {
+      throw new Error('Backtest sem trades com risco definido para simular');
+    }
+
+    const methods = options.methods || METHODS;
+    const invalid = methods.filter(m => !METHODS.includes(m));
+    if (invalid.length > 0) {
+      throw new Error(`Métodos inválidos: ${invalid.join(', ')} (use ${METHODS.join(', ')})`);
+    }
+
+    const config = {
+      iterations: Math.min(Math.max(numberOption(options.iterations, 1000, parseInt), 1), MAX_ITERATIONS),
+      riskPercent: numberOption(options.riskPercent, 1),
+      initialBalance: numberOption(options.initialBalance, 10000),
+      ruinDrawdown: numberOption(options.ruinDrawdown, 50),
+      skipProbability: numberOption(options.skipProbability, 0.1),
+      confidence: numberOption(options.confidence, 95),
+      seed: options.seed ?? 42,
+      years: this.getPeriodYears(trades)
+    };
+    this.validateConfig(config);
+
+    const random = createRandom(config.seed);
+    const baseline = this.simulatePath(returns, config);
+
+    console.log(`\n🎲 Monte Carlo: ${returns.length} trades × ${config.iterations} simulações (${methods.join(', ')})`);
+
+    const results = {};
+    for (const method of methods) {
+      const paths = [];
+      for (let i = 0; i < config.iterations; i++) {
+        paths.push(this.simulatePath(this.resample(returns, method, random, config), config));
+      }
+      results[method] = this.summarize(paths, config);
+    }
+
+    return {
+      success: true,
+      trades: returns.length,
+      config,
+      baseline: {
+        finalBalance: parseFloat(baseline.finalBalance.toFixed(2)),
+        maxDrawdown: parseFloat(baseline.maxDrawdown.toFixed(2)),
+        ruined: baseline.ruined,
+        cagr: parseFloat(baseline.cagr.toFixed(2)),
+        profitFactor: baseline.profitFactor !== null ? parseFloat(baseline.profitFactor.toFixed(2)) : null
+      },
+      methods: results
+    };
+  }
+
+  /**
+   * Valores explícitos fora da faixa são erro (nunca trocados pelo padrão)
+   */
+  validateConfig(config) {
+    if (!(config.initialBalance > 0)) throw new Error('Capital inicial deve ser maior que zero');
+    if (!(config.riskPercent > 0 && config.riskPercent <= 100)) throw new Error('Risco por trade deve estar entre 0 e 100%');
+    if (!(config.ruinDrawdown > 0 && config.ruinDrawdown <= 100)) throw new Error('ruinDrawdown deve estar entre 0 e 100%');
+    if (!(config.skipProbability >= 0 && config.skipProbability < 1)) throw new Error('skipProbability deve estar entre 0 e 1');
+    if (!(config.confidence > 0 && config.confidence < 100)) throw new Error('confidence deve estar entre 0 e 100');
+  }
+
+  /**
+   * Retorno de cada trade em múltiplos do risco (R)
+   * Usa o P/L líquido (com custos) quando o risco em dinheiro é conhecido
+   */
+  toReturns(trades) {
+    return trades
+      .map(trade => {
+        if (trade.riskAmount > 0 && Number.isFinite(trade.profitLoss)) {
+          return trade.profitLoss / trade.riskAmount;
+        }
+        return Number.isFinite(trade.rMultiple) ? trade.rMultiple : null;
+      })
+      .filter(r => r !== null);
+  }
+
+  /**
+   * Duração do backtest em anos (base do CAGR)
+   */
+  getPeriodYears(trades) {
+    const starts = trades.map(t => t.entryTimestamp).filter(Number.isFinite);
+    const ends = trades.map(t => t.exitTimestamp).filter(Number.isFinite);
+
+    if (starts.length === 0 || ends.length === 0) return 1;
+
+    const span = Math.max(...ends) - Math.min(...starts);
+    return Math.max(span, DAY_MS) / YEAR_MS;
+  }
+
+  /**
+   * Gera uma sequência de retornos conforme o método
+   */
+  resample(returns, method, random, config) {
+    if (method === 'bootstrap') {
+      return returns.map(() => returns[Math.floor(random() * returns.length)]);
+    }
+
+    if (method === 'skip') {
+      return returns.filter(() => random() >= config.skipProbability);
+    }
+
+    // shuffle (Fisher-Yates)
+    const shuffled = [...returns];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Recompõe a equity com risco fixo e mede drawdown, ruína, CAGR e profit factor
+   */
+  simulatePath(returns, config) {
+    let balance = config.initialBalance;
+    let peak = balance;
+    let maxDrawdown = 0;
+    let grossProfit = 0;
+    let grossLoss = 0;
+    let ruined = false;
+
+    for (const r of returns) {
+      const pnl = balance * (r * config.riskPercent / 100);
+      balance += pnl;
+
+      if (pnl > 0) grossProfit += pnl;
+      else grossLoss -= pnl;
+
+      if (balance > peak) peak = balance;
+      const drawdown = peak > 0 ? ((peak - balance) / peak) * 100 : 100;
+      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+
+      if (balance <= 0 || drawdown >= config.ruinDrawdown) {
+        ruined = true;
+        if (balance <= 0) {
+          balance = 0;
+          break;
+        }
+      }
+    }
+
+    const growth = balance / config.initialBalance;
+
+    return {
+      finalBalance: balance,
+      maxDrawdown,
+      ruined,
+      cagr: growth > 0 ? (Math.pow(growth, 1 / config.years) - 1) * 100 : -100,
+      // Sem perdas: profit factor ilimitado → null (fora das estatísticas)
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null
+    };
+  }
+
+  /**
+   * Percentil com interpolação linear (valores ordenados)
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  }
+
+  /**
+   * Distribuição: média, mediana e intervalo de confiança
+   */
+  distribution(values, confidence) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+      return { samples: 0, mean: null, median: null, lower: null, upper: null };
+    }
+
+    const tail = (100 - confidence) / 2;
+    const round = v => parseFloat(v.toFixed(2));
+
+    return {
+      samples: sorted.length,
+      mean: round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+      median: round(this.percentile(sorted, 50)),
+      lower: round(this.percentile(sorted, tail)),
+      upper: round(this.percentile(sorted, 100 - tail))
+    };
+  }
+
+  summarize(paths, config) {
+    const drawdowns = paths.map(p => p.maxDrawdown).sort((a, b) => a - b);
+    const round = v => parseFloat(v.toFixed(2));
+
+    return {
+      iterations: paths.length,
+      maxDrawdown: {
+        ...this.distribution(drawdowns, config.confidence),
+        p95: round(this.percentile(drawdowns, 95)),
+        p99: round(this.percentile(drawdowns, 99)),
+        worst: round(drawdowns[drawdowns.length - 1])
+      },
+      probabilityOfRuin: round((paths.filter(p => p.ruined).length / paths.length) * 100),
+      cagr: this.distribution(paths.map(p => p.cagr), config.confidence),
+      profitFactor: this.distribution(paths.map(p => p.profitFactor), config.confidence),
+      finalBalance: this.distribution(paths.map(p => p.finalBalance), config.confidence)
+    };
+  }
+}
+
+module.exports = new MonteCarloAnalyzer();
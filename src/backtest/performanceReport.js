@@ -0,0 +1,185 @@
+/**
+ * ==========================================
+ * PERFORMANCE REPORT
+ * ==========================================
+ * Relatório de performance calculado a partir das trades simuladas:
+ * - Geral, por timeframe, por sessão (kill zone), por padrão Smart Money e por direção
+ * - Win rate, expectativa, R médio, profit factor e drawdown máximo
+ * - Curva de equity trade a trade
+ *
+ * Nenhum valor estimado: grupos sem trades ficam zerados
+ */
+
+const KillZonesEngine = require('../ai/killZones');
+
+const killZones = new KillZonesEngine().killZones;
+
+// Kill zones usadas na classificação (ordem = prioridade em sobreposições)
+const SESSION_ZONES = ['londonOpen', 'nyOpen', 'londonClose', 'asian'];
+const OUTSIDE_SESSION = 'outsideKillZones';
+
+const TIMEFRAMES = ['4H', '1H', '15M', '5M'];
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Kill zone do momento da entrada
+ */
+function classifySession(timestamp) {
+  const hour = new Date(timestamp).getUTCHours();
+
+  const zone = SESSION_ZONES.find(key => {
+    const { start, end } = killZones[key];
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  });
+
+  return zone || OUTSIDE_SESSION;
+}
+
+/**
+ * Curva de equity (saldo após cada trade)
+ */
+function buildEquityCurve(trades, initialBalance) {
+  const curve = [{ trade: 0, equity: initialBalance }];
+  let equity = initialBalance;
+
+  trades.forEach((trade, index) => {
+    equity += trade.profitLoss;
+    curve.push({ trade: index + 1, timestamp: trade.exitTimestamp, equity: round(equity) });
+  });
+
+  return curve;
+}
+
+/**
+ * Estatísticas de um conjunto de trades
+ * Win/loss pelo P/L líquido (inclui saídas por tempo e custos de execução)
+ * Drawdown calculado sobre a equity do grupo partindo do saldo inicial
+ */
+function calculateStats(trades, initialBalance) {
+  if (trades.length === 0) {
+    return {
+      trades: 0,
+      wins: 0,
+      losses: 0,
+      breakeven: 0,
+      winRate: 0,
+      netProfit: 0,
+      expectancy: 0,
+      avgR: 0,
+      avgRR: 0,
+      profitFactor: 0,
+      maxDrawdown: 0,
+      maxDrawdownPercent: 0
+    };
+  }
+
+  const wins = trades.filter(t => t.profitLoss > 0);
+  const losses = trades.filter(t => t.profitLoss < 0);
+  const grossProfit = wins.reduce((sum, t) => sum + t.profitLoss, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.profitLoss, 0));
+  const netProfit = grossProfit - grossLoss;
+
+  const withR = trades.filter(t => Number.isFinite(t.rMultiple));
+  const withRR = trades.filter(t => Number.isFinite(t.riskReward));
+
+  let equity = initialBalance;
+  let peak = initialBalance;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+
+  for (const trade of trades) {
+    equity += trade.profitLoss;
+    if (equity > peak) peak = equity;
+
+    const drawdown = peak - equity;
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+    if (peak > 0 && (drawdown / peak) * 100 > maxDrawdownPercent) {
+      maxDrawdownPercent = (drawdown / peak) * 100;
+    }
+  }
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    breakeven: trades.length - wins.length - losses.length,
+    winRate: round((wins.length / trades.length) * 100),
+    netProfit: round(netProfit),
+    expectancy: round(netProfit / trades.length),
+    avgR: withR.length > 0 ? round(withR.reduce((sum, t) => sum + t.rMultiple, 0) / withR.length) : 0,
+    avgRR: withRR.length > 0 ? round(withRR.reduce((sum, t) => sum + t.riskReward, 0) / withRR.length) : 0,
+    // Sem perdas: profit factor indefinido → null
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : (grossProfit > 0 ? null : 0),
+    maxDrawdown: round(maxDrawdown),
+    maxDrawdownPercent: round(maxDrawdownPercent)
+  };
+}
+
+/**
+ * Agrupa trades por uma ou mais chaves (trade pode estar em vários grupos)
+ */
+function groupBy(trades, keysOf, initialKeys = []) {
+  const groups = Object.fromEntries(initialKeys.map(key => [key, []]));
+
+  for (const trade of trades) {
+    for (const key of keysOf(trade)) {
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(trade);
+    }
+  }
+
+  return groups;
+}
+
+function statsByGroup(groups, initialBalance) {
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, trades]) => [key, calculateStats(trades, initialBalance)])
+  );
+}
+
+/**
+ * Relatório completo do backtest
+ * @param {Array} trades - Trades do BacktestEngine (ordem cronológica)
+ * @param {Object} options
+ * @param {number} options.initialBalance - Saldo inicial (padrão: 10000)
+ */
+function buildReport(trades = [], options = {}) {
+  const initialBalance = parseFloat(options.initialBalance) || 10000;
+
+  // Timeframes cuja estrutura estava alinhada com a direção da trade
+  const byTimeframe = groupBy(
+    trades,
+    t => (t.alignedTimeframes && t.alignedTimeframes.length > 0 ? t.alignedTimeframes : ['none']),
+    TIMEFRAMES
+  );
+
+  const bySession = groupBy(
+    trades,
+    t => [t.session || classifySession(t.entryTimestamp)],
+    [...SESSION_ZONES, OUTSIDE_SESSION]
+  );
+
+  const byPattern = groupBy(
+    trades,
+    t => (t.smartMoneyPatterns && t.smartMoneyPatterns.length > 0 ? t.smartMoneyPatterns : ['none'])
+  );
+
+  const byDirection = groupBy(trades, t => [t.type], ['BUY', 'SELL']);
+
+  return {
+    overall: calculateStats(trades, initialBalance),
+    byTimeframe: statsByGroup(byTimeframe, initialBalance),
+    bySession: statsByGroup(bySession, initialBalance),
+    byPattern: statsByGroup(byPattern, initialBalance),
+    byDirection: statsByGroup(byDirection, initialBalance),
+    equityCurve: buildEquityCurve(trades, initialBalance)
+  };
+}
+
+module.exports = {
+  buildReport,
+  calculateStats,
+  classifySession,
+  buildEquityCurve
+};
@@ -0,0 +1,313 @@
+/**
+ * ==========================================
+ * PORTFOLIO BACKTESTER
+ * ==========================================
+ * Backtest de vários pares contra uma única conta, como ao vivo:
+ * - Relógio compartilhado: em cada instante todos os pares são avaliados
+ * - Saldo único: o dimensionamento usa o saldo realizado no momento da entrada
+ * - Limite de posições simultâneas e de exposição correlacionada
+ *   (correlação entre pares estimada pelo CorrelationEngine)
+ *
+ * A simulação de cada trade (execução, custos, P/L) é a mesma do BacktestEngine;
+ * o resultado só entra no saldo quando a posição fecha.
+ */
+
+const BacktestContext = require('./backtestContext');
+const ExecutionModel = require('./executionModel');
+const CorrelationEngine = require('../ai/correlationEngine');
+const { BacktestEngine } = require('./backtestEngine');
+const { calculateStats } = require('./performanceReport');
+const positionSizingService = require('../services/positionSizingService');
+
+const FIVE_MIN_MS = 5 * 60 * 1000;
+const { MIN_HISTORY_5M, MAX_HOLD_CANDLES } = BacktestEngine;
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+// Opção numérica: ausente ou não numérica → padrão; 0 explícito é mantido (e validado)
+const numberOption = (value, fallback, parse = parseFloat) => {
+  const parsed = parse(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+class PortfolioBacktester {
+  constructor() {
+    this.correlationEngine = new CorrelationEngine();
+  }
+
+  /**
+   * Executa o backtest do portfólio
+   * @param {Object} marketDataByPair - { EURUSD: { '5M': [...], '15M': [...], ... }, GBPUSD: {...} }
+   * @param {Object} options
+   * @param {number} options.initialBalance - Capital inicial da conta (padrão: 10000)
+   * @param {number} options.riskPercent - % do saldo arriscado por trade (padrão: 2)
+   * @param {Date|string} options.startDate - Primeiro instante de decisão
+   * @param {Date|string} options.endDate - Último instante de decisão
+   * @param {number} options.step - Candles 5M entre decisões (padrão: 10)
+   * @param {number} options.maxConcurrentPositions - Posições abertas simultâneas (padrão: 3)
+   * @param {number} options.maxCorrelatedPositions - Posições na mesma direção de risco (padrão: 2)
+   * @param {number} options.correlationThreshold - Correlação a partir da qual o risco é o mesmo (padrão: 0.7)
+   * @param {Object} options.execution - Configuração do ExecutionModel
+   * @param {Object} options.decisionEngine - Motor de decisão alternativo (padrão: nova instância)
+   * @param {boolean} options.learnFromBacktest - RL aprende com as trades simuladas (perfil separado)
+   * @param {string} options.learningProfile - Nome do perfil de aprendizado do backtest
+   */
+  async run(marketDataByPair, options = {}) {
+    const pairs = Object.keys(marketDataByPair).filter(pair => marketDataByPair[pair]);
+    if (pairs.length === 0) {
+      throw new Error('Nenhum par com dados para o backtest de portfólio');
+    }
+
+    const config = {
+      pairs,
+      initialBalance: numberOption(options.initialBalance, 10000),
+      riskPercent: numberOption(options.riskPercent, 2),
+      step: numberOption(options.step, 10, parseInt),
+      maxConcurrentPositions: numberOption(options.maxConcurrentPositions, 3, parseInt),
+      maxCorrelatedPositions: numberOption(options.maxCorrelatedPositions, 2, parseInt),
+      correlationThreshold: numberOption(options.correlationThreshold, 0.7)
+    };
+    this.validateConfig(config);
+
+    console.log(`\n📊 Backtest de portfólio: ${pairs.length} pares, máx ${config.maxConcurrentPositions} posições`);
+
+    // Contexto único: um motor e um contador de losses para a conta inteira (como ao vivo)
+    const context = new BacktestContext({
+      decisionEngine: options.decisionEngine,
+      learnFromBacktest: options.learnFromBacktest,
+      learningProfile: options.learningProfile
+    });
+    await context.prepare();
+
+    const executionModel = new ExecutionModel(options.execution);
+    const books = pairs.map(pair => this.createBook(pair, marketDataByPair[pair], executionModel, config));
+    const correlationMatrix = this.correlationEngine.getPairCorrelationMatrix(pairs);
+
+    const startTime = options.startDate ? new Date(options.startDate).getTime() : -Infinity;
+    const endTime = options.endDate ? new Date(options.endDate).getTime() : Infinity;
+    const clock = this.buildClock(books, startTime, endTime, config.step);
+
+    const state = {
+      balance: config.initialBalance,
+      open: [],
+      trades: [],
+      equity: clock.length > 0 ? [{ timestamp: clock[0], balance: config.initialBalance, openPositions: 0 }] : [],
+      blocked: { maxPositions: 0, correlation: 0 },
+      peakOpenPositions: 0
+    };
+
+    let decisionPoints = 0;
+    let processedSignals = 0;
+
+    for (const time of clock) {
+      await this.closePositions(state, context, time);
+      context.beforeDecision(time);
+
+      // Ordem fixa dos pares: em conflito de limites, o primeiro par da lista tem prioridade
+      for (const book of books) {
+        const index = book.indexByTime.get(time);
+        if (index === undefined) continue;
+        if (state.open.some(position => position.pair === book.pair)) continue;
+
+        decisionPoints++;
+        const data = book.engine.buildDecisionData(book.series, index);
+        const signal = book.engine.toSignal(await context.decisionEngine.makeDecision(data, book.pair), book.pair);
+        if (!signal) continue;
+
+        processedSignals++;
+
+        const blockReason = this.checkLimits(state.open, book.pair, signal.type, correlationMatrix, config);
+        if (blockReason) {
+          state.blocked[blockReason]++;
+          continue;
+        }
+
+        // Dimensionamento pelo saldo da conta no momento da entrada
+        book.engine.currentBalance = state.balance;
+        const trade = book.engine.simulateTrade(signal, book.series['5M'], index, book.pair);
+        if (!trade) continue;
+
+        state.open.push({
+          pair: book.pair,
+          direction: signal.type,
+          // Posição ocupa o slot até o fechamento do candle de saída
+          releaseTime: trade.exitTimestamp + FIVE_MIN_MS,
+          trade: { ...trade, pair: book.pair, decisionTime: time },
+          signal
+        });
+        state.peakOpenPositions = Math.max(state.peakOpenPositions, state.open.length);
+      }
+    }
+
+    // Posições ainda abertas ao fim do relógio fecham pelo resultado simulado
+    await this.closePositions(state, context, Infinity);
+
+    console.log(`✅ Portfólio concluído: ${state.trades.length} trades, saldo final $${state.balance.toFixed(2)}`);
+
+    return {
+      success: true,
+      pairs,
+      config: { ...config, execution: executionModel.getSummary().config },
+      range: {
+        start: clock.length > 0 ? new Date(clock[0]) : null,
+        end: clock.length > 0 ? new Date(clock[clock.length - 1]) : null
+      },
+      trades: state.trades,
+      equity: state.equity,
+      portfolio: this.summarizePortfolio(state, config),
+      byPair: this.contributionByPair(state.trades, pairs, config.initialBalance),
+      blocked: state.blocked,
+      correlationMatrix,
+      decisionPoints,
+      processedSignals,
+      skippedSignals: books.reduce((sum, book) => sum + book.engine.skippedSignals, 0),
+      engine: context.getEngineSnapshot(pairs),
+      context: context.getSummary()
+    };
+  }
+
+  /**
+   * Limites da conta: valores explícitos fora da faixa são erro (nunca trocados pelo padrão)
+   */
+  validateConfig(config) {
+    if (!(config.initialBalance > 0)) {
+      throw new Error('Capital inicial deve ser maior que zero');
+    }
+    if (!(config.riskPercent > 0) || config.riskPercent > positionSizingService.maxRiskPercent) {
+      throw new Error(`Risco por trade deve estar entre 0 e ${positionSizingService.maxRiskPercent}%`);
+    }
+    if (!(config.step >= 1)) {
+      throw new Error('step deve ser de pelo menos 1 candle');
+    }
+    if (!(config.maxConcurrentPositions >= 1) || !(config.maxCorrelatedPositions >= 1)) {
+      throw new Error('Limites de posições devem ser de pelo menos 1');
+    }
+    if (!(config.correlationThreshold >= 0 && config.correlationThreshold <= 1)) {
+      throw new Error('correlationThreshold deve estar entre 0 e 1');
+    }
+  }
+
+  /**
+   * Séries e motor de simulação de um par
+   * O ExecutionModel é compartilhado (RNG do slippage único para a conta)
+   */
+  createBook(pair, marketData, executionModel, config) {
+    const engine = new BacktestEngine();
+    const series = engine.prepareSeries(marketData);
+
+    engine.executionModel = executionModel;
+    engine.lowerTimeframeCandles = series['1M'];
+    engine.riskPercent = config.riskPercent;
+    engine.initialBalance = config.initialBalance;
+
+    // Candles 5M elegíveis para decisão (histórico mínimo e espaço para a saída)
+    const indexByTime = new Map();
+    for (let i = MIN_HISTORY_5M; i < series['5M'].length - MAX_HOLD_CANDLES; i++) {
+      indexByTime.set(series['5M'][i].timestamp, i);
+    }
+
+    return { pair, engine, series, indexByTime };
+  }
+
+  /**
+   * Instantes de decisão: união dos candles 5M de todos os pares,
+   * alinhada a cada `step` candles para que os pares decidam juntos
+   */
+  buildClock(books, startTime, endTime, step) {
+    const times = new Set();
+
+    for (const book of books) {
+      for (const time of book.indexByTime.keys()) {
+        if (time < startTime || time > endTime) continue;
+        if (Math.floor(time / FIVE_MIN_MS) % step !== 0) continue;
+        times.add(time);
+      }
+    }
+
+    return [...times].sort((a, b) => a - b);
+  }
+
+  /**
+   * Fecha as posições encerradas até `time` (ordem de saída) e atualiza o saldo
+   */
+  async closePositions(state, context, time) {
+    const closing = state.open
+      .filter(position => position.releaseTime <= time)
+      .sort((a, b) => a.trade.exitTimestamp - b.trade.exitTimestamp);
+
+    if (closing.length === 0) return;
+
+    state.open = state.open.filter(position => !closing.includes(position));
+
+    for (const position of closing) {
+      state.balance += position.trade.profitLoss;
+      state.trades.push(position.trade);
+      state.equity.push({
+        timestamp: position.trade.exitTimestamp,
+        balance: round(state.balance),
+        openPositions: state.open.length
+      });
+
+      await context.recordTrade(position.trade, position.signal, position.pair);
+    }
+  }
+
+  /**
+   * Verifica os limites do portfólio para uma nova posição
+   * Correlação direcional: BUY EURUSD e SELL USDJPY carregam o mesmo risco (USD)
+   * @returns {string|null} Motivo do bloqueio
+   */
+  checkLimits(open, pair, direction, correlationMatrix, config) {
+    if (open.length >= config.maxConcurrentPositions) return 'maxPositions';
+
+    const correlated = open.filter(position => {
+      const sameDirection = position.direction === direction ? 1 : -1;
+      return correlationMatrix[pair][position.pair] * sameDirection >= config.correlationThreshold;
+    });
+
+    // Nova posição + correlacionadas abertas não podem passar do limite
+    if (correlated.length + 1 > config.maxCorrelatedPositions) return 'correlation';
+
+    return null;
+  }
+
+  /**
+   * Resultado da conta: saldo, retorno, drawdown e estatísticas das trades
+   */
+  summarizePortfolio(state, config) {
+    const stats = calculateStats(state.trades, config.initialBalance);
+
+    return {
+      initialBalance: config.initialBalance,
+      finalBalance: round(state.balance),
+      netProfit: round(state.balance - config.initialBalance),
+      returnPercent: round(((state.balance - config.initialBalance) / config.initialBalance) * 100),
+      maxDrawdown: stats.maxDrawdown,
+      maxDrawdownPercent: stats.maxDrawdownPercent,
+      peakOpenPositions: state.peakOpenPositions,
+      stats
+    };
+  }
+
+  /**
+   * Contribuição de cada par para o resultado da conta
+   * returnContribution: P/L do par em % do capital inicial (soma = retorno da conta)
+   */
+  contributionByPair(trades, pairs, initialBalance) {
+    const totalProfit = trades.reduce((sum, t) => sum + t.profitLoss, 0);
+
+    return Object.fromEntries(pairs.map(pair => {
+      const pairTrades = trades.filter(t => t.pair === pair);
+      const stats = calculateStats(pairTrades, initialBalance);
+      const netProfit = pairTrades.reduce((sum, t) => sum + t.profitLoss, 0);
+
+      return [pair, {
+        ...stats,
+        returnContribution: round((netProfit / initialBalance) * 100),
+        profitShare: totalProfit !== 0 ? round((netProfit / totalProfit) * 100) : 0
+      }];
+    }));
+  }
+}
+
+module.exports = new PortfolioBacktester();
@@ -0,0 +1,26 @@
+/**
+ * ==========================================
+ * SEEDED RANDOM
+ * ==========================================
+ * Gerador pseudo-aleatório reprodutível (mulberry32)
+ * Usado em simulações do backtest (slippage, buscas aleatórias)
+ */
+
+/**
+ * @param {number} seed
+ * @returns {Function} () => número em [0, 1)
+ */
+function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  createRandom
+};
@@ -0,0 +1,387 @@
+/**
+ * ==========================================
+ * WALK-FORWARD OPTIMIZER
+ * ==========================================
+ * Otimiza os thresholds do DecisionEngine sem olhar o futuro:
+ * - Janelas in-sample (otimização) seguidas de out-of-sample (validação)
+ * - Busca em grade ou aleatória (seed reprodutível)
+ * - Relatório de estabilidade dos parâmetros e gap de overfitting
+ * - Exporta perfil de thresholds por par (carregado pelo DecisionEngine)
+ *
+ * As análises dos motores (Smart Money, ML, fundamental, correlação) não
+ * dependem dos thresholds: são calculadas uma vez por ponto de decisão e
+ * reaproveitadas em todas as combinações.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const DecisionEngine = require('../ai/decisionEngine');
+const { BacktestEngine } = require('./backtestEngine');
+const { calculateStats } = require('./performanceReport');
+const { createRandom } = require('./random');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Espaço de busca padrão (valores atuais incluídos)
+const DEFAULT_PARAM_SPACE = {
+  minMLProbability: [50, 55, 58, 62, 66],
+  minRiskReward: [1.5, 2.0, 2.5, 3.0],
+  minConfluence: [2, 3, 4, 5],
+  maxStopLossPercent: [1.5, 2.2, 3.0]
+};
+
+const OBJECTIVES = ['avgR', 'expectancy', 'profitFactor', 'netProfit'];
+
+class WalkForwardOptimizer {
+  constructor() {
+    this.profilesFile = process.env.THRESHOLD_PROFILES_PATH
+      || path.join(__dirname, '../../data/threshold_profiles.json');
+  }
+
+  /**
+   * Executa a otimização walk-forward
+   * @param {Object} marketData - Candles de todos os timeframes (com aquecimento)
+   * @param {string} pair
+   * @param {Object} options
+   * @param {Date|string} options.startDate - Início da primeira janela in-sample
+   * @param {Date|string} options.endDate - Fim da última janela out-of-sample
+   * @param {number} options.inSampleDays - Tamanho da janela de otimização (padrão: 60)
+   * @param {number} options.outOfSampleDays - Tamanho da janela de validação (padrão: 20)
+   * @param {boolean} options.anchored - In-sample sempre a partir do início (padrão: false)
+   * @param {string} options.search - 'grid' ou 'random' (padrão: grid)
+   * @param {number} options.samples - Combinações na busca aleatória (padrão: 30)
+   * @param {number} options.seed - Seed da busca aleatória
+   * @param {Object} options.paramSpace - { threshold: [valores] } (padrão: DEFAULT_PARAM_SPACE)
+   * @param {string} options.objective - avgR | expectancy | profitFactor | netProfit (padrão: avgR)
+   * @param {number} options.minTrades - Trades mínimas para uma combinação ser válida (padrão: 5)
+   * @param {Object} options.backtest - Opções repassadas ao BacktestEngine (initialBalance, riskPercent, execution, step)
+   * @param {Object} options.decisionEngine - Motor de decisão (padrão: nova instância; o perfil do par é sobrescrito)
+   * @param {Function} options.onProgress - (percent, message) a cada backtest concluído
+   * @param {Function} options.isCancelled - Interrompe a otimização (lança erro)
+   */
+  async optimize(marketData, pair, options = {}) {
+    const objective = options.objective || 'avgR';
+    if (!OBJECTIVES.includes(objective)) {
+      throw new Error(`Objetivo inválido: ${objective} (use ${OBJECTIVES.join(', ')})`);
+    }
+
+    const windows = this.buildWindows(options);
+    const candidates = this.buildCandidates(options);
+    const minTrades = options.minTrades ?? 5;
+    const backtestOptions = options.backtest || {};
+    const initialBalance = parseFloat(backtestOptions.initialBalance) || 10000;
+
+    const engine = this.createCachedEngine(options.decisionEngine || new DecisionEngine());
+
+    console.log(`\n🧭 Walk-forward ${pair}: ${windows.length} janelas × ${candidates.length} combinações (${objective})`);
+
+    const results = [];
+    const outOfSampleTrades = [];
+
+    // Cada janela: todas as combinações in-sample + validação out-of-sample
+    const totalRuns = windows.length * (candidates.length + 1);
+    let completedRuns = 0;
+    const runOptions = { ...backtestOptions, isCancelled: options.isCancelled };
+    const evaluate = async (thresholds, range) => {
+      const run = await this.evaluate(engine, marketData, pair, thresholds, range, runOptions);
+      completedRuns++;
+
+      if (options.onProgress) {
+        options.onProgress((completedRuns / totalRuns) * 100, `${completedRuns}/${totalRuns} backtests`);
+        // Cede o event loop: consultas de status são atendidas durante o job
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return run;
+    };
+
+    for (const [index, window] of windows.entries()) {
+      // In-sample: melhor combinação pelo objetivo
+      let best = null;
+
+      for (const thresholds of candidates) {
+        const run = await evaluate(thresholds, window.inSample);
+        const score = run.stats.trades >= minTrades ? this.score(run.stats, objective) : null;
+
+        if (score !== null && (!best || score > best.score)) {
+          best = { thresholds, score, stats: run.stats };
+        }
+      }
+
+      if (!best) {
+        completedRuns++; // Sem validação out-of-sample nesta janela
+        console.log(`⚠️  Janela ${index + 1}: nenhuma combinação com ${minTrades}+ trades`);
+        results.push({ window: this.describeWindow(window), skipped: true });
+        continue;
+      }
+
+      // Out-of-sample: valida a combinação escolhida
+      const oos = await evaluate(best.thresholds, window.outOfSample);
+      const oosScore = this.score(oos.stats, objective);
+      outOfSampleTrades.push(...oos.trades);
+
+      console.log(`   Janela ${index + 1}: IS ${objective}=${best.score} | OOS ${objective}=${oosScore}`);
+
+      results.push({
+        window: this.describeWindow(window),
+        thresholds: best.thresholds,
+        inSample: { score: best.score, stats: best.stats },
+        outOfSample: { score: oosScore, stats: oos.stats },
+        overfittingGap: parseFloat((best.score - oosScore).toFixed(4))
+      });
+    }
+
+    const validWindows = results.filter(r => !r.skipped);
+
+    return {
+      success: true,
+      pair,
+      objective,
+      search: options.search || 'grid',
+      candidates: candidates.length,
+      windows: results,
+      outOfSample: calculateStats(outOfSampleTrades, initialBalance),
+      overfitting: this.summarizeOverfitting(validWindows),
+      stability: this.summarizeStability(validWindows, options.paramSpace || DEFAULT_PARAM_SPACE),
+      recommendedThresholds: this.recommendThresholds(validWindows)
+    };
+  }
+
+  /**
+   * Janelas in-sample / out-of-sample (rolling ou ancoradas)
+   */
+  buildWindows(options) {
+    const start = new Date(options.startDate).getTime();
+    const end = new Date(options.endDate).getTime();
+    const inSampleMs = (options.inSampleDays || 60) * DAY_MS;
+    const outOfSampleMs = (options.outOfSampleDays || 20) * DAY_MS;
+
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      throw new Error('startDate e endDate devem ser datas válidas');
+    }
+
+    const windows = [];
+    for (let oosStart = start + inSampleMs; oosStart + outOfSampleMs <= end; oosStart += outOfSampleMs) {
+      windows.push({
+        inSample: { start: options.anchored ? start : oosStart - inSampleMs, end: oosStart },
+        outOfSample: { start: oosStart, end: oosStart + outOfSampleMs }
+      });
+    }
+
+    if (windows.length === 0) {
+      throw new Error('Período insuficiente para uma janela in-sample + out-of-sample');
+    }
+
+    return windows;
+  }
+
+  describeWindow(window) {
+    return {
+      inSample: { start: new Date(window.inSample.start), end: new Date(window.inSample.end) },
+      outOfSample: { start: new Date(window.outOfSample.start), end: new Date(window.outOfSample.end) }
+    };
+  }
+
+  /**
+   * Combinações de thresholds: grade completa ou amostra aleatória sem repetição
+   */
+  buildCandidates(options) {
+    const space = options.paramSpace || DEFAULT_PARAM_SPACE;
+    const keys = Object.keys(space);
+
+    let grid = [{}];
+    for (const key of keys) {
+      grid = grid.flatMap(combo => space[key].map(value => ({ ...combo, [key]: value })));
+    }
+
+    if (options.search !== 'random') return grid;
+
+    // Fisher-Yates com seed
+    const random = createRandom(options.seed ?? 42);
+    const shuffled = [...grid];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled.slice(0, options.samples || 30);
+  }
+
+  /**
+   * Motor de decisão que reaproveita as análises por ponto de decisão
+   * e aplica apenas os thresholds da combinação em avaliação
+   */
+  createCachedEngine(decisionEngine) {
+    const cache = new Map();
+
+    return {
+      decisionEngine,
+      // Contador de losses do BacktestContext repassado ao motor real
+      get maxConsecutiveLosses() {
+        return decisionEngine.maxConsecutiveLosses;
+      },
+      set consecutiveLosses(value) {
+        decisionEngine.consecutiveLosses = value;
+      },
+      get consecutiveLosses() {
+        return decisionEngine.consecutiveLosses;
+      },
+      async makeDecision(marketData, pair) {
+        const candles5M = marketData['5M'];
+        const key = `${pair}:${candles5M[candles5M.length - 1].timestamp}`;
+
+        if (!cache.has(key)) {
+          cache.set(key, await decisionEngine.runAnalyses(marketData, pair));
+        }
+
+        const analyses = cache.get(key);
+        const decision = decisionEngine.processDecision(
+          analyses.smartMoney,
+          analyses.technical,
+          analyses.fundamental,
+          analyses.correlation,
+          pair,
+          marketData
+        );
+
+        return { pair, analyses, decision };
+      }
+    };
+  }
+
+  /**
+   * Backtest de uma combinação em um intervalo
+   */
+  async evaluate(engine, marketData, pair, thresholds, range, backtestOptions) {
+    engine.decisionEngine.setThresholdProfile(pair, thresholds);
+
+    const result = await new BacktestEngine().runBacktest(marketData, pair, {
+      ...backtestOptions,
+      startDate: new Date(range.start),
+      endDate: new Date(range.end),
+      decisionEngine: engine
+    });
+
+    const initialBalance = parseFloat(backtestOptions.initialBalance) || 10000;
+    return { trades: result.trades, stats: calculateStats(result.trades, initialBalance) };
+  }
+
+  /**
+   * Valor do objetivo (maior = melhor)
+   */
+  score(stats, objective) {
+    if (stats.trades === 0) return 0;
+
+    // Profit factor sem perdas (null) limitado para não dominar a busca
+    if (objective === 'profitFactor') return stats.profitFactor ?? 10;
+    return stats[objective];
+  }
+
+  /**
+   * Gap de overfitting: quanto do desempenho in-sample se perde fora da amostra
+   */
+  summarizeOverfitting(windows) {
+    if (windows.length === 0) {
+      return { avgInSample: 0, avgOutOfSample: 0, avgGap: 0, efficiency: null, profitableWindows: 0 };
+    }
+
+    const avg = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const avgInSample = avg(windows.map(w => w.inSample.score));
+    const avgOutOfSample = avg(windows.map(w => w.outOfSample.score));
+
+    return {
+      avgInSample: parseFloat(avgInSample.toFixed(4)),
+      avgOutOfSample: parseFloat(avgOutOfSample.toFixed(4)),
+      avgGap: parseFloat((avgInSample - avgOutOfSample).toFixed(4)),
+      // Walk-forward efficiency: OOS / IS (≥ 0.5 costuma indicar robustez)
+      efficiency: avgInSample !== 0 ? parseFloat((avgOutOfSample / avgInSample).toFixed(2)) : null,
+      profitableWindows: parseFloat(((windows.filter(w => w.outOfSample.stats.netProfit > 0).length / windows.length) * 100).toFixed(2))
+    };
+  }
+
+  /**
+   * Estabilidade: o quanto cada parâmetro escolhido varia entre janelas
+   * - consistency: % de janelas que escolheram o valor mais frequente
+   * - dispersion: desvio padrão normalizado pela amplitude do espaço de busca
+   */
+  summarizeStability(windows, paramSpace) {
+    const stability = {};
+
+    for (const key of Object.keys(paramSpace)) {
+      const values = windows.map(w => w.thresholds[key]);
+      if (values.length === 0) {
+        stability[key] = { values: [], mode: null, consistency: 0, dispersion: 0 };
+        continue;
+      }
+
+      const counts = {};
+      values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+      const [mode, modeCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const stdDev = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
+      const range = Math.max(...paramSpace[key]) - Math.min(...paramSpace[key]);
+
+      stability[key] = {
+        values,
+        mode: parseFloat(mode),
+        consistency: parseFloat(((modeCount / values.length) * 100).toFixed(2)),
+        dispersion: range > 0 ? parseFloat((stdDev / range).toFixed(2)) : 0
+      };
+    }
+
+    return stability;
+  }
+
+  /**
+   * Perfil recomendado: mediana dos valores escolhidos em cada janela
+   * Número par de janelas: mediana inferior (sempre um valor da grade testada)
+   */
+  recommendThresholds(windows) {
+    if (windows.length === 0) return null;
+
+    const recommended = {};
+    for (const key of Object.keys(windows[0].thresholds)) {
+      const values = windows.map(w => w.thresholds[key]).sort((a, b) => a - b);
+      recommended[key] = values[Math.floor((values.length - 1) / 2)];
+    }
+
+    return recommended;
+  }
+
+  /**
+   * Salva o perfil do par no arquivo lido pelo DecisionEngine
+   */
+  async exportProfile(pair, result) {
+    if (!result.recommendedThresholds) {
+      throw new Error('Otimização sem janelas válidas: nenhum perfil para exportar');
+    }
+
+    let profiles = {};
+    try {
+      profiles = JSON.parse(await fs.readFile(this.profilesFile, 'utf8'));
+    } catch (error) {
+      // Arquivo ainda não existe
+    }
+
+    const profile = {
+      thresholds: result.recommendedThresholds,
+      objective: result.objective,
+      createdAt: new Date().toISOString(),
+      walkForward: {
+        windows: result.windows.length,
+        outOfSample: result.outOfSample,
+        overfitting: result.overfitting
+      }
+    };
+
+    profiles[String(pair).toUpperCase()] = profile;
+
+    await fs.mkdir(path.dirname(this.profilesFile), { recursive: true });
+    await fs.writeFile(this.profilesFile, JSON.stringify(profiles, null, 2));
+
+    console.log(`💾 Perfil de thresholds salvo: ${pair}`);
+    return profile;
+  }
+}
+
+module.exports = new WalkForwardOptimizer();
@@ -0,0 +1,69 @@
+/**
+ * ==========================================
+ * BACKTEST RUN MODEL (Sequelize)
+ * ==========================================
+ * Execução de backtest salva para comparação posterior
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config');
+
+const BacktestRun = sequelize.define('BacktestRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID
+  },
+  name: {
+    type: DataTypes.STRING
+  },
+  kind: {
+    type: DataTypes.ENUM('SINGLE', 'PORTFOLIO'),
+    defaultValue: 'SINGLE'
+  },
+  // JSONB: filtro por par no SQL (@>)
+  pairs: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATE
+  },
+  endDate: {
+    type: DataTypes.DATE
+  },
+  // Parâmetros da execução (capital, risco, execução, limites do portfólio...)
+  config: {
+    type: DataTypes.JSON
+  },
+  // Snapshot do DecisionEngine no momento do backtest
+  engineVersion: {
+    type: DataTypes.STRING
+  },
+  thresholds: {
+    type: DataTypes.JSON
+  },
+  metrics: {
+    type: DataTypes.JSON
+  },
+  tradeCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  trades: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  equity: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  }
+}, {
+  tableName: 'backtest_runs',
+  timestamps: true
+});
+
+module.exports = BacktestRun;
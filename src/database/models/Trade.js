@@ -18,6 +18,12 @@ const Trade = sequelize.define('Trade', {
     unique: true,
     allowNull: false
   },
+  orderId: {
+    type: DataTypes.STRING
+  },
+  userId: {
+    type: DataTypes.UUID
+  },
   instrument: {
     type: DataTypes.STRING,
     allowNull: false
@@ -45,6 +51,16 @@ const Trade = sequelize.define('Trade', {
     type: DataTypes.FLOAT,
     allowNull: false
   },
+  units: {
+    type: DataTypes.FLOAT
+  },
+  riskAmount: {
+    type: DataTypes.FLOAT
+  },
+  accountCurrency: {
+    type: DataTypes.STRING,
+    defaultValue: 'USD'
+  },
   result: {
     type: DataTypes.ENUM('WIN', 'LOSS', 'BREAKEVEN', 'OPEN'),
     defaultValue: 'OPEN'
@@ -53,6 +69,12 @@ const Trade = sequelize.define('Trade', {
     type: DataTypes.FLOAT,
     defaultValue: 0
   },
+  pips: {
+    type: DataTypes.FLOAT
+  },
+  rMultiple: {
+    type: DataTypes.FLOAT
+  },
   riskReward: {
     type: DataTypes.FLOAT
   },
@@ -71,6 +93,26 @@ const Trade = sequelize.define('Trade', {
   },
   justification: {
     type: DataTypes.JSON
+  },
+  // Decisão de origem (DecisionEngine)
+  criteria: {
+    type: DataTypes.JSON
+  },
+  confluenceScore: {
+    type: DataTypes.INTEGER
+  },
+  smartMoneyPatterns: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  mlProbability: {
+    type: DataTypes.FLOAT
+  },
+  fundamentalBias: {
+    type: DataTypes.STRING
+  },
+  decisionTimestamp: {
+    type: DataTypes.DATE
   }
 }, {
   tableName: 'trades',
@@ -40,6 +40,14 @@ const User = sequelize.define('User', {
   },
   lastLogin: {
     type: DataTypes.DATE
+  },
+  riskPercent: {
+    type: DataTypes.FLOAT,
+    defaultValue: 1, // % do saldo arriscado por trade
+    validate: {
+      min: 0.01,
+      max: 10
+    }
   }
 }, {
   tableName: 'users',
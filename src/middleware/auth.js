@@ -9,6 +9,22 @@ const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_jwt_key_change_in_production';
 
+/**
+ * Verifica e decodifica um token JWT
+ * Usado também fora do Express (ex: conexões WebSocket)
+ * @param {string} token
+ * @returns {Object|null} Payload do usuário ou null se inválido
+ */
+function verifyToken(token) {
+  if (!token) return null;
+
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Middleware de autenticação
  * Verifica token JWT no header Authorization
@@ -62,5 +78,6 @@ function optionalAuth(req, res, next) {
 
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  verifyToken
 };
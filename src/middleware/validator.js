@@ -140,11 +140,67 @@ const validateRegister = [
   validate
 ];
 
+/**
+ * Validação das configurações de risco do usuário
+ */
+const validateRiskSettings = [
+  body('riskPercent')
+    .notEmpty().withMessage('Risco por trade é obrigatório')
+    .isFloat({ min: 0.01, max: 10 }).withMessage('Risco por trade deve estar entre 0.01% e 10%'),
+
+  validate
+];
+
+/**
+ * Validação dos parâmetros de capital dos backtests
+ */
+const validateBacktest = [
+  body('initialBalance')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Capital inicial deve ser maior que zero'),
+
+  body('riskPercent')
+    .optional()
+    .isFloat({ min: 0.01, max: 10 }).withMessage('Risco por trade deve estar entre 0.01% e 10%'),
+
+  body('step')
+    .optional()
+    .isInt({ min: 1 }).withMessage('step deve ser de pelo menos 1 candle'),
+
+  body(['maxConcurrentPositions', 'maxCorrelatedPositions'])
+    .optional()
+    .isInt({ min: 1 }).withMessage('Limites de posições devem ser de pelo menos 1'),
+
+  body('correlationThreshold')
+    .optional()
+    .isFloat({ min: 0, max: 1 }).withMessage('correlationThreshold deve estar entre 0 e 1'),
+
+  body('iterations')
+    .optional()
+    .isInt({ min: 1, max: 20000 }).withMessage('iterations deve estar entre 1 e 20000'),
+
+  body('ruinDrawdown')
+    .optional()
+    .isFloat({ gt: 0, max: 100 }).withMessage('ruinDrawdown deve estar entre 0 e 100%'),
+
+  body('skipProbability')
+    .optional()
+    .isFloat({ min: 0, lt: 1 }).withMessage('skipProbability deve estar entre 0 e 1'),
+
+  body('confidence')
+    .optional()
+    .isFloat({ gt: 0, lt: 100 }).withMessage('confidence deve estar entre 0 e 100'),
+
+  validate
+];
+
 module.exports = {
   validate,
   validateAnalyze,
   validateTradeUpdate,
   validateOrderExecution,
   validateLogin,
-  validateRegister
+  validateRegister,
+  validateRiskSettings,
+  validateBacktest
 };
@@ -0,0 +1,87 @@
+/**
+ * ==========================================
+ * IMPORT CANDLES (CLI)
+ * ==========================================
+ * Importa históricos CSV para o CandleStore (pesquisa offline)
+ *
+ * Uso:
+ *   npm run import:candles -- --file EURUSD_M1.csv --pair EURUSD --format mt4 --timezone EET
+ *   npm run import:candles -- --file ticks.csv --pair XAUUSD --format dukascopy --type ticks
+ *   npm run import:candles -- --file data.csv --pair GBPUSD --columns timestamp=Date,close=Price,...
+ *
+ * Opções: --file --pair --format (mt4|mt5|dukascopy|generic) --type (bars|ticks)
+ *         --timeframe --targets 5M,1H --timezone --date-format --delimiter --no-header --columns campo=coluna,...
+ */
+
+require('dotenv').config();
+const csvImporter = require('../backtest/csvImporter');
+
+/**
+ * --chave valor / --flag → objeto
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+
+    const key = argv[i].slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * "timestamp=0,close=Price" → { timestamp: 0, close: 'Price' }
+ */
+function parseColumns(value) {
+  return Object.fromEntries(String(value).split(',').map(pair => {
+    const [field, column] = pair.split('=').map(part => part.trim());
+    return [field, /^\d+$/.test(column) ? parseInt(column) : column];
+  }));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file || !args.pair) {
+    console.error('Uso: npm run import:candles -- --file <arquivo.csv> --pair <PAR> [--format mt4|mt5|dukascopy|generic] [--timezone UTC]');
+    process.exit(1);
+  }
+
+  let lastLogged = -10;
+  const result = await csvImporter.importFile(args.file, {
+    pair: args.pair,
+    format: args.format,
+    type: args.type,
+    timeframe: args.timeframe,
+    targets: args.targets ? args.targets.split(',') : undefined,
+    timezone: args.timezone,
+    dateFormat: args.dateFormat,
+    delimiter: args.delimiter === 'tab' ? '\t' : args.delimiter,
+    header: args.noHeader ? false : undefined,
+    columns: args.columns ? parseColumns(args.columns) : undefined,
+    onProgress: (percent, message) => {
+      if (percent - lastLogged < 10) return;
+      lastLogged = percent;
+      console.log(`   ${percent.toFixed(0)}% - ${message}`);
+    }
+  });
+
+  console.log(`\n✅ ${result.rowsImported} linhas importadas (${result.rowsSkipped} ignoradas)`);
+  console.log(`   Período: ${result.range.start.toISOString()} → ${result.range.end.toISOString()}`);
+  for (const [tf, stored] of Object.entries(result.stored)) {
+    console.log(`   ${tf}: ${stored.imported} candles (store: ${stored.total})`);
+  }
+  result.errors.forEach(error => console.log(`   ⚠️  ${error}`));
+}
+
+main().catch(error => {
+  console.error('❌ Erro na importação:', error.message);
+  process.exit(1);
+});
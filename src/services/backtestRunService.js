@@ -0,0 +1,270 @@
+/**
+ * ==========================================
+ * BACKTEST RUN SERVICE
+ * ==========================================
+ * Guarda execuções de backtest no PostgreSQL e compara duas execuções:
+ * - Config, versão do motor e thresholds usados
+ * - Métricas recalculadas das trades (mesma base para single e portfólio)
+ * - Trades e curva de equity
+ *
+ * Comparação: deltas das métricas, thresholds/config alterados e
+ * trades presentes em apenas uma das execuções
+ *
+ * Execuções pertencem a quem as salvou: com userId, execução de outro usuário é tratada como inexistente
+ */
+
+const { Op } = require('sequelize');
+const { calculateStats } = require('../backtest/performanceReport');
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+// Campos pesados ficam fora da listagem
+const HEAVY_FIELDS = ['trades', 'equity'];
+
+class BacktestRunService {
+  constructor() {
+    this.BacktestRun = null; // Model Sequelize - definido quando o Postgres está disponível
+  }
+
+  attachDatabase(BacktestRunModel) {
+    this.BacktestRun = BacktestRunModel;
+  }
+
+  isPersistent() {
+    return !!this.BacktestRun;
+  }
+
+  requireDatabase() {
+    if (!this.BacktestRun) {
+      throw new Error('Database não disponível para salvar backtests');
+    }
+  }
+
+  /**
+   * Monta o registro a partir do resultado do BacktestEngine ou do PortfolioBacktester
+   * @param {Object} result - Retorno de runBacktest / portfolioBacktester.run
+   * @param {Object} meta - { name, userId, config }
+   */
+  buildRunRecord(result, meta = {}) {
+    const isPortfolio = Array.isArray(result.pairs);
+    const pairs = isPortfolio ? result.pairs : [result.pair];
+    const config = { ...(result.config || {}), ...(meta.config || {}) };
+    const initialBalance = parseFloat(config.initialBalance) || 10000;
+
+    // Trades de um único par não carregam o par: normaliza para a comparação
+    const trades = (result.trades || []).map(trade => ({ pair: trade.pair || result.pair, ...trade }));
+    const netProfit = trades.reduce((sum, t) => sum + t.profitLoss, 0);
+
+    return {
+      userId: meta.userId || null,
+      name: meta.name || `${pairs.join(', ')} ${new Date().toISOString()}`,
+      kind: isPortfolio ? 'PORTFOLIO' : 'SINGLE',
+      pairs,
+      startDate: config.startDate ? new Date(config.startDate) : result.range?.start || null,
+      endDate: config.endDate ? new Date(config.endDate) : result.range?.end || null,
+      config,
+      engineVersion: result.engine?.version || null,
+      thresholds: result.engine?.thresholds || {},
+      metrics: {
+        ...calculateStats(trades, initialBalance),
+        finalBalance: round(initialBalance + netProfit),
+        returnPercent: round((netProfit / initialBalance) * 100)
+      },
+      tradeCount: trades.length,
+      trades,
+      equity: result.equity || []
+    };
+  }
+
+  /**
+   * Salva uma execução
+   */
+  async saveRun(result, meta = {}) {
+    this.requireDatabase();
+
+    const run = await this.BacktestRun.create(this.buildRunRecord(result, meta));
+    console.log(`💾 Backtest salvo: ${run.id} (${run.tradeCount} trades)`);
+    return run;
+  }
+
+  /**
+   * Lista execuções (sem trades/equity), mais recentes primeiro
+   * @param {Object} filters - { pair, userId, limit }
+   */
+  async listRuns(filters = {}) {
+    this.requireDatabase();
+
+    // Filtro de par no SQL: aplicado antes do limit
+    const where = {};
+    if (filters.userId !== undefined) where.userId = filters.userId;
+    if (filters.pair) where.pairs = { [Op.contains]: [String(filters.pair).toUpperCase()] };
+
+    return this.BacktestRun.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(filters.limit) || 50, 200),
+      attributes: { exclude: HEAVY_FIELDS }
+    });
+  }
+
+  /**
+   * Execução completa
+   * @param {string} userId - Dono da execução (opcional)
+   * @returns {Object|null} null se não existe ou pertence a outro usuário
+   */
+  async getRun(id, userId) {
+    this.requireDatabase();
+
+    const run = await this.BacktestRun.findByPk(id);
+    if (!run) return null;
+    if (userId !== undefined && run.userId !== userId) return null;
+    return run;
+  }
+
+  /**
+   * Remove uma execução
+   * @param {string} userId - Dono da execução (opcional)
+   * @returns {boolean} false se não existe ou pertence a outro usuário
+   */
+  async deleteRun(id, userId) {
+    const run = await this.getRun(id, userId);
+    if (!run) return false;
+
+    await run.destroy();
+    return true;
+  }
+
+  /**
+   * Compara duas execuções salvas
+   * @param {string} userId - Dono das execuções (opcional)
+   * @returns {Object|null} null se alguma não existe
+   */
+  async compareRuns(baseId, candidateId, userId) {
+    const [base, candidate] = await Promise.all([this.getRun(baseId, userId), this.getRun(candidateId, userId)]);
+    if (!base || !candidate) return null;
+
+    return this.diffRuns(base, candidate);
+  }
+
+  /**
+   * Diferenças entre uma execução base e uma candidata
+   */
+  diffRuns(base, candidate) {
+    return {
+      base: this.describeRun(base),
+      candidate: this.describeRun(candidate),
+      metrics: this.diffMetrics(base.metrics || {}, candidate.metrics || {}),
+      thresholds: this.diffThresholds(base.thresholds || {}, candidate.thresholds || {}),
+      config: this.diffValues(base.config || {}, candidate.config || {}),
+      trades: this.diffTrades(base.trades || [], candidate.trades || [])
+    };
+  }
+
+  describeRun(run) {
+    return {
+      id: run.id,
+      name: run.name,
+      kind: run.kind,
+      pairs: run.pairs,
+      engineVersion: run.engineVersion,
+      tradeCount: run.tradeCount,
+      createdAt: run.createdAt
+    };
+  }
+
+  /**
+   * Delta (candidata - base) de cada métrica numérica
+   */
+  diffMetrics(base, candidate) {
+    const keys = [...new Set([...Object.keys(base), ...Object.keys(candidate)])];
+    const diff = {};
+
+    for (const key of keys) {
+      const a = base[key];
+      const b = candidate[key];
+      if (typeof a !== 'number' && typeof b !== 'number') continue;
+
+      diff[key] = {
+        base: a ?? null,
+        candidate: b ?? null,
+        delta: typeof a === 'number' && typeof b === 'number' ? round(b - a) : null
+      };
+    }
+
+    return diff;
+  }
+
+  /**
+   * Thresholds alterados por par
+   */
+  diffThresholds(base, candidate) {
+    const changes = [];
+    const pairs = [...new Set([...Object.keys(base), ...Object.keys(candidate)])];
+
+    for (const pair of pairs) {
+      for (const change of this.diffValues(base[pair] || {}, candidate[pair] || {})) {
+        changes.push({ pair, ...change });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Chaves com valores diferentes (comparação por JSON)
+   */
+  diffValues(base, candidate) {
+    const keys = [...new Set([...Object.keys(base), ...Object.keys(candidate)])];
+
+    return keys
+      .filter(key => JSON.stringify(base[key]) !== JSON.stringify(candidate[key]))
+      .map(key => ({ key, base: base[key] ?? null, candidate: candidate[key] ?? null }));
+  }
+
+  /**
+   * Trades casadas por par + entrada + direção
+   */
+  diffTrades(baseTrades, candidateTrades) {
+    const keyOf = trade => `${trade.pair}|${trade.entryTimestamp}|${trade.type}`;
+    const summaryOf = trade => ({
+      pair: trade.pair,
+      type: trade.type,
+      entryTimestamp: trade.entryTimestamp,
+      exitTimestamp: trade.exitTimestamp,
+      result: trade.result,
+      profitLoss: trade.profitLoss,
+      rMultiple: trade.rMultiple
+    });
+
+    const baseMap = new Map(baseTrades.map(trade => [keyOf(trade), trade]));
+    const candidateMap = new Map(candidateTrades.map(trade => [keyOf(trade), trade]));
+
+    const onlyInBase = baseTrades.filter(trade => !candidateMap.has(keyOf(trade))).map(summaryOf);
+    const onlyInCandidate = candidateTrades.filter(trade => !baseMap.has(keyOf(trade))).map(summaryOf);
+
+    // Mesma entrada com saída diferente (ex: custos ou SL/TP alterados)
+    const changedOutcome = [];
+    let common = 0;
+
+    for (const [key, trade] of baseMap) {
+      const other = candidateMap.get(key);
+      if (!other) continue;
+
+      common++;
+      if (trade.result !== other.result || trade.profitLoss !== other.profitLoss) {
+        changedOutcome.push({ base: summaryOf(trade), candidate: summaryOf(other) });
+      }
+    }
+
+    return {
+      common,
+      onlyInBase,
+      onlyInCandidate,
+      changedOutcome,
+      profitOnlyInBase: round(onlyInBase.reduce((sum, t) => sum + t.profitLoss, 0)),
+      profitOnlyInCandidate: round(onlyInCandidate.reduce((sum, t) => sum + t.profitLoss, 0))
+    };
+  }
+}
+
+module.exports = BacktestRunService;
@@ -0,0 +1,133 @@
+/**
+ * ==========================================
+ * CANDLE RESAMPLER
+ * ==========================================
+ * Monta candles de timeframes maiores a partir de candles menores (1M/5M → 15M, 1H, 4H, 1D)
+ * - Até 1H: blocos alinhados em UTC
+ * - 4H e 1D (forex, metais, índices): sessão de Nova York, como a OANDA -
+ *   dia de negociação começa às 17:00 NY (21:00/22:00 UTC conforme o horário de verão),
+ *   então nenhum candle mistura sexta e domingo
+ * - Crypto: 4H e 1D alinhados em 00:00 UTC (24/7)
+ * - Último bloco pode estar em formação (mesmo comportamento dos provedores)
+ */
+
+const candleStore = require('./candleStore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SESSION_START_HOUR_NY = 17;
+
+/**
+ * N-ésimo domingo do mês (UTC, 00:00)
+ */
+function nthSunday(year, month, n) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (7 - first.getUTCDay()) % 7;
+  return Date.UTC(year, month, 1 + offset + (n - 1) * 7);
+}
+
+class CandleResampler {
+  /**
+   * Offset de Nova York em relação ao UTC (horas): -4 no horário de verão, -5 fora
+   * Horário de verão EUA: 2º domingo de março 02:00 local → 1º domingo de novembro 02:00 local
+   */
+  getNewYorkOffsetHours(timestamp) {
+    const year = new Date(timestamp).getUTCFullYear();
+    const dstStart = nthSunday(year, 2, 2) + 7 * HOUR_MS; // 02:00 EST = 07:00 UTC
+    const dstEnd = nthSunday(year, 10, 1) + 6 * HOUR_MS;  // 02:00 EDT = 06:00 UTC
+
+    return timestamp >= dstStart && timestamp < dstEnd ? -4 : -5;
+  }
+
+  /**
+   * Abertura do bloco do timeframe de destino que contém `timestamp`
+   * @param {boolean} session - Alinha à sessão de Nova York (4H e 1D)
+   */
+  getBucketStart(timestamp, timeframeMs, session) {
+    if (!session || timeframeMs < 4 * HOUR_MS) {
+      return Math.floor(timestamp / timeframeMs) * timeframeMs;
+    }
+
+    // Relógio "local" de NY deslocado para a abertura da sessão às 17:00
+    const shift = (this.getNewYorkOffsetHours(timestamp) - SESSION_START_HOUR_NY) * HOUR_MS;
+    return Math.floor((timestamp + shift) / timeframeMs) * timeframeMs - shift;
+  }
+
+  /**
+   * Agrega candles ordenados no timeframe de destino
+   * @param {Array} candles - Candles do timeframe de origem (qualquer formato aceito pelo candleStore)
+   * @param {string} fromTimeframe - Ex: 5M
+   * @param {string} toTimeframe - Ex: 4H
+   * @param {Object} options - { assetClass } (crypto: sem alinhamento de sessão)
+   * @returns {Array} Candles no formato do candleStore
+   */
+  resample(candles, fromTimeframe, toTimeframe, options = {}) {
+    const fromMs = candleStore.getTimeframeMs(fromTimeframe);
+    const toMs = candleStore.getTimeframeMs(toTimeframe);
+
+    if (toMs <= fromMs || toMs % fromMs !== 0) {
+      throw new Error(`Não é possível montar ${toTimeframe} a partir de ${fromTimeframe}`);
+    }
+
+    const session = options.assetClass !== 'crypto';
+    const sorted = candles
+      .map(candle => candleStore.normalizeCandle(candle))
+      .filter(candle => Number.isFinite(candle.timestamp))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const result = [];
+    let current = null;
+
+    for (const candle of sorted) {
+      const bucketStart = this.getBucketStart(candle.timestamp, toMs, session);
+
+      if (!current || current.timestamp !== bucketStart) {
+        current = this.openBucket(bucketStart, candle);
+        result.push(current);
+        continue;
+      }
+
+      this.mergeInto(current, candle);
+    }
+
+    return result;
+  }
+
+  openBucket(timestamp, candle) {
+    const bucket = {
+      timestamp,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
+    };
+
+    if (candle.bid && candle.ask) {
+      bucket.bid = { ...candle.bid };
+      bucket.ask = { ...candle.ask };
+    }
+
+    return bucket;
+  }
+
+  mergeInto(bucket, candle) {
+    bucket.high = Math.max(bucket.high, candle.high);
+    bucket.low = Math.min(bucket.low, candle.low);
+    bucket.close = candle.close;
+    bucket.volume += candle.volume;
+
+    // Bid/ask só se todos os candles do bloco tiverem
+    if (bucket.bid && candle.bid && candle.ask) {
+      for (const side of ['bid', 'ask']) {
+        bucket[side].high = Math.max(bucket[side].high, candle[side].high);
+        bucket[side].low = Math.min(bucket[side].low, candle[side].low);
+        bucket[side].close = candle[side].close;
+      }
+    } else {
+      delete bucket.bid;
+      delete bucket.ask;
+    }
+  }
+}
+
+module.exports = new CandleResampler();
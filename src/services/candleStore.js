@@ -0,0 +1,386 @@
+/**
+ * ==========================================
+ * CANDLE STORE
+ * ==========================================
+ * Armazenamento local de candles históricos (OHLCV)
+ * - Particionado por período: data/candles/EURUSD_5M/2026-01.json (mensal até 30M, anual a partir de 1H)
+ *   + index.json com { count, first, last } de cada partição
+ * - Salvamento reescreve só as partições tocadas (importações longas não relêem a série toda)
+ * - Candles ordenados e sem duplicatas (chave: timestamp)
+ * - Consulta por intervalo de datas
+ * - Detecção de lacunas (fim de semana ignorado para ativos com pregão)
+ * - Escritas serializadas por par/timeframe (arquivo temporário + rename)
+ * - Arquivo ilegível gera erro; nunca é sobrescrito com apenas os candles novos
+ *
+ * Formato padronizado:
+ *   { timestamp (ms UTC, abertura), open, high, low, close, volume }
+ *   + bid / ask { open, high, low, close } quando a fonte fornece
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Duração de cada timeframe em ms
+const TIMEFRAME_MS = {
+  '1M': 60 * 1000,
+  '5M': 5 * 60 * 1000,
+  '15M': 15 * 60 * 1000,
+  '30M': 30 * 60 * 1000,
+  '1H': 60 * 60 * 1000,
+  '4H': 4 * 60 * 60 * 1000,
+  '1D': 24 * 60 * 60 * 1000
+};
+
+// Fechamento de fim de semana (UTC, folga para horário de verão): sexta 21h → domingo 21h
+const WEEKEND_CLOSE_HOUR = 21;
+
+const INDEX_FILE = 'index.json';
+const PARTITION_FILE = /^\d{4}(-\d{2})?\.json$/;
+
+class CandleStore {
+  /**
+   * @param {Object} options - { baseDir }
+   */
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || process.env.CANDLE_STORE_PATH || path.join(__dirname, '../../data/candles');
+    this.writeChains = new Map(); // série → última escrita enfileirada
+    this.migrated = new Set(); // séries já verificadas quanto ao formato antigo
+  }
+
+  /**
+   * Duração do timeframe em ms
+   */
+  getTimeframeMs(timeframe) {
+    const ms = TIMEFRAME_MS[timeframe];
+    if (!ms) throw new Error(`Timeframe não suportado: ${timeframe}`);
+    return ms;
+  }
+
+  getSymbol(pair) {
+    return String(pair).toUpperCase().replace(/[_/]/g, '');
+  }
+
+  /**
+   * Diretório da série: um arquivo por partição (mês até 30M, ano a partir de 1H)
+   */
+  getSeriesDir(pair, timeframe) {
+    return path.join(this.baseDir, `${this.getSymbol(pair)}_${timeframe}`);
+  }
+
+  // Arquivo único do formato anterior (migrado no primeiro acesso)
+  getLegacyFilePath(pair, timeframe) {
+    return path.join(this.baseDir, `${this.getSymbol(pair)}_${timeframe}.json`);
+  }
+
+  getPartitionKey(timeframe, timestamp) {
+    const iso = new Date(timestamp).toISOString();
+    return this.getTimeframeMs(timeframe) < TIMEFRAME_MS['1H'] ? iso.slice(0, 7) : iso.slice(0, 4);
+  }
+
+  /**
+   * Converte candle de qualquer fonte (time/timestamp, string/número) para o formato padrão
+   */
+  normalizeCandle(candle) {
+    const rawTime = candle.timestamp ?? candle.time;
+    const timestamp = typeof rawTime === 'number' ? rawTime : new Date(rawTime).getTime();
+
+    const normalized = {
+      timestamp,
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume) || 0
+    };
+
+    // Preços bid/ask (usados pelo modelo de execução do backtest)
+    if (candle.bid && candle.ask) {
+      normalized.bid = this.normalizePrices(candle.bid);
+      normalized.ask = this.normalizePrices(candle.ask);
+    }
+
+    return normalized;
+  }
+
+  normalizePrices(prices) {
+    return {
+      open: parseFloat(prices.open ?? prices.o),
+      high: parseFloat(prices.high ?? prices.h),
+      low: parseFloat(prices.low ?? prices.l),
+      close: parseFloat(prices.close ?? prices.c)
+    };
+  }
+
+  /**
+   * Lê um arquivo JSON da série
+   * Ausente → fallback; conteúdo ilegível → erro (não vira série vazia)
+   */
+  async readJson(filePath, fallback) {
+    let data;
+    try {
+      data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Arquivo de candles corrompido: ${filePath} (${error.message})`);
+    }
+  }
+
+  async writeJson(filePath, value) {
+    // Temporário + rename: leitor nunca vê arquivo pela metade
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(value));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Partições existentes da série, em ordem cronológica
+   */
+  async listPartitions(pair, timeframe) {
+    try {
+      const files = await fs.readdir(this.getSeriesDir(pair, timeframe));
+      return files
+        .filter(file => PARTITION_FILE.test(file))
+        .map(file => file.replace('.json', ''))
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  readPartition(pair, timeframe, key) {
+    return this.readJson(path.join(this.getSeriesDir(pair, timeframe), `${key}.json`), []);
+  }
+
+  /**
+   * Índice { partitions: { chave: { count, first, last } } } - reconstruído das partições se ausente
+   */
+  async readIndex(pair, timeframe) {
+    const index = await this.readJson(path.join(this.getSeriesDir(pair, timeframe), INDEX_FILE), null);
+    if (index) return index;
+
+    const partitions = {};
+    for (const key of await this.listPartitions(pair, timeframe)) {
+      const candles = await this.readPartition(pair, timeframe, key);
+      if (candles.length > 0) partitions[key] = this.partitionStats(candles);
+    }
+    return { partitions };
+  }
+
+  partitionStats(candles) {
+    return { count: candles.length, first: candles[0].timestamp, last: candles[candles.length - 1].timestamp };
+  }
+
+  /**
+   * Lê todos os candles de um par/timeframe
+   */
+  async readAll(pair, timeframe) {
+    await this.ensureMigrated(pair, timeframe);
+    const candles = [];
+
+    for (const key of await this.listPartitions(pair, timeframe)) {
+      candles.push(...await this.readPartition(pair, timeframe, key));
+    }
+    return candles;
+  }
+
+  /**
+   * Últimos `count` candles, lendo só as partições mais recentes
+   */
+  async readLatest(pair, timeframe, count) {
+    await this.ensureMigrated(pair, timeframe);
+    const keys = await this.listPartitions(pair, timeframe);
+    let candles = [];
+
+    for (let i = keys.length - 1; i >= 0 && candles.length < count; i--) {
+      candles = (await this.readPartition(pair, timeframe, keys[i])).concat(candles);
+    }
+    return candles.slice(-count);
+  }
+
+  /**
+   * Executa na fila da série: leitura + escrita sem intercalar com outro salvamento
+   */
+  runExclusive(pair, timeframe, task) {
+    const seriesDir = this.getSeriesDir(pair, timeframe);
+    const previous = this.writeChains.get(seriesDir) || Promise.resolve();
+
+    const run = previous
+      .catch(() => {}) // Falha anterior já foi entregue a quem chamou
+      .then(task);
+
+    this.writeChains.set(seriesDir, run);
+    run.finally(() => {
+      if (this.writeChains.get(seriesDir) === run) this.writeChains.delete(seriesDir);
+    }).catch(() => {});
+
+    return run;
+  }
+
+  /**
+   * Converte o arquivo único do formato anterior em partições (uma vez por série)
+   */
+  async ensureMigrated(pair, timeframe) {
+    const seriesDir = this.getSeriesDir(pair, timeframe);
+    if (this.migrated.has(seriesDir)) return;
+
+    await this.runExclusive(pair, timeframe, () => this.migrateLegacy(pair, timeframe));
+  }
+
+  async migrateLegacy(pair, timeframe) {
+    const seriesDir = this.getSeriesDir(pair, timeframe);
+    if (this.migrated.has(seriesDir)) return;
+
+    const legacyPath = this.getLegacyFilePath(pair, timeframe);
+    const legacy = await this.readJson(legacyPath, null);
+
+    if (legacy) {
+      await this.writePartitions(pair, timeframe, legacy);
+      await fs.unlink(legacyPath);
+      console.log(`📦 ${path.basename(legacyPath)} migrado para partições (${legacy.length} candles)`);
+    }
+
+    this.migrated.add(seriesDir);
+  }
+
+  /**
+   * Salva candles mesclando com os existentes (sem duplicatas)
+   * Leitura + escrita na fila da série: salvamentos simultâneos não perdem candles
+   * @returns {number} Total de candles armazenados
+   */
+  saveCandles(pair, timeframe, candles) {
+    return this.runExclusive(pair, timeframe, async () => {
+      await this.migrateLegacy(pair, timeframe);
+      return this.writePartitions(pair, timeframe, candles);
+    });
+  }
+
+  /**
+   * Mescla candles nas partições correspondentes e atualiza o índice
+   * Só as partições que recebem candles são lidas e reescritas
+   */
+  async writePartitions(pair, timeframe, candles) {
+    const incoming = new Map(); // chave da partição → candles normalizados
+
+    for (const candle of candles) {
+      const normalized = this.normalizeCandle(candle);
+      if (!Number.isFinite(normalized.timestamp)) continue;
+
+      const key = this.getPartitionKey(timeframe, normalized.timestamp);
+      if (!incoming.has(key)) incoming.set(key, []);
+      incoming.get(key).push(normalized);
+    }
+
+    const seriesDir = this.getSeriesDir(pair, timeframe);
+    const index = await this.readIndex(pair, timeframe);
+
+    for (const [key, additions] of incoming) {
+      const existing = await this.readPartition(pair, timeframe, key);
+      const byTimestamp = new Map(existing.map(c => [c.timestamp, c]));
+      for (const candle of additions) byTimestamp.set(candle.timestamp, candle);
+
+      const merged = Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+      await this.writeJson(path.join(seriesDir, `${key}.json`), merged);
+      index.partitions[key] = this.partitionStats(merged);
+    }
+
+    if (incoming.size > 0) {
+      await this.writeJson(path.join(seriesDir, INDEX_FILE), index);
+    }
+
+    return Object.values(index.partitions).reduce((sum, item) => sum + item.count, 0);
+  }
+
+  /**
+   * Candles dentro do intervalo [start, end]
+   * @param {Object} range - { start, end } (Date, ISO ou ms) - opcionais
+   */
+  async getCandles(pair, timeframe, range = {}) {
+    await this.ensureMigrated(pair, timeframe);
+    const start = range.start ? new Date(range.start).getTime() : -Infinity;
+    const end = range.end ? new Date(range.end).getTime() : Infinity;
+
+    // Só as partições que cruzam o intervalo
+    const fromKey = Number.isFinite(start) ? this.getPartitionKey(timeframe, start) : null;
+    const toKey = Number.isFinite(end) ? this.getPartitionKey(timeframe, end) : null;
+    const candles = [];
+
+    for (const key of await this.listPartitions(pair, timeframe)) {
+      if ((fromKey && key < fromKey) || (toKey && key > toKey)) continue;
+      candles.push(...await this.readPartition(pair, timeframe, key));
+    }
+
+    return candles.filter(c => c.timestamp >= start && c.timestamp <= end);
+  }
+
+  /**
+   * Mercado fechado no fim de semana (forex, metais, índices)
+   */
+  isWeekendClosed(timestamp) {
+    const date = new Date(timestamp);
+    const day = date.getUTCDay();
+    const hour = date.getUTCHours();
+
+    return day === 6
+      || (day === 5 && hour >= WEEKEND_CLOSE_HOUR)
+      || (day === 0 && hour < WEEKEND_CLOSE_HOUR);
+  }
+
+  /**
+   * Lacunas entre candles consecutivos (ordenados)
+   * @param {Object} options - { skipWeekends } (padrão: true - candles ausentes com o mercado fechado não contam)
+   * @returns {Array} [{ start, end, missing }] - start/end: primeiro e último candle ausente (ms)
+   */
+  findGaps(candles, timeframe, options = {}) {
+    const tfMs = this.getTimeframeMs(timeframe);
+    const skipWeekends = options.skipWeekends !== false;
+    const gaps = [];
+
+    for (let i = 1; i < candles.length; i++) {
+      const previous = candles[i - 1].timestamp;
+      const next = candles[i].timestamp;
+      if (next - previous < 2 * tfMs) continue;
+
+      // Candles esperados entre os dois (tolerante a desalinhamento, ex: H4 com horário de verão)
+      const expected = [];
+      for (let time = previous + tfMs; time <= next - tfMs / 2; time += tfMs) {
+        if (!skipWeekends || !this.isWeekendClosed(time)) expected.push(time);
+      }
+
+      if (expected.length > 0) {
+        gaps.push({ start: expected[0], end: expected[expected.length - 1], missing: expected.length });
+      }
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Período coberto pelos dados armazenados (pelo índice, sem ler os candles)
+   */
+  async getCoverage(pair, timeframe) {
+    await this.ensureMigrated(pair, timeframe);
+    const stats = Object.values((await this.readIndex(pair, timeframe)).partitions);
+    const count = stats.reduce((sum, item) => sum + item.count, 0);
+
+    if (count === 0) {
+      return { count: 0, first: null, last: null };
+    }
+
+    return {
+      count,
+      first: new Date(Math.min(...stats.map(item => item.first))),
+      last: new Date(Math.max(...stats.map(item => item.last)))
+    };
+  }
+}
+
+module.exports = new CandleStore();
+module.exports.CandleStore = CandleStore;
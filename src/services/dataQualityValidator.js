@@ -0,0 +1,189 @@
+/**
+ * ==========================================
+ * DATA QUALITY VALIDATOR
+ * ==========================================
+ * Valida cada conjunto de candles antes da análise:
+ * - Repara: ordem, timestamps duplicados (mantém o último), high/low inconsistentes com open/close
+ * - Descarta: preços inválidos (NaN, <= 0) e candles sem volume numa série que tem volume
+ * - Rejeita o timeframe: poucos candles válidos ou descarte acima do limite
+ * - Frescor: último candle atrasado (ignorado com o mercado fechado no fim de semana)
+ *
+ * Proveniência por timeframe: real, cached (store/cache), resampled ou simulated
+ * quality.tradeable = false bloqueia aprovação de trades no DecisionEngine
+ */
+
+const candleStore = require('./candleStore');
+
+const STATUS = {
+  OK: 'OK',
+  REPAIRED: 'REPAIRED',
+  REJECTED: 'REJECTED'
+};
+
+class DataQualityValidator {
+  /**
+   * @param {Object} options
+   * @param {number} options.minCandles - Mínimo de candles válidos por timeframe (padrão: 20)
+   * @param {number} options.maxDropRatio - Fração máxima descartada antes de rejeitar (padrão: 0.2)
+   * @param {number} options.staleCandles - Candles de atraso tolerados após o último fechado (padrão: 2)
+   */
+  constructor(options = {}) {
+    this.minCandles = options.minCandles ?? 20;
+    this.maxDropRatio = options.maxDropRatio ?? 0.2;
+    this.staleCandles = options.staleCandles ?? 2;
+  }
+
+  /**
+   * Valida e repara um conjunto de candles
+   * @param {Object} options - { now, assetClass }
+   * @param {boolean} options.dropZeroVolume - Descarta candles sem volume numa série com volume (padrão: true)
+   * @param {number} options.minCandles - Sobrescreve o mínimo do validador (ex: blocos de importação)
+   * @returns {Object} { candles, report }
+   */
+  validateCandles(candles, timeframe, options = {}) {
+    const now = options.now ?? Date.now();
+    const minCandles = options.minCandles ?? this.minCandles;
+    const tfMs = candleStore.getTimeframeMs(timeframe);
+    const input = candles || [];
+
+    const report = {
+      status: STATUS.OK,
+      received: input.length,
+      valid: 0,
+      repairs: { unsorted: 0, duplicates: 0, highLow: 0 },
+      dropped: { invalidPrice: 0, zeroVolume: 0 },
+      issues: [],
+      lastCandle: null,
+      ageMinutes: null,
+      stale: false
+    };
+
+    // 1. Preços inválidos
+    const priced = input.filter(candle => {
+      const prices = [candle.open, candle.high, candle.low, candle.close];
+      const valid = Number.isFinite(candle.timestamp) && prices.every(p => Number.isFinite(p) && p > 0);
+      if (!valid) report.dropped.invalidPrice++;
+      return valid;
+    });
+
+    // 2. Ordem e duplicatas (último recebido prevalece - candle em formação atualizado)
+    for (let i = 1; i < priced.length; i++) {
+      if (priced[i].timestamp < priced[i - 1].timestamp) report.repairs.unsorted++;
+    }
+    const byTimestamp = new Map();
+    for (const candle of priced) {
+      if (byTimestamp.has(candle.timestamp)) report.repairs.duplicates++;
+      byTimestamp.set(candle.timestamp, candle);
+    }
+    let cleaned = [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+
+    // 3. High/low consistentes com open/close
+    cleaned = cleaned.map(candle => {
+      const high = Math.max(candle.open, candle.high, candle.low, candle.close);
+      const low = Math.min(candle.open, candle.high, candle.low, candle.close);
+      if (high === candle.high && low === candle.low) return candle;
+
+      report.repairs.highLow++;
+      return { ...candle, high, low };
+    });
+
+    // 4. Volume zero: só é defeito se a fonte informa volume (forex de algumas APIs não tem)
+    const withVolume = cleaned.filter(candle => candle.volume > 0).length;
+    if (withVolume === 0 && cleaned.length > 0) {
+      report.issues.push('Fonte sem volume');
+    } else if (withVolume < cleaned.length && options.dropZeroVolume !== false) {
+      report.dropped.zeroVolume = cleaned.length - withVolume;
+      cleaned = cleaned.filter(candle => candle.volume > 0);
+    }
+
+    report.valid = cleaned.length;
+
+    const repaired = Object.values(report.repairs).reduce((a, b) => a + b, 0);
+    const dropped = Object.values(report.dropped).reduce((a, b) => a + b, 0);
+
+    if (cleaned.length < minCandles) {
+      report.status = STATUS.REJECTED;
+      report.issues.push(`Apenas ${cleaned.length} candles válidos (mínimo ${minCandles})`);
+    } else if (input.length > 0 && dropped / input.length > this.maxDropRatio) {
+      report.status = STATUS.REJECTED;
+      report.issues.push(`${dropped} de ${input.length} candles descartados`);
+    } else if (repaired > 0 || dropped > 0) {
+      report.status = STATUS.REPAIRED;
+    }
+
+    // 5. Frescor: tempo desde o fechamento do último candle
+    const last = cleaned[cleaned.length - 1];
+    if (last) {
+      const age = now - (last.timestamp + tfMs);
+      const marketClosed = options.assetClass !== 'crypto' && candleStore.isWeekendClosed(now);
+
+      report.lastCandle = new Date(last.timestamp);
+      report.ageMinutes = Math.max(0, Math.round(age / 60000));
+      report.stale = !marketClosed && age > this.staleCandles * tfMs;
+
+      if (report.stale) {
+        report.issues.push(`Último candle de ${report.lastCandle.toISOString()} (${report.ageMinutes} min atrás)`);
+      }
+    }
+
+    return { candles: cleaned, report };
+  }
+
+  /**
+   * Origem dos candles de um timeframe
+   * @param {Object} source - { provider, realData, derivedFrom, cached }
+   */
+  getProvenance(source) {
+    if (!source || !source.realData) return 'simulated';
+    if (source.derivedFrom) return 'resampled';
+    if (source.cached || source.provider === 'store') return 'cached';
+    return 'real';
+  }
+
+  /**
+   * Valida todos os timeframes e anexa `quality` aos dados de mercado
+   * @param {Object} marketData - { '5M': [...], '15M': [...], ... }
+   * @param {Object} options - { sources: { tf: source }, now, assetClass }
+   * @returns {Object} Novo objeto de dados de mercado com candles validados + quality
+   */
+  validateMarketData(marketData, options = {}) {
+    const sources = options.sources || {};
+    const data = {};
+    const timeframes = {};
+    const blockingReasons = [];
+
+    for (const tf of Object.keys(marketData)) {
+      if (!Array.isArray(marketData[tf])) continue;
+
+      const { candles, report } = this.validateCandles(marketData[tf], tf, options);
+      const provenance = this.getProvenance(sources[tf]);
+
+      // Sempre os candles reparados (sem NaN/duplicatas); timeframe rejeitado bloqueia trades
+      data[tf] = candles;
+      timeframes[tf] = {
+        provenance,
+        provider: sources[tf]?.provider || null,
+        derivedFrom: sources[tf]?.derivedFrom || null,
+        ...report
+      };
+
+      if (provenance === 'simulated') blockingReasons.push(`${tf}: dados simulados`);
+      if (report.stale) blockingReasons.push(`${tf}: dados desatualizados`);
+      if (report.status === STATUS.REJECTED) blockingReasons.push(`${tf}: ${report.issues[0]}`);
+    }
+
+    data.quality = {
+      checkedAt: new Date(options.now ?? Date.now()),
+      tradeable: blockingReasons.length === 0,
+      blockingReasons,
+      timeframes
+    };
+
+    return data;
+  }
+}
+
+DataQualityValidator.STATUS = STATUS;
+
+module.exports = new DataQualityValidator();
+module.exports.DataQualityValidator = DataQualityValidator;
@@ -0,0 +1,194 @@
+/**
+ * ==========================================
+ * INSTRUMENT SPECIFICATIONS
+ * ==========================================
+ * Especificações de contrato por instrumento:
+ * - Tamanho do pip
+ * - Moeda base / cotação (para conversão de P/L)
+ * - Tamanho do lote e precisão de unidades
+ * - Casas decimais de preço aceitas pela OANDA (SL/TP/limit)
+ * - Símbolo OANDA
+ *
+ * Convenção OANDA: 1 unidade = 1 unidade da moeda base
+ * (forex), 1 onça (XAU), 1 contrato de índice ou 1 moeda cripto.
+ * P/L por unidade = variação de preço na moeda de cotação.
+ */
+
+const SPECS = {
+  // Forex
+  EURUSD: { type: 'forex', base: 'EUR', quote: 'USD', pipSize: 0.0001 },
+  GBPUSD: { type: 'forex', base: 'GBP', quote: 'USD', pipSize: 0.0001 },
+  USDJPY: { type: 'forex', base: 'USD', quote: 'JPY', pipSize: 0.01 },
+  USDCHF: { type: 'forex', base: 'USD', quote: 'CHF', pipSize: 0.0001 },
+  AUDUSD: { type: 'forex', base: 'AUD', quote: 'USD', pipSize: 0.0001 },
+  NZDUSD: { type: 'forex', base: 'NZD', quote: 'USD', pipSize: 0.0001 },
+  USDCAD: { type: 'forex', base: 'USD', quote: 'CAD', pipSize: 0.0001 },
+  EURGBP: { type: 'forex', base: 'EUR', quote: 'GBP', pipSize: 0.0001 },
+  EURJPY: { type: 'forex', base: 'EUR', quote: 'JPY', pipSize: 0.01 },
+  EURCHF: { type: 'forex', base: 'EUR', quote: 'CHF', pipSize: 0.0001 },
+  EURAUD: { type: 'forex', base: 'EUR', quote: 'AUD', pipSize: 0.0001 },
+  EURCAD: { type: 'forex', base: 'EUR', quote: 'CAD', pipSize: 0.0001 },
+  GBPJPY: { type: 'forex', base: 'GBP', quote: 'JPY', pipSize: 0.01 },
+  GBPCHF: { type: 'forex', base: 'GBP', quote: 'CHF', pipSize: 0.0001 },
+  GBPAUD: { type: 'forex', base: 'GBP', quote: 'AUD', pipSize: 0.0001 },
+  GBPCAD: { type: 'forex', base: 'GBP', quote: 'CAD', pipSize: 0.0001 },
+  AUDJPY: { type: 'forex', base: 'AUD', quote: 'JPY', pipSize: 0.01 },
+  CADJPY: { type: 'forex', base: 'CAD', quote: 'JPY', pipSize: 0.01 },
+  CHFJPY: { type: 'forex', base: 'CHF', quote: 'JPY', pipSize: 0.01 },
+  AUDCAD: { type: 'forex', base: 'AUD', quote: 'CAD', pipSize: 0.0001 },
+  AUDCHF: { type: 'forex', base: 'AUD', quote: 'CHF', pipSize: 0.0001 },
+  NZDJPY: { type: 'forex', base: 'NZD', quote: 'JPY', pipSize: 0.01 },
+
+  // Metais (1 unidade = 1 onça)
+  XAUUSD: { type: 'metal', base: 'XAU', quote: 'USD', pipSize: 0.01, oanda: 'XAU_USD' },
+
+  // Índices (1 unidade = 1 contrato de $1 por ponto)
+  US30: { type: 'index', base: 'US30', quote: 'USD', pipSize: 1, oanda: 'US30_USD' },
+
+  // Crypto (unidades fracionárias)
+  BTCUSD: { type: 'crypto', base: 'BTC', quote: 'USD', pipSize: 1, oanda: 'BTC_USD' },
+  ETHUSD: { type: 'crypto', base: 'ETH', quote: 'USD', pipSize: 0.1, pricePrecision: 2, oanda: 'ETH_USD' }
+};
+
+// Padrões por classe de ativo
+// pricePrecision: forex 5 casas (pares JPY: 3), XAU 3, índices e BTC 1
+const TYPE_DEFAULTS = {
+  forex: { lotSize: 100000, minUnits: 1, unitsPrecision: 0, pricePrecision: 5 },
+  metal: { lotSize: 100, minUnits: 1, unitsPrecision: 0, pricePrecision: 3 },
+  index: { lotSize: 1, minUnits: 1, unitsPrecision: 0, pricePrecision: 1 },
+  crypto: { lotSize: 1, minUnits: 0.0001, unitsPrecision: 4, pricePrecision: 1 }
+};
+
+// Cotações aproximadas em USD - usadas apenas quando não há preço ao vivo
+// (ex: backtests offline de pares cruzados)
+const REFERENCE_USD_RATES = {
+  USD: 1,
+  EUR: 1.085,
+  GBP: 1.265,
+  JPY: 1 / 148.5,
+  CHF: 1.12,
+  CAD: 1 / 1.355,
+  AUD: 0.655,
+  NZD: 0.61
+};
+
+/**
+ * Normaliza símbolo (EUR_USD, eur/usd → EURUSD)
+ */
+function normalizeSymbol(symbol) {
+  if (!symbol) return symbol;
+
+  const clean = String(symbol).toUpperCase().replace(/[_/\s]/g, '');
+  if (clean === 'US30USD') return 'US30';
+  return clean;
+}
+
+/**
+ * Retorna especificação completa do instrumento
+ * Pares forex desconhecidos são inferidos a partir do símbolo
+ */
+function getInstrumentSpec(symbol) {
+  const normalized = normalizeSymbol(symbol);
+  let spec = SPECS[normalized];
+
+  if (!spec) {
+    if (!/^[A-Z]{6}$/.test(normalized)) {
+      throw new Error(`Instrumento desconhecido: ${symbol}`);
+    }
+
+    const quote = normalized.slice(3);
+    spec = {
+      type: 'forex',
+      base: normalized.slice(0, 3),
+      quote,
+      pipSize: quote === 'JPY' ? 0.01 : 0.0001
+    };
+  }
+
+  return {
+    symbol: normalized,
+    ...TYPE_DEFAULTS[spec.type],
+    ...(spec.type === 'forex' && spec.quote === 'JPY' ? { pricePrecision: 3 } : {}),
+    ...spec,
+    oanda: spec.oanda || `${normalized.slice(0, 3)}_${normalized.slice(3)}`
+  };
+}
+
+/**
+ * Converte símbolo interno para o formato OANDA (EURUSD → EUR_USD, US30 → US30_USD)
+ */
+function toOandaInstrument(symbol) {
+  if (String(symbol).includes('_')) return symbol;
+  return getInstrumentSpec(symbol).oanda;
+}
+
+/**
+ * Preço no formato aceito pela OANDA (casas decimais do instrumento)
+ * @returns {string}
+ */
+function formatPrice(symbol, price) {
+  return Number(price).toFixed(getInstrumentSpec(symbol).pricePrecision);
+}
+
+/**
+ * Taxa de conversão aproximada entre duas moedas via USD
+ */
+function getReferenceRate(fromCurrency, toCurrency) {
+  if (fromCurrency === toCurrency) return 1;
+
+  const fromUSD = REFERENCE_USD_RATES[fromCurrency];
+  const toUSD = REFERENCE_USD_RATES[toCurrency];
+
+  if (!fromUSD || !toUSD) {
+    throw new Error(`Sem taxa de referência para ${fromCurrency}/${toCurrency}`);
+  }
+
+  return fromUSD / toUSD;
+}
+
+/**
+ * Resolve taxa de conversão da moeda de cotação para a moeda da conta
+ * sem chamadas externas, quando possível:
+ * - cotação = conta → 1
+ * - base = conta (ex: USDJPY em conta USD) → 1 / preço
+ * @returns {number|null} null se for necessário buscar preço de outro par
+ */
+function getDirectConversionRate(spec, accountCurrency, price) {
+  if (spec.quote === accountCurrency) return 1;
+  if (spec.base === accountCurrency && price > 0) return 1 / price;
+  return null;
+}
+
+/**
+ * Par cujo preço converte a moeda de cotação para a moeda da conta
+ * @returns {{ symbol: string, invert: boolean }}
+ */
+function getConversionPair(quoteCurrency, accountCurrency) {
+  const direct = `${quoteCurrency}${accountCurrency}`;
+  const inverse = `${accountCurrency}${quoteCurrency}`;
+
+  if (SPECS[direct]) return { symbol: direct, invert: false };
+  if (SPECS[inverse]) return { symbol: inverse, invert: true };
+
+  // Sem par listado: assume par direto (OANDA lista a maioria dos cruzamentos)
+  return { symbol: direct, invert: false };
+}
+
+/**
+ * Converte distância de preço em pips
+ */
+function priceToPips(symbol, priceDistance) {
+  return priceDistance / getInstrumentSpec(symbol).pipSize;
+}
+
+module.exports = {
+  SPECS,
+  normalizeSymbol,
+  getInstrumentSpec,
+  toOandaInstrument,
+  formatPrice,
+  getReferenceRate,
+  getDirectConversionRate,
+  getConversionPair,
+  priceToPips
+};
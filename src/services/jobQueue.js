@@ -0,0 +1,289 @@
+/**
+ * ==========================================
+ * JOB QUEUE
+ * ==========================================
+ * Fila de jobs em processo para tarefas longas (backtests, treinamento de ML):
+ * - enqueue → id do job; a requisição HTTP retorna na hora
+ * - Progresso (%) reportado pelo handler
+ * - Cancelamento: jobs na fila saem imediatamente, jobs em execução
+ *   param no próximo ponto de verificação do handler
+ * - Estado salvo em JSON: resultados concluídos sobrevivem a reinícios
+ *   (padrão: data/jobs.json na raiz do projeto, fora de src/; JOB_STORE_PATH sobrescreve)
+ *
+ * Handlers: async (params, job) => result
+ *   job.reportProgress(percent, message)
+ *   job.scope(start, end) → reportProgress mapeado para a faixa [start, end]
+ *   job.isCancelled()
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_STORE_FILE = process.env.JOB_STORE_PATH
+  || path.join(__dirname, '../../data/jobs.json');
+
+const MAX_FINISHED_JOBS = 100; // Jobs finalizados mantidos no arquivo
+
+const STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED'
+};
+
+const FINISHED_STATUSES = [STATUS.COMPLETED, STATUS.FAILED, STATUS.CANCELLED];
+
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.storeFile - Arquivo de estado dos jobs
+   * @param {number} options.concurrency - Jobs simultâneos (padrão: 1)
+   */
+  constructor(options = {}) {
+    this.storeFile = options.storeFile || DEFAULT_STORE_FILE;
+    this.concurrency = options.concurrency || 1;
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Registra o handler de um tipo de job
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Carrega jobs salvos
+   * - Concluídos/falhos/cancelados: mantidos para consulta
+   * - Na fila: voltam para a fila
+   * - Em execução no desligamento: marcados como falha (não há como retomar)
+   */
+  async initialize() {
+    let saved = [];
+    try {
+      saved = JSON.parse(await fs.readFile(this.storeFile, 'utf8'));
+    } catch (error) {
+      saved = [];
+    }
+
+    for (const job of saved) {
+      if (job.status === STATUS.RUNNING) {
+        job.status = STATUS.FAILED;
+        job.error = 'Interrompido por reinício do servidor';
+        job.finishedAt = new Date().toISOString();
+      }
+
+      this.jobs.set(job.id, job);
+      if (job.status === STATUS.QUEUED) this.queue.push(job.id);
+    }
+
+    if (saved.length > 0) {
+      console.log(`📋 Jobs carregados: ${saved.length} (${this.queue.length} na fila)`);
+    }
+
+    await this.persist();
+    this.drain();
+  }
+
+  /**
+   * Adiciona um job à fila
+   * @param {string} type - Tipo registrado em registerHandler
+   * @param {Object} params - Parâmetros do handler (devem ser serializáveis)
+   * @param {Object} meta - { userId }
+   */
+  async enqueue(type, params = {}, meta = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Tipo de job desconhecido: ${type}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: STATUS.QUEUED,
+      params,
+      userId: meta.userId || null,
+      progress: 0,
+      message: null,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    console.log(`📥 Job ${type} na fila: ${job.id}`);
+
+    await this.persist();
+    this.drain();
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * Inicia jobs da fila até o limite de concorrência
+   */
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (!job || job.status !== STATUS.QUEUED) continue;
+
+      this.running++;
+      this.execute(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async execute(job) {
+    job.status = STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    await this.persist();
+
+    const reportProgress = (percent, message) => {
+      job.progress = Math.min(Math.max(parseFloat(percent.toFixed(1)), 0), 100);
+      if (message !== undefined) job.message = message;
+    };
+
+    const handle = {
+      id: job.id,
+      reportProgress,
+      scope: (start, end) => (percent, message) => reportProgress(start + ((end - start) * percent) / 100, message),
+      isCancelled: () => job.cancelRequested
+    };
+
+    try {
+      const result = await this.handlers.get(job.type)(job.params, handle);
+
+      if (job.cancelRequested) {
+        job.status = STATUS.CANCELLED;
+      } else {
+        job.status = STATUS.COMPLETED;
+        job.result = result;
+        job.progress = 100;
+      }
+    } catch (error) {
+      job.status = job.cancelRequested ? STATUS.CANCELLED : STATUS.FAILED;
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    console.log(`${job.status === STATUS.COMPLETED ? '✅' : '⚠️ '} Job ${job.type} ${job.id}: ${job.status}`);
+
+    this.prune();
+    await this.persist();
+  }
+
+  /**
+   * Job pelo id, restrito ao dono quando userId é informado
+   * (job de outro usuário é tratado como inexistente)
+   */
+  findJob(id, userId) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (userId !== undefined && job.userId !== userId) return null;
+    return job;
+  }
+
+  /**
+   * Cancela um job
+   * @param {string} id
+   * @param {string} userId - Dono do job (opcional)
+   * @returns {Object|null} Job (null se não existe ou pertence a outro usuário)
+   */
+  async cancel(id, userId) {
+    const job = this.findJob(id, userId);
+    if (!job) return null;
+
+    if (job.status === STATUS.QUEUED) {
+      job.status = STATUS.CANCELLED;
+      job.finishedAt = new Date().toISOString();
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      await this.persist();
+    } else if (job.status === STATUS.RUNNING) {
+      // Handler encerra no próximo isCancelled()
+      job.cancelRequested = true;
+      job.message = 'Cancelamento solicitado';
+    }
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * Job sem o resultado (consulta de status)
+   * @param {string} userId - Dono do job (opcional)
+   */
+  getJob(id, userId) {
+    const job = this.findJob(id, userId);
+    return job ? this.toPublic(job) : null;
+  }
+
+  /**
+   * Job completo, com resultado
+   * @param {string} userId - Dono do job (opcional)
+   */
+  getJobWithResult(id, userId) {
+    const job = this.findJob(id, userId);
+    return job ? { ...this.toPublic(job), result: job.result } : null;
+  }
+
+  /**
+   * Lista jobs, mais recentes primeiro
+   * @param {Object} filters - { status, type, userId, limit }
+   */
+  listJobs(filters = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !filters.status || job.status === filters.status)
+      .filter(job => !filters.type || job.type === filters.type)
+      .filter(job => !filters.userId || job.userId === filters.userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, parseInt(filters.limit) || 50)
+      .map(job => this.toPublic(job));
+  }
+
+  toPublic(job) {
+    const { result, cancelRequested, ...rest } = job;
+    return { ...rest, hasResult: result !== null };
+  }
+
+  /**
+   * Mantém apenas os jobs finalizados mais recentes
+   */
+  prune() {
+    const finished = [...this.jobs.values()]
+      .filter(job => FINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+
+    finished.slice(MAX_FINISHED_JOBS).forEach(job => this.jobs.delete(job.id));
+  }
+
+  /**
+   * Salva o estado (escritas serializadas)
+   */
+  persist() {
+    const snapshot = JSON.stringify([...this.jobs.values()], null, 2);
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.storeFile), { recursive: true });
+        await fs.writeFile(this.storeFile, snapshot);
+      })
+      .catch(error => console.error('❌ Erro ao salvar jobs:', error.message));
+
+    return this.writeChain;
+  }
+}
+
+JobQueue.STATUS = STATUS;
+
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
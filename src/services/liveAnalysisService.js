@@ -5,16 +5,42 @@
  *
  * Serviço de análise ao vivo que roda continuamente
  * analisando todos os pares e armazenando os resultados
+ *
+ * Com pricingStream conectado, cada par é analisado no fechamento do candle
+ * de triggerTimeframe; o intervalo fixo cobre só pares fora do stream
+ * (ou todos, enquanto o stream estiver desconectado)
+ * Candles fechados no stream são gravados no store (marketDataService.ingestCandle)
+ * antes da análise: o candle que acabou de fechar entra nos dados analisados
+ *
+ * Eventos emitidos (consumidos pelo WebSocket):
+ * - 'signal'   → sinal novo ou alterado de um par
+ * - 'approval' → transição aprovado ⇄ rejeitado
+ * - 'cycle'    → início/fim de ciclo e start/stop do serviço
  */
 
-class LiveAnalysisService {
-  constructor(decisionEngine, marketDataService) {
+const EventEmitter = require('events');
+
+class LiveAnalysisService extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {PricingStream} options.pricingStream - Dispara análises no fechamento de candle
+   * @param {string} options.triggerTimeframe - Timeframe do gatilho (padrão: 5M)
+   */
+  constructor(decisionEngine, marketDataService, options = {}) {
+    super();
     this.decisionEngine = decisionEngine;
     this.marketDataService = marketDataService;
+    this.pricingStream = options.pricingStream || null;
+    this.triggerTimeframe = options.triggerTimeframe || '5M';
     this.liveSignals = new Map(); // Par -> Último sinal
     this.isRunning = false;
     this.analysisInterval = null;
     this.updateFrequency = 5 * 60 * 1000; // 5 minutos
+    this.streamedPairs = [];
+    this.analyzing = new Set(); // Pares em análise
+    this.pendingPairs = new Set(); // Candle fechou durante a análise: reanalisa ao terminar
+    this.candleWrites = new Map(); // Par -> gravação de candles do stream em andamento
+    this.onCandleClose = this.onCandleClose.bind(this);
 
     // Pares para análise ao vivo
     this.pairs = [
@@ -37,15 +63,96 @@ class LiveAnalysisService {
     console.log('\n🔴 INICIANDO ANÁLISE AO VIVO');
     console.log(`📊 Analisando ${this.pairs.length} pares a cada ${this.updateFrequency / 1000}s\n`);
 
+    this.emit('cycle', { status: 'SERVICE_STARTED', timestamp: new Date() });
+
+    if (this.pricingStream) {
+      this.pricingStream.on('candleClose', this.onCandleClose);
+      this.streamedPairs = this.pricingStream.start(this.pairs);
+      if (this.streamedPairs.length > 0) {
+        console.log(`📡 ${this.streamedPairs.length} pares analisados no fechamento do candle ${this.triggerTimeframe}`);
+      }
+    }
+
     // Primeira análise imediatamente
     this.runAnalysisCycle();
 
-    // Análises subsequentes
+    // Análises subsequentes (pares fora do stream)
     this.analysisInterval = setInterval(() => {
-      this.runAnalysisCycle();
+      const pairs = this.getPolledPairs();
+      if (pairs.length > 0) this.runAnalysisCycle(pairs);
     }, this.updateFrequency);
   }
 
+  /**
+   * Pares analisados pelo intervalo fixo: fora do stream ou stream desconectado
+   */
+  getPolledPairs() {
+    if (!this.pricingStream || !this.pricingStream.connected) return this.pairs;
+    return this.pairs.filter(pair => !this.streamedPairs.includes(pair));
+  }
+
+  /**
+   * Candle fechado no stream → grava o candle e analisa o par (um por vez por par)
+   */
+  onCandleClose({ pair, timeframe, candle, complete }) {
+    if (!this.isRunning || !this.pairs.includes(pair)) return;
+
+    // Candle parcial (stream conectou no meio dele) não substitui o da API
+    if (candle && complete) this.storeCandle(pair, timeframe, candle);
+    if (timeframe !== this.triggerTimeframe) return;
+
+    if (this.analyzing.has(pair)) {
+      this.pendingPairs.add(pair);
+      return;
+    }
+
+    this.analyzeOnCandleClose(pair);
+  }
+
+  /**
+   * Grava o candle do stream (gravações do mesmo par em sequência)
+   */
+  storeCandle(pair, timeframe, candle) {
+    if (!this.marketDataService.ingestCandle) return;
+
+    const previous = this.candleWrites.get(pair) || Promise.resolve();
+    const write = previous
+      .then(() => this.marketDataService.ingestCandle(pair, timeframe, candle))
+      .catch(error => console.error(`❌ Erro ao gravar candle ${pair} ${timeframe}:`, error.message));
+
+    this.candleWrites.set(pair, write);
+  }
+
+  /**
+   * Aguarda as gravações do par, inclusive as enfileiradas enquanto espera
+   * (timeframes maiores fecham no mesmo tick, depois do gatilho)
+   */
+  async flushCandleWrites(pair) {
+    let pending;
+    while (pending !== this.candleWrites.get(pair)) {
+      pending = this.candleWrites.get(pair);
+      await pending;
+    }
+  }
+
+  async analyzeOnCandleClose(pair) {
+    this.analyzing.add(pair);
+    try {
+      await this.flushCandleWrites(pair);
+      await this.analyzePair(pair);
+      const signal = this.liveSignals.get(pair);
+      console.log(`🕯️  ${pair} ${this.triggerTimeframe} fechado: ${signal?.approved ? `APROVADO - ${signal.direction}` : 'Rejeitado'}`);
+    } catch (error) {
+      console.error(`❌ Erro ao analisar ${pair}:`, error.message);
+    } finally {
+      this.analyzing.delete(pair);
+    }
+
+    if (this.pendingPairs.delete(pair) && this.isRunning) {
+      await this.analyzeOnCandleClose(pair);
+    }
+  }
+
   /**
    * Para análise ao vivo
    */
@@ -57,13 +164,21 @@ class LiveAnalysisService {
       clearInterval(this.analysisInterval);
       this.analysisInterval = null;
     }
+    if (this.pricingStream) {
+      this.pricingStream.removeListener('candleClose', this.onCandleClose);
+      this.pricingStream.stop();
+      this.streamedPairs = [];
+    }
+    this.pendingPairs.clear();
     console.log('\n🔴 ANÁLISE AO VIVO PARADA\n');
+
+    this.emit('cycle', { status: 'SERVICE_STOPPED', timestamp: new Date() });
   }
 
   /**
    * Executa um ciclo de análise em todos os pares
    */
-  async runAnalysisCycle() {
+  async runAnalysisCycle(pairs = this.pairs) {
     const startTime = Date.now();
     console.log(`\n${'='.repeat(70)}`);
     console.log(`🔴 ANÁLISE AO VIVO - ${new Date().toLocaleString('pt-BR')}`);
@@ -72,7 +187,16 @@ class LiveAnalysisService {
     let approvedCount = 0;
     let rejectedCount = 0;
 
-    for (const pair of this.pairs) {
+    this.emit('cycle', {
+      status: 'CYCLE_STARTED',
+      timestamp: new Date(),
+      totalPairs: pairs.length
+    });
+
+    for (const pair of pairs) {
+      if (this.analyzing.has(pair)) continue; // Já em análise pelo stream
+
+      this.analyzing.add(pair);
       try {
         await this.analyzePair(pair);
 
@@ -87,6 +211,9 @@ class LiveAnalysisService {
 
       } catch (error) {
         console.error(`❌ Erro ao analisar ${pair}:`, error.message);
+      } finally {
+        this.analyzing.delete(pair);
+        if (this.pendingPairs.delete(pair) && this.isRunning) this.analyzeOnCandleClose(pair);
       }
     }
 
@@ -96,6 +223,15 @@ class LiveAnalysisService {
     console.log(`📊 Aprovados: ${approvedCount} | Rejeitados: ${rejectedCount}`);
     console.log(`🕒 Próxima análise em ${this.updateFrequency / 1000}s`);
     console.log(`${'='.repeat(70)}\n`);
+
+    this.emit('cycle', {
+      status: 'CYCLE_COMPLETED',
+      timestamp: new Date(),
+      elapsedSeconds: parseFloat(elapsed),
+      approved: approvedCount,
+      rejected: rejectedCount,
+      nextCycleAt: new Date(Date.now() + this.updateFrequency)
+    });
   }
 
   /**
@@ -112,8 +248,10 @@ class LiveAnalysisService {
     const decision = result.decision;
     const analyses = result.analyses;
 
+    const previous = this.liveSignals.get(pair);
+
     // Armazena resultado
-    this.liveSignals.set(pair, {
+    const signal = {
       pair,
       timestamp: new Date(),
       approved: decision.approved || false,
@@ -126,8 +264,54 @@ class LiveAnalysisService {
       score: this.calculateScore(decision, analyses),
       criteria: decision.criteria,
       reasoning: decision.reason || decision.justification,
+      dataQuality: result.dataQuality ? {
+        tradeable: result.dataQuality.tradeable,
+        blockingReasons: result.dataQuality.blockingReasons
+      } : null,
       fullDecision: result
-    });
+    };
+
+    this.liveSignals.set(pair, signal);
+    this.emitSignalChanges(previous, signal);
+  }
+
+  /**
+   * Emite eventos apenas quando o sinal é novo ou mudou
+   */
+  emitSignalChanges(previous, signal) {
+    if (!previous) {
+      this.emit('signal', { change: 'NEW', signal });
+    } else if (this.hasSignalChanged(previous, signal)) {
+      this.emit('signal', { change: 'CHANGED', signal, previous });
+    }
+
+    const wasApproved = previous ? previous.approved : false;
+    if (wasApproved !== signal.approved) {
+      this.emit('approval', {
+        pair: signal.pair,
+        from: wasApproved ? 'APPROVED' : 'REJECTED',
+        to: signal.approved ? 'APPROVED' : 'REJECTED',
+        signal
+      });
+    }
+  }
+
+  /**
+   * Compara campos relevantes do sinal (ignora timestamp e análises completas)
+   */
+  hasSignalChanged(previous, current) {
+    const fields = ['approved', 'direction', 'entry', 'stopLoss', 'takeProfit', 'score'];
+    return fields.some(field => previous[field] !== current[field]);
+  }
+
+  /**
+   * Versão resumida do sinal para transmissão (sem fullDecision)
+   */
+  serializeSignal(signal) {
+    if (!signal) return null;
+
+    const { fullDecision, ...summary } = signal;
+    return summary;
   }
 
   /**
@@ -206,6 +390,9 @@ class LiveAnalysisService {
 
     return {
       isRunning: this.isRunning,
+      mode: this.pricingStream?.connected ? 'STREAM' : 'INTERVAL',
+      triggerTimeframe: this.triggerTimeframe,
+      streamedPairs: this.streamedPairs,
       updateFrequency: this.updateFrequency,
       totalPairs: this.pairs.length,
       analyzedPairs: signalCount,
@@ -6,6 +6,7 @@
  * - Cotações em tempo real
  * - Dados históricos (candles)
  * - Streaming de preços
+ * - Reconciliação de trades fechadas (SL/TP) via transações
  */
 
 const axios = require('axios');
@@ -16,7 +17,8 @@ class OandaService {
     this.accountId = process.env.OANDA_ACCOUNT_ID;
     this.environment = process.env.OANDA_ENVIRONMENT || 'practice';
     this.hostname = process.env.OANDA_HOSTNAME || 'api-fxpractice.oanda.com';
-    this.baseURL = `https://${this.hostname}/v3`;
+    this.baseURL = process.env.OANDA_BASE_URL || `https://${this.hostname}/v3`;
+    this.streamURL = process.env.OANDA_STREAM_URL || `https://${this.hostname.replace(/^api-/, 'stream-')}/v3`;
 
     // Headers padrão
     this.headers = {
@@ -24,6 +26,32 @@ class OandaService {
       'Content-Type': 'application/json',
       'Accept-Datetime-Format': 'UNIX'
     };
+
+    // Estado do reconciliador de trades
+    this.reconciler = {
+      timer: null,
+      running: false,
+      busy: false,
+      interval: 15 * 1000, // 15 segundos
+      lastTransactionId: null,
+      lastRunAt: null,
+      closedTrades: 0,
+      errors: 0,
+      handlers: {}
+    };
+  }
+
+  /**
+   * Sobrescreve credenciais/endpoint (ex: servidor mock em testes)
+   * @param {Object} config - { apiKey, accountId, baseURL, streamURL }
+   */
+  configure(config = {}) {
+    if (config.apiKey) this.apiKey = config.apiKey;
+    if (config.accountId) this.accountId = config.accountId;
+    if (config.baseURL) this.baseURL = config.baseURL;
+    if (config.streamURL) this.streamURL = config.streamURL;
+
+    this.headers['Authorization'] = `Bearer ${this.apiKey}`;
   }
 
   /**
@@ -86,6 +114,26 @@ class OandaService {
     }
   }
 
+  /**
+   * Abre o stream de preços (JSON por linha: PRICE e HEARTBEAT a cada 5s)
+   * @param {Array} instruments - Ex: ['EUR_USD', 'XAU_USD']
+   * @param {Object} options - { signal } (AbortSignal para encerrar)
+   * @returns {Readable} Corpo da resposta em streaming
+   */
+  async openPricingStream(instruments, options = {}) {
+    const response = await axios.get(
+      `${this.streamURL}/accounts/${this.accountId}/pricing/stream`,
+      {
+        headers: this.headers,
+        params: { instruments: instruments.join(',') },
+        responseType: 'stream',
+        signal: options.signal
+      }
+    );
+
+    return response.data;
+  }
+
   /**
    * Busca candles históricos
    * @param {string} instrument - Ex: EUR_USD
@@ -107,7 +155,7 @@ class OandaService {
       );
 
       const candles = response.data.candles.map(candle => ({
-        timestamp: new Date(candle.time).getTime(),
+        timestamp: this.parseTime(candle.time).getTime(),
         open: parseFloat(candle.mid.o),
         high: parseFloat(candle.mid.h),
         low: parseFloat(candle.mid.l),
@@ -127,6 +175,69 @@ class OandaService {
     }
   }
 
+  /**
+   * Busca candles de um período (paginação automática, máx. 5000 por requisição)
+   * @param {string} instrument - Ex: EUR_USD
+   * @param {string} granularity - M5, M15, H1, H4...
+   * @param {Date|string|number} from - Início do período
+   * @param {Date|string|number} to - Fim do período
+   */
+  async getCandlesRange(instrument, granularity, from, to) {
+    const pageSize = 5000;
+    const endTime = new Date(to).getTime();
+    let cursor = new Date(from).getTime();
+    const candles = [];
+
+    try {
+      while (cursor < endTime) {
+        const response = await axios.get(
+          `${this.baseURL}/instruments/${instrument}/candles`,
+          {
+            headers: this.headers,
+            params: {
+              granularity,
+              price: 'MBA', // Mid + Bid/Ask (spread real no backtest)
+              from: (cursor / 1000).toFixed(0), // UNIX (Accept-Datetime-Format)
+              count: pageSize
+            }
+          }
+        );
+
+        const page = response.data.candles
+          .filter(candle => candle.complete !== false)
+          .map(candle => ({
+            timestamp: this.parseTime(candle.time).getTime(),
+            open: parseFloat(candle.mid.o),
+            high: parseFloat(candle.mid.h),
+            low: parseFloat(candle.mid.l),
+            close: parseFloat(candle.mid.c),
+            volume: parseInt(candle.volume),
+            ...(candle.bid && candle.ask ? { bid: candle.bid, ask: candle.ask } : {})
+          }))
+          .filter(candle => candle.timestamp <= endTime);
+
+        if (page.length === 0) break;
+
+        candles.push(...page.filter(c => c.timestamp >= cursor));
+        const lastTimestamp = page[page.length - 1].timestamp;
+        if (lastTimestamp <= cursor) break;
+
+        cursor = lastTimestamp + 1;
+        if (response.data.candles.length < pageSize) break;
+      }
+
+      return {
+        success: true,
+        data: candles
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data || error.message
+      };
+    }
+  }
+
   /**
    * Busca dados multi-timeframe para análise institucional
    * @param {string} instrument - Par de moedas
@@ -252,6 +363,260 @@ class OandaService {
       };
     }
   }
+
+  /**
+   * Busca detalhes de uma trade (estado, preço médio de fechamento, P/L realizado)
+   */
+  async getTradeDetails(tradeId) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/accounts/${this.accountId}/trades/${tradeId}`,
+        { headers: this.headers }
+      );
+
+      return {
+        success: true,
+        data: response.data.trade
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data || error.message
+      };
+    }
+  }
+
+  /**
+   * Busca transações posteriores a um ID
+   */
+  async getTransactionsSinceId(transactionId) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/accounts/${this.accountId}/transactions/sinceid`,
+        {
+          headers: this.headers,
+          params: { id: transactionId }
+        }
+      );
+
+      return {
+        success: true,
+        data: {
+          transactions: response.data.transactions || [],
+          lastTransactionId: response.data.lastTransactionID
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data || error.message
+      };
+    }
+  }
+
+  // ====================================
+  // RECONCILIAÇÃO DE TRADES
+  // ====================================
+
+  /**
+   * Inicia reconciliação periódica das trades com a OANDA
+   * Fechamentos por SL/TP (ou manuais na plataforma) são repassados aos handlers
+   *
+   * @param {Object} handlers
+   * @param {Function} handlers.onTradeClosed - ({ tradeId, result, exitPrice, profitLoss, exitTimestamp, reason })
+   * @param {Function} handlers.onOrderFilled - ({ orderId, tradeId, fillPrice }) - ordens LIMIT executadas
+   * @param {Function} handlers.getOpenTradeIds - IDs das trades OPEN locais (verificadas ao iniciar)
+   * @param {number} handlers.interval - Intervalo de polling em ms
+   */
+  async startTradeReconciler(handlers = {}) {
+    if (this.reconciler.running) {
+      console.log('⚠️  Reconciliador de trades já está rodando');
+      return;
+    }
+
+    this.reconciler.handlers = handlers;
+    this.reconciler.interval = handlers.interval || this.reconciler.interval;
+    this.reconciler.running = true;
+
+    // Ponto de partida: última transação da conta
+    const account = await this.getAccountInfo();
+    if (!account.success) {
+      this.reconciler.running = false;
+      throw new Error('Não foi possível iniciar reconciliador: conta OANDA indisponível');
+    }
+    this.reconciler.lastTransactionId = account.data.lastTransactionID;
+
+    // Trades fechadas enquanto o servidor estava fora
+    await this.reconcileOpenTrades();
+
+    this.reconciler.timer = setInterval(async () => {
+      if (this.reconciler.busy) return; // Ciclo anterior ainda em andamento
+
+      this.reconciler.busy = true;
+      try {
+        await this.reconcileTransactions();
+      } catch (error) {
+        this.reconciler.errors++;
+        console.error('❌ Erro na reconciliação:', error.message);
+      } finally {
+        this.reconciler.busy = false;
+      }
+    }, this.reconciler.interval);
+
+    console.log(`🔁 Reconciliador de trades ativo (a cada ${this.reconciler.interval / 1000}s)`);
+  }
+
+  /**
+   * Para a reconciliação periódica
+   */
+  stopTradeReconciler() {
+    if (this.reconciler.timer) {
+      clearInterval(this.reconciler.timer);
+      this.reconciler.timer = null;
+    }
+    this.reconciler.running = false;
+  }
+
+  /**
+   * Processa transações novas desde a última reconciliação
+   * @returns {Array} Fechamentos processados
+   */
+  async reconcileTransactions() {
+    if (!this.reconciler.lastTransactionId) return [];
+
+    const result = await this.getTransactionsSinceId(this.reconciler.lastTransactionId);
+    if (!result.success) {
+      throw new Error(typeof result.error === 'string' ? result.error : JSON.stringify(result.error));
+    }
+
+    const { transactions, lastTransactionId } = result.data;
+    const { onTradeClosed, onOrderFilled } = this.reconciler.handlers;
+    const closures = [];
+
+    for (const transaction of transactions) {
+      if (transaction.type !== 'ORDER_FILL') continue;
+
+      // Ordem LIMIT executada → trade aberta na corretora
+      if (transaction.tradeOpened && onOrderFilled) {
+        await this.runHandler(onOrderFilled, {
+          orderId: String(transaction.orderID),
+          tradeId: String(transaction.tradeOpened.tradeID),
+          fillPrice: parseFloat(transaction.tradeOpened.price || transaction.price)
+        });
+      }
+
+      for (const closure of this.parseTradeClosures(transaction)) {
+        closures.push(closure);
+        if (onTradeClosed) await this.runHandler(onTradeClosed, closure);
+      }
+    }
+
+    this.reconciler.lastTransactionId = lastTransactionId || this.reconciler.lastTransactionId;
+    this.reconciler.lastRunAt = new Date();
+    this.reconciler.closedTrades += closures.length;
+
+    return closures;
+  }
+
+  /**
+   * Verifica trades OPEN locais diretamente na OANDA (getTradeDetails)
+   */
+  async reconcileOpenTrades() {
+    const { getOpenTradeIds, onTradeClosed } = this.reconciler.handlers;
+    if (!getOpenTradeIds || !onTradeClosed) return [];
+
+    const closures = [];
+    const tradeIds = await getOpenTradeIds();
+
+    for (const tradeId of tradeIds) {
+      const details = await this.getTradeDetails(tradeId);
+      if (!details.success || details.data.state !== 'CLOSED') continue;
+
+      const closure = this.toClosure({
+        tradeId,
+        exitPrice: details.data.averageClosePrice,
+        realizedPL: details.data.realizedPL,
+        time: details.data.closeTime,
+        reason: 'RECONCILED'
+      });
+
+      closures.push(closure);
+      await this.runHandler(onTradeClosed, closure);
+    }
+
+    this.reconciler.closedTrades += closures.length;
+    return closures;
+  }
+
+  /**
+   * Extrai fechamentos de uma transação ORDER_FILL
+   * reason: STOP_LOSS_ORDER, TAKE_PROFIT_ORDER, TRAILING_STOP_LOSS_ORDER, MARKET_ORDER_TRADE_CLOSE...
+   */
+  parseTradeClosures(transaction) {
+    const closed = transaction.tradesClosed || [];
+
+    return closed.map(trade => this.toClosure({
+      tradeId: trade.tradeID,
+      exitPrice: trade.price || transaction.price,
+      realizedPL: trade.realizedPL,
+      time: transaction.time,
+      reason: transaction.reason
+    }));
+  }
+
+  toClosure({ tradeId, exitPrice, realizedPL, time, reason }) {
+    const profitLoss = parseFloat(realizedPL) || 0;
+
+    let result = 'BREAKEVEN';
+    if (profitLoss > 0) result = 'WIN';
+    if (profitLoss < 0) result = 'LOSS';
+
+    return {
+      tradeId: String(tradeId),
+      result,
+      exitPrice: parseFloat(exitPrice),
+      profitLoss, // Moeda da conta
+      exitTimestamp: this.parseTime(time),
+      reason
+    };
+  }
+
+  /**
+   * Converte horário OANDA (UNIX "1700000000.000000000" ou RFC3339)
+   */
+  parseTime(time) {
+    if (!time) return new Date();
+    if (/^\d+(\.\d+)?$/.test(String(time))) {
+      return new Date(parseFloat(time) * 1000);
+    }
+    return new Date(time);
+  }
+
+  /**
+   * Executa handler sem interromper a reconciliação em caso de erro
+   */
+  async runHandler(handler, payload) {
+    try {
+      await handler(payload);
+    } catch (error) {
+      this.reconciler.errors++;
+      console.error(`❌ Reconciliação ${payload.tradeId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Status do reconciliador
+   */
+  getReconcilerStatus() {
+    return {
+      running: this.reconciler.running,
+      interval: this.reconciler.interval,
+      lastTransactionId: this.reconciler.lastTransactionId,
+      lastRunAt: this.reconciler.lastRunAt,
+      closedTrades: this.reconciler.closedTrades,
+      errors: this.reconciler.errors
+    };
+  }
 }
 
 module.exports = new OandaService();
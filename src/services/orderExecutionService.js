@@ -10,6 +10,7 @@
  */
 
 const axios = require('axios');
+const { toOandaInstrument, formatPrice } = require('./instrumentSpecs');
 
 class OrderExecutionService {
   constructor() {
@@ -60,7 +61,7 @@ class OrderExecutionService {
       // Adiciona Stop Loss se fornecido
       if (stopLoss) {
         orderPayload.order.stopLossOnFill = {
-          price: stopLoss.toFixed(5),
+          price: formatPrice(instrument, stopLoss),
           timeInForce: 'GTC'
         };
       }
@@ -68,7 +69,7 @@ class OrderExecutionService {
       // Adiciona Take Profit se fornecido
       if (takeProfit) {
         orderPayload.order.takeProfitOnFill = {
-          price: takeProfit.toFixed(5),
+          price: formatPrice(instrument, takeProfit),
           timeInForce: 'GTC'
         };
       }
@@ -116,7 +117,7 @@ class OrderExecutionService {
           type: 'LIMIT',
           instrument: instrument,
           units: finalUnits.toString(),
-          price: price.toFixed(5),
+          price: formatPrice(instrument, price),
           timeInForce: 'GTC', // Good Till Cancelled
           positionFill: 'DEFAULT'
         }
@@ -124,14 +125,14 @@ class OrderExecutionService {
 
       if (stopLoss) {
         orderPayload.order.stopLossOnFill = {
-          price: stopLoss.toFixed(5),
+          price: formatPrice(instrument, stopLoss),
           timeInForce: 'GTC'
         };
       }
 
       if (takeProfit) {
         orderPayload.order.takeProfitOnFill = {
-          price: takeProfit.toFixed(5),
+          price: formatPrice(instrument, takeProfit),
           timeInForce: 'GTC'
         };
       }
@@ -219,21 +220,22 @@ class OrderExecutionService {
    * @param {string} tradeId
    * @param {number} stopLoss
    * @param {number} takeProfit
+   * @param {string} instrument - Ex: XAU_USD (define as casas decimais dos preços)
    */
-  async modifyTrade(tradeId, stopLoss, takeProfit) {
+  async modifyTrade(tradeId, stopLoss, takeProfit, instrument) {
     try {
       const payload = {};
 
       if (stopLoss) {
         payload.stopLoss = {
-          price: stopLoss.toFixed(5),
+          price: formatPrice(instrument, stopLoss),
           timeInForce: 'GTC'
         };
       }
 
       if (takeProfit) {
         payload.takeProfit = {
-          price: takeProfit.toFixed(5),
+          price: formatPrice(instrument, takeProfit),
           timeInForce: 'GTC'
         };
       }
@@ -279,14 +281,24 @@ class OrderExecutionService {
     }
   }
 
+  /**
+   * Sinal aprovado: decision pode ser a string 'TRADE_APPROVED'
+   * ou o objeto de decisão do DecisionEngine ({ signal: 'TRADE_APPROVED' })
+   */
+  isApprovedSignal(signal) {
+    if (!signal) return false;
+    return signal.decision === 'TRADE_APPROVED' || signal.decision?.signal === 'TRADE_APPROVED';
+  }
+
   /**
    * Executa ordem baseada no sinal da IA
    * @param {Object} signal - Sinal gerado pelo decisionEngine
+   * @param {Object} sizing - Resultado do positionSizingService (units, riskAmount...)
    */
-  async executeAISignal(signal) {
+  async executeAISignal(signal, sizing = {}) {
     try {
       // Valida se o sinal foi aprovado
-      if (signal.decision !== 'TRADE_APPROVED') {
+      if (!this.isApprovedSignal(signal)) {
         return {
           success: false,
           error: 'Sinal não aprovado para execução',
@@ -294,13 +306,22 @@ class OrderExecutionService {
         };
       }
 
+      // Unidades vêm do positionSizingService (risco % da conta)
+      if (!(sizing.units > 0)) {
+        return {
+          success: false,
+          error: 'Tamanho de posição inválido',
+          reason: sizing.reason
+        };
+      }
+
       // Prepara dados da ordem
       const orderData = {
-        instrument: signal.instrument,
+        instrument: toOandaInstrument(signal.instrument),
         type: signal.type, // BUY ou SELL
-        units: 10000, // Padrão: 1 lote mini (ajustar conforme gestão de risco)
-        stopLoss: signal.stop_loss,
-        takeProfit: signal.take_profit
+        units: sizing.units,
+        stopLoss: parseFloat(signal.stop_loss),
+        takeProfit: parseFloat(signal.take_profit)
       };
 
       // Executa Market ou Limit
@@ -308,7 +329,7 @@ class OrderExecutionService {
       if (signal.order_type === 'MARKET') {
         result = await this.placeMarketOrder(orderData);
       } else if (signal.order_type === 'LIMIT') {
-        orderData.price = signal.entry_price;
+        orderData.price = parseFloat(signal.entry_price);
         result = await this.placeLimitOrder(orderData);
       }
 
@@ -316,6 +337,7 @@ class OrderExecutionService {
         return {
           success: true,
           execution: result.data,
+          sizing,
           signal: signal
         };
       } else {
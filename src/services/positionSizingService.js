@@ -0,0 +1,187 @@
+/**
+ * ==========================================
+ * POSITION SIZING SERVICE
+ * ==========================================
+ * Calcula o tamanho da posição pelo risco da conta:
+ *   unidades = (saldo × risco%) / (distância do stop × valor por unidade)
+ *
+ * - Forex, metais (XAUUSD), índices e crypto
+ * - Converte moeda de cotação → moeda da conta
+ * - Mesmo cálculo para trades ao vivo e backtest
+ */
+
+const oandaService = require('./oandaService');
+const {
+  getInstrumentSpec,
+  getReferenceRate,
+  getDirectConversionRate,
+  getConversionPair
+} = require('./instrumentSpecs');
+
+class PositionSizingService {
+  constructor() {
+    this.defaultRiskPercent = parseFloat(process.env.DEFAULT_RISK_PERCENT) || 1;
+    this.maxRiskPercent = 10;
+  }
+
+  /**
+   * Calcula unidades para um risco fixo (síncrono, sem chamadas externas)
+   * @param {Object} params
+   * @param {string} params.instrument - Ex: EURUSD, XAUUSD, US30, BTCUSD
+   * @param {number} params.balance - Saldo da conta
+   * @param {number} params.riskPercent - Percentual do saldo em risco (1 = 1%)
+   * @param {number} params.entryPrice - Preço de entrada
+   * @param {number} params.stopLoss - Preço do stop loss
+   * @param {string} params.accountCurrency - Moeda da conta (padrão: USD)
+   * @param {number} params.conversionRate - Cotação → conta (opcional)
+   * @param {number} params.maxUnits - Limite de unidades (opcional)
+   */
+  calculatePositionSize(params) {
+    const {
+      instrument,
+      accountCurrency = 'USD',
+      maxUnits
+    } = params;
+
+    const balance = parseFloat(params.balance);
+    const riskPercent = parseFloat(params.riskPercent ?? this.defaultRiskPercent);
+    const entryPrice = parseFloat(params.entryPrice);
+    const stopLoss = parseFloat(params.stopLoss);
+
+    if (!(balance > 0)) {
+      throw new Error('Saldo da conta inválido');
+    }
+    if (!(riskPercent > 0) || riskPercent > this.maxRiskPercent) {
+      throw new Error(`Risco por trade deve estar entre 0 e ${this.maxRiskPercent}%`);
+    }
+    if (!(entryPrice > 0) || !(stopLoss > 0)) {
+      throw new Error('Preço de entrada e stop loss são obrigatórios');
+    }
+
+    const stopDistance = Math.abs(entryPrice - stopLoss);
+    if (stopDistance === 0) {
+      throw new Error('Stop loss não pode ser igual ao preço de entrada');
+    }
+
+    const spec = getInstrumentSpec(instrument);
+    const conversionRate = params.conversionRate
+      ?? getDirectConversionRate(spec, accountCurrency, entryPrice)
+      ?? getReferenceRate(spec.quote, accountCurrency);
+
+    const riskAmount = balance * (riskPercent / 100);
+
+    // Perda por unidade (na moeda da conta) se o stop for atingido
+    const lossPerUnit = stopDistance * conversionRate;
+
+    let units = this.roundUnits(riskAmount / lossPerUnit, spec.unitsPrecision);
+    let capped = false;
+
+    if (maxUnits && units > maxUnits) {
+      units = this.roundUnits(maxUnits, spec.unitsPrecision);
+      capped = true;
+    }
+
+    const belowMinimum = units < spec.minUnits;
+    if (belowMinimum) units = 0;
+
+    const pipValuePerUnit = spec.pipSize * conversionRate;
+
+    return {
+      instrument: spec.symbol,
+      assetType: spec.type,
+      units,
+      lots: parseFloat((units / spec.lotSize).toFixed(4)),
+      balance,
+      accountCurrency,
+      riskPercent,
+      riskAmount: parseFloat(riskAmount.toFixed(2)),
+      actualRisk: parseFloat((units * lossPerUnit).toFixed(2)),
+      stopDistance,
+      stopPips: parseFloat((stopDistance / spec.pipSize).toFixed(1)),
+      pipValue: parseFloat((units * pipValuePerUnit).toFixed(4)),
+      conversionRate,
+      capped,
+      reason: belowMinimum ? `Posição abaixo do mínimo de ${spec.minUnits} unidades` : null
+    };
+  }
+
+  /**
+   * Arredonda para baixo na precisão do instrumento (nunca arrisca mais que o permitido)
+   */
+  roundUnits(units, precision = 0) {
+    const factor = Math.pow(10, precision);
+    // Epsilon evita perder 1 unidade por erro de ponto flutuante (ex: 39999.9999)
+    return Math.floor(units * factor + 1e-6) / factor;
+  }
+
+  /**
+   * Busca taxa de conversão cotação → conta
+   * Pares cruzados (ex: EURGBP em conta USD) usam o preço atual do OANDA
+   */
+  async resolveConversionRate(instrument, accountCurrency, entryPrice) {
+    const spec = getInstrumentSpec(instrument);
+
+    const direct = getDirectConversionRate(spec, accountCurrency, entryPrice);
+    if (direct !== null) return direct;
+
+    const { symbol, invert } = getConversionPair(spec.quote, accountCurrency);
+    const priceResult = await oandaService.getCurrentPrice(getInstrumentSpec(symbol).oanda);
+
+    if (priceResult.success) {
+      const mid = (priceResult.data.bid + priceResult.data.ask) / 2;
+      return invert ? 1 / mid : mid;
+    }
+
+    console.warn(`⚠️  Sem preço para ${symbol}, usando taxa de referência`);
+    return getReferenceRate(spec.quote, accountCurrency);
+  }
+
+  /**
+   * Dimensiona um sinal da IA usando o saldo real da conta OANDA
+   * @param {Object} signal - Sinal com instrument, entry_price, stop_loss
+   * @param {Object} options
+   * @param {number} options.riskPercent - Risco do usuário (padrão: DEFAULT_RISK_PERCENT)
+   */
+  async sizeSignal(signal, options = {}) {
+    try {
+      const account = await oandaService.getAccountInfo();
+      if (!account.success) {
+        return {
+          success: false,
+          error: 'Não foi possível obter saldo da conta OANDA'
+        };
+      }
+
+      const accountCurrency = account.data.currency || 'USD';
+      const entryPrice = parseFloat(signal.entry_price);
+      const conversionRate = await this.resolveConversionRate(
+        signal.instrument,
+        accountCurrency,
+        entryPrice
+      );
+
+      const sizing = this.calculatePositionSize({
+        instrument: signal.instrument,
+        balance: parseFloat(account.data.balance),
+        riskPercent: options.riskPercent ?? this.defaultRiskPercent,
+        entryPrice,
+        stopLoss: signal.stop_loss,
+        accountCurrency,
+        conversionRate,
+        maxUnits: options.maxUnits
+      });
+
+      return {
+        success: true,
+        data: sizing
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = new PositionSizingService();
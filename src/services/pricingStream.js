@@ -0,0 +1,347 @@
+/**
+ * ==========================================
+ * PRICING STREAM
+ * ==========================================
+ * Ingestão em tempo real do stream de preços OANDA v20 (substitui polling de getCurrentPrice):
+ * - Melhor bid/ask, spread e profundidade por instrumento (memória)
+ * - Candles ao vivo em todos os timeframes (mid + bid/ask, volume = ticks)
+ * - Fechamento de candle no primeiro tick do bloco seguinte ou no heartbeat
+ *   (mercado parado não segura o candle aberto)
+ * - Reconexão com backoff exponencial; sem mensagens por heartbeatTimeoutMs → reconecta
+ *
+ * Eventos:
+ * - 'price'        → cotação atualizada { pair, bid, ask, spread, mid, time, ... }
+ * - 'candleClose'  → { pair, timeframe, candle, complete } candle fechado
+ *   (complete: false → stream conectado depois da abertura do candle; OHLC parcial)
+ * - 'connected' / 'disconnected' → { error? }
+ */
+
+const EventEmitter = require('events');
+const oandaService = require('./oandaService');
+const candleStore = require('./candleStore');
+const candleResampler = require('./candleResampler');
+const { normalizeSymbol, getInstrumentSpec, toOandaInstrument } = require('./instrumentSpecs');
+
+const DEFAULT_TIMEFRAMES = ['1M', '5M', '15M', '1H', '4H'];
+
+/**
+ * Horário OANDA (UNIX "1700000000.123456789" ou RFC3339) → ms
+ */
+function parseTime(time) {
+  if (/^\d+(\.\d+)?$/.test(String(time))) return Math.round(parseFloat(time) * 1000);
+  return Date.parse(time);
+}
+
+class PricingStream extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.service - Cliente OANDA (padrão: oandaService)
+   * @param {Array} options.timeframes - Timeframes dos candles ao vivo (padrão: 1M, 5M, 15M, 1H, 4H)
+   * @param {number} options.historySize - Candles fechados mantidos por par/timeframe (padrão: 500)
+   * @param {number} options.heartbeatTimeoutMs - Silêncio máximo antes de reconectar (padrão: 20s)
+   * @param {number} options.reconnectDelayMs - Primeira espera de reconexão (padrão: 1s, dobra até 60s)
+   */
+  constructor(options = {}) {
+    super();
+    this.service = options.service || oandaService;
+    this.timeframes = options.timeframes || DEFAULT_TIMEFRAMES;
+    this.historySize = options.historySize ?? 500;
+    this.heartbeatTimeoutMs = options.heartbeatTimeoutMs ?? 20 * 1000;
+    this.reconnectDelayMs = options.reconnectDelayMs ?? 1000;
+    this.maxReconnectDelayMs = options.maxReconnectDelayMs ?? 60 * 1000;
+
+    this.instruments = new Map(); // EUR_USD → EURUSD
+    this.quotes = new Map();      // Par → melhor bid/ask
+    this.series = new Map();      // PAR_TF → { current, closed }
+
+    this.running = false;
+    this.connected = false;
+    this.stream = null;
+    this.abortController = null;
+    this.watchdog = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+    this.streamStart = null; // Horário OANDA da primeira mensagem da conexão atual
+
+    this.stats = {
+      connectedAt: null,
+      lastMessageAt: null,
+      lastHeartbeat: null,
+      ticks: 0,
+      candlesClosed: 0,
+      reconnects: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Inicia o stream para os pares informados
+   * @param {Array} pairs - Ex: ['EURUSD', 'XAUUSD']
+   * @returns {Array} Pares efetivamente no stream (vazio se OANDA não configurado)
+   */
+  start(pairs) {
+    if (this.running) return [...this.instruments.values()];
+
+    if (!this.service.isConfigured()) {
+      console.log('⚠️  Stream de preços OANDA desativado (credenciais não configuradas)');
+      return [];
+    }
+
+    this.instruments = new Map(pairs.map(pair => [toOandaInstrument(pair), normalizeSymbol(pair)]));
+    this.running = true;
+
+    console.log(`📡 Stream de preços OANDA: ${this.instruments.size} instrumentos`);
+    this.connect();
+
+    return [...this.instruments.values()];
+  }
+
+  /**
+   * Encerra o stream (candles em formação são mantidos)
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.watchdog);
+    this.reconnectTimer = null;
+    this.watchdog = null;
+
+    if (this.abortController) this.abortController.abort();
+    if (this.stream) this.stream.destroy();
+    this.stream = null;
+    this.connected = false;
+  }
+
+  async connect() {
+    this.abortController = new AbortController();
+
+    try {
+      this.stream = await this.service.openPricingStream([...this.instruments.keys()], {
+        signal: this.abortController.signal
+      });
+      if (!this.running) return this.stream.destroy();
+
+      this.connected = true;
+      this.streamStart = null;
+      this.reconnectAttempt = 0;
+      this.stats.connectedAt = new Date();
+      this.stats.lastMessageAt = Date.now();
+      this.startWatchdog();
+      console.log('✅ Stream de preços conectado');
+      this.emit('connected');
+
+      await this.consume(this.stream);
+      throw new Error('Stream encerrado pelo servidor');
+    } catch (error) {
+      clearInterval(this.watchdog);
+      this.connected = false;
+      if (!this.running) return;
+
+      this.stats.lastError = error.message;
+      console.error(`❌ Stream de preços desconectado: ${error.message}`);
+      this.emit('disconnected', { error: error.message });
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(this.reconnectDelayMs * 2 ** this.reconnectAttempt, this.maxReconnectDelayMs);
+    this.reconnectAttempt++;
+    this.stats.reconnects++;
+
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    this.reconnectTimer.unref?.();
+  }
+
+  /**
+   * Sem preço nem heartbeat no prazo → conexão morta, força reconexão
+   */
+  startWatchdog() {
+    clearInterval(this.watchdog);
+    this.watchdog = setInterval(() => {
+      if (Date.now() - this.stats.lastMessageAt > this.heartbeatTimeoutMs && this.stream) {
+        this.stream.destroy(new Error(`Sem mensagens há ${this.heartbeatTimeoutMs / 1000}s`));
+      }
+    }, Math.max(this.heartbeatTimeoutMs / 4, 100));
+    this.watchdog.unref?.();
+  }
+
+  /**
+   * Lê o corpo em streaming (um JSON por linha) até o fim da conexão
+   */
+  consume(stream) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+
+      stream.on('data', chunk => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          try {
+            this.handleMessage(JSON.parse(line));
+          } catch (error) {
+            console.error('⚠️  Mensagem inválida no stream de preços:', error.message);
+          }
+        }
+      });
+      stream.on('end', resolve);
+      stream.on('close', resolve);
+      stream.on('error', reject);
+    });
+  }
+
+  handleMessage(message) {
+    this.stats.lastMessageAt = Date.now();
+    if (this.streamStart === null && message.time) this.streamStart = parseTime(message.time);
+
+    if (message.type === 'HEARTBEAT') {
+      const time = parseTime(message.time);
+      this.stats.lastHeartbeat = new Date(time);
+      this.closeExpiredCandles(time);
+    } else if (message.type === 'PRICE') {
+      this.handlePrice(message);
+    }
+  }
+
+  /**
+   * Atualiza a cotação e os candles ao vivo do instrumento
+   */
+  handlePrice(price) {
+    const pair = this.instruments.get(price.instrument);
+    if (!pair || !price.bids?.length || !price.asks?.length) return;
+
+    const bids = price.bids.map(level => ({ price: parseFloat(level.price), liquidity: level.liquidity }))
+      .sort((a, b) => b.price - a.price);
+    const asks = price.asks.map(level => ({ price: parseFloat(level.price), liquidity: level.liquidity }))
+      .sort((a, b) => a.price - b.price);
+
+    const quote = {
+      pair,
+      instrument: price.instrument,
+      bid: bids[0].price,
+      ask: asks[0].price,
+      spread: asks[0].price - bids[0].price,
+      mid: (bids[0].price + asks[0].price) / 2,
+      bids,
+      asks,
+      tradeable: price.tradeable !== false,
+      time: new Date(parseTime(price.time))
+    };
+
+    this.quotes.set(pair, quote);
+    this.stats.ticks++;
+    this.emit('price', quote);
+
+    this.updateCandles(quote);
+  }
+
+  updateCandles(quote) {
+    const timestamp = quote.time.getTime();
+    const session = getInstrumentSpec(quote.pair).type !== 'crypto';
+
+    for (const timeframe of this.timeframes) {
+      const series = this.getSeries(quote.pair, timeframe);
+      const bucket = candleResampler.getBucketStart(timestamp, candleStore.getTimeframeMs(timeframe), session);
+
+      if (series.current && bucket < series.current.timestamp) continue; // Tick atrasado de um bloco já fechado
+      if (series.current && bucket > series.current.timestamp) this.closeCandle(quote.pair, timeframe, series);
+
+      if (!series.current) {
+        series.current = {
+          timestamp: bucket,
+          open: quote.mid,
+          high: quote.mid,
+          low: quote.mid,
+          close: quote.mid,
+          volume: 0,
+          bid: { open: quote.bid, high: quote.bid, low: quote.bid, close: quote.bid },
+          ask: { open: quote.ask, high: quote.ask, low: quote.ask, close: quote.ask }
+        };
+      }
+
+      const candle = series.current;
+      candle.high = Math.max(candle.high, quote.mid);
+      candle.low = Math.min(candle.low, quote.mid);
+      candle.close = quote.mid;
+      candle.volume++;
+
+      for (const [side, value] of [['bid', quote.bid], ['ask', quote.ask]]) {
+        candle[side].high = Math.max(candle[side].high, value);
+        candle[side].low = Math.min(candle[side].low, value);
+        candle[side].close = value;
+      }
+    }
+  }
+
+  /**
+   * Fecha candles cujo bloco terminou até `time` (heartbeat)
+   */
+  closeExpiredCandles(time) {
+    for (const [key, series] of this.series) {
+      if (!series.current) continue;
+
+      const [pair, timeframe] = key.split('_');
+      const session = getInstrumentSpec(pair).type !== 'crypto';
+      const bucket = candleResampler.getBucketStart(time, candleStore.getTimeframeMs(timeframe), session);
+
+      if (bucket > series.current.timestamp) this.closeCandle(pair, timeframe, series);
+    }
+  }
+
+  closeCandle(pair, timeframe, series) {
+    const candle = series.current;
+    series.current = null;
+    series.closed.push(candle);
+    if (series.closed.length > this.historySize) series.closed.shift();
+
+    // Ticks desde a abertura do candle só se a conexão já existia nela
+    const complete = this.streamStart !== null && this.streamStart <= candle.timestamp;
+
+    this.stats.candlesClosed++;
+    this.emit('candleClose', { pair, timeframe, candle, complete });
+  }
+
+  getSeries(pair, timeframe) {
+    const key = `${pair}_${timeframe}`;
+    if (!this.series.has(key)) this.series.set(key, { current: null, closed: [] });
+    return this.series.get(key);
+  }
+
+  /**
+   * Melhor bid/ask atual de um par
+   */
+  getQuote(pair) {
+    return this.quotes.get(normalizeSymbol(pair)) || null;
+  }
+
+  /**
+   * Cotações de todos os pares, ordem do stream
+   */
+  getQuotes() {
+    return [...this.quotes.values()].map(({ bids, asks, ...quote }) => quote);
+  }
+
+  /**
+   * Candles ao vivo: fechados + o em formação (último)
+   */
+  getCandles(pair, timeframe) {
+    const series = this.series.get(`${normalizeSymbol(pair)}_${timeframe}`);
+    if (!series) return [];
+    return series.current ? [...series.closed, series.current] : [...series.closed];
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      connected: this.connected,
+      instruments: [...this.instruments.values()],
+      timeframes: this.timeframes,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = PricingStream;
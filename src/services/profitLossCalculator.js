@@ -0,0 +1,97 @@
+/**
+ * ==========================================
+ * PROFIT / LOSS CALCULATOR
+ * ==========================================
+ * Cálculo único de resultado de trades:
+ * - Pips (respeita escala JPY, metais, índices e crypto)
+ * - R-multiple (resultado / risco inicial)
+ * - P/L em dinheiro na moeda de cotação e na moeda da conta
+ *
+ * Usado pelo /api/trade/update, backtest e Reinforcement Learning
+ */
+
+const {
+  getInstrumentSpec,
+  getReferenceRate,
+  getDirectConversionRate
+} = require('./instrumentSpecs');
+
+/**
+ * Variação de preço a favor da trade (positivo = lucro)
+ */
+function directionalDiff(direction, entryPrice, exitPrice) {
+  if (direction !== 'BUY' && direction !== 'SELL') {
+    throw new Error(`Direção inválida: ${direction}`);
+  }
+
+  return direction === 'BUY' ? exitPrice - entryPrice : entryPrice - exitPrice;
+}
+
+/**
+ * Pips ganhos/perdidos
+ */
+function calculatePips(instrument, direction, entryPrice, exitPrice) {
+  const spec = getInstrumentSpec(instrument);
+  const diff = directionalDiff(direction, parseFloat(entryPrice), parseFloat(exitPrice));
+
+  return parseFloat((diff / spec.pipSize).toFixed(1));
+}
+
+/**
+ * Resultado completo de uma trade
+ * @param {Object} params
+ * @param {string} params.instrument - Ex: EURUSD, USDJPY, XAUUSD, US30
+ * @param {string} params.direction - BUY ou SELL
+ * @param {number} params.entryPrice
+ * @param {number} params.exitPrice
+ * @param {number} params.stopLoss - Stop inicial (para R-multiple)
+ * @param {number} params.units - Unidades da posição (para P/L em dinheiro)
+ * @param {string} params.accountCurrency - Padrão: USD
+ * @param {number} params.conversionRate - Cotação → conta no fechamento (opcional)
+ *   Trades ao vivo em pares cruzados devem informar a taxa atual; sem ela,
+ *   pares sem conversão direta usam REFERENCE_USD_RATES (aceitável só em backtests offline)
+ */
+function calculateProfitLoss(params) {
+  const {
+    instrument,
+    direction,
+    accountCurrency = 'USD'
+  } = params;
+
+  const entryPrice = parseFloat(params.entryPrice);
+  const exitPrice = parseFloat(params.exitPrice);
+  const stopLoss = parseFloat(params.stopLoss);
+  const units = Math.abs(parseFloat(params.units) || 0);
+
+  if (!(entryPrice > 0) || !(exitPrice > 0)) {
+    throw new Error('Preços de entrada e saída são obrigatórios');
+  }
+
+  const spec = getInstrumentSpec(instrument);
+  const diff = directionalDiff(direction, entryPrice, exitPrice);
+
+  // Conversão pelo preço de saída (momento em que o P/L é realizado)
+  const conversionRate = params.conversionRate
+    ?? getDirectConversionRate(spec, accountCurrency, exitPrice)
+    ?? getReferenceRate(spec.quote, accountCurrency);
+
+  const riskDistance = stopLoss > 0 ? Math.abs(entryPrice - stopLoss) : 0;
+  const profitLossQuote = diff * units;
+
+  return {
+    instrument: spec.symbol,
+    direction,
+    pips: parseFloat((diff / spec.pipSize).toFixed(1)),
+    rMultiple: riskDistance > 0 ? parseFloat((diff / riskDistance).toFixed(2)) : null,
+    profitLossQuote: parseFloat(profitLossQuote.toFixed(2)),
+    profitLoss: parseFloat((profitLossQuote * conversionRate).toFixed(2)),
+    quoteCurrency: spec.quote,
+    accountCurrency,
+    conversionRate
+  };
+}
+
+module.exports = {
+  calculatePips,
+  calculateProfitLoss
+};
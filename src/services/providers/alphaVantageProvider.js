@@ -0,0 +1,98 @@
+/**
+ * ==========================================
+ * ALPHA VANTAGE PROVIDER
+ * ==========================================
+ * Forex intraday - plano gratuito: 5 chamadas/minuto
+ * (sem 4H: o maior intervalo intraday é 60min)
+ */
+
+const axios = require('axios');
+const MarketDataProvider = require('./marketDataProvider');
+const { getInstrumentSpec } = require('../instrumentSpecs');
+
+const INTERVALS = {
+  '1M': '1min',
+  '5M': '5min',
+  '15M': '15min',
+  '1H': '60min'
+};
+
+class AlphaVantageProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'alphaVantage',
+      assetClasses: ['forex'],
+      timeframes: Object.keys(INTERVALS),
+      rateLimit: { maxPerMinute: 5, minIntervalMs: 12000 },
+      ...options
+    });
+    this.apiKey = options.apiKey ?? process.env.ALPHA_VANTAGE_API_KEY ?? '';
+    this.baseURL = options.baseURL || 'https://www.alphavantage.co/query';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async request(params) {
+    const response = await axios.get(this.baseURL, {
+      params: { ...params, apikey: this.apiKey },
+      timeout: 15000
+    });
+
+    // Limite atingido vem como 200 com "Note" / "Information"
+    if (response.data.Note || response.data.Information) {
+      throw new Error('Alpha Vantage: rate limit atingido');
+    }
+    if (response.data['Error Message']) {
+      throw new Error(response.data['Error Message']);
+    }
+
+    return response.data;
+  }
+
+  async getCandles(pair, timeframe, count = 500) {
+    const spec = getInstrumentSpec(pair);
+    const data = await this.request({
+      function: 'FX_INTRADAY',
+      from_symbol: spec.base,
+      to_symbol: spec.quote,
+      interval: INTERVALS[timeframe],
+      outputsize: count > 100 ? 'full' : 'compact'
+    });
+
+    const timeSeries = data[`Time Series FX (${INTERVALS[timeframe]})`] || data['Time Series FX (Intraday)'];
+    if (!timeSeries) {
+      throw new Error(`Alpha Vantage: sem dados para ${pair}`);
+    }
+
+    return Object.entries(timeSeries).map(([datetime, values]) => ({
+      timestamp: new Date(`${datetime.replace(' ', 'T')}Z`).getTime(),
+      open: values['1. open'],
+      high: values['2. high'],
+      low: values['3. low'],
+      close: values['4. close'],
+      volume: 0
+    })).reverse().slice(-count);
+  }
+
+  async getPrice(pair) {
+    const spec = getInstrumentSpec(pair);
+    const data = await this.request({
+      function: 'CURRENCY_EXCHANGE_RATE',
+      from_currency: spec.base,
+      to_currency: spec.quote
+    });
+
+    const rate = data['Realtime Currency Exchange Rate'];
+    if (!rate) throw new Error(`Alpha Vantage: sem cotação para ${pair}`);
+
+    return {
+      price: parseFloat(rate['5. Exchange Rate']),
+      bid: parseFloat(rate['8. Bid Price']) || undefined,
+      ask: parseFloat(rate['9. Ask Price']) || undefined
+    };
+  }
+}
+
+module.exports = AlphaVantageProvider;
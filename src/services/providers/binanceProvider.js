@@ -0,0 +1,84 @@
+/**
+ * ==========================================
+ * BINANCE PROVIDER
+ * ==========================================
+ * Crypto (e ouro via PAXG) - API pública, sem chave
+ */
+
+const axios = require('axios');
+const MarketDataProvider = require('./marketDataProvider');
+const { normalizeSymbol } = require('../instrumentSpecs');
+
+const SYMBOLS = {
+  BTCUSD: 'BTCUSDT',
+  ETHUSD: 'ETHUSDT',
+  XAUUSD: 'PAXGUSDT'
+};
+
+const INTERVALS = {
+  '1M': '1m',
+  '5M': '5m',
+  '15M': '15m',
+  '1H': '1h',
+  '4H': '4h'
+};
+
+class BinanceProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'binance',
+      assetClasses: ['crypto', 'metal'],
+      range: true,
+      rateLimit: { maxPerMinute: 600, minIntervalMs: 0 },
+      ...options
+    });
+    this.baseURL = options.baseURL || 'https://api.binance.com/api/v3';
+  }
+
+  supports(pair, timeframe) {
+    return !!SYMBOLS[normalizeSymbol(pair)] && super.supports(pair, timeframe);
+  }
+
+  async getCandles(pair, timeframe, count = 500) {
+    return this.fetchKlines(pair, timeframe, { limit: Math.min(count, 1000) });
+  }
+
+  async getCandlesRange(pair, timeframe, start, end) {
+    return this.fetchKlines(pair, timeframe, {
+      startTime: new Date(start).getTime(),
+      endTime: new Date(end).getTime(),
+      limit: 1000
+    });
+  }
+
+  async fetchKlines(pair, timeframe, params) {
+    const response = await axios.get(`${this.baseURL}/klines`, {
+      params: {
+        symbol: SYMBOLS[normalizeSymbol(pair)],
+        interval: INTERVALS[timeframe],
+        ...params
+      },
+      timeout: 10000
+    });
+
+    return response.data.map(c => ({
+      timestamp: c[0],
+      open: c[1],
+      high: c[2],
+      low: c[3],
+      close: c[4],
+      volume: c[5]
+    }));
+  }
+
+  async getPrice(pair) {
+    const response = await axios.get(`${this.baseURL}/ticker/price`, {
+      params: { symbol: SYMBOLS[normalizeSymbol(pair)] },
+      timeout: 10000
+    });
+
+    return { price: parseFloat(response.data.price) };
+  }
+}
+
+module.exports = BinanceProvider;
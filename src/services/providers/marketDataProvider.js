@@ -0,0 +1,93 @@
+/**
+ * ==========================================
+ * MARKET DATA PROVIDER (interface)
+ * ==========================================
+ * Contrato comum das fontes de dados de mercado:
+ * - getCandles(pair, timeframe, count) → candles (qualquer formato aceito pelo candleStore)
+ * - getPrice(pair) → { price, bid?, ask? }
+ * - getCandlesRange(pair, timeframe, start, end) → candles do intervalo (opcional, capabilities().range)
+ * - capabilities() → classes de ativo, timeframes e cotação
+ *
+ * Erros são lançados (nunca retornam null): o roteador registra
+ * a falha na saúde do provedor e passa para o próximo da cadeia
+ */
+
+const { getInstrumentSpec } = require('../instrumentSpecs');
+
+const ALL_ASSET_CLASSES = ['forex', 'metal', 'index', 'crypto'];
+const ALL_TIMEFRAMES = ['1M', '5M', '15M', '1H', '4H'];
+
+class MarketDataProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Identificador usado nas cadeias de failover
+   * @param {Array} options.assetClasses - forex, metal, index, crypto (padrão: todas)
+   * @param {Array} options.timeframes - Timeframes internos suportados (padrão: todos)
+   * @param {boolean} options.price - Fornece cotação atual
+   * @param {boolean} options.range - Busca candles por intervalo de datas (preenchimento de lacunas)
+   * @param {Object} options.rateLimit - { maxPerMinute, minIntervalMs }
+   * @param {boolean} options.fallbackOnly - Apenas último recurso (dados não reais)
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.assetClasses = options.assetClasses || ALL_ASSET_CLASSES;
+    this.timeframes = options.timeframes || ALL_TIMEFRAMES;
+    this.hasPrice = options.price !== false;
+    this.hasRange = options.range === true;
+    this.rateLimit = options.rateLimit || { maxPerMinute: 60, minIntervalMs: 0 };
+    this.fallbackOnly = options.fallbackOnly === true;
+  }
+
+  capabilities() {
+    return {
+      assetClasses: this.assetClasses,
+      timeframes: this.timeframes,
+      price: this.hasPrice,
+      range: this.hasRange,
+      realData: !this.fallbackOnly
+    };
+  }
+
+  /**
+   * Credenciais/dependências disponíveis
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Provedor atende o par/timeframe (timeframe omitido = apenas cotação)
+   */
+  supports(pair, timeframe) {
+    const assetClass = MarketDataProvider.assetClassOf(pair);
+    if (!assetClass || !this.assetClasses.includes(assetClass)) return false;
+    return timeframe ? this.timeframes.includes(timeframe) : this.hasPrice;
+  }
+
+  async getCandles(pair, timeframe, count) {
+    throw new Error(`${this.name}: getCandles não implementado`);
+  }
+
+  async getCandlesRange(pair, timeframe, start, end) {
+    throw new Error(`${this.name}: busca por intervalo não suportada`);
+  }
+
+  async getPrice(pair) {
+    throw new Error(`${this.name}: cotação não suportada`);
+  }
+
+  /**
+   * Classe de ativo do par (instrumentSpecs)
+   */
+  static assetClassOf(pair) {
+    try {
+      return getInstrumentSpec(pair).type;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+MarketDataProvider.ALL_ASSET_CLASSES = ALL_ASSET_CLASSES;
+
+module.exports = MarketDataProvider;
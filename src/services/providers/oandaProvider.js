@@ -0,0 +1,62 @@
+/**
+ * ==========================================
+ * OANDA PROVIDER
+ * ==========================================
+ * Todos os instrumentos negociados na conta (mesmos preços da execução)
+ */
+
+const MarketDataProvider = require('./marketDataProvider');
+const oandaService = require('../oandaService');
+const { toOandaInstrument } = require('../instrumentSpecs');
+
+const GRANULARITY = {
+  '1M': 'M1',
+  '5M': 'M5',
+  '15M': 'M15',
+  '1H': 'H1',
+  '4H': 'H4'
+};
+
+class OandaProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'oanda',
+      range: true,
+      rateLimit: { maxPerMinute: 120, minIntervalMs: 0 },
+      ...options
+    });
+    this.service = options.service || oandaService;
+  }
+
+  isConfigured() {
+    return this.service.isConfigured();
+  }
+
+  async getCandles(pair, timeframe, count = 500) {
+    const result = await this.service.getCandles(toOandaInstrument(pair), GRANULARITY[timeframe], Math.min(count, 5000));
+    if (!result.success) {
+      throw new Error(`OANDA: ${JSON.stringify(result.error)}`);
+    }
+    return result.data;
+  }
+
+  async getCandlesRange(pair, timeframe, start, end) {
+    const result = await this.service.getCandlesRange(toOandaInstrument(pair), GRANULARITY[timeframe], start, end);
+    if (!result.success) {
+      throw new Error(`OANDA: ${JSON.stringify(result.error)}`);
+    }
+    return result.data;
+  }
+
+  async getPrice(pair) {
+    const result = await this.service.getCurrentPrice(toOandaInstrument(pair));
+    if (!result.success) {
+      throw new Error(`OANDA: ${JSON.stringify(result.error)}`);
+    }
+
+    const { bid, ask } = result.data;
+    return { price: (bid + ask) / 2, bid, ask };
+  }
+}
+
+module.exports = OandaProvider;
@@ -0,0 +1,60 @@
+/**
+ * ==========================================
+ * RATE LIMIT BUDGET
+ * ==========================================
+ * Orçamento de requisições de um provedor, compartilhado por todos os chamadores:
+ * - Máximo de chamadas em janela deslizante de 60s
+ * - Intervalo mínimo entre chamadas
+ */
+
+const WINDOW_MS = 60 * 1000;
+
+class RateLimitBudget {
+  /**
+   * @param {Object} options - { maxPerMinute, minIntervalMs }
+   */
+  constructor(options = {}) {
+    this.maxPerMinute = options.maxPerMinute || Infinity;
+    this.minIntervalMs = options.minIntervalMs || 0;
+    this.calls = [];
+  }
+
+  prune(now) {
+    while (this.calls.length > 0 && now - this.calls[0] >= WINDOW_MS) {
+      this.calls.shift();
+    }
+  }
+
+  /**
+   * Espera necessária (ms) até a próxima chamada permitida
+   */
+  getWaitMs(now = Date.now()) {
+    this.prune(now);
+
+    let wait = 0;
+    const last = this.calls[this.calls.length - 1];
+    if (last !== undefined) {
+      wait = Math.max(wait, this.minIntervalMs - (now - last));
+    }
+    if (this.calls.length >= this.maxPerMinute) {
+      wait = Math.max(wait, this.calls[0] + WINDOW_MS - now);
+    }
+
+    return wait;
+  }
+
+  consume(now = Date.now()) {
+    this.calls.push(now);
+  }
+
+  getStatus(now = Date.now()) {
+    this.prune(now);
+    return {
+      callsLastMinute: this.calls.length,
+      maxPerMinute: Number.isFinite(this.maxPerMinute) ? this.maxPerMinute : null,
+      minIntervalMs: this.minIntervalMs
+    };
+  }
+}
+
+module.exports = RateLimitBudget;
@@ -0,0 +1,80 @@
+/**
+ * ==========================================
+ * SIMULATED PROVIDER
+ * ==========================================
+ * Último recurso: random walk a partir de um preço base
+ * Sempre disponível - nunca usado para decidir se os dados são reais
+ */
+
+const MarketDataProvider = require('./marketDataProvider');
+const candleStore = require('../candleStore');
+const { normalizeSymbol } = require('../instrumentSpecs');
+
+const BASE_PRICES = {
+  EURUSD: 1.0850,
+  GBPUSD: 1.2650,
+  USDJPY: 148.50,
+  AUDUSD: 0.6550,
+  USDCAD: 1.3550,
+  EURGBP: 0.8580,
+  EURJPY: 161.00,
+  GBPJPY: 187.80,
+  BTCUSD: 45000,
+  ETHUSD: 2500,
+  XAUUSD: 2050,
+  US30: 38000
+};
+
+class SimulatedProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'simulated',
+      fallbackOnly: true,
+      rateLimit: { maxPerMinute: Infinity, minIntervalMs: 0 },
+      ...options
+    });
+  }
+
+  getBasePrice(pair) {
+    return BASE_PRICES[normalizeSymbol(pair)] || 1.0000;
+  }
+
+  async getCandles(pair, timeframe, count = 500) {
+    const intervalMs = candleStore.getTimeframeMs(timeframe);
+    const endTime = Math.floor(Date.now() / intervalMs) * intervalMs;
+    return this.generateCandles(this.getBasePrice(pair), count, intervalMs, endTime);
+  }
+
+  async getPrice(pair) {
+    return { price: this.getBasePrice(pair) };
+  }
+
+  generateCandles(basePrice, count, intervalMs, endTime) {
+    const candles = [];
+    let price = basePrice;
+
+    for (let i = count; i > 0; i--) {
+      // Variação aleatória
+      const change = (Math.random() - 0.5) * (basePrice * 0.002);
+      price += change;
+
+      const open = price;
+      const close = price + (Math.random() - 0.5) * Math.abs(change);
+
+      candles.push({
+        timestamp: endTime - (i * intervalMs),
+        open,
+        high: Math.max(open, close) + Math.abs(change * 0.5),
+        low: Math.min(open, close) - Math.abs(change * 0.5),
+        close,
+        volume: Math.floor(1000 + Math.random() * 5000)
+      });
+
+      price = close;
+    }
+
+    return candles;
+  }
+}
+
+module.exports = SimulatedProvider;
@@ -0,0 +1,120 @@
+/**
+ * ==========================================
+ * TRADINGVIEW PROVIDER
+ * ==========================================
+ * Candles via websocket não oficial (@mathieuc/tradingview) - sem cotação avulsa
+ */
+
+const MarketDataProvider = require('./marketDataProvider');
+const { normalizeSymbol } = require('../instrumentSpecs');
+
+let TradingView;
+try {
+  TradingView = require('@mathieuc/tradingview');
+} catch (e) {
+  console.log('⚠️  TradingView library não disponível');
+  TradingView = null;
+}
+
+const SYMBOLS = {
+  BTCUSD: 'BINANCE:BTCUSDT',
+  ETHUSD: 'BINANCE:ETHUSDT',
+  XAUUSD: 'OANDA:XAUUSD',
+  US30: 'TVC:DJI'
+};
+
+const TIMEFRAMES = {
+  '1M': '1',
+  '5M': '5',
+  '15M': '15',
+  '1H': '60',
+  '4H': '240'
+};
+
+const CHART_TIMEOUT_MS = 10000;
+
+class TradingViewProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'tradingView',
+      price: false,
+      rateLimit: { maxPerMinute: 30, minIntervalMs: 0 },
+      ...options
+    });
+    this.client = null;
+  }
+
+  isConfigured() {
+    return !!TradingView;
+  }
+
+  /**
+   * Conexão aberta só no primeiro uso
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new TradingView.Client();
+    }
+    return this.client;
+  }
+
+  mapSymbol(pair) {
+    const symbol = normalizeSymbol(pair);
+    return SYMBOLS[symbol] || `FX:${symbol}`;
+  }
+
+  async getCandles(pair, timeframe, count = 500) {
+    if (!TradingView) {
+      throw new Error('TradingView library não disponível');
+    }
+
+    return new Promise((resolve, reject) => {
+      const client = this.getClient();
+      const chart = new client.Session.Chart();
+      let resolved = false;
+
+      const finish = (error, candles) => {
+        if (resolved) return;
+        resolved = true;
+        clearTimeout(timeout);
+        try { chart.delete(); } catch (e) {}
+        if (error) reject(error);
+        else resolve(candles);
+      };
+
+      const timeout = setTimeout(() => {
+        finish(new Error(`Timeout ao buscar ${pair} ${timeframe}`));
+      }, CHART_TIMEOUT_MS);
+
+      chart.setMarket(this.mapSymbol(pair), { timeframe: TIMEFRAMES[timeframe], range: count });
+
+      chart.onUpdate(() => {
+        const periods = chart.periods;
+        if (!periods || periods.length === 0) return;
+
+        // periods vem do mais recente para o mais antigo, tempo em segundos
+        const candles = periods.map(period => ({
+          timestamp: period.time * 1000,
+          open: period.open,
+          high: period.max ?? period.high,
+          low: period.min ?? period.low,
+          close: period.close,
+          volume: period.volume || 0
+        })).reverse();
+
+        finish(null, candles.slice(-count));
+      });
+
+      chart.onError((...err) => finish(new Error(`TradingView: ${err.join(' ')}`)));
+    });
+  }
+
+  cleanup() {
+    if (this.client) {
+      try { this.client.end(); } catch (e) {}
+      this.client = null;
+    }
+  }
+}
+
+module.exports = TradingViewProvider;
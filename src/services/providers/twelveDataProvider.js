@@ -0,0 +1,101 @@
+/**
+ * ==========================================
+ * TWELVE DATA PROVIDER
+ * ==========================================
+ * Forex, metais, índices e crypto - plano gratuito: 8 chamadas/minuto
+ */
+
+const axios = require('axios');
+const MarketDataProvider = require('./marketDataProvider');
+const { getInstrumentSpec } = require('../instrumentSpecs');
+
+const INDEX_SYMBOLS = {
+  US30: 'DJI'
+};
+
+const INTERVALS = {
+  '1M': '1min',
+  '5M': '5min',
+  '15M': '15min',
+  '1H': '1h',
+  '4H': '4h'
+};
+
+class TwelveDataProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'twelveData',
+      range: true,
+      rateLimit: { maxPerMinute: 8, minIntervalMs: 0 },
+      ...options
+    });
+    this.apiKey = options.apiKey ?? process.env.TWELVE_DATA_API_KEY ?? '';
+    this.baseURL = options.baseURL || 'https://api.twelvedata.com';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * EURUSD → EUR/USD, US30 → DJI
+   */
+  mapSymbol(pair) {
+    const spec = getInstrumentSpec(pair);
+    return INDEX_SYMBOLS[spec.symbol] || `${spec.base}/${spec.quote}`;
+  }
+
+  async request(endpoint, params) {
+    const response = await axios.get(`${this.baseURL}/${endpoint}`, {
+      params: { ...params, apikey: this.apiKey },
+      timeout: 15000
+    });
+
+    if (response.data.status === 'error') {
+      throw new Error(response.data.message);
+    }
+
+    return response.data;
+  }
+
+  async getCandles(pair, timeframe, count = 500) {
+    return this.fetchTimeSeries(pair, timeframe, { outputsize: Math.min(count, 5000) });
+  }
+
+  async getCandlesRange(pair, timeframe, start, end) {
+    // Formato 'YYYY-MM-DD HH:mm:ss' no fuso informado (UTC)
+    const format = date => new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+
+    return this.fetchTimeSeries(pair, timeframe, {
+      start_date: format(start),
+      end_date: format(end),
+      outputsize: 5000
+    });
+  }
+
+  async fetchTimeSeries(pair, timeframe, params) {
+    const data = await this.request('time_series', {
+      symbol: this.mapSymbol(pair),
+      interval: INTERVALS[timeframe],
+      timezone: 'UTC',
+      ...params
+    });
+
+    // API retorna do mais recente para o mais antigo
+    return data.values.map(c => ({
+      timestamp: new Date(`${c.datetime.replace(' ', 'T')}Z`).getTime(),
+      open: c.open,
+      high: c.high,
+      low: c.low,
+      close: c.close,
+      volume: c.volume || 0
+    })).reverse();
+  }
+
+  async getPrice(pair) {
+    const data = await this.request('price', { symbol: this.mapSymbol(pair) });
+    return { price: parseFloat(data.price) };
+  }
+}
+
+module.exports = TwelveDataProvider;
@@ -0,0 +1,299 @@
+/**
+ * ==========================================
+ * TRADE LIFECYCLE SERVICE
+ * ==========================================
+ * Persiste o ciclo de vida das trades executadas pela IA:
+ * - Registro na execução (OPEN) com a decisão de origem
+ *   (critérios, confluência, padrões Smart Money, probabilidades)
+ * - Fechamento (WIN / LOSS / BREAKEVEN) com preço e horário de saída
+ * - Feedback para o Reinforcement Learning e o Continuous Learning
+ */
+
+const { normalizeSymbol } = require('./instrumentSpecs');
+const { calculateProfitLoss } = require('./profitLossCalculator');
+
+class TradeLifecycleService {
+  /**
+   * @param {ReinforcementLearningEngine} reinforcementLearning
+   * @param {Object} options
+   * @param {ContinuousLearning} options.continuousLearning - Feedback para retreino dos modelos ML
+   * @param {Object} options.conversionRates - resolveConversionRate(instrument, accountCurrency, price)
+   *                                           (positionSizingService: cotação atual para pares cruzados)
+   */
+  constructor(reinforcementLearning, options = {}) {
+    this.reinforcementLearning = reinforcementLearning;
+    this.continuousLearning = options.continuousLearning || null;
+    this.conversionRates = options.conversionRates || null;
+    this.Trade = null; // Model Sequelize - definido quando o Postgres está disponível
+  }
+
+  /**
+   * Ativa persistência no PostgreSQL
+   * O RL passa a ler o histórico da tabela trades
+   */
+  attachDatabase(TradeModel) {
+    this.Trade = TradeModel;
+    this.reinforcementLearning.useTradeRepository(TradeModel);
+  }
+
+  isPersistent() {
+    return !!this.Trade;
+  }
+
+  /**
+   * Monta o registro da trade a partir do sinal e da execução
+   * @param {Object} signal - Sinal aprovado (formato do /api/execute/signal)
+   * @param {Object} execution - Retorno do orderExecutionService
+   * @param {Object} sizing - Retorno do positionSizingService
+   * @param {string} userId - Usuário que executou
+   */
+  buildTradeRecord(signal, execution, sizing = {}, userId = null) {
+    const decision = typeof signal.decision === 'object' && signal.decision ? signal.decision : {};
+    const fundamental = signal.analyses?.fundamental;
+
+    return {
+      tradeId: String(execution.tradeId || execution.orderId),
+      orderId: execution.orderId ? String(execution.orderId) : null,
+      userId,
+      instrument: normalizeSymbol(signal.instrument || signal.pair),
+      type: signal.type || decision.direction,
+      orderType: signal.order_type || decision.setup?.orderType || 'MARKET',
+      entryPrice: execution.fillPrice || parseFloat(signal.entry_price),
+      stopLoss: parseFloat(signal.stop_loss),
+      takeProfit: parseFloat(signal.take_profit),
+      units: sizing.units,
+      riskAmount: sizing.riskAmount,
+      accountCurrency: sizing.accountCurrency || 'USD',
+      result: 'OPEN',
+      riskReward: parseFloat(signal.risk_reward ?? decision.setup?.riskReward) || null,
+      probability: typeof signal.probability === 'number'
+        ? signal.probability
+        : decision.probability?.overall,
+      timeframe: signal.timeframe,
+      justification: decision.justification
+        ? { text: decision.justification, warnings: decision.warnings || [] }
+        : null,
+      criteria: decision.criteria || null,
+      confluenceScore: decision.confluenceScore ?? null,
+      smartMoneyPatterns: decision.smartMoneyPatterns || [],
+      mlProbability: decision.probability?.technical ?? null,
+      fundamentalBias: fundamental?.fundamentalBias?.direction || fundamental?.sentiment || null,
+      decisionTimestamp: signal.timestamp ? new Date(signal.timestamp) : new Date()
+    };
+  }
+
+  /**
+   * Registra trade executada (estado OPEN)
+   */
+  async recordExecution(signal, execution, sizing, userId) {
+    const record = this.buildTradeRecord(signal, execution, sizing, userId);
+
+    // Sem Postgres: mantém o histórico do RL no trade_history.json
+    await this.reinforcementLearning.registerTrade({
+      id: record.tradeId,
+      pair: record.instrument,
+      direction: record.type,
+      entry: record.entryPrice,
+      stopLoss: record.stopLoss,
+      takeProfit: record.takeProfit,
+      riskReward: record.riskReward,
+      timeframe: record.timeframe,
+      smartMoneyPatterns: record.smartMoneyPatterns,
+      mlProbability: record.mlProbability,
+      fundamentalBias: record.fundamentalBias,
+      units: record.units,
+      accountCurrency: record.accountCurrency
+    });
+
+    if (!this.isPersistent()) return record;
+
+    const trade = await this.Trade.create(record);
+    console.log(`💾 Trade ${record.tradeId} registrada (${record.instrument} ${record.type})`);
+
+    return trade;
+  }
+
+  /**
+   * Fecha trade: OPEN → WIN / LOSS / BREAKEVEN
+   * @param {string} tradeId
+   * @param {Object} close
+   * @param {string} close.result - WIN, LOSS ou BREAKEVEN
+   * @param {number} close.exitPrice
+   * @param {number} close.profitLoss - P/L realizado (opcional)
+   * @param {number} close.conversionRate - Cotação → conta no fechamento (padrão: taxa atual)
+   * @param {Date} close.exitTimestamp - Padrão: agora
+   */
+  async closeTrade(tradeId, close) {
+    const exitPrice = parseFloat(close.exitPrice);
+    const exitTimestamp = close.exitTimestamp ? new Date(close.exitTimestamp) : new Date();
+    let profitLoss = close.profitLoss;
+    let trade = null;
+
+    if (this.isPersistent()) {
+      trade = await this.Trade.findOne({ where: { tradeId: String(tradeId) } });
+
+      if (!trade) {
+        return { trade: null, notFound: true };
+      }
+      if (trade.result !== 'OPEN') {
+        return { trade, alreadyClosed: true };
+      }
+
+      const outcome = await this.calculateOutcome({
+        instrument: trade.instrument,
+        direction: trade.type,
+        entryPrice: trade.entryPrice,
+        stopLoss: trade.stopLoss,
+        units: trade.units,
+        accountCurrency: trade.accountCurrency
+      }, exitPrice, close);
+      profitLoss = outcome.profitLoss;
+
+      trade.result = close.result;
+      trade.exitPrice = exitPrice;
+      trade.exitTimestamp = exitTimestamp;
+      trade.profitLoss = profitLoss;
+      trade.pips = outcome.pips;
+      trade.rMultiple = outcome.rMultiple;
+      await trade.save();
+    } else {
+      // Sem Postgres: a trade aberta está no histórico do RL (trade_history.json)
+      const open = await this.reinforcementLearning.findTrade(String(tradeId));
+
+      if (!open) {
+        return { trade: null, notFound: true };
+      }
+      if (open.result !== 'OPEN') {
+        return { trade: open, alreadyClosed: true };
+      }
+
+      const hasBrokerProfitLoss = profitLoss !== undefined && profitLoss !== null;
+      if (!hasBrokerProfitLoss && !(open.units > 0)) {
+        // Registro antigo sem unidades: P/L 0 distorceria o aprendizado
+        return { trade: null, profitLossUnknown: true };
+      }
+
+      const outcome = await this.calculateOutcome({
+        instrument: open.pair,
+        direction: open.direction,
+        entryPrice: open.entry,
+        stopLoss: open.stopLoss,
+        units: open.units,
+        accountCurrency: open.accountCurrency
+      }, exitPrice, close);
+      profitLoss = outcome.profitLoss;
+
+      trade = {
+        tradeId: String(tradeId),
+        instrument: open.pair,
+        type: open.direction,
+        timeframe: open.timeframe,
+        entryPrice: open.entry,
+        mlProbability: open.mlProbability,
+        result: close.result,
+        exitPrice,
+        exitTimestamp,
+        profitLoss,
+        pips: outcome.pips,
+        rMultiple: outcome.rMultiple
+      };
+    }
+
+    // Feedback para o RL (lê a linha atualizada quando há Postgres)
+    try {
+      await this.reinforcementLearning.updateTradeResult(
+        String(tradeId),
+        close.result,
+        exitPrice,
+        profitLoss || 0
+      );
+    } catch (error) {
+      // Sem Postgres o histórico do RL é o registro da trade: falha não pode ser silenciosa
+      if (!this.isPersistent()) throw error;
+      console.warn(`⚠️  RL não atualizado para ${tradeId}: ${error.message}`);
+    }
+
+    if (this.continuousLearning && trade) {
+      try {
+        await this.continuousLearning.recordTradeResult({
+          pair: trade.instrument,
+          timeframe: trade.timeframe,
+          direction: trade.type,
+          entryPrice: trade.entryPrice,
+          exitPrice,
+          profit: profitLoss,
+          mlPrediction: trade.mlProbability
+        });
+      } catch (error) {
+        console.warn(`⚠️  Continuous Learning não atualizado para ${tradeId}: ${error.message}`);
+      }
+    }
+
+    return { trade, alreadyClosed: false };
+  }
+
+  /**
+   * Pips, R-multiple e P/L da posição no preço de saída
+   * P/L informado pela corretora tem prioridade (já convertido para a moeda da conta)
+   */
+  async calculateOutcome(position, exitPrice, close) {
+    const hasBrokerProfitLoss = close.profitLoss !== undefined && close.profitLoss !== null;
+    const accountCurrency = position.accountCurrency || 'USD';
+
+    const outcome = calculateProfitLoss({
+      ...position,
+      exitPrice,
+      accountCurrency,
+      conversionRate: close.conversionRate ?? (hasBrokerProfitLoss
+        ? undefined
+        : await this.resolveConversionRate(position.instrument, accountCurrency, exitPrice))
+    });
+
+    return hasBrokerProfitLoss ? { ...outcome, profitLoss: close.profitLoss } : outcome;
+  }
+
+  /**
+   * Taxa cotação → conta no momento do fechamento
+   * undefined (sem fonte ou falha): a calculadora usa a taxa de referência
+   */
+  async resolveConversionRate(instrument, accountCurrency, exitPrice) {
+    if (!this.conversionRates) return undefined;
+
+    try {
+      return await this.conversionRates.resolveConversionRate(instrument, accountCurrency, exitPrice);
+    } catch (error) {
+      console.warn(`⚠️  Taxa de conversão indisponível para ${instrument}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Ordem LIMIT executada: troca o ID da ordem pelo ID da trade na corretora
+   */
+  async linkOrderFill(orderId, brokerTradeId, fillPrice) {
+    if (!this.isPersistent()) return null;
+
+    const trade = await this.Trade.findOne({ where: { orderId: String(orderId), result: 'OPEN' } });
+    if (!trade || trade.tradeId === String(brokerTradeId)) return trade;
+
+    trade.tradeId = String(brokerTradeId);
+    if (fillPrice) trade.entryPrice = fillPrice;
+    trade.entryTimestamp = new Date();
+    await trade.save();
+
+    console.log(`🔗 Ordem ${orderId} executada → trade ${brokerTradeId}`);
+    return trade;
+  }
+
+  /**
+   * IDs das trades abertas (reconciliação com a corretora)
+   */
+  async getOpenTradeIds() {
+    if (!this.isPersistent()) return [];
+
+    const trades = await this.Trade.findAll({ where: { result: 'OPEN' } });
+    return trades.map(t => t.tradeId);
+  }
+}
+
+module.exports = TradeLifecycleService;
@@ -0,0 +1,328 @@
+/**
+ * ==========================================
+ * WEBSOCKET SERVICE
+ * ==========================================
+ * Feed em tempo real para o dashboard
+ * - Sinais novos/alterados do LiveAnalysisService
+ * - Transições de aprovação
+ * - Status dos ciclos de análise
+ *
+ * Protocolo (mensagens JSON):
+ * Cliente → servidor:
+ *   { type: 'auth', token }                 (ou ?token= na URL)
+ *   { type: 'subscribe', pairs: ['EURUSD'] } ('*' = todos os pares)
+ *   { type: 'unsubscribe', pairs: ['EURUSD'] }
+ *   { type: 'ping' }
+ * Servidor → cliente:
+ *   authenticated | subscribed | unsubscribed | snapshot | signal | approval | cycle | pong | error
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { verifyToken } = require('../middleware/auth');
+const { normalizeSymbol } = require('./instrumentSpecs');
+
+// Códigos de fechamento (faixa 4000-4999 reservada para aplicações)
+const CLOSE_CODES = {
+  AUTH_TIMEOUT: 4001,
+  INVALID_TOKEN: 4003
+};
+
+class WebSocketService {
+  constructor() {
+    this.wss = null;
+    this.liveAnalysisService = null;
+    this.clients = new Map(); // ws -> { user, pairs, isAlive }
+    this.heartbeatInterval = null;
+    this.heartbeatFrequency = 30 * 1000; // 30 segundos
+    this.authTimeout = 10 * 1000;        // 10 segundos para autenticar
+    this.listeners = {};
+  }
+
+  /**
+   * Anexa o servidor WebSocket ao servidor HTTP do Express
+   * @param {http.Server} server - Servidor retornado por app.listen()
+   * @param {LiveAnalysisService} liveAnalysisService - Fonte dos eventos
+   * @param {Object} options
+   * @param {string} options.path - Caminho do endpoint (padrão: /ws)
+   */
+  attach(server, liveAnalysisService, options = {}) {
+    if (this.wss) {
+      console.log('⚠️  WebSocket já está ativo');
+      return this.wss;
+    }
+
+    this.wss = new WebSocketServer({ server, path: options.path || '/ws' });
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+    this.bindLiveAnalysis(liveAnalysisService);
+
+    // Remove conexões mortas
+    this.heartbeatInterval = setInterval(() => this.checkHeartbeats(), this.heartbeatFrequency);
+
+    console.log(`🔌 WebSocket ativo em ${options.path || '/ws'}`);
+    return this.wss;
+  }
+
+  /**
+   * Escuta os eventos do serviço de análise ao vivo
+   */
+  bindLiveAnalysis(liveAnalysisService) {
+    if (!liveAnalysisService) return;
+
+    this.liveAnalysisService = liveAnalysisService;
+
+    this.listeners = {
+      signal: ({ change, signal }) => {
+        this.broadcast(signal.pair, {
+          type: 'signal',
+          change,
+          signal: liveAnalysisService.serializeSignal(signal)
+        });
+      },
+      approval: ({ pair, from, to, signal }) => {
+        this.broadcast(pair, {
+          type: 'approval',
+          pair,
+          from,
+          to,
+          signal: liveAnalysisService.serializeSignal(signal)
+        });
+      },
+      cycle: (status) => {
+        this.broadcast(null, { type: 'cycle', ...status });
+      }
+    };
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      liveAnalysisService.on(event, listener);
+    }
+  }
+
+  /**
+   * Nova conexão: autentica via ?token= ou aguarda mensagem 'auth'
+   */
+  handleConnection(ws, req) {
+    const client = { user: null, pairs: new Set(), isAlive: true };
+    this.clients.set(ws, client);
+
+    ws.on('pong', () => { client.isAlive = true; });
+    ws.on('message', (raw) => this.handleMessage(ws, client, raw));
+    ws.on('close', () => {
+      clearTimeout(client.authTimer);
+      this.clients.delete(ws);
+    });
+    ws.on('error', (error) => {
+      console.error('❌ Erro no WebSocket:', error.message);
+    });
+
+    const token = this.extractToken(req);
+    if (token) {
+      this.authenticate(ws, client, token);
+      return;
+    }
+
+    // Sem token na URL: cliente tem alguns segundos para enviar { type: 'auth' }
+    client.authTimer = setTimeout(() => {
+      if (!client.user) {
+        ws.close(CLOSE_CODES.AUTH_TIMEOUT, 'Autenticação não realizada');
+      }
+    }, this.authTimeout);
+  }
+
+  /**
+   * Extrai token da query string ou do header Authorization
+   */
+  extractToken(req) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const queryToken = url.searchParams.get('token');
+      if (queryToken) return queryToken;
+    } catch (error) {
+      // URL inválida, tenta header
+    }
+
+    const authHeader = req.headers['authorization'];
+    return authHeader && authHeader.split(' ')[1];
+  }
+
+  /**
+   * Valida o JWT (mesmo segredo do middleware/auth.js)
+   */
+  authenticate(ws, client, token) {
+    const user = verifyToken(token);
+
+    if (!user) {
+      this.send(ws, { type: 'error', error: 'Token inválido ou expirado' });
+      ws.close(CLOSE_CODES.INVALID_TOKEN, 'Token inválido');
+      return false;
+    }
+
+    clearTimeout(client.authTimer);
+    client.user = user;
+    this.send(ws, {
+      type: 'authenticated',
+      user: { id: user.id, username: user.username, role: user.role }
+    });
+    return true;
+  }
+
+  /**
+   * Processa mensagens do cliente
+   */
+  handleMessage(ws, client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.send(ws, { type: 'error', error: 'Mensagem deve ser JSON válido' });
+      return;
+    }
+
+    if (message.type === 'auth') {
+      this.authenticate(ws, client, message.token);
+      return;
+    }
+
+    if (!client.user) {
+      this.send(ws, { type: 'error', error: 'Autenticação necessária' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        this.subscribe(ws, client, message.pairs);
+        break;
+      case 'unsubscribe':
+        this.unsubscribe(ws, client, message.pairs);
+        break;
+      case 'ping':
+        this.send(ws, { type: 'pong', timestamp: new Date() });
+        break;
+      default:
+        this.send(ws, { type: 'error', error: `Tipo de mensagem desconhecido: ${message.type}` });
+    }
+  }
+
+  /**
+   * Inscreve cliente em pares e envia snapshot dos sinais atuais
+   */
+  subscribe(ws, client, pairs) {
+    const requested = this.normalizePairs(pairs);
+    if (requested.length === 0) {
+      this.send(ws, { type: 'error', error: 'Informe pelo menos um par (ou "*")' });
+      return;
+    }
+
+    requested.forEach(pair => client.pairs.add(pair));
+    this.send(ws, { type: 'subscribed', pairs: Array.from(client.pairs) });
+
+    if (this.liveAnalysisService) {
+      const signals = this.liveAnalysisService.getLiveSignals().signals
+        .filter(signal => this.isSubscribed(client, signal.pair))
+        .map(signal => this.liveAnalysisService.serializeSignal(signal));
+
+      this.send(ws, {
+        type: 'snapshot',
+        timestamp: new Date(),
+        status: this.liveAnalysisService.getStatus(),
+        signals
+      });
+    }
+  }
+
+  /**
+   * Remove inscrição de pares
+   */
+  unsubscribe(ws, client, pairs) {
+    this.normalizePairs(pairs).forEach(pair => client.pairs.delete(pair));
+    this.send(ws, { type: 'unsubscribed', pairs: Array.from(client.pairs) });
+  }
+
+  normalizePairs(pairs) {
+    const list = Array.isArray(pairs) ? pairs : (pairs ? [pairs] : []);
+    return list
+      .filter(pair => typeof pair === 'string')
+      .map(pair => normalizeSymbol(pair)); // Mesmo formato dos eventos (EUR/USD, US30_USD...)
+  }
+
+  isSubscribed(client, pair) {
+    return client.pairs.has('*') || client.pairs.has(pair);
+  }
+
+  /**
+   * Envia mensagem para clientes autenticados inscritos no par
+   * @param {string|null} pair - null = todos os clientes com alguma inscrição
+   */
+  broadcast(pair, payload) {
+    for (const [ws, client] of this.clients) {
+      if (!client.user || client.pairs.size === 0) continue;
+      if (pair && !this.isSubscribed(client, pair)) continue;
+
+      this.send(ws, payload);
+    }
+  }
+
+  send(ws, payload) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify(payload));
+  }
+
+  /**
+   * Encerra conexões que não responderam ao último ping
+   */
+  checkHeartbeats() {
+    for (const [ws, client] of this.clients) {
+      if (!client.isAlive) {
+        ws.terminate();
+        this.clients.delete(ws);
+        continue;
+      }
+
+      client.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  /**
+   * Encerra o servidor WebSocket
+   */
+  close() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+
+    if (this.liveAnalysisService) {
+      for (const [event, listener] of Object.entries(this.listeners)) {
+        this.liveAnalysisService.removeListener(event, listener);
+      }
+      this.liveAnalysisService = null;
+    }
+
+    for (const [ws, client] of this.clients) {
+      clearTimeout(client.authTimer);
+      ws.terminate();
+    }
+    this.clients.clear();
+
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  /**
+   * Status do serviço
+   */
+  getStatus() {
+    const clients = Array.from(this.clients.values());
+
+    return {
+      active: !!this.wss,
+      connections: clients.length,
+      authenticated: clients.filter(c => c.user).length
+    };
+  }
+}
+
+module.exports = new WebSocketService();